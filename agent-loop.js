@@ -6,6 +6,14 @@
  */
 
 const logger = require('./logger');
+const { throwIfCancelled } = require('./utils/cancellation');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { policyFilter } = require('./tools/policy');
+const { formatToolResult } = require('./tools/result-formatters');
+const { declinedMessage } = require('./tools/confirmation');
+
+// Oversized tool results are trimmed instead of summarized by the mini model at this load
+const COMPACT_SKIP_LOAD_LEVEL = 2;
 
 class AgentLoop {
   constructor(registry, openaiClient, config = {}) {
@@ -13,28 +21,36 @@ class AgentLoop {
     this.openai = openaiClient;
     this.maxIterations = config.maxAgentIterations || 10;
     this.timeout = config.agentLoopTimeout || 60000;
+    this.maxParallelTools = config.maxParallelTools || 4; // tool calls run concurrently per turn
+    this.toolResultBudget = config.toolResultTokenBudget || 1000; // tokens per tool result
+    this.compactModel = config.miniModel || 'gpt-4.1-mini';
   }
 
   async run(messages, systemPrompt, context) {
-    const tools = this.registry.getToolsForOpenAI();
+    // Tools denied by a /toolpolicy rule for this user/channel are never offered
+    const tools = this.registry.getToolsForOpenAI(policyFilter(context));
     let iterations = 0;
     const toolCallHistory = [];
+    const toolResults = []; // [{ name, args, success, content }] — evidence for Layer 4 verification
     const startTime = Date.now();
+    let pausedMs = 0; // time spent waiting for tool approvals doesn't count against the timeout
 
     logger.info('AgentLoop', `Agent loop started with ${tools.length} tools available`);
 
     const fullMessages = [{ role: 'system', content: systemPrompt }, ...messages];
 
     while (iterations < this.maxIterations) {
-      if (Date.now() - startTime > this.timeout) {
+      throwIfCancelled(context.signal);
+      if (Date.now() - startTime - pausedMs > this.timeout) {
         logger.warn('AgentLoop', `Timeout after ${iterations} iterations (${Date.now() - startTime}ms elapsed)`);
         break;
       }
 
       iterations++;
 
-      const modelOpts = context.modelParams || {};
-      const response = await this.openai.createChatCompletion(fullMessages, tools, modelOpts);
+      const modelOpts = { ...context.modelParams, signal: context.signal };
+      const response = await this._complete(fullMessages, tools, modelOpts, context);
+      const iterationTrace = context.trace?.recordIteration({ iteration: iterations, content: response.content || null, toolCalls: [] });
 
       if (!response.tool_calls || response.tool_calls.length === 0) {
         return {
@@ -42,11 +58,16 @@ class AgentLoop {
           toolsUsed: toolCallHistory,
           iterations,
           images: context.generatedImages || [],
+          files: context.generatedFiles || [],
+          toolResults,
         };
       }
 
       logger.info('AgentLoop', `Iteration ${iterations}/${this.maxIterations}: ${response.tool_calls.length} tool calls`);
 
+      // Any streamed text was a preamble to tool calls, not the answer
+      if (response.content) await context.streamReply?.reset();
+
       // Add assistant message with tool calls
       fullMessages.push({
         role: 'assistant',
@@ -54,7 +75,8 @@ class AgentLoop {
         tool_calls: response.tool_calls,
       });
 
-      for (const toolCall of response.tool_calls) {
+      // Parse and de-duplicate in call order; what's left is independent and runs concurrently
+      const calls = response.tool_calls.map((toolCall) => {
         let args;
         try {
           args = JSON.parse(toolCall.function.arguments);
@@ -66,50 +88,140 @@ class AgentLoop {
         const callSig = `${toolCall.function.name}:${JSON.stringify(args)}`;
         if (toolCallHistory.includes(callSig)) {
           logger.warn('AgentLoop', `Skipped duplicate call: ${toolCall.function.name}`);
+          return { toolCall, args, duplicate: true };
+        }
+        toolCallHistory.push(callSig);
+        return { toolCall, args, callNumber: toolCallHistory.length };
+      });
+
+      const outcomes = await mapWithConcurrency(calls, this.maxParallelTools, (call) => (call.duplicate ? null : this._runTool(call, context)));
+      pausedMs += Math.max(0, ...outcomes.map(o => o?.waitedMs || 0));
+
+      // Results go back in tool_call_id order, whatever order they finished in
+      calls.forEach((call, i) => {
+        const { toolCall, args } = call;
+        if (call.duplicate) {
+          iterationTrace?.toolCalls.push({ name: toolCall.function.name, args, duplicate: true });
           fullMessages.push({
             role: 'tool',
             tool_call_id: toolCall.id,
             content: 'Duplicate call skipped',
           });
-          continue;
+          return;
         }
-        toolCallHistory.push(callSig);
 
-        const toolStart = Date.now();
-        logger.info('AgentLoop', `Tool call #${toolCallHistory.length}: ${toolCall.function.name}(${JSON.stringify(args).substring(0, 100)})`);
-
-        await context.statusEmbed?.addTool(toolCall.function.name);
-        const result = await this.registry.executeTool(toolCall.function.name, args, context);
-        await context.statusEmbed?.toolDone(toolCall.function.name);
-        logger.info('AgentLoop', `Tool call #${toolCallHistory.length}: ${toolCall.function.name} → ${result.success ? 'success' : 'fail'} in ${Date.now() - toolStart}ms`);
-
-        // Note: generate_image tool now pushes to context.generatedImages directly
-        // and returns only metadata (no base64) to avoid bloating the context
-
-        // Truncate result
-        let resultStr = JSON.stringify(result.success ? result.result : { error: result.error });
-        if (resultStr.length > 2000) {
-          resultStr = resultStr.substring(0, 2000) + '... [truncated]';
-        }
+        const { success, resultStr, durationMs, confirmation } = outcomes[i];
+        toolResults.push({ name: toolCall.function.name, args, success, content: resultStr });
+        iterationTrace?.toolCalls.push({
+          name: toolCall.function.name,
+          args,
+          success,
+          result: resultStr,
+          durationMs,
+          ...(confirmation ? { confirmation } : {}),
+        });
 
         fullMessages.push({
           role: 'tool',
           tool_call_id: toolCall.id,
           content: resultStr,
         });
-      }
+      });
     }
 
     // Exhausted iterations — force text response without tools
     logger.warn('AgentLoop', `Max iterations (${this.maxIterations}) reached, forcing text response`);
-    const finalResponse = await this.openai.createChatCompletion(fullMessages, []);
+    throwIfCancelled(context.signal);
+    const finalResponse = await this._complete(fullMessages, [], { signal: context.signal }, context);
+    context.trace?.recordIteration({ iteration: iterations + 1, content: finalResponse.content || null, toolCalls: [], forced: true });
     return {
       text: finalResponse.content || '',
       toolsUsed: toolCallHistory,
       iterations,
       images: context.generatedImages || [],
+      files: context.generatedFiles || [],
+      toolResults,
     };
   }
+
+  /**
+   * Execute one tool call, keeping the status embed and plan up to date. Tools that
+   * declare `requiresConfirmation` wait for the user's approval first; a denial or
+   * timeout becomes the tool result.
+   * @private
+   * @returns {Promise<{success: boolean, resultStr: string, durationMs: number, waitedMs: number, confirmation?: string}>}
+   */
+  async _runTool({ toolCall, args, callNumber }, context) {
+    const name = toolCall.function.name;
+    const toolStart = Date.now();
+    logger.info('AgentLoop', `Tool call #${callNumber}: ${name}(${JSON.stringify(args).substring(0, 100)})`);
+
+    let waitedMs = 0;
+    let confirmation;
+    if (context.confirmTool && this.registry.getTool(name)?.requiresConfirmation) {
+      context.deadline?.pause();
+      try {
+        ({ outcome: confirmation } = await context.confirmTool(name, args));
+      } finally {
+        context.deadline?.resume();
+        waitedMs = Date.now() - toolStart;
+      }
+      if (confirmation !== 'approved') {
+        logger.info('AgentLoop', `Tool call #${callNumber}: ${name} not run (${confirmation})`);
+        const resultStr = await formatToolResult(name, { success: false, result: null, error: declinedMessage(name, confirmation) });
+        return { success: false, resultStr, durationMs: Date.now() - toolStart, waitedMs, confirmation };
+      }
+    }
+
+    await context.statusEmbed?.addTool(name);
+    const result = await this.registry.executeTool(name, args, context);
+    await context.statusEmbed?.toolDone(name);
+    if (result.success && context.plan?.markToolDone(name)) {
+      await context.statusEmbed?.setPlan(context.plan);
+    }
+    logger.info('AgentLoop', `Tool call #${callNumber}: ${name} → ${result.success ? 'success' : 'fail'} in ${Date.now() - toolStart}ms`);
+
+    // Note: generate_image tool now pushes to context.generatedImages directly
+    // and returns only metadata (no base64) to avoid bloating the context
+
+    const resultStr = await formatToolResult(name, result, {
+      budget: this.toolResultBudget,
+      summarize: this._summarizer(context),
+    });
+    return { success: result.success, resultStr, durationMs: Date.now() - toolStart, waitedMs, confirmation };
+  }
+
+  /**
+   * Mini-model summarizer for tool results that are over budget after formatting,
+   * or null when the system is under load.
+   * @private
+   * @returns {Function|null} async (text, budget, name) => string
+   */
+  _summarizer(context) {
+    if ((context.loadLevel || 1) >= COMPACT_SKIP_LOAD_LEVEL) return null;
+    return async (text, budget, name) => {
+      const response = await this.openai.createChatCompletion([
+        {
+          role: 'system',
+          content: `Condense this output of the ${name} tool to under ${budget} tokens for another model to answer from. Keep URLs, names, numbers, dates and error messages verbatim, and keep the output's structure (lists, headings, sections). No commentary.`,
+        },
+        { role: 'user', content: text },
+      ], [], { model: this.compactModel, maxTokens: budget, signal: context.signal });
+      return response?.content || null;
+    };
+  }
+
+  /**
+   * Get one model turn — streamed into context.streamReply when streaming is on.
+   * @private
+   */
+  async _complete(messages, tools, modelOpts, context) {
+    const streamReply = context.streamReply;
+    if (streamReply && this.openai.streamChatCompletion) {
+      return this.openai.streamChatCompletion(messages, tools, modelOpts, (text) => streamReply.update(text));
+    }
+    return this.openai.createChatCompletion(messages, tools, modelOpts);
+  }
 }
 
 module.exports = AgentLoop;
@@ -0,0 +1,109 @@
+/**
+ * @module commands/document-commands
+ * @description /documents list|delete|clear|limits for the document index (documents.js):
+ * see what has been shared here, delete documents you shared (admins: any), and view
+ * or — as an admin — change the server's size and type limits.
+ */
+
+const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+const { DOCUMENT_TYPES, ALL_EXTENSIONS, DocumentError, getLimits, setLimits, listDocuments, removeDocument, clearDocuments } = require('../documents');
+const { formatBytes } = require('../tools/artifacts');
+const config = require('../config');
+const logger = require('../logger');
+
+const documentCommands = [
+  new SlashCommandBuilder()
+    .setName('documents')
+    .setDescription('Documents shared in this channel for search')
+    .addSubcommand(sub => sub.setName('list').setDescription('List the indexed documents here'))
+    .addSubcommand(sub => sub
+      .setName('delete')
+      .setDescription('Delete a document from the index')
+      .addIntegerOption(opt => opt.setName('id').setDescription('Document ID from /documents list').setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('clear')
+      .setDescription('Delete your documents in this channel')
+      .addBooleanOption(opt => opt.setName('everyone').setDescription('Delete everyone\'s documents here (admin only)')))
+    .addSubcommand(sub => sub
+      .setName('limits')
+      .setDescription('Show the size/type limits; admins can change them')
+      .addBooleanOption(opt => opt.setName('enabled').setDescription('Index attached documents on this server'))
+      .addIntegerOption(opt => opt.setName('max_mb').setDescription('Largest file to index, in MB').setMinValue(1).setMaxValue(50))
+      .addStringOption(opt => opt.setName('types').setDescription(`Accepted extensions or kinds (${Object.keys(DOCUMENT_TYPES).join(', ')}, all), comma-separated`))),
+];
+
+function isAdmin(interaction) {
+  return Boolean(interaction.member?.permissions?.has('Administrator'));
+}
+
+/** This channel, plus the parent channel when used in a thread. */
+function channelScope(interaction) {
+  const parentId = interaction.channel?.isThread?.() ? interaction.channel.parentId : null;
+  return { channelId: interaction.channelId, parentChannelId: parentId };
+}
+
+function describeTypes(types) {
+  if (types.length === ALL_EXTENSIONS.length) return 'all supported (PDF, text, Markdown, CSV, JSON/YAML/XML, source code)';
+  return types.join(', ');
+}
+
+/**
+ * Handle /documents list|delete|clear|limits.
+ */
+async function handleDocuments(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const { channelId, parentChannelId } = channelScope(interaction);
+
+  try {
+    if (sub === 'list') {
+      const docs = listDocuments(channelId, parentChannelId);
+      const limits = getLimits(interaction.guildId);
+      const lines = docs.map(d => `**#${d.id}** ${d.name} — ${formatBytes(d.size)}, ${d.pages ? `${d.pages} pages, ` : ''}${d.chunk_count} chunks · <@${d.user_id}> <t:${Math.floor(d.created_at / 1000)}:R>${d.channel_id !== channelId ? ' (parent channel)' : ''}`);
+      const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('📚 Documents')
+        .setDescription(lines.length
+          ? lines.join('\n').slice(0, 4000)
+          : limits.enabled ? 'No documents yet. Attach a file to a message and ask about it.' : `Document indexing is turned off ${config.documentsEnabled ? 'on this server' : 'for this bot (`DOCUMENTS_ENABLED=true` turns it on)'}.`)
+        .setFooter({ text: `${docs.filter(d => d.channel_id === channelId).length}/${config.documentsPerChannel} in this channel · up to ${limits.maxMb} MB each` });
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === 'delete') {
+      const doc = removeDocument(interaction.options.getInteger('id'), {
+        userId: interaction.user.id,
+        isAdmin: isAdmin(interaction),
+        channelIds: [channelId, parentChannelId].filter(Boolean),
+      });
+      return interaction.reply({ content: `🗑️ Deleted **${doc.name}** from the index.`, ephemeral: true });
+    }
+
+    if (sub === 'clear') {
+      const everyone = interaction.options.getBoolean('everyone');
+      if (everyone && !isAdmin(interaction)) return interaction.reply({ content: 'Only admins can delete everyone\'s documents.', ephemeral: true });
+      const count = clearDocuments(channelId, everyone ? undefined : interaction.user.id);
+      logger.info('DocumentsCmd', `${interaction.user.username} cleared ${count} documents in ${channelId}${everyone ? ' (everyone)' : ''}`);
+      return interaction.reply({ content: count ? `🗑️ Deleted ${count} document${count === 1 ? '' : 's'}.` : 'Nothing to delete.', ephemeral: true });
+    }
+
+    // limits
+    const enabled = interaction.options.getBoolean('enabled');
+    const maxMb = interaction.options.getInteger('max_mb');
+    const types = interaction.options.getString('types');
+    const changing = enabled !== null || maxMb !== null || types !== null;
+    if (changing && !isAdmin(interaction)) return interaction.reply({ content: 'Admin only.', ephemeral: true });
+    const limits = changing
+      ? setLimits({ guildId: interaction.guildId, enabled: enabled ?? undefined, maxMb: maxMb ?? undefined, types, updatedBy: interaction.user.id })
+      : getLimits(interaction.guildId);
+    return interaction.reply({
+      content: `${changing ? '✅ Updated. ' : ''}Document indexing is **${limits.enabled ? 'on' : 'off'}** · up to **${limits.maxMb} MB** per file · ${config.documentsPerChannel} documents per channel · types: ${describeTypes(limits.allowedTypes)}`.slice(0, 2000),
+      ephemeral: true,
+    });
+  } catch (err) {
+    if (err instanceof DocumentError) return interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+    logger.error('DocumentsCmd', `/documents ${sub} error:`, err);
+    return interaction.reply({ content: '❌ Failed to update documents.', ephemeral: true });
+  }
+}
+
+module.exports = { documentCommands, handleDocuments };
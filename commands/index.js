@@ -0,0 +1,27 @@
+/**
+ * @module commands
+ * @description Slash commands contributed by feature modules. index.js registers these
+ * alongside the core commands; handlers/interactionHandler routes them.
+ */
+
+const { memoryCommands } = require('./memory-commands');
+const { traceCommands } = require('./trace-commands');
+const { toolPolicyCommands } = require('./toolpolicy-commands');
+const { usageCommands } = require('./usage-commands');
+const { pluginCommands } = require('./plugin-commands');
+const { sandboxCommands } = require('./sandbox-commands');
+const { reminderCommands } = require('./reminder-commands');
+const { documentCommands } = require('./document-commands');
+
+const featureCommands = [
+  ...memoryCommands,
+  ...traceCommands,
+  ...toolPolicyCommands,
+  ...usageCommands,
+  ...pluginCommands,
+  ...sandboxCommands,
+  ...reminderCommands,
+  ...documentCommands,
+];
+
+module.exports = { featureCommands };
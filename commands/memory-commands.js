@@ -1,15 +1,29 @@
 /**
  * @module commands/memory-commands
- * @description Slash command handlers for /remember, /forget, /memories.
+ * @description Slash commands /remember, /forget and /memories.
  * Gives users direct control over what the bot remembers about them.
  */
 
-const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, SlashCommandBuilder } = require('discord.js');
 const { getUserMemoriesActive, softDeleteMemory, searchUserMemoriesByTopic } = require('../db');
 const { storeMemory } = require('../memory');
 const { appendUserMemory } = require('../memory-files');
 const logger = require('../logger');
 
+const memoryCommands = [
+  new SlashCommandBuilder()
+    .setName('remember')
+    .setDescription('Tell me something to remember about you')
+    .addStringOption(opt => opt.setName('fact').setDescription('What should I remember?').setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('forget')
+    .setDescription('Forget memories about a topic')
+    .addStringOption(opt => opt.setName('topic').setDescription('What should I forget?').setRequired(true)),
+  new SlashCommandBuilder()
+    .setName('memories')
+    .setDescription('See what I remember about you'),
+];
+
 /**
  * Handle /remember — store a user-provided fact.
  */
@@ -197,4 +211,4 @@ async function handleMemories(interaction) {
   }
 }
 
-module.exports = { handleRemember, handleForget, handleMemories };
+module.exports = { memoryCommands, handleRemember, handleForget, handleMemories };
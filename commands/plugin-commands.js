@@ -0,0 +1,79 @@
+/**
+ * @module commands/plugin-commands
+ * @description Admin-only /plugins slash command: list external tool plugins and
+ * enable, disable or hot-reload them without restarting the bot.
+ */
+
+const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+const { PluginManager } = require('../tools/plugins');
+const logger = require('../logger');
+
+const STATUS_ICONS = { enabled: '🟢', disabled: '⚪', error: '🔴' };
+
+const pluginCommands = [
+  new SlashCommandBuilder()
+    .setName('plugins')
+    .setDescription('Manage external tool plugins (admin only)')
+    .addSubcommand(sub => sub.setName('list').setDescription('List plugins and their status'))
+    .addSubcommand(sub => sub.setName('enable').setDescription('Enable and load a plugin')
+      .addStringOption(opt => opt.setName('name').setDescription('Plugin name').setRequired(true)))
+    .addSubcommand(sub => sub.setName('disable').setDescription('Disable a plugin and unregister its tools')
+      .addStringOption(opt => opt.setName('name').setDescription('Plugin name').setRequired(true)))
+    .addSubcommand(sub => sub.setName('reload').setDescription('Reload a plugin from disk (or rescan all)')
+      .addStringOption(opt => opt.setName('name').setDescription('Plugin name (default: all)'))),
+];
+
+/**
+ * One line per plugin for the list embed.
+ * @param {Object} plugin - PluginManager#list() entry
+ * @returns {string}
+ */
+function formatPlugin(plugin) {
+  const head = `${STATUS_ICONS[plugin.status] || '❔'} **${plugin.name}**${plugin.version ? ` v${plugin.version}` : ''}`;
+  const detail = plugin.status === 'error'
+    ? `error: ${plugin.error}`
+    : `${plugin.tools.length ? plugin.tools.map(t => `\`${t}\``).join(', ') : 'no tools loaded'}${plugin.permissions.length ? ` · declares ${plugin.permissions.join(', ')}` : ''}`;
+  return `${head}\n  ${detail}`;
+}
+
+/**
+ * Handle /plugins list|enable|disable|reload.
+ */
+async function handlePlugins(interaction) {
+  if (!interaction.member?.permissions?.has('Administrator')) {
+    return interaction.reply({ content: 'Admin only.', ephemeral: true });
+  }
+  const manager = PluginManager.getInstance();
+  if (!manager) return interaction.reply({ content: 'Plugins are not available.', ephemeral: true });
+
+  const sub = interaction.options.getSubcommand();
+  const name = interaction.options.getString('name');
+
+  try {
+    if (sub === 'list') {
+      const plugins = manager.list();
+      const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('🧩 Plugins')
+        .setDescription(plugins.length ? plugins.map(formatPlugin).join('\n').slice(0, 4000) : `No plugins found in \`${manager.dir}\`.`)
+        .setFooter({ text: 'Permissions are what a plugin declares, not enforced limits — plugins run with the bot\'s full access.' });
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    let results;
+    if (sub === 'enable') results = [manager.enable(name)];
+    else if (sub === 'disable') results = [manager.disable(name)];
+    else results = manager.reload(name || undefined);
+
+    logger.info('PluginCmd', `${interaction.user.username} ran /plugins ${sub}${name ? ` ${name}` : ''}`);
+    const summary = results.length
+      ? manager.list().filter(p => results.some(r => r.name === p.name)).map(formatPlugin).join('\n')
+      : 'No plugins found.';
+    return interaction.reply({ content: summary.slice(0, 2000), ephemeral: true });
+  } catch (err) {
+    logger.error('PluginCmd', `/plugins ${sub} error:`, err);
+    return interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+  }
+}
+
+module.exports = { pluginCommands, handlePlugins, formatPlugin };
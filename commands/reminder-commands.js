@@ -0,0 +1,87 @@
+/**
+ * @module commands/reminder-commands
+ * @description /remind (set a reminder here, optionally repeating) and /reminders
+ * list|cancel for your own reminders. Delivery is done by the scheduler in reminders.js.
+ */
+
+const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+const { createReminder, listReminders, cancelReminder, formatReminder, describeRepeat, ReminderError } = require('../reminders');
+const config = require('../config');
+const logger = require('../logger');
+
+const repeatChoices = ['hourly', 'daily', 'weekdays', 'weekly', 'monthly', 'yearly'].map(r => ({ name: r, value: r }));
+
+const reminderCommands = [
+  new SlashCommandBuilder()
+    .setName('remind')
+    .setDescription('Get pinged here at a time you choose')
+    .addStringOption(opt => opt.setName('when').setDescription('"in 2 hours", "tomorrow 9am", "Friday 18:00 Europe/Berlin"').setRequired(true))
+    .addStringOption(opt => opt.setName('message').setDescription('What to remind you about').setRequired(true).setMaxLength(1000))
+    .addStringOption(opt => opt.setName('repeat').setDescription('Repeat on a schedule').addChoices(...repeatChoices))
+    .addStringOption(opt => opt.setName('timezone').setDescription('Your timezone for times like "9am" (Europe/Berlin, PST, Tokyo…); default UTC')),
+  new SlashCommandBuilder()
+    .setName('reminders')
+    .setDescription('Your reminders')
+    .addSubcommand(sub => sub.setName('list').setDescription('List your reminders'))
+    .addSubcommand(sub => sub
+      .setName('cancel')
+      .setDescription('Cancel one of your reminders')
+      .addIntegerOption(opt => opt.setName('id').setDescription('Reminder ID from /reminders list').setRequired(true))),
+];
+
+/**
+ * Handle /remind when message [repeat] [timezone].
+ */
+async function handleRemind(interaction) {
+  try {
+    const reminder = createReminder({
+      userId: interaction.user.id,
+      guildId: interaction.guildId || null,
+      channelId: interaction.channelId,
+      when: interaction.options.getString('when'),
+      message: interaction.options.getString('message'),
+      repeat: interaction.options.getString('repeat'),
+      timezone: interaction.options.getString('timezone'),
+    });
+    const unix = Math.floor(reminder.due_at / 1000);
+    const repeat = describeRepeat(reminder.repeat);
+    return interaction.reply({
+      content: `⏰ I'll remind you <t:${unix}:F> (<t:${unix}:R>)${repeat ? `, repeating ${repeat}` : ''}: ${reminder.message}\n-# Reminder #${reminder.id} · cancel with \`/reminders cancel id:${reminder.id}\``,
+      allowedMentions: { parse: [] },
+      ephemeral: true,
+    });
+  } catch (err) {
+    if (err instanceof ReminderError) return interaction.reply({ content: `❌ ${err.message}`, ephemeral: true });
+    logger.error('ReminderCmd', '/remind error:', err);
+    return interaction.reply({ content: '❌ Failed to set the reminder.', ephemeral: true });
+  }
+}
+
+/**
+ * Handle /reminders list|cancel.
+ */
+async function handleReminders(interaction) {
+  const sub = interaction.options.getSubcommand();
+  try {
+    if (sub === 'cancel') {
+      const id = interaction.options.getInteger('id');
+      const cancelled = cancelReminder(interaction.user.id, id);
+      return interaction.reply({ content: cancelled ? `🗑️ Cancelled reminder #${id}.` : `You have no reminder #${id}.`, ephemeral: true });
+    }
+
+    const reminders = listReminders(interaction.user.id);
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle('⏰ Your Reminders')
+      .setDescription(reminders.length
+        ? reminders.map(formatReminder).join('\n').slice(0, 4000)
+        : 'No reminders. Set one with `/remind` or just ask me.')
+      .setFooter({ text: `${reminders.length}/${config.reminderMaxPerUser} reminders` });
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  } catch (err) {
+    logger.error('ReminderCmd', `/reminders ${sub} error:`, err);
+    return interaction.reply({ content: '❌ Failed to load your reminders.', ephemeral: true });
+  }
+}
+
+module.exports = { reminderCommands, handleRemind, handleReminders };
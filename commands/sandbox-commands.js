@@ -0,0 +1,58 @@
+/**
+ * @module commands/sandbox-commands
+ * @description /sandbox status|reset for the current thread's code session
+ * (tools/sandbox/sessions.js): see how long it has left, or throw away its variables
+ * and files and start clean on the next code_runner call.
+ */
+
+const { SlashCommandBuilder } = require('discord.js');
+const { SandboxSessionManager } = require('../tools/sandbox/sessions');
+const config = require('../config');
+const logger = require('../logger');
+
+const sandboxCommands = [
+  new SlashCommandBuilder()
+    .setName('sandbox')
+    .setDescription("This thread's code session")
+    .addSubcommand(sub => sub.setName('status').setDescription('Show whether a code session is live and when it expires'))
+    .addSubcommand(sub => sub.setName('reset').setDescription('End the code session, discarding its variables and files')),
+];
+
+/**
+ * Handle /sandbox status|reset.
+ */
+async function handleSandbox(interaction) {
+  const manager = SandboxSessionManager.getInstance();
+  if (!config.sandboxSessions || !manager) {
+    return interaction.reply({ content: 'Code sessions are turned off on this bot — every code run starts fresh.', ephemeral: true });
+  }
+  if (!interaction.channel?.isThread?.()) {
+    return interaction.reply({ content: 'Code sessions live in threads. Use this inside a `/chat` thread.', ephemeral: true });
+  }
+
+  const threadId = interaction.channelId;
+  const sub = interaction.options.getSubcommand();
+
+  if (sub === 'reset') {
+    if (!manager.status(threadId)) {
+      return interaction.reply({ content: 'There is no live code session in this thread.', ephemeral: true });
+    }
+    logger.info('SandboxCmd', `${interaction.user.username} ran /sandbox reset in ${threadId}`);
+    // The session is detached at once, but stopping its interpreters can outlast the interaction deadline
+    const ending = manager.end(threadId, `reset by ${interaction.user.username}`);
+    await interaction.reply('🧹 Code session reset. The next run starts with a clean sandbox.');
+    return ending;
+  }
+
+  const status = manager.status(threadId);
+  if (!status) {
+    return interaction.reply({ content: `No live code session. One starts with the next code run here (${manager.countForGuild(interaction.guildId)}/${manager.maxPerGuild} in use on this server).`, ephemeral: true });
+  }
+  const ts = ms => `<t:${Math.floor(ms / 1000)}:R>`;
+  return interaction.reply({
+    content: `🧪 Code session (${manager.backend}) started ${ts(status.createdAt)} · ${status.runs} run${status.runs === 1 ? '' : 's'} · last used ${ts(status.lastUsedAt)} · expires ${ts(status.expiresAt)} if idle`,
+    ephemeral: true,
+  });
+}
+
+module.exports = { sandboxCommands, handleSandbox };
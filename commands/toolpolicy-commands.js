@@ -0,0 +1,122 @@
+/**
+ * @module commands/toolpolicy-commands
+ * @description Admin-only /toolpolicy slash command. Allows or denies tools for the
+ * whole server, a channel, a role or a user (see tools/policy for how rules resolve).
+ */
+
+const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+const { ALL_TOOLS, setPolicy, removePolicy, listPolicies } = require('../tools/policy');
+const ToolRegistry = require('../tools/registry');
+const logger = require('../logger');
+
+const addTargetOptions = sub => sub
+  .addChannelOption(opt => opt.setName('channel').setDescription('Apply to this channel (and its threads)'))
+  .addRoleOption(opt => opt.setName('role').setDescription('Apply to members with this role'))
+  .addUserOption(opt => opt.setName('user').setDescription('Apply to this user'));
+
+const toolPolicyCommands = [
+  new SlashCommandBuilder()
+    .setName('toolpolicy')
+    .setDescription('Allow or deny tools per server, channel, role or user (admin only)')
+    .addSubcommand(sub => addTargetOptions(sub
+      .setName('set')
+      .setDescription('Add or replace a rule (no target = whole server)')
+      .addStringOption(opt => opt.setName('tool').setDescription('Tool name, or * for all tools').setRequired(true))
+      .addStringOption(opt => opt.setName('effect').setDescription('Allow or deny').setRequired(true)
+        .addChoices({ name: 'allow', value: 'allow' }, { name: 'deny', value: 'deny' }))))
+    .addSubcommand(sub => addTargetOptions(sub
+      .setName('remove')
+      .setDescription('Remove a rule (no target = whole server)')
+      .addStringOption(opt => opt.setName('tool').setDescription('Tool name, or * for all tools').setRequired(true))))
+    .addSubcommand(sub => sub.setName('list').setDescription('List the rules for this server')),
+];
+
+/**
+ * Read the rule target from the options. At most one of channel/role/user may be given.
+ * @returns {{scope: string, targetId: string}|null} null when more than one target was given
+ */
+function getTarget(interaction) {
+  const channel = interaction.options.getChannel('channel');
+  const role = interaction.options.getRole('role');
+  const user = interaction.options.getUser('user');
+  const targets = [
+    channel && { scope: 'channel', targetId: channel.id },
+    role && { scope: 'role', targetId: role.id },
+    user && { scope: 'user', targetId: user.id },
+  ].filter(Boolean);
+  if (targets.length > 1) return null;
+  return targets[0] || { scope: 'guild', targetId: interaction.guild.id };
+}
+
+/**
+ * Render a rule's target as a Discord mention.
+ * @param {{scope: string, target_id: string}} rule
+ * @returns {string}
+ */
+function formatTarget(rule) {
+  switch (rule.scope) {
+    case 'channel': return `<#${rule.target_id}>`;
+    case 'role': return `<@&${rule.target_id}>`;
+    case 'user': return `<@${rule.target_id}>`;
+    default: return 'server';
+  }
+}
+
+/**
+ * Handle /toolpolicy set|remove|list.
+ */
+async function handleToolPolicy(interaction) {
+  if (!interaction.member?.permissions?.has('Administrator')) {
+    return interaction.reply({ content: 'Admin only.', ephemeral: true });
+  }
+  if (!interaction.guild) {
+    return interaction.reply({ content: 'Tool policies can only be set in a server.', ephemeral: true });
+  }
+
+  const guildId = interaction.guild.id;
+  const sub = interaction.options.getSubcommand();
+
+  try {
+    if (sub === 'list') {
+      const rules = listPolicies(guildId);
+      const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('🔐 Tool Policies')
+        .setDescription(rules.length
+          ? rules.map(r => `${r.effect === 'deny' ? '⛔' : '✅'} \`${r.tool_name}\` — ${formatTarget(r)}`).join('\n').slice(0, 4000)
+          : 'No rules — every tool is available everywhere.')
+        .setFooter({ text: 'Most specific wins: user › role › channel › server' });
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    const target = getTarget(interaction);
+    if (!target) return interaction.reply({ content: '❌ Pick at most one of channel, role or user.', ephemeral: true });
+    const toolName = interaction.options.getString('tool').trim();
+    const rule = { scope: target.scope, target_id: target.targetId };
+
+    if (sub === 'remove') {
+      const removed = removePolicy(guildId, target.scope, target.targetId, toolName);
+      return interaction.reply({
+        content: removed ? `🗑️ Removed the \`${toolName}\` rule for ${formatTarget(rule)}.` : `No \`${toolName}\` rule for ${formatTarget(rule)}.`,
+        ephemeral: true,
+      });
+    }
+
+    const registry = ToolRegistry.getInstance();
+    if (toolName !== ALL_TOOLS && registry && !registry.getTool(toolName)) {
+      return interaction.reply({ content: `❌ Unknown tool \`${toolName}\`. Use /tools to see the list.`, ephemeral: true });
+    }
+    const effect = interaction.options.getString('effect');
+    setPolicy({ guildId, scope: target.scope, targetId: target.targetId, toolName, effect, createdBy: interaction.user.id });
+    logger.info('ToolPolicy', `${interaction.user.username} set ${effect} ${toolName} for ${target.scope} ${target.targetId}`);
+    return interaction.reply({
+      content: `${effect === 'deny' ? '⛔ Denied' : '✅ Allowed'} \`${toolName}\` for ${formatTarget(rule)}.`,
+      ephemeral: true,
+    });
+  } catch (err) {
+    logger.error('ToolPolicy', '/toolpolicy error:', err);
+    return interaction.reply({ content: '❌ Failed to update tool policies.', ephemeral: true });
+  }
+}
+
+module.exports = { toolPolicyCommands, handleToolPolicy, formatTarget };
@@ -0,0 +1,144 @@
+/**
+ * @module commands/trace-commands
+ * @description Admin-only /trace slash command and "View Pipeline Trace" message
+ * context-menu action. Shows why the bot answered the way it did, from the
+ * per-message pipeline trace stored in SQLite.
+ */
+
+const {
+  EmbedBuilder, AttachmentBuilder, SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType,
+} = require('discord.js');
+const { loadTrace, loadLatestTrace } = require('../thinking/trace');
+const logger = require('../logger');
+
+const TRACE_MENU_NAME = 'View Pipeline Trace';
+
+const traceCommands = [
+  new SlashCommandBuilder()
+    .setName('trace')
+    .setDescription('Show the thinking pipeline trace for a message (admin only)')
+    .addStringOption(opt => opt.setName('message').setDescription('Message ID or link (default: latest in this channel)')),
+  new ContextMenuCommandBuilder()
+    .setName(TRACE_MENU_NAME)
+    .setType(ApplicationCommandType.Message),
+];
+
+/**
+ * Extract a message ID from a raw ID or a Discord message link.
+ * @param {string} input
+ * @returns {string|null}
+ */
+function parseMessageRef(input) {
+  if (!input) return null;
+  const match = input.trim().match(/(\d{15,21})\/?$/);
+  return match ? match[1] : null;
+}
+
+function truncate(text, max = 1024) {
+  if (!text) return '—';
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Build a summary embed for a stored trace.
+ * @param {Object} trace - Parsed trace data (see PipelineTrace#toJSON)
+ * @returns {EmbedBuilder}
+ */
+function buildTraceEmbed(trace) {
+  const gate = trace.gate
+    ? `${trace.gate.engage ? '✅ engaged' : '⏭️ skipped'} — ${trace.gate.reason || 'no reason'} (confidence ${trace.gate.confidence ?? '?'})`
+    : '—';
+  const intent = trace.intent
+    ? `**${trace.intent.intent}** · tone: ${trace.intent.tone || '—'}${trace.intent.emotionalTone ? ` · mood: ${trace.intent.emotionalTone}` : ''}\n` +
+      `Suggested tools: ${trace.intent.suggestedTools.length ? trace.intent.suggestedTools.join(', ') : 'none'} · memories: ${trace.intent.memories}`
+    : '—';
+  const prompt = trace.prompt
+    ? `${trace.prompt.totalChars} chars · ${trace.prompt.sections.map(s => s.title).join(', ')}`
+    : '—';
+  const iterations = (trace.iterations || []).map(it => {
+    const calls = it.toolCalls.map(c => `${c.duplicate ? '♻️' : c.success ? '✅' : '❌'} ${c.name}`).join(', ');
+    return `#${it.iteration}${it.forced ? ' (forced)' : ''}: ${calls || 'final answer'}`;
+  });
+  if (trace.plan?.steps?.length) {
+    iterations.unshift(`Plan: ${trace.plan.steps.map(st => `${st.status === 'done' ? '☑️' : '➖'} ${st.title}`).join(' · ')}`);
+  }
+  const verification = trace.verification
+    ? (trace.verification.skipped ? `skipped (${trace.verification.skipped})`
+      : `${trace.verification.action} · ${trace.verification.unsupportedClaims?.length || 0} unsupported claim(s)${trace.verification.changed ? ' · answer changed' : ''}`)
+    : null;
+  const layers = (trace.layers || []).map(l => `${l.name} ${l.status}${l.durationMs ? ` ${l.durationMs}ms` : ''}`).join(' → ');
+  const reflection = trace.reflection
+    ? (trace.reflection.skipped ? `skipped (${trace.reflection.skipped})`
+      : trace.reflection.error ? `error: ${trace.reflection.error}`
+      : `sig=${trace.reflection.significance?.toFixed?.(2)} · ${trace.reflection.insights} insights · memory ${trace.reflection.memoryStored ? 'stored' : 'not stored'}`)
+    : 'not run';
+
+  return new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle('🔬 Pipeline Trace')
+    .setDescription(`**${trace.input?.userName || 'user'}:** ${truncate(trace.input?.content, 300)}`)
+    .addFields(
+      { name: 'Gate', value: truncate(gate), inline: false },
+      { name: 'Intent', value: truncate(intent), inline: false },
+      { name: 'System Prompt', value: truncate(prompt), inline: false },
+      { name: 'Agent Loop', value: truncate(iterations.join('\n') || 'not run'), inline: false },
+      ...(verification ? [{ name: 'Verification', value: truncate(verification), inline: false }] : []),
+      { name: 'Outcome', value: truncate(`${trace.outcome?.action || '—'}${trace.outcome?.reason ? ` — ${trace.outcome.reason}` : ''}${trace.synthesis ? ` · ${trace.synthesis.messages.length} message(s)` : ''}`), inline: true },
+      { name: 'Reflection', value: truncate(reflection), inline: true },
+      { name: 'Layers', value: truncate(layers || '—'), inline: false },
+    )
+    .setFooter({ text: `Message ${trace.messageId} • load ${trace.loadLevel ?? '?'} • ${trace.durationMs}ms` })
+    .setTimestamp(new Date(trace.startedAt));
+}
+
+async function replyWithTrace(interaction, trace) {
+  const file = new AttachmentBuilder(Buffer.from(JSON.stringify(trace, null, 2), 'utf-8'), { name: `trace-${trace.messageId}.json` });
+  return interaction.reply({ embeds: [buildTraceEmbed(trace)], files: [file], ephemeral: true });
+}
+
+/**
+ * Handle /trace [message] — show the trace for a message ID/link or the latest in this channel.
+ */
+async function handleTrace(interaction) {
+  if (!interaction.member.permissions.has('Administrator')) {
+    return interaction.reply({ content: 'Admin only.', ephemeral: true });
+  }
+
+  try {
+    const ref = interaction.options.getString('message');
+    let trace;
+    if (ref) {
+      const messageId = parseMessageRef(ref);
+      if (!messageId) return interaction.reply({ content: '❌ That doesn\'t look like a message ID or link.', ephemeral: true });
+      trace = loadTrace(messageId);
+    } else {
+      trace = loadLatestTrace(interaction.channel?.id || interaction.channelId);
+    }
+
+    if (!trace) return interaction.reply({ content: 'No trace found for that message.', ephemeral: true });
+    return replyWithTrace(interaction, trace);
+  } catch (err) {
+    logger.error('TraceCmd', '/trace error:', err);
+    return interaction.reply({ content: '❌ Failed to load trace.', ephemeral: true });
+  }
+}
+
+/**
+ * Handle the "View Pipeline Trace" context-menu action on a user message or bot reply.
+ */
+async function handleTraceContextMenu(interaction) {
+  if (!interaction.member?.permissions?.has('Administrator')) {
+    return interaction.reply({ content: 'Admin only.', ephemeral: true });
+  }
+
+  try {
+    const trace = loadTrace(interaction.targetMessage.id);
+    if (!trace) return interaction.reply({ content: 'No trace recorded for this message.', ephemeral: true });
+    return replyWithTrace(interaction, trace);
+  } catch (err) {
+    logger.error('TraceCmd', 'Context menu error:', err);
+    return interaction.reply({ content: '❌ Failed to load trace.', ephemeral: true });
+  }
+}
+
+module.exports = { traceCommands, TRACE_MENU_NAME, handleTrace, handleTraceContextMenu, buildTraceEmbed, parseMessageRef };
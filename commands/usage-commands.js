@@ -0,0 +1,165 @@
+/**
+ * @module commands/usage-commands
+ * @description /usage (your own token, image and cost consumption; admins can look up
+ * anyone) and the admin-only /quota command for daily and monthly usage quotas.
+ */
+
+const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+const { PERIODS, getUsage, getLimits, setQuota, removeQuota, listQuotas } = require('../utils/usage');
+const logger = require('../logger');
+
+const periodChoices = PERIODS.map(p => ({ name: p, value: p }));
+
+const addTargetOptions = sub => sub
+  .addRoleOption(opt => opt.setName('role').setDescription('Apply to members with this role'))
+  .addUserOption(opt => opt.setName('user').setDescription('Apply to this user'));
+
+const usageCommands = [
+  new SlashCommandBuilder()
+    .setName('usage')
+    .setDescription('See your token and image usage today and this month')
+    .addUserOption(opt => opt.setName('user').setDescription('Another user (admin only)')),
+  new SlashCommandBuilder()
+    .setName('quota')
+    .setDescription('Daily/monthly usage quotas per server, role or user (admin only)')
+    .addSubcommand(sub => addTargetOptions(sub
+      .setName('set')
+      .setDescription('Add or replace a quota (no target = everyone in the server)')
+      .addStringOption(opt => opt.setName('period').setDescription('Quota period').setRequired(true).addChoices(...periodChoices))
+      .addIntegerOption(opt => opt.setName('tokens').setDescription('Max tokens (omit for unlimited)').setMinValue(0))
+      .addIntegerOption(opt => opt.setName('images').setDescription('Max generated images (omit for unlimited)').setMinValue(0))))
+    .addSubcommand(sub => addTargetOptions(sub
+      .setName('remove')
+      .setDescription('Remove a quota (no target = the server-wide quota)')
+      .addStringOption(opt => opt.setName('period').setDescription('Quota period').setRequired(true).addChoices(...periodChoices))))
+    .addSubcommand(sub => sub.setName('list').setDescription('List the quotas for this server')),
+];
+
+function isAdmin(interaction) {
+  return Boolean(interaction.member?.permissions?.has('Administrator'));
+}
+
+function formatLimit(value) {
+  return value == null ? '∞' : value.toLocaleString();
+}
+
+function formatCost(usd) {
+  return `$${(usd || 0).toFixed(usd >= 1 ? 2 : 4)}`;
+}
+
+/**
+ * One embed field summarizing a period's usage against its quota.
+ * @param {string} label
+ * @param {Object} usage - getUsage() result
+ * @param {Object|null} limits - { max_tokens, max_images } or null
+ */
+function usageField(label, usage, limits) {
+  const tokens = `${usage.tokens.toLocaleString()}${limits ? ` / ${formatLimit(limits.max_tokens)}` : ''}`;
+  const images = `${usage.images}${limits ? ` / ${formatLimit(limits.max_images)}` : ''}`;
+  return {
+    name: label,
+    value: `Tokens: **${tokens}**\nImages: **${images}**\nEst. cost: **${formatCost(usage.costUsd)}** · ${usage.calls} calls`,
+    inline: true,
+  };
+}
+
+/**
+ * Render a quota's target as a Discord mention.
+ * @param {{scope: string, target_id: string}} quota
+ */
+function formatQuotaTarget(quota) {
+  if (quota.scope === 'role') return `<@&${quota.target_id}>`;
+  if (quota.scope === 'user') return `<@${quota.target_id}>`;
+  return 'everyone';
+}
+
+/**
+ * Handle /usage [user].
+ */
+async function handleUsage(interaction) {
+  const other = interaction.options.getUser('user');
+  if (other && other.id !== interaction.user.id && !isAdmin(interaction)) {
+    return interaction.reply({ content: 'Only admins can see other users\' usage.', ephemeral: true });
+  }
+
+  try {
+    const user = other || interaction.user;
+    const member = other ? await interaction.guild?.members.fetch(other.id).catch(() => null) : interaction.member;
+    const roleIds = member?.roles?.cache ? [...member.roles.cache.keys()] : [];
+    const limits = getLimits({ userId: user.id, guildId: interaction.guild?.id, roleIds });
+    const today = getUsage(user.id, 'day');
+    const month = getUsage(user.id, 'month');
+    const topModels = month.byModel.slice(0, 5)
+      .map(m => `\`${m.model}\` — ${(m.tokens || 0).toLocaleString()} tokens${m.images ? `, ${m.images} images` : ''} (${formatCost(m.cost_usd)})`)
+      .join('\n');
+
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle(`📊 Usage — ${user.username}`)
+      .addFields(
+        usageField('Today (UTC)', today, limits.day),
+        usageField('This month', month, limits.month),
+        { name: 'By model (this month)', value: topModels || 'No usage yet.', inline: false },
+      )
+      .setFooter({ text: 'Costs are estimates based on list prices' });
+    return interaction.reply({ embeds: [embed], ephemeral: true });
+  } catch (err) {
+    logger.error('UsageCmd', '/usage error:', err);
+    return interaction.reply({ content: '❌ Failed to load usage.', ephemeral: true });
+  }
+}
+
+/**
+ * Handle /quota set|remove|list.
+ */
+async function handleQuota(interaction) {
+  if (!isAdmin(interaction)) {
+    return interaction.reply({ content: 'Admin only.', ephemeral: true });
+  }
+
+  const guildId = interaction.guild.id;
+  const sub = interaction.options.getSubcommand();
+
+  try {
+    if (sub === 'list') {
+      const quotas = listQuotas(guildId);
+      const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('🪫 Usage Quotas')
+        .setDescription(quotas.length
+          ? quotas.map(q => `**${q.period}** · ${formatQuotaTarget(q)} — ${formatLimit(q.max_tokens)} tokens, ${formatLimit(q.max_images)} images`).join('\n').slice(0, 4000)
+          : 'No quotas — usage is unlimited.')
+        .setFooter({ text: 'A user quota beats role quotas (most generous role wins), which beat the server quota' });
+      return interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    const role = interaction.options.getRole('role');
+    const user = interaction.options.getUser('user');
+    if (role && user) return interaction.reply({ content: '❌ Pick a role or a user, not both.', ephemeral: true });
+    const target = user ? { scope: 'user', targetId: user.id } : role ? { scope: 'role', targetId: role.id } : { scope: 'guild', targetId: guildId };
+    const period = interaction.options.getString('period');
+    const label = formatQuotaTarget({ scope: target.scope, target_id: target.targetId });
+
+    if (sub === 'remove') {
+      const removed = removeQuota(guildId, target.scope, target.targetId, period);
+      return interaction.reply({ content: removed ? `🗑️ Removed the ${period} quota for ${label}.` : `No ${period} quota for ${label}.`, ephemeral: true });
+    }
+
+    const maxTokens = interaction.options.getInteger('tokens');
+    const maxImages = interaction.options.getInteger('images');
+    if (maxTokens == null && maxImages == null) {
+      return interaction.reply({ content: '❌ Give a token limit, an image limit, or both.', ephemeral: true });
+    }
+    setQuota({ guildId, ...target, period, maxTokens, maxImages, createdBy: interaction.user.id });
+    logger.info('UsageCmd', `${interaction.user.username} set ${period} quota for ${target.scope} ${target.targetId}: ${maxTokens} tokens, ${maxImages} images`);
+    return interaction.reply({
+      content: `✅ ${period === 'day' ? 'Daily' : 'Monthly'} quota for ${label}: ${formatLimit(maxTokens)} tokens, ${formatLimit(maxImages)} images.`,
+      ephemeral: true,
+    });
+  } catch (err) {
+    logger.error('UsageCmd', '/quota error:', err);
+    return interaction.reply({ content: '❌ Failed to update quotas.', ephemeral: true });
+  }
+}
+
+module.exports = { usageCommands, handleUsage, handleQuota, usageField };
@@ -74,13 +74,62 @@ const config = {
   enableAgentLoop: process.env.ENABLE_AGENT_LOOP === 'true',
   maxAgentIterations: parseInt(process.env.MAX_AGENT_ITERATIONS || '10', 10),
   agentLoopTimeout: parseInt(process.env.AGENT_LOOP_TIMEOUT || '60000', 10),
+  // Tool calls from one model turn run concurrently, up to this many at once (1 = sequential)
+  maxParallelTools: parseInt(process.env.MAX_PARALLEL_TOOLS || '4', 10),
+  // Token budget per tool result; larger results are formatted, summarized, then trimmed
+  toolResultTokenBudget: parseInt(process.env.TOOL_RESULT_TOKEN_BUDGET || '1000', 10),
+  // How long a requiresConfirmation tool call waits for Approve/Deny before it is skipped
+  toolConfirmTimeoutMs: parseInt(process.env.TOOL_CONFIRM_TIMEOUT_MS || '120000', 10),
   tavilyApiKey: process.env.TAVILY_API_KEY || '',
+  // code_runner backend: e2b (cloud) or local (see tools/sandbox/local.js for the isolation modes)
+  sandboxBackend: process.env.SANDBOX_BACKEND || 'e2b',
+  sandboxIsolation: process.env.SANDBOX_ISOLATION || 'namespace',
+  sandboxMemoryMb: parseInt(process.env.SANDBOX_MEMORY_MB || '256', 10),
+  sandboxCpuSeconds: parseInt(process.env.SANDBOX_CPU_SECONDS || '10', 10),
+  sandboxNetwork: process.env.SANDBOX_NETWORK === 'true',
+  sandboxPythonImage: process.env.SANDBOX_PYTHON_IMAGE || 'python:3.12-slim',
+  sandboxNodeImage: process.env.SANDBOX_NODE_IMAGE || 'node:20-slim',
+  // Per-thread code sessions: code_runner state persists across turns in a thread
+  sandboxSessions: process.env.SANDBOX_SESSIONS === 'true',
+  sandboxSessionIdleMinutes: parseInt(process.env.SANDBOX_SESSION_IDLE_MINUTES || '15', 10),
+  sandboxSessionsPerGuild: parseInt(process.env.SANDBOX_SESSIONS_PER_GUILD || '3', 10),
+  // Reminders (set_reminder, /remind): how many each user may hold, and the shortest repeat interval
+  reminderMaxPerUser: parseInt(process.env.REMINDERS_PER_USER || '25', 10),
+  reminderMinRepeatMinutes: parseInt(process.env.REMINDER_MIN_REPEAT_MINUTES || '60', 10),
+  // Attached documents (PDF, text, CSV, source) indexed for search_documents; opt-in, /documents limits override per server
+  documentsEnabled: process.env.DOCUMENTS_ENABLED === 'true',
+  documentMaxMb: parseInt(process.env.DOCUMENT_MAX_MB || '10', 10),
+  documentMaxPages: parseInt(process.env.DOCUMENT_MAX_PAGES || '100', 10),
+  documentMaxChunks: parseInt(process.env.DOCUMENT_MAX_CHUNKS || '200', 10),
+  documentsPerChannel: parseInt(process.env.DOCUMENTS_PER_CHANNEL || '25', 10),
+  // Largest tool-produced file (plots, CSVs) attached to a reply
+  artifactMaxMb: parseInt(process.env.ARTIFACT_MAX_MB || '8', 10),
+  // External tool plugins (see tools/plugins.js); permissions plugins may request
+  pluginsDir: process.env.PLUGINS_DIR || 'plugins',
+  pluginAllowedPermissions: (process.env.PLUGIN_ALLOWED_PERMISSIONS || 'network,filesystem,memory,images,discord').split(',').filter(Boolean),
+  // MCP servers whose tools are registered as mcp__<server>__<tool> (see mcp/manager.js)
+  mcpServersFile: process.env.MCP_SERVERS_FILE || 'mcp-servers.json',
 
   // 5-Layer Thinking
   thinkingLayersEnabled: process.env.THINKING_LAYERS_ENABLED !== 'false',
   gateModel: process.env.GATE_MODEL || 'gpt-4.1-mini',
   intentModel: process.env.INTENT_MODEL || 'gpt-4.1-mini',
+  // Ask intentModel to classify messages the keyword heuristics are unsure about (skipped at load ≥ 3)
+  llmIntentEnabled: process.env.LLM_INTENT_ENABLED === 'true',
+  // Ask a clarifying question (with buttons) when a short request has nothing to refer to
+  clarifyEnabled: process.env.CLARIFY_ENABLED === 'true',
   reflectionIntervalLayers: parseInt(process.env.REFLECTION_INTERVAL || '5', 10),
+  // Draft a step plan before the agent loop for research-style questions (skipped at load ≥ 2)
+  planningEnabled: process.env.PLANNING_ENABLED === 'true',
+  // Check answers built on search/URL results against those results (skipped at load ≥ 2)
+  verifyAnswers: process.env.VERIFY_ANSWERS === 'true',
+  verifyModel: process.env.VERIFY_MODEL || 'gpt-4.1-mini',
+  // Stream the final answer into the reply as it is generated. Each edit is shown only
+  // after the text so far passes output moderation (one moderation call per edit, about
+  // every 1.2s); the complete text is moderated again before the reply is settled.
+  streamResponses: process.env.STREAM_RESPONSES === 'true',
+  tracesEnabled: process.env.TRACES_ENABLED !== 'false',
+  traceRetentionDays: parseInt(process.env.TRACE_RETENTION_DAYS || '7', 10),
 
   // Guard rails
   allowedGuildId: process.env.ALLOWED_GUILD_ID || '',
@@ -208,6 +208,19 @@ function getContext(channelId) {
   })));
 }
 
+/**
+ * Context as it stood when a message was sent: everything up to and including that
+ * message, so later turns (e.g. the reply being regenerated) are left out. Falls back
+ * to the full context if the message has already been summarized away.
+ */
+function getContextUntil(channelId, messageId) {
+  const ctx = ensureContext(channelId);
+  const idx = ctx.messages.findIndex(m => m.messageId === messageId);
+  const full = getContext(channelId);
+  if (idx === -1) return full;
+  return full.slice(0, full.length - (ctx.messages.length - idx - 1));
+}
+
 function getRecentContextMessages(channelId) {
   const ctx = ensureContext(channelId);
   return ctx.messages;
@@ -225,4 +238,4 @@ function clearChannelContext(channelId) {
   });
 }
 
-module.exports = { addMessage, getContext, getRecentContextMessages, withChannelLock, updateMessage, deleteMessage, clearChannelContext };
+module.exports = { addMessage, getContext, getContextUntil, getRecentContextMessages, withChannelLock, updateMessage, deleteMessage, clearChannelContext };
@@ -115,6 +115,137 @@ db.exec(`
 
 db.exec(`CREATE INDEX IF NOT EXISTS idx_feedback_message ON feedback(message_id)`);
 
+db.exec(`
+  CREATE TABLE IF NOT EXISTS pipeline_traces (
+    message_id TEXT PRIMARY KEY,
+    channel_id TEXT,
+    user_id TEXT,
+    guild_id TEXT,
+    action TEXT,
+    duration_ms INTEGER DEFAULT 0,
+    data TEXT NOT NULL,
+    created_at INTEGER
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS trace_replies (
+    reply_message_id TEXT PRIMARY KEY,
+    message_id TEXT NOT NULL,
+    created_at INTEGER
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS tool_policies (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    target_id TEXT NOT NULL,
+    tool_name TEXT NOT NULL,
+    effect TEXT NOT NULL,
+    created_by TEXT,
+    created_at INTEGER,
+    UNIQUE(guild_id, scope, target_id, tool_name)
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS usage_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT,
+    guild_id TEXT,
+    channel_id TEXT,
+    kind TEXT NOT NULL,
+    model TEXT NOT NULL,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    images INTEGER DEFAULT 0,
+    cost_usd REAL DEFAULT 0,
+    created_at INTEGER NOT NULL
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS usage_quotas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    target_id TEXT NOT NULL,
+    period TEXT NOT NULL,
+    max_tokens INTEGER,
+    max_images INTEGER,
+    created_by TEXT,
+    created_at INTEGER,
+    UNIQUE(guild_id, scope, target_id, period)
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS reminders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    guild_id TEXT,
+    channel_id TEXT NOT NULL,
+    message TEXT NOT NULL,
+    due_at INTEGER NOT NULL,
+    repeat TEXT,
+    timezone TEXT,
+    sent_count INTEGER DEFAULT 0,
+    failures INTEGER DEFAULT 0,
+    created_at INTEGER NOT NULL
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS documents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT,
+    channel_id TEXT NOT NULL,
+    user_id TEXT,
+    user_name TEXT,
+    message_id TEXT,
+    name TEXT NOT NULL,
+    content_type TEXT,
+    size INTEGER DEFAULT 0,
+    pages INTEGER,
+    chunk_count INTEGER DEFAULT 0,
+    created_at INTEGER NOT NULL
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS document_chunks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id INTEGER NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    page INTEGER,
+    line_start INTEGER,
+    line_end INTEGER,
+    embedding BLOB
+  )
+`);
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS document_settings (
+    guild_id TEXT PRIMARY KEY,
+    enabled INTEGER DEFAULT 1,
+    max_mb INTEGER,
+    allowed_types TEXT,
+    updated_by TEXT,
+    updated_at INTEGER
+  )
+`);
+
+db.exec(`CREATE INDEX IF NOT EXISTS idx_usage_user ON usage_ledger(user_id, created_at)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_documents_channel ON documents(channel_id, created_at)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_document_chunks_doc ON document_chunks(document_id, chunk_index)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders(due_at)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_reminders_user ON reminders(user_id, due_at)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_traces_channel ON pipeline_traces(channel_id, created_at)`);
+db.exec(`CREATE INDEX IF NOT EXISTS idx_traces_created ON pipeline_traces(created_at)`);
+
 // ── Indexes ──
 db.exec(`CREATE INDEX IF NOT EXISTS idx_tool_usage_name ON tool_usage(tool_name)`);
 db.exec(`CREATE INDEX IF NOT EXISTS idx_tool_usage_timestamp ON tool_usage(timestamp)`);
@@ -489,6 +620,336 @@ function searchUserMemoriesByTopic(userId, topic) {
   }
 }
 
+// ── Pipeline traces ──
+const upsertTraceStmt = db.prepare(`
+  INSERT INTO pipeline_traces (message_id, channel_id, user_id, guild_id, action, duration_ms, data, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(message_id) DO UPDATE SET
+    action = excluded.action,
+    duration_ms = excluded.duration_ms,
+    data = excluded.data
+`);
+const getTraceStmt = db.prepare('SELECT * FROM pipeline_traces WHERE message_id = ?');
+const latestTraceStmt = db.prepare('SELECT * FROM pipeline_traces WHERE channel_id = ? ORDER BY created_at DESC LIMIT 1');
+const insertTraceReplyStmt = db.prepare(
+  'INSERT OR REPLACE INTO trace_replies (reply_message_id, message_id, created_at) VALUES (?, ?, ?)'
+);
+const getTraceReplyStmt = db.prepare('SELECT message_id FROM trace_replies WHERE reply_message_id = ?');
+const pruneTracesStmt = db.prepare('DELETE FROM pipeline_traces WHERE created_at < ?');
+const pruneTraceRepliesStmt = db.prepare('DELETE FROM trace_replies WHERE created_at < ?');
+
+/**
+ * Insert or update the pipeline trace for a Discord message.
+ * @param {Object} row - { messageId, channelId, userId, guildId, action, durationMs, data, createdAt }
+ */
+function saveTrace(row) {
+  upsertTraceStmt.run(row.messageId, row.channelId || null, row.userId || null, row.guildId || null,
+    row.action || null, row.durationMs || 0, row.data, row.createdAt || Date.now());
+}
+
+/**
+ * Get a trace by the triggering message ID, or by the ID of a bot reply to it.
+ * @param {string} messageId - Discord message ID
+ * @returns {Object|null} Trace row or null
+ */
+function getTrace(messageId) {
+  const direct = getTraceStmt.get(messageId);
+  if (direct) return direct;
+  const reply = getTraceReplyStmt.get(messageId);
+  return reply ? getTraceStmt.get(reply.message_id) || null : null;
+}
+
+function getLatestTrace(channelId) {
+  return latestTraceStmt.get(channelId) || null;
+}
+
+function linkTraceReply(replyMessageId, messageId) {
+  insertTraceReplyStmt.run(replyMessageId, messageId, Date.now());
+}
+
+/**
+ * Delete traces (and reply links) older than the cutoff.
+ * @param {number} cutoffMs - Epoch ms; rows created before this are removed
+ * @returns {number} Number of traces deleted
+ */
+function pruneTraces(cutoffMs) {
+  pruneTraceRepliesStmt.run(cutoffMs);
+  return pruneTracesStmt.run(cutoffMs).changes;
+}
+
+// ── Tool policies ──
+const getToolPoliciesStmt = db.prepare('SELECT * FROM tool_policies WHERE guild_id = ? ORDER BY scope, target_id, tool_name');
+const upsertToolPolicyStmt = db.prepare(`
+  INSERT INTO tool_policies (guild_id, scope, target_id, tool_name, effect, created_by, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(guild_id, scope, target_id, tool_name) DO UPDATE SET
+    effect = excluded.effect,
+    created_by = excluded.created_by,
+    created_at = excluded.created_at
+`);
+const deleteToolPolicyStmt = db.prepare(
+  'DELETE FROM tool_policies WHERE guild_id = ? AND scope = ? AND target_id = ? AND tool_name = ?'
+);
+
+/**
+ * All tool policy rules for a guild.
+ * @param {string} guildId
+ * @returns {Array<{scope: string, target_id: string, tool_name: string, effect: string}>}
+ */
+function getToolPolicies(guildId) {
+  return getToolPoliciesStmt.all(guildId);
+}
+
+/**
+ * Insert or replace an allow/deny rule.
+ * @param {Object} row - { guildId, scope, targetId, toolName, effect, createdBy }
+ */
+function upsertToolPolicy(row) {
+  upsertToolPolicyStmt.run(row.guildId, row.scope, row.targetId, row.toolName, row.effect, row.createdBy || null, Date.now());
+}
+
+/**
+ * @returns {boolean} Whether a rule was removed
+ */
+function deleteToolPolicy(guildId, scope, targetId, toolName) {
+  return deleteToolPolicyStmt.run(guildId, scope, targetId, toolName).changes > 0;
+}
+
+// ── Usage ledger & quotas ──
+const insertUsageStmt = db.prepare(`
+  INSERT INTO usage_ledger (user_id, guild_id, channel_id, kind, model, prompt_tokens, completion_tokens, images, cost_usd, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const getUsageTotalsStmt = db.prepare(`
+  SELECT COUNT(*) AS calls,
+    COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+    COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+    COALESCE(SUM(images), 0) AS images,
+    COALESCE(SUM(cost_usd), 0) AS cost_usd
+  FROM usage_ledger WHERE user_id = ? AND created_at >= ?
+`);
+const getUsageByModelStmt = db.prepare(`
+  SELECT model, COUNT(*) AS calls, SUM(prompt_tokens + completion_tokens) AS tokens, SUM(images) AS images, SUM(cost_usd) AS cost_usd
+  FROM usage_ledger WHERE user_id = ? AND created_at >= ?
+  GROUP BY model ORDER BY cost_usd DESC
+`);
+const getUsageQuotasStmt = db.prepare('SELECT * FROM usage_quotas WHERE guild_id = ? ORDER BY scope, target_id, period');
+const upsertUsageQuotaStmt = db.prepare(`
+  INSERT INTO usage_quotas (guild_id, scope, target_id, period, max_tokens, max_images, created_by, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(guild_id, scope, target_id, period) DO UPDATE SET
+    max_tokens = excluded.max_tokens,
+    max_images = excluded.max_images,
+    created_by = excluded.created_by,
+    created_at = excluded.created_at
+`);
+const deleteUsageQuotaStmt = db.prepare(
+  'DELETE FROM usage_quotas WHERE guild_id = ? AND scope = ? AND target_id = ? AND period = ?'
+);
+
+/**
+ * Append one API call to the usage ledger.
+ * @param {Object} row - { userId, guildId, channelId, kind, model, promptTokens, completionTokens, images, costUsd }
+ */
+function insertUsage(row) {
+  insertUsageStmt.run(
+    row.userId || null, row.guildId || null, row.channelId || null, row.kind, row.model,
+    row.promptTokens || 0, row.completionTokens || 0, row.images || 0, row.costUsd || 0, Date.now(),
+  );
+}
+
+/**
+ * Usage totals for a user since a timestamp.
+ * @param {string} userId
+ * @param {number} since - Epoch ms
+ * @returns {{calls: number, prompt_tokens: number, completion_tokens: number, images: number, cost_usd: number}}
+ */
+function getUsageTotals(userId, since) {
+  return getUsageTotalsStmt.get(userId, since);
+}
+
+/**
+ * Per-model usage for a user since a timestamp, most expensive first.
+ */
+function getUsageByModel(userId, since) {
+  return getUsageByModelStmt.all(userId, since);
+}
+
+/**
+ * All usage quotas for a guild.
+ */
+function getUsageQuotas(guildId) {
+  return getUsageQuotasStmt.all(guildId);
+}
+
+/**
+ * Insert or replace a quota.
+ * @param {Object} row - { guildId, scope, targetId, period, maxTokens, maxImages, createdBy }
+ */
+function upsertUsageQuota(row) {
+  upsertUsageQuotaStmt.run(row.guildId, row.scope, row.targetId, row.period, row.maxTokens ?? null, row.maxImages ?? null, row.createdBy || null, Date.now());
+}
+
+/**
+ * @returns {boolean} Whether a quota was removed
+ */
+function deleteUsageQuota(guildId, scope, targetId, period) {
+  return deleteUsageQuotaStmt.run(guildId, scope, targetId, period).changes > 0;
+}
+
+// ── Reminders ──
+const insertReminderStmt = db.prepare(`
+  INSERT INTO reminders (user_id, guild_id, channel_id, message, due_at, repeat, timezone, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const getReminderStmt = db.prepare('SELECT * FROM reminders WHERE id = ?');
+const getUserRemindersStmt = db.prepare('SELECT * FROM reminders WHERE user_id = ? ORDER BY due_at');
+const countUserRemindersStmt = db.prepare('SELECT COUNT(*) AS n FROM reminders WHERE user_id = ?');
+const getDueRemindersStmt = db.prepare('SELECT * FROM reminders WHERE due_at <= ? ORDER BY due_at LIMIT ?');
+const rescheduleReminderStmt = db.prepare('UPDATE reminders SET due_at = ?, sent_count = sent_count + 1, failures = 0 WHERE id = ?');
+const failReminderStmt = db.prepare('UPDATE reminders SET failures = failures + 1, due_at = ? WHERE id = ?');
+const deleteReminderStmt = db.prepare('DELETE FROM reminders WHERE id = ?');
+const deleteUserReminderStmt = db.prepare('DELETE FROM reminders WHERE id = ? AND user_id = ?');
+
+/**
+ * @param {Object} row - { userId, guildId, channelId, message, dueAt, repeat, timezone }
+ * @returns {number} The new reminder's ID
+ */
+function insertReminder(row) {
+  return Number(insertReminderStmt.run(row.userId, row.guildId || null, row.channelId, row.message, row.dueAt,
+    row.repeat || null, row.timezone || null, Date.now()).lastInsertRowid);
+}
+
+function getReminder(id) {
+  return getReminderStmt.get(id) || null;
+}
+
+/**
+ * A user's reminders, soonest first.
+ */
+function getUserReminders(userId) {
+  return getUserRemindersStmt.all(userId);
+}
+
+function countUserReminders(userId) {
+  return countUserRemindersStmt.get(userId).n;
+}
+
+/**
+ * Reminders due at or before a time, oldest first.
+ * @param {number} now - Epoch ms
+ * @param {number} [limit]
+ */
+function getDueReminders(now, limit = 50) {
+  return getDueRemindersStmt.all(now, limit);
+}
+
+/**
+ * Move a recurring reminder to its next occurrence after a delivery.
+ */
+function rescheduleReminder(id, dueAt) {
+  rescheduleReminderStmt.run(dueAt, id);
+}
+
+/**
+ * Record a failed delivery and retry at retryAt.
+ * @returns {number} Failures so far
+ */
+function failReminder(id, retryAt) {
+  failReminderStmt.run(retryAt, id);
+  return getReminderStmt.get(id)?.failures ?? 0;
+}
+
+/**
+ * Delete a reminder; with userId, only if that user owns it.
+ * @returns {boolean} Whether a reminder was removed
+ */
+function deleteReminder(id, userId) {
+  return (userId ? deleteUserReminderStmt.run(id, userId) : deleteReminderStmt.run(id)).changes > 0;
+}
+
+// ── Documents ──
+const insertDocumentStmt = db.prepare(`
+  INSERT INTO documents (guild_id, channel_id, user_id, user_name, message_id, name, content_type, size, pages, chunk_count, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const insertDocumentChunkStmt = db.prepare(`
+  INSERT INTO document_chunks (document_id, chunk_index, text, page, line_start, line_end, embedding)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+const getDocumentStmt = db.prepare('SELECT * FROM documents WHERE id = ?');
+const getChannelDocumentsStmt = db.prepare('SELECT * FROM documents WHERE channel_id = ? ORDER BY created_at');
+const findDocumentStmt = db.prepare('SELECT * FROM documents WHERE channel_id = ? AND message_id = ? AND name = ?');
+const getDocumentChunksStmt = db.prepare('SELECT * FROM document_chunks WHERE document_id = ? ORDER BY chunk_index');
+const deleteDocumentChunksStmt = db.prepare('DELETE FROM document_chunks WHERE document_id = ?');
+const deleteDocumentStmt = db.prepare('DELETE FROM documents WHERE id = ?');
+const getDocumentSettingsStmt = db.prepare('SELECT * FROM document_settings WHERE guild_id = ?');
+const upsertDocumentSettingsStmt = db.prepare(`
+  INSERT INTO document_settings (guild_id, enabled, max_mb, allowed_types, updated_by, updated_at)
+  VALUES (?, ?, ?, ?, ?, ?)
+  ON CONFLICT(guild_id) DO UPDATE SET
+    enabled = excluded.enabled,
+    max_mb = excluded.max_mb,
+    allowed_types = excluded.allowed_types,
+    updated_by = excluded.updated_by,
+    updated_at = excluded.updated_at
+`);
+
+/**
+ * Store a parsed document and its chunks in one transaction.
+ * @param {Object} doc - { guildId, channelId, userId, userName, messageId, name, contentType, size, pages }
+ * @param {Array<{text: string, page?: number, lineStart?: number, lineEnd?: number, embedding: Buffer|null}>} chunks
+ * @returns {number} The new document's ID
+ */
+const insertDocument = db.transaction((doc, chunks) => {
+  const id = Number(insertDocumentStmt.run(doc.guildId || null, doc.channelId, doc.userId || null, doc.userName || null,
+    doc.messageId || null, doc.name, doc.contentType || null, doc.size || 0, doc.pages ?? null, chunks.length, Date.now()).lastInsertRowid);
+  chunks.forEach((c, i) => insertDocumentChunkStmt.run(id, i, c.text, c.page ?? null, c.lineStart ?? null, c.lineEnd ?? null, c.embedding || null));
+  return id;
+});
+
+function getDocument(id) {
+  return getDocumentStmt.get(id) || null;
+}
+
+/**
+ * Documents shared in a channel or thread, oldest first.
+ */
+function getChannelDocuments(channelId) {
+  return getChannelDocumentsStmt.all(channelId);
+}
+
+/**
+ * The document already indexed from this message attachment, if any.
+ */
+function findDocument(channelId, messageId, name) {
+  return findDocumentStmt.get(channelId, messageId, name) || null;
+}
+
+function getDocumentChunks(documentId) {
+  return getDocumentChunksStmt.all(documentId);
+}
+
+/**
+ * Delete a document and its chunks.
+ * @returns {boolean} Whether it existed
+ */
+const deleteDocument = db.transaction((id) => {
+  deleteDocumentChunksStmt.run(id);
+  return deleteDocumentStmt.run(id).changes > 0;
+});
+
+function getDocumentSettings(guildId) {
+  return getDocumentSettingsStmt.get(guildId) || null;
+}
+
+/**
+ * @param {Object} row - { guildId, enabled, maxMb, allowedTypes, updatedBy }
+ */
+function upsertDocumentSettings(row) {
+  upsertDocumentSettingsStmt.run(row.guildId, row.enabled ? 1 : 0, row.maxMb ?? null, row.allowedTypes || null, row.updatedBy || null, Date.now());
+}
+
 function getDb() { return db; }
 function close() { try { db.close(); } catch (_) {} }
 
@@ -504,4 +965,9 @@ module.exports = {
   insertContext, loadContext, clearContext, updateContextByMsgId, deleteContextByMsgId, trimContext,
   getUserSettings, saveUserSettings,
   insertFeedback, getFeedbackStats, getMessageCount,
+  saveTrace, getTrace, getLatestTrace, linkTraceReply, pruneTraces,
+  getToolPolicies, upsertToolPolicy, deleteToolPolicy,
+  insertUsage, getUsageTotals, getUsageByModel, getUsageQuotas, upsertUsageQuota, deleteUsageQuota,
+  insertDocument, getDocument, getChannelDocuments, findDocument, getDocumentChunks, deleteDocument, getDocumentSettings, upsertDocumentSettings,
+  insertReminder, getReminder, getUserReminders, countUserReminders, getDueReminders, rescheduleReminder, failReminder, deleteReminder,
 };
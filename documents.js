@@ -0,0 +1,522 @@
+/**
+ * @module documents
+ * @description Attached documents as a searchable index. PDFs, text, Markdown, CSV, JSON
+ * and source files attached to a message are downloaded, parsed, split into chunks
+ * (each remembering its page or line range), embedded with getEmbedding and stored per
+ * channel or thread. search_documents ranks the chunks against a question and returns
+ * them with citations ("report.pdf p.3 (chunk 5)"). A thread searches its own documents
+ * and its parent channel's. Admins set size/type limits per server with /documents.
+ *
+ * Indexing is opt-in (DOCUMENTS_ENABLED=true), starts only for messages the bot answers,
+ * and runs in the background, off the reply path: search_documents waits for a channel's
+ * pending ingestions before it searches. Page and length limits are checked before a file
+ * is parsed or chunked, and the extracted text is moderated before it is stored.
+ */
+
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const {
+  insertDocument, getDocument, getChannelDocuments, findDocument, getDocumentChunks, deleteDocument,
+  getDocumentSettings, upsertDocumentSettings,
+} = require('./db');
+const { getEmbedding, cosineSimilarity, float32ToBuffer, bufferToFloat32 } = require('./memory');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { formatBytes } = require('./tools/artifacts');
+const { checkDocument } = require('./moderator');
+
+// Target chunk length in characters (~300 tokens); lines are never split unless longer than this
+const CHUNK_CHARS = 1200;
+const EMBED_CONCURRENCY = 4;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+// How long search_documents waits for documents that are still being indexed
+const INGEST_WAIT_MS = 60000;
+// Weight of the embedding match; the rest is keyword overlap (all of it when a chunk has no embedding)
+const VECTOR_WEIGHT = 0.75;
+
+/** Extensions by kind. Anything not listed here is ignored. */
+const DOCUMENT_TYPES = {
+  pdf: ['pdf'],
+  text: ['txt', 'md', 'markdown', 'rst', 'log'],
+  csv: ['csv', 'tsv'],
+  data: ['json', 'yaml', 'yml', 'toml', 'xml', 'ini', 'html', 'htm'],
+  code: [
+    'js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'swift', 'c', 'h', 'cpp', 'hpp', 'cc',
+    'cs', 'php', 'lua', 'r', 'sh', 'bash', 'ps1', 'sql', 'css', 'scss', 'vue', 'svelte', 'dart', 'scala', 'ex', 'exs',
+  ],
+};
+const ALL_EXTENSIONS = Object.values(DOCUMENT_TYPES).flat();
+
+/** A document that can't be indexed; the message is meant for the user. */
+class DocumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DocumentError';
+  }
+}
+
+function extensionOf(name) {
+  return path.extname(String(name || '')).slice(1).toLowerCase();
+}
+
+/**
+ * Effective limits for a guild: /documents limits overrides, else config.
+ * @param {string|null} guildId
+ * @returns {{enabled: boolean, maxMb: number, allowedTypes: string[]}}
+ */
+function getLimits(guildId) {
+  const row = guildId ? getDocumentSettings(guildId) : null;
+  return {
+    enabled: config.documentsEnabled && (row ? Boolean(row.enabled) : true),
+    maxMb: row?.max_mb ?? config.documentMaxMb,
+    allowedTypes: row?.allowed_types ? row.allowed_types.split(',') : ALL_EXTENSIONS,
+  };
+}
+
+/**
+ * Change a guild's limits. Types may name extensions ("pdf,md") or kinds ("code,csv").
+ * @param {Object} opts - { guildId, enabled?, maxMb?, types?, updatedBy }
+ * @returns {{enabled: boolean, maxMb: number, allowedTypes: string[]}}
+ * @throws {DocumentError} On unknown types
+ */
+function setLimits({ guildId, enabled, maxMb, types, updatedBy }) {
+  const current = getLimits(guildId);
+  let allowedTypes = current.allowedTypes;
+  if (types) {
+    allowedTypes = [];
+    for (const raw of String(types).toLowerCase().split(/[\s,]+/).filter(Boolean)) {
+      const type = raw.replace(/^\./, '');
+      if (type === 'all') allowedTypes.push(...ALL_EXTENSIONS);
+      else if (DOCUMENT_TYPES[type]) allowedTypes.push(...DOCUMENT_TYPES[type]);
+      else if (ALL_EXTENSIONS.includes(type)) allowedTypes.push(type);
+      else throw new DocumentError(`Unknown document type "${raw}" (use extensions like pdf, md, py or kinds: ${Object.keys(DOCUMENT_TYPES).join(', ')}, all)`);
+    }
+    allowedTypes = [...new Set(allowedTypes)];
+  }
+  const all = allowedTypes.length === ALL_EXTENSIONS.length;
+  upsertDocumentSettings({
+    guildId,
+    enabled: enabled ?? current.enabled,
+    maxMb: maxMb ?? current.maxMb,
+    allowedTypes: all ? null : allowedTypes.join(','),
+    updatedBy,
+  });
+  logger.info('Documents', `Limits for guild ${guildId} set by ${updatedBy}: enabled=${enabled ?? current.enabled}, maxMb=${maxMb ?? current.maxMb}, types=${all ? 'all' : allowedTypes.join(',')}`);
+  return getLimits(guildId);
+}
+
+/**
+ * The attachments that look like documents (by extension), whatever the limits.
+ * @param {Array<{name: string, url: string, size?: number, contentType?: string}>} attachments
+ */
+function documentAttachments(attachments) {
+  return (attachments || []).filter(a => ALL_EXTENSIONS.includes(extensionOf(a.name)));
+}
+
+// ── Parsing and chunking ──
+
+/**
+ * Split lines into chunks of about CHUNK_CHARS, remembering line numbers.
+ * @param {string[]} lines
+ * @param {Object} [opts]
+ * @param {number} [opts.page] - Page the lines come from
+ * @param {string} [opts.header] - Put at the top of every chunk (the CSV header row)
+ * @param {number} [opts.firstLine] - Number of lines[0]
+ * @returns {Array<{text: string, page?: number, lineStart: number, lineEnd: number}>}
+ */
+function chunkLines(lines, { page, header, firstLine = 1 } = {}) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  let start = firstLine;
+  let end = firstLine;
+  const flush = () => {
+    const text = current.join('\n').trim();
+    if (text) chunks.push({ text: header ? `${header}\n${text}` : text, ...(page ? { page } : {}), lineStart: start, lineEnd: end });
+    current = [];
+    size = 0;
+  };
+  lines.forEach((line, i) => {
+    // A single overlong line (minified code, a PDF paragraph) is cut into pieces
+    const pieces = line.length > CHUNK_CHARS ? line.match(new RegExp(`[^]{1,${CHUNK_CHARS}}`, 'g')) : [line];
+    for (const piece of pieces) {
+      if (current.length && size + piece.length > CHUNK_CHARS) flush();
+      if (!current.length) start = firstLine + i;
+      current.push(piece);
+      size += piece.length + 1;
+      end = firstLine + i;
+    }
+  });
+  flush();
+  return chunks;
+}
+
+/**
+ * Extract text from a PDF, one entry per page. The page count is checked before any
+ * text is extracted.
+ * @param {Buffer} data
+ * @param {number} maxPages
+ * @returns {Promise<Array<{num: number, text: string}>>}
+ */
+async function parsePdf(data, maxPages) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data });
+  try {
+    const { total } = await parser.getInfo();
+    if (total > maxPages) throw new DocumentError(`Too long to index (${total} pages, the limit is ${maxPages}).`);
+    const result = await parser.getText();
+    return result.pages;
+  } catch (err) {
+    if (err instanceof DocumentError) throw err;
+    throw new DocumentError(`Could not read the PDF (${err.message}). It may be encrypted or damaged.`);
+  } finally {
+    await parser.destroy().catch(() => {});
+  }
+}
+
+/**
+ * Parse a file into chunks.
+ * @param {string} name
+ * @param {Buffer} data
+ * @param {Object} [opts]
+ * @param {number} [opts.maxChunks] - Default DOCUMENT_MAX_CHUNKS
+ * @param {number} [opts.maxPages] - PDFs only; default DOCUMENT_MAX_PAGES
+ * @returns {Promise<{chunks: Array, pages: number|null}>}
+ * @throws {DocumentError} When nothing readable comes out, or the file is over a limit
+ */
+async function parseDocument(name, data, { maxChunks = config.documentMaxChunks, maxPages = config.documentMaxPages } = {}) {
+  const ext = extensionOf(name);
+  const tooLong = count => new DocumentError(`Too long to index (${count} chunks, the limit is ${maxChunks}).`);
+  let chunks;
+  let pages = null;
+  if (ext === 'pdf') {
+    const pdfPages = await parsePdf(data, maxPages);
+    pages = pdfPages.length;
+    chunks = pdfPages.flatMap(p => chunkLines(p.text.split('\n'), { page: p.num }))
+      // Line numbers inside a PDF page mean little; the page is the citation
+      .map(({ lineStart, lineEnd, ...chunk }) => chunk);
+  } else {
+    const text = data.toString('utf-8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    if (text.includes('\u0000')) throw new DocumentError('This looks like a binary file, not text.');
+    // No chunk holds more than CHUNK_CHARS of the text, so this is the fewest it can take
+    const fewest = Math.ceil(text.length / CHUNK_CHARS);
+    if (fewest > maxChunks) throw tooLong(`at least ${fewest}`);
+    const lines = text.split('\n');
+    // CSV chunks each start with the header row so they make sense on their own
+    chunks = DOCUMENT_TYPES.csv.includes(ext) && lines.length > 1
+      ? chunkLines(lines.slice(1), { header: lines[0], firstLine: 2 })
+      : chunkLines(lines);
+  }
+  if (chunks.length === 0) {
+    throw new DocumentError(ext === 'pdf' ? 'No text found in the PDF (it may be scanned images).' : 'The file is empty.');
+  }
+  if (chunks.length > maxChunks) throw tooLong(chunks.length);
+  return { chunks, pages };
+}
+
+/**
+ * Where a chunk is: "p.3" or "L10-42".
+ */
+function chunkLocation(chunk) {
+  if (chunk.page) return `p.${chunk.page}`;
+  if (chunk.line_start != null) return chunk.line_start === chunk.line_end ? `L${chunk.line_start}` : `L${chunk.line_start}-${chunk.line_end}`;
+  return '';
+}
+
+/**
+ * Citation for a chunk: "report.pdf p.3 (chunk 5)".
+ * @param {{name: string}} doc
+ * @param {{chunk_index: number, page?: number, line_start?: number, line_end?: number}} chunk
+ */
+function citation(doc, chunk) {
+  const where = chunkLocation(chunk);
+  return `${doc.name}${where ? ` ${where}` : ''} (chunk ${chunk.chunk_index + 1})`;
+}
+
+// ── Ingestion ──
+
+async function download(url, maxBytes) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!res.ok) throw new DocumentError(`Download failed (HTTP ${res.status})`);
+  const parts = [];
+  let total = 0;
+  for await (const part of res.body) {
+    total += part.length;
+    if (total > maxBytes) throw new DocumentError(`File is larger than ${formatBytes(maxBytes)}`);
+    parts.push(part);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse, embed and store one document.
+ * @param {Object} opts
+ * @param {string} opts.name - File name
+ * @param {Buffer} opts.data - File contents
+ * @param {string} opts.channelId - Channel or thread whose index it joins
+ * @param {string} [opts.guildId]
+ * @param {string} [opts.userId]
+ * @param {string} [opts.userName]
+ * @param {string} [opts.messageId]
+ * @param {string} [opts.contentType]
+ * @param {Function} [opts.embed] - async text => Float32Array; getEmbedding by default
+ * @param {Function} [opts.moderate] - async (texts, doc) => { safe }; checkDocument by default
+ * @returns {Promise<Object>} The stored document row
+ * @throws {DocumentError}
+ */
+async function indexDocument({ name, data, channelId, guildId, userId, userName, messageId, contentType, embed = getEmbedding, moderate = checkDocument }) {
+  if (getChannelDocuments(channelId).length >= config.documentsPerChannel) {
+    throw new DocumentError(`This channel already has ${config.documentsPerChannel} documents. Delete some with /documents first.`);
+  }
+  const { chunks, pages } = await parseDocument(name, data);
+  // The text reaches the model through search_documents, so it is held to the same rules as messages
+  if (!(await moderate(chunks.map(c => c.text), { name, userId, channelId })).safe) {
+    throw new DocumentError('Blocked by content moderation.');
+  }
+
+  let failed = 0;
+  const embeddings = await mapWithConcurrency(chunks, EMBED_CONCURRENCY, async (chunk) => {
+    try {
+      return float32ToBuffer(await embed(`${name}${chunk.page ? ` p.${chunk.page}` : ''}\n${chunk.text}`));
+    } catch (_) {
+      failed++;
+      return null;
+    }
+  });
+  // Chunks without an embedding are still found by keyword
+  if (failed) logger.warn('Documents', `${failed}/${chunks.length} chunks of ${name} could not be embedded`);
+
+  const id = insertDocument(
+    { guildId, channelId, userId, userName, messageId, name, contentType, size: data.length, pages },
+    chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i] })),
+  );
+  logger.info('Documents', `Indexed ${name} (${formatBytes(data.length)}, ${pages ? `${pages} pages, ` : ''}${chunks.length} chunks) in ${channelId}`);
+  return getDocument(id);
+}
+
+/**
+ * Index the document attachments of a message, within the guild's limits.
+ * @param {Array} attachments - Discord attachments ({ name, url, size, contentType })
+ * @param {{channelId: string, guildId?: string, userId?: string, userName?: string, messageId?: string}} owner
+ * @returns {Promise<{indexed: Object[], skipped: Array<{name: string, reason: string}>}>}
+ */
+async function ingestAttachments(attachments, owner) {
+  const result = { indexed: [], skipped: [] };
+  const docs = documentAttachments(attachments);
+  if (docs.length === 0) return result;
+  const limits = getLimits(owner.guildId);
+  if (!limits.enabled) return result;
+  const maxBytes = limits.maxMb * 1024 * 1024;
+
+  for (const attachment of docs) {
+    const name = attachment.name;
+    try {
+      if (!limits.allowedTypes.includes(extensionOf(name))) throw new DocumentError(`.${extensionOf(name)} files are not accepted on this server`);
+      if (attachment.size > maxBytes) throw new DocumentError(`File is larger than ${formatBytes(maxBytes)}`);
+      // An edited message is processed again; its attachments are already indexed
+      const existing = owner.messageId ? findDocument(owner.channelId, owner.messageId, name) : null;
+      if (existing) {
+        result.indexed.push(existing);
+        continue;
+      }
+      const data = await download(attachment.url, maxBytes);
+      result.indexed.push(await indexDocument({ ...owner, name, data, contentType: attachment.contentType }));
+    } catch (err) {
+      if (!(err instanceof DocumentError)) logger.error('Documents', `Failed to index ${name}:`, err);
+      result.skipped.push({ name, reason: err instanceof DocumentError ? err.message : 'could not be processed' });
+    }
+  }
+  return result;
+}
+
+// Ingestions still running, by channel
+const pending = new Map();
+
+/**
+ * Start indexing a message's documents without waiting for it. search_documents in the
+ * channel waits until it is done.
+ * @param {Array} attachments - Discord attachments ({ name, url, size, contentType })
+ * @param {{channelId: string, guildId?: string, userId?: string, userName?: string, messageId?: string}} owner
+ * @returns {Promise<{indexed: Object[], skipped: Array}>|null} Never rejects; null when
+ *   nothing will be indexed (no documents, or indexing is off for the guild)
+ */
+function ingestInBackground(attachments, owner) {
+  const docs = documentAttachments(attachments);
+  if (docs.length === 0 || !getLimits(owner.guildId).enabled) return null;
+  const task = ingestAttachments(docs, owner).catch((err) => {
+    logger.error('Documents', `Indexing for message ${owner.messageId} failed:`, err);
+    return { indexed: [], skipped: docs.map(a => ({ name: a.name, reason: 'could not be processed' })) };
+  });
+  const tasks = pending.get(owner.channelId) || new Set();
+  tasks.add(task);
+  pending.set(owner.channelId, tasks);
+  task.then(() => {
+    tasks.delete(task);
+    if (tasks.size === 0 && pending.get(owner.channelId) === tasks) pending.delete(owner.channelId);
+  });
+  return task;
+}
+
+/**
+ * Wait for documents still being indexed in these channels, up to a time limit.
+ * @param {string[]} channelIds
+ * @param {number} [timeoutMs]
+ */
+async function waitForIngestion(channelIds, timeoutMs = INGEST_WAIT_MS) {
+  const tasks = channelIds.flatMap(id => [...(pending.get(id) || [])]);
+  if (tasks.length === 0) return;
+  let timer;
+  await Promise.race([Promise.all(tasks), new Promise((resolve) => { timer = setTimeout(resolve, timeoutMs); })]);
+  clearTimeout(timer);
+}
+
+/**
+ * A note for the message content while its documents are being indexed.
+ * @param {Array<{name: string}>} attachments
+ * @returns {string}
+ */
+function describePendingIngestion(attachments) {
+  return `[Attached documents are being indexed: ${documentAttachments(attachments).map(a => a.name).join(', ')}. search_documents waits for indexing to finish]`;
+}
+
+/**
+ * A note for the context telling the model what was indexed.
+ * @param {{indexed: Object[], skipped: Array}} result - From ingestAttachments
+ * @returns {string} Empty when there were no documents
+ */
+function describeIngestion({ indexed, skipped }) {
+  const parts = [];
+  if (indexed.length) {
+    parts.push(`Attached documents indexed (use search_documents to read them): ${indexed.map(d => `${d.name} (${d.pages ? `${d.pages} pages, ` : ''}${d.chunk_count} chunks)`).join(', ')}`);
+  }
+  if (skipped.length) parts.push(`Not indexed: ${skipped.map(s => `${s.name} — ${s.reason}`).join('; ')}`);
+  return parts.length ? `[${parts.join('. ')}]` : '';
+}
+
+// ── Search ──
+
+function terms(text) {
+  return [...new Set(String(text).toLowerCase().match(/[\p{L}\p{N}_]{3,}/gu) || [])];
+}
+
+/**
+ * Documents visible from a channel: its own, plus its parent channel's for threads.
+ * @param {string} channelId
+ * @param {string|null} [parentChannelId]
+ * @returns {Object[]}
+ */
+function listDocuments(channelId, parentChannelId = null) {
+  return [...getChannelDocuments(channelId), ...(parentChannelId ? getChannelDocuments(parentChannelId) : [])];
+}
+
+/**
+ * Rank document chunks against a query.
+ * @param {string} query
+ * @param {Object} opts
+ * @param {string} opts.channelId
+ * @param {string|null} [opts.parentChannelId]
+ * @param {string} [opts.document] - Only documents whose name contains this
+ * @param {number} [opts.limit]
+ * @param {Function} [opts.embed] - getEmbedding by default
+ * @returns {Promise<{documents: Object[], results: Array<{citation: string, document: string, documentId: number, chunk: number, page?: number, lines?: string, score: number, text: string}>}>}
+ */
+async function searchDocuments(query, { channelId, parentChannelId = null, document, limit = 5, embed = getEmbedding }) {
+  await waitForIngestion([channelId, parentChannelId].filter(Boolean));
+  let documents = listDocuments(channelId, parentChannelId);
+  if (document) documents = documents.filter(d => d.name.toLowerCase().includes(String(document).toLowerCase()));
+  if (documents.length === 0) return { documents, results: [] };
+
+  let queryEmbedding = null;
+  try {
+    queryEmbedding = await embed(query);
+  } catch (err) {
+    logger.warn('Documents', `Query embedding failed, ranking by keywords only: ${err.message}`);
+  }
+  const queryTerms = terms(query);
+
+  const scored = [];
+  for (const doc of documents) {
+    for (const chunk of getDocumentChunks(doc.id)) {
+      const lower = chunk.text.toLowerCase();
+      const keyword = queryTerms.length ? queryTerms.filter(t => lower.includes(t)).length / queryTerms.length : 0;
+      const score = queryEmbedding && chunk.embedding
+        ? VECTOR_WEIGHT * cosineSimilarity(queryEmbedding, bufferToFloat32(chunk.embedding)) + (1 - VECTOR_WEIGHT) * keyword
+        : keyword;
+      scored.push({ doc, chunk, score });
+    }
+  }
+  scored.sort((a, b) => b.score - a.score);
+
+  const results = scored.slice(0, limit).map(({ doc, chunk, score }) => ({
+    citation: citation(doc, chunk),
+    document: doc.name,
+    documentId: doc.id,
+    chunk: chunk.chunk_index + 1,
+    ...(chunk.page ? { page: chunk.page } : {}),
+    ...(!chunk.page && chunk.line_start != null ? { lines: `${chunk.line_start}-${chunk.line_end}` } : {}),
+    score: Math.round(score * 1000) / 1000,
+    text: chunk.text,
+  }));
+  return { documents, results };
+}
+
+/**
+ * Remove a document; only its uploader or an admin may.
+ * @param {number} id
+ * @param {{userId: string, isAdmin: boolean, channelIds: string[]}} who - channelIds the caller may act in
+ * @returns {Object} The deleted document row
+ * @throws {DocumentError} When it doesn't exist here or belongs to someone else
+ */
+function removeDocument(id, { userId, isAdmin, channelIds }) {
+  const doc = getDocument(id);
+  if (!doc || !channelIds.includes(doc.channel_id)) throw new DocumentError(`There is no document #${id} here.`);
+  if (doc.user_id !== userId && !isAdmin) throw new DocumentError('Only the person who shared a document (or an admin) can delete it.');
+  deleteDocument(id);
+  logger.info('Documents', `Deleted ${doc.name} (#${id}) from ${doc.channel_id}`);
+  return doc;
+}
+
+/**
+ * Delete every document in a channel (or just one user's).
+ * @param {string} channelId
+ * @param {string} [userId] - Only this user's documents
+ * @returns {number} Documents deleted
+ */
+function clearDocuments(channelId, userId) {
+  const docs = getChannelDocuments(channelId).filter(d => !userId || d.user_id === userId);
+  for (const doc of docs) deleteDocument(doc.id);
+  if (docs.length) logger.info('Documents', `Cleared ${docs.length} documents from ${channelId}${userId ? ` (user ${userId})` : ''}`);
+  return docs.length;
+}
+
+/**
+ * Drop a thread's or channel's documents when it is deleted.
+ * @param {import('discord.js').Client} client
+ */
+function attachDocumentCleanup(client) {
+  client.on('threadDelete', thread => clearDocuments(thread.id));
+  client.on('channelDelete', channel => clearDocuments(channel.id));
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  ALL_EXTENSIONS,
+  DocumentError,
+  getLimits,
+  setLimits,
+  documentAttachments,
+  chunkLines,
+  parseDocument,
+  citation,
+  indexDocument,
+  ingestAttachments,
+  ingestInBackground,
+  waitForIngestion,
+  describePendingIngestion,
+  describeIngestion,
+  listDocuments,
+  searchDocuments,
+  removeDocument,
+  clearDocuments,
+  attachDocumentCleanup,
+};
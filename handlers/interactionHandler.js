@@ -10,6 +10,17 @@ const { clearChannelContext, getContext } = require('../context');
 const { getUserSettings, saveUserSettings, getDb, getFeedbackStats, getMessageCount } = require('../db');
 const { friendlyError } = require('../utils/errors');
 const { handleRemember, handleForget, handleMemories } = require('../commands/memory-commands');
+const { handleTrace, handleTraceContextMenu, TRACE_MENU_NAME } = require('../commands/trace-commands');
+const { handleToolPolicy } = require('../commands/toolpolicy-commands');
+const { handleUsage, handleQuota } = require('../commands/usage-commands');
+const { handlePlugins } = require('../commands/plugin-commands');
+const { handleSandbox } = require('../commands/sandbox-commands');
+const { handleRemind, handleReminders } = require('../commands/reminder-commands');
+const { handleDocuments } = require('../commands/document-commands');
+const { withUsageContext, checkQuota } = require('../utils/usage');
+const { CLARIFY_PREFIX } = require('../thinking/clarify');
+const { REGEN_PREFIX } = require('../thinking/regenerate');
+const { CONFIRM_PREFIX, handleConfirmButton } = require('../tools/confirmation');
 const config = require('../config');
 const logger = require('../logger');
 
@@ -36,9 +47,33 @@ const TOOL_ICONS = {
   brave_search: '🔍', tavily_search: '🌐', generate_image: '🎨',
   calculator: '🧮', timestamp: '🕐', define_word: '📖',
   summarize_url: '📄', remember: '💾', recall: '🔎', code_runner: '💻',
+  set_reminder: '⏰',
+  search_documents: '📚',
 };
 
+/**
+ * Entry point for all interactions. API calls made while handling one are billed to the
+ * user who triggered it in the usage ledger.
+ */
 async function handleInteraction(interaction) {
+  const owner = { userId: interaction.user?.id, guildId: interaction.guildId || null, channelId: interaction.channelId || null };
+  return withUsageContext(owner, () => routeInteraction(interaction));
+}
+
+async function routeInteraction(interaction) {
+  if (interaction.isMessageContextMenuCommand?.() && interaction.commandName === TRACE_MENU_NAME) {
+    return handleTraceContextMenu(interaction);
+  }
+  if (interaction.isButton?.() && interaction.customId.startsWith(`${CLARIFY_PREFIX}:`)) {
+    // Lazy require: the message handler builds its queues at load time
+    return require('./messageHandler').handleClarifyButton(interaction);
+  }
+  if (interaction.isButton?.() && interaction.customId.startsWith(`${REGEN_PREFIX}:`)) {
+    return require('./messageHandler').handleRegenerateButton(interaction);
+  }
+  if (interaction.isButton?.() && interaction.customId.startsWith(`${CONFIRM_PREFIX}:`)) {
+    return handleConfirmButton(interaction);
+  }
   if (!interaction.isChatInputCommand()) return;
 
   // Block DMs
@@ -81,7 +116,7 @@ async function handleInteraction(interaction) {
         { name: '📖 Define', value: 'Word definitions and explanations', inline: true },
         { name: '📄 Summarize', value: 'Give me a URL, I\'ll summarize it', inline: true },
         { name: '🧠 Memory', value: 'I remember our conversations and learn your preferences\n`/remember` — Tell me something to remember\n`/forget` — Forget memories about a topic\n`/memories` — See what I know about you', inline: false },
-        { name: '⚙️ Commands', value: '`/chat` — Start a thread\n`/imagine` — Generate an image\n`/tools` — See all tools\n`/settings` — Your preferences\n`/reset` — Clear conversation\n`/export` — Export conversation\n`/stats` — Bot stats (admin)\n`/help` — This message', inline: false }
+        { name: '⚙️ Commands', value: '`/chat` — Start a thread\n`/imagine` — Generate an image\n`/tools` — See all tools\n`/settings` — Your preferences\n`/reset` — Clear conversation\n`/export` — Export conversation\n`/stats` — Bot stats (admin)\n`/trace` — Pipeline trace for a message (admin)\n`/toolpolicy` — Allow or deny tools (admin)\n`/usage` — Your token and image usage\n`/quota` — Usage quotas (admin)\n`/plugins` — Manage tool plugins (admin)\n`/sandbox` — Code session for this thread\n`/remind` — Get pinged at a set time\n`/reminders` — List or cancel your reminders\n`/documents` — Shared documents and limits\n`/help` — This message', inline: false }
       )
       .setFooter({ text: 'Tip: I work best in threads — use /chat to start one!' });
     return interaction.reply({ embeds: [embed], ephemeral: true });
@@ -215,6 +250,15 @@ async function handleInteraction(interaction) {
   if (interaction.commandName === 'remember') return handleRemember(interaction);
   if (interaction.commandName === 'forget') return handleForget(interaction);
   if (interaction.commandName === 'memories') return handleMemories(interaction);
+  if (interaction.commandName === 'trace') return handleTrace(interaction);
+  if (interaction.commandName === 'toolpolicy') return handleToolPolicy(interaction);
+  if (interaction.commandName === 'usage') return handleUsage(interaction);
+  if (interaction.commandName === 'quota') return handleQuota(interaction);
+  if (interaction.commandName === 'plugins') return handlePlugins(interaction);
+  if (interaction.commandName === 'sandbox') return handleSandbox(interaction);
+  if (interaction.commandName === 'remind') return handleRemind(interaction);
+  if (interaction.commandName === 'reminders') return handleReminders(interaction);
+  if (interaction.commandName === 'documents') return handleDocuments(interaction);
 
   if (interaction.commandName === 'chat') {
     try {
@@ -252,6 +296,11 @@ async function handleInteraction(interaction) {
       });
     }
 
+    const quota = checkQuota({ userId: interaction.user.id, guildId: interaction.guild.id, roleIds: [...(interaction.member?.roles?.cache?.keys() || [])] }, 'images');
+    if (!quota.allowed) {
+      return interaction.reply({ embeds: [new EmbedBuilder().setColor(0xFEE75C).setDescription(`🪫 ${quota.reason}`)], ephemeral: true });
+    }
+
     try {
       await interaction.deferReply();
       logger.info('Imagine', `${interaction.user.username}: "${prompt}" (${size})`);
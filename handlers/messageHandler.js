@@ -25,8 +25,15 @@ const logger = require('../logger');
 const { ModelQueue } = require('../utils/model-queue');
 const MessageDebouncer = require('../utils/debouncer');
 const { friendlyError } = require('../utils/errors');
+const { track, cancel, release, isCancellation } = require('../utils/cancellation');
+const { withUsageContext, checkQuota, periodStart } = require('../utils/usage');
 const { StatusEmbed } = require('../utils/status-embed');
+const { StreamingReply } = require('../utils/streaming-reply');
 const { recordProcessed, recordError: recordHealthError } = require('../health');
+const { linkReply } = require('../thinking/trace');
+const { documentAttachments, ingestInBackground, describePendingIngestion, describeIngestion } = require('../documents');
+const { buildClarifyMessage, parseClarifyId, savePending, getPending, takePending } = require('../thinking/clarify');
+const { MAX_ALTERNATIVES, isRegenerable, displayText, buildRegenRow, renderSession, parseRegenId, saveSession, getSession } = require('../thinking/regenerate');
 
 // ── Per-model queue system ──
 const modelQueue = new ModelQueue({
@@ -50,6 +57,9 @@ const userNameToId = new Map();
 // Image rate limiting per user
 const imageRateLimits = new Map(); // userId -> [{timestamp}]
 
+// Over-quota notices already sent: userId -> "period:periodStart" (one notice per period)
+const quotaNotices = new Map();
+
 // Health stats
 let messageCount = 0;
 let errorCount = 0;
@@ -143,6 +153,23 @@ function canGenerateImage(userId) {
   return timestamps.length < config.maxImagesPerUserPerHour;
 }
 
+/**
+ * Who API calls made for a message are billed to in the usage ledger.
+ */
+function usageOwner(message) {
+  return { userId: message.author.id, guildId: message.guild?.id || null, channelId: message.channel.id };
+}
+
+/**
+ * Whether to tell a user they're over quota (once per quota period, then stay quiet).
+ */
+function shouldNotifyQuota(userId, period) {
+  const key = `${period}:${periodStart(period)}`;
+  if (quotaNotices.get(userId) === key) return false;
+  quotaNotices.set(userId, key);
+  return true;
+}
+
 function recordImageGeneration(userId) {
   const timestamps = imageRateLimits.get(userId) || [];
   timestamps.push(Date.now());
@@ -168,16 +195,321 @@ async function runFactExtraction(channelId) {
   }
 }
 
+/**
+ * Run a message through the thinking pipeline and deliver the result: status embed,
+ * optional streaming, output moderation, context logging, and sending the reply.
+ * @param {import('discord.js').Message} message - The user's message
+ * @param {Object} pipelineContext - Orchestrator context (user, channel, gate flags, clarification)
+ * @param {Object} opts - { priority, isQueued }
+ */
+async function runThinkingPipeline(message, pipelineContext, { priority = 0, isQueued = false } = {}) {
+  const { userId, userName, channelId, botId } = pipelineContext;
+  const stopTyping = startTyping(message.channel);
+  // Deleting or editing the message, or a ❌ from its author, aborts everything below
+  const controller = track(message.id, userId);
+  const { signal } = controller;
+
+  // Status embed — show immediately so users see every stage
+  const statusEmbed = new StatusEmbed(message.channel);
+  await statusEmbed.show();
+  // Partial text is moderated before each edit, so nothing unmoderated is ever visible
+  const streamReply = config.streamResponses
+    ? new StreamingReply(message.channel, { moderate: async (text) => (await checkOutput(text, channelId)).safe })
+    : null;
+
+  try {
+    const orchestratorResult = await modelQueue.enqueue(config.model, () =>
+      _orchestrator.process(message, { ...pipelineContext, statusEmbed, streamReply, signal }),
+      priority,
+      { signal }
+    );
+
+    stopTyping();
+    
+    await statusEmbed.destroy();
+
+    // Remove backpressure emoji
+    if (isQueued) {
+      try { await message.reactions.cache.get('⏳')?.users?.remove(botId); } catch (_) {}
+    }
+
+    if (orchestratorResult.action === 'ignore') {
+      logger.debug('Orchestrator', `Ignoring ${userName}: ${orchestratorResult.reason}`);
+      await streamReply?.discard();
+      return;
+    }
+
+    if (orchestratorResult.action === 'cancelled' || signal.aborted) {
+      logger.info('MessageHandler', `Dropped answer for ${userName}: ${orchestratorResult.reason || signal.reason?.reason}`);
+      await streamReply?.discard();
+      return;
+    }
+
+    // Underspecified request — ask which interpretation they meant; a button click resumes the pipeline
+    if (orchestratorResult.action === 'clarify') {
+      await streamReply?.discard();
+      const { question, options } = orchestratorResult;
+      const sent = await message.channel.send(buildClarifyMessage(message.id, { question, options }));
+      savePending(message.id, { message, context: pipelineContext, priority, question, options });
+      linkReply(sent?.id, message.id);
+      return;
+    }
+
+    // Track image rate limits
+    if (orchestratorResult.images) {
+      for (const _ of orchestratorResult.images) {
+        recordImageGeneration(userId);
+      }
+    }
+
+    // Moderation check on text
+    if (orchestratorResult.text) {
+      const outMod = await checkOutput(orchestratorResult.text, channelId);
+      if (!outMod.safe) {
+        await streamReply?.discard();
+        await message.channel.send({ embeds: [errorEmbed("Response flagged by moderation.")] }).catch(() => {});
+        return;
+      }
+    }
+
+    logMessage(channelId, null, 'LLMHub', 'assistant', orchestratorResult.text || '[image]');
+
+    // Single-message replies get a 🔁 Regenerate button
+    const regenerable = isRegenerable(orchestratorResult);
+    const regenRow = regenerable ? buildRegenRow(message.id, { alternatives: [null], index: 0, chosen: 0 }) : null;
+    let replyMessageId = null;
+
+    // Text already streamed into the channel: settle it to the final parts, send the rest normally
+    let pendingMessages = orchestratorResult.messages || [];
+    if (streamReply?.started) {
+      const textParts = pendingMessages.filter(m => m.content && !(m.files && m.files.length) && !(m.embeds && m.embeds.length));
+      const streamed = await streamReply.finish(textParts.map(m => m.content));
+      for (const sent of streamed) linkReply(sent.id, message.id);
+      replyMessageId = streamed[streamed.length - 1]?.id || null;
+      if (regenRow && streamed.length === 1) await streamed[0].edit({ components: [regenRow] }).catch(() => {});
+      pendingMessages = pendingMessages.filter(m => !textParts.includes(m));
+    } else {
+      await streamReply?.discard();
+    }
+
+    // Send Discord messages
+    for (const msg of pendingMessages) {
+      try {
+        if (msg.delayMs && msg.delayMs > 0) {
+          await message.channel.sendTyping().catch(() => {});
+          await new Promise(r => setTimeout(r, msg.delayMs));
+        }
+        const payload = {};
+        if (msg.content) payload.content = msg.content;
+        if (msg.files && msg.files.length > 0) payload.files = msg.files;
+        if (msg.embeds && msg.embeds.length > 0) payload.embeds = msg.embeds;
+        if (regenRow && payload.content) payload.components = [regenRow];
+        if (payload.content || payload.files || payload.embeds) {
+          const sent = await message.channel.send(payload);
+          linkReply(sent?.id, message.id);
+          if (payload.content && sent?.id) replyMessageId = sent.id;
+        }
+      } catch (sendErr) {
+        logger.error('MessageHandler', `Failed to send message part: ${sendErr.message}`);
+      }
+    }
+
+    // Log to context once the reply exists, keyed by its message ID so a picked alternative can replace it
+    await addMessage(channelId, 'assistant', orchestratorResult.text || '[image]', undefined, replyMessageId || undefined);
+    if (regenerable && replyMessageId) {
+      saveSession(message.id, {
+        message,
+        context: pipelineContext,
+        intent: orchestratorResult.intent,
+        priority,
+        replyMessageId,
+        text: orchestratorResult.text,
+        content: displayText(orchestratorResult),
+      });
+    }
+    // First-time user tip
+    try {
+      const profile = getProfile(userId);
+      if (!profile || !profile.message_count || profile.message_count <= 1) {
+        await message.channel.send("💡 *Tip: Use `/help` to see everything I can do!*");
+      }
+    } catch (_) {}
+
+    recordProcessed();
+    const responsePreview = (orchestratorResult.text || '[image]').slice(0, 80);
+    logger.info('MessageHandler', `Response sent to ${channelId}: "${responsePreview}" (${(orchestratorResult.text || '').length} chars)`);
+  } catch (err) {
+    stopTyping();
+    
+    await statusEmbed.destroy();
+    await streamReply?.discard();
+    if (isQueued) {
+      try { await message.reactions.cache.get('⏳')?.users?.remove(botId); } catch (_) {}
+    }
+    if (isCancellation(err)) {
+      logger.info('MessageHandler', `Dropped answer for ${userName}: ${err.reason}`);
+      return;
+    }
+    throw err;
+  } finally {
+    release(message.id, controller);
+  }
+}
+
+/**
+ * Abort work for a message: drop it from the debounce window, or cancel its pipeline run.
+ * @param {string} messageId
+ * @param {string} reason - e.g. 'message deleted'
+ * @param {Object} [opts] - { userId } to only cancel a run that user started (❌ reactions)
+ * @returns {boolean} Whether anything was cancelled
+ */
+function cancelInFlight(messageId, reason, opts = {}) {
+  const dropped = debouncer.remove(messageId, opts.userId);
+  if (dropped) logger.info('MessageHandler', `Dropped debounced message ${messageId}: ${reason}`);
+  return cancel(messageId, reason, opts) || dropped;
+}
+
+/**
+ * Edit route: if the original text is still being answered, abort that run and answer
+ * the edited text instead. The context entry has already been updated by the caller.
+ * @param {import('discord.js').Message} message - The edited message
+ * @returns {Promise<boolean>} Whether processing was restarted
+ */
+async function handleMessageEdit(message) {
+  if (!cancel(message.id, 'message edited')) return false;
+  logger.info('MessageHandler', `Restarting answer for edited message ${message.id}`);
+  await withUsageContext(usageOwner(message), () => processMessage(message, message.content || '', null, { edited: true }));
+  return true;
+}
+
+/**
+ * Button route for clarifying questions: resume the pipeline with the chosen interpretation.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+async function handleClarifyButton(interaction) {
+  const parsed = parseClarifyId(interaction.customId);
+  const entry = parsed && getPending(parsed.messageId);
+  if (!entry) {
+    return interaction.reply({ content: '⌛ That question has expired — just ask again with a bit more detail.', ephemeral: true });
+  }
+  if (interaction.user.id !== entry.context.userId) {
+    return interaction.reply({ content: 'Only the person who asked can pick an option.', ephemeral: true });
+  }
+  const choice = entry.options[parsed.index];
+  if (!choice || !takePending(parsed.messageId)) {
+    return interaction.reply({ content: '❌ Unknown option.', ephemeral: true });
+  }
+
+  logger.info('MessageHandler', `${entry.context.userName} clarified "${entry.message.content}" → "${choice}"`);
+  await interaction.update({ content: `🤔 ${entry.question}\n→ **${choice}**`, components: [] }).catch(() => {});
+
+  try {
+    await runThinkingPipeline(entry.message, { ...entry.context, clarification: choice }, { priority: entry.priority });
+  } catch (err) {
+    errorCount++;
+    recordHealthError();
+    logger.error('MessageHandler', 'Clarified request failed:', err);
+    await entry.message.channel.send({ embeds: [errorEmbed(friendlyError(err))] }).catch(() => {});
+  }
+}
+
+/**
+ * Button route for 🔁 Regenerate and the alternatives pager. Regenerate reruns Execute and
+ * Synthesize for the same turn; ✅ swaps the shown alternative into the channel context.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+async function handleRegenerateButton(interaction) {
+  const parsed = parseRegenId(interaction.customId);
+  const session = parsed && getSession(parsed.messageId);
+  if (!session) {
+    return interaction.reply({ content: '⌛ These alternatives have expired — ask again to get a fresh answer.', ephemeral: true });
+  }
+  if (interaction.user.id !== session.context.userId) {
+    return interaction.reply({ content: 'Only the person who asked can regenerate or pick an answer.', ephemeral: true });
+  }
+  if (session.busy) {
+    return interaction.reply({ content: '🔁 Already working on another answer…', ephemeral: true });
+  }
+
+  const { messageId, action } = parsed;
+  if (action === 'prev' || action === 'next') {
+    session.index = Math.min(Math.max(session.index + (action === 'next' ? 1 : -1), 0), session.alternatives.length - 1);
+    return interaction.update(renderSession(messageId, session));
+  }
+  if (action === 'pick') {
+    session.chosen = session.index;
+    await updateMessage(session.context.channelId, session.replyMessageId, session.alternatives[session.index].text);
+    logger.info('MessageHandler', `${session.context.userName} picked alternative ${session.index + 1}/${session.alternatives.length} for ${messageId}`);
+    return interaction.update(renderSession(messageId, session));
+  }
+  if (session.alternatives.length >= MAX_ALTERNATIVES) {
+    return interaction.reply({ content: `That's the limit of ${MAX_ALTERNATIVES} alternatives — pick one or ask again.`, ephemeral: true });
+  }
+  const quota = checkQuota(session.context);
+  if (!quota.allowed) {
+    return interaction.reply({ content: `🪫 ${quota.reason}`, ephemeral: true });
+  }
+
+  session.busy = true;
+  await interaction.update(renderSession(messageId, session)).catch(() => {});
+  try {
+    const result = await modelQueue.enqueue(config.model, () => _orchestrator.regenerate(
+      session.message,
+      { ...session.context, regenerate: { previous: session.alternatives.map(a => a.text) } },
+      session.intent,
+    ), session.priority);
+    if (result.action !== 'respond' || !result.text) throw new Error(result.reason || 'Regeneration produced no text');
+
+    const outMod = await checkOutput(result.text, session.context.channelId);
+    if (!outMod.safe) {
+      await interaction.followUp({ content: '❌ That alternative was flagged by moderation.', ephemeral: true }).catch(() => {});
+    } else {
+      session.alternatives.push({ text: result.text, content: displayText(result) });
+      session.index = session.alternatives.length - 1;
+      logger.info('MessageHandler', `Regenerated answer ${session.alternatives.length} for ${messageId}`);
+    }
+  } catch (err) {
+    recordHealthError();
+    logger.error('MessageHandler', 'Regeneration failed:', err);
+    await interaction.followUp({ content: `❌ ${friendlyError(err)}`, ephemeral: true }).catch(() => {});
+  } finally {
+    session.busy = false;
+    await interaction.editReply(renderSession(messageId, session)).catch(() => {});
+  }
+}
+
+/**
+ * Index a message's documents in the background, so the reply is not held up by parsing.
+ * Its context entry says they are being indexed, and once done what was indexed, so the
+ * model (and a regenerated answer) knows what search_documents can find.
+ * @returns {Promise<void>} Settles once the first note is in the context
+ */
+async function indexAttachedDocuments(message, attachments, { channelId, guildId, userId, userName, content, userContent }) {
+  const indexing = ingestInBackground(attachments, { channelId, guildId, userId, userName, messageId: message.id });
+  if (!indexing) return;
+  const note = (text) => {
+    const withNote = [content, text].filter(part => part.trim()).join('\n\n');
+    if (!Array.isArray(userContent)) return updateMessage(channelId, message.id, withNote);
+    const parts = userContent.filter(p => p.type !== 'text');
+    return updateMessage(channelId, message.id, [{ type: 'text', text: withNote }, ...parts]);
+  };
+  const pending = note(describePendingIngestion(attachments));
+  indexing.then(result => note(describeIngestion(result))).catch(err => logger.error('MessageHandler', 'Failed to note indexed documents:', err));
+  await pending;
+}
+
 /**
  * Core message processing (called after debounce).
+ * @param {Object} [opts] - { edited: true } when re-answering an edited message that is already in context
  */
-async function processMessage(message, content, mergedAttachments) {
+async function processMessage(message, content, mergedAttachments, { edited = false } = {}) {
   try {
     const channelId = message.channel.id;
     const userId = message.author.id;
     const userName = message.author.username;
     const displayName = message.member?.displayName || userName;
     const guildId = message.guild?.id || null;
+    const roleIds = message.member?.roles?.cache ? [...message.member.roles.cache.keys()] : [];
     const inThread = isGptThread(message.channel);
     const botId = message.client.user.id;
     const priority = getMessagePriority(message, botId);
@@ -194,6 +526,7 @@ async function processMessage(message, content, mergedAttachments) {
         return IMAGE_TYPES.includes(ext) || (a.contentType && a.contentType.startsWith('image/'));
       })
       .map(a => a.url);
+    const docAttachments = config.documentsEnabled ? documentAttachments(attachmentSource) : [];
 
     // Build content: string or array (for vision)
     let userContent;
@@ -207,7 +540,7 @@ async function processMessage(message, content, mergedAttachments) {
       userContent = content;
     }
 
-    if (content.trim().length < 1 && imageUrls.length === 0) return;
+    if (content.trim().length < 1 && imageUrls.length === 0 && docAttachments.length === 0) return;
 
     const rateResult = checkRateLimit(userId, channelId, inThread, message.member);
     if (!rateResult.allowed) {
@@ -222,6 +555,16 @@ async function processMessage(message, content, mergedAttachments) {
       return;
     }
 
+    // Usage quotas are enforced before any model work is queued
+    const quota = checkQuota({ userId, guildId, roleIds });
+    if (!quota.allowed) {
+      logger.warn('MessageHandler', `${userName} is over their ${quota.period} token quota (${quota.used}/${quota.limit})`);
+      if (shouldNotifyQuota(userId, quota.period)) {
+        await message.reply({ embeds: [new EmbedBuilder().setColor(0xFEE75C).setDescription(`🪫 ${quota.reason} Use /usage to see your consumption.`)] }).catch(() => {});
+      }
+      return;
+    }
+
     // Moderation check BEFORE adding to context
     const modResult = await checkMessage(message, imageUrls);
     if (!modResult.safe) {
@@ -229,23 +572,26 @@ async function processMessage(message, content, mergedAttachments) {
       return;
     }
 
-    // Only add to context/DB AFTER moderation passes
-    await addMessage(channelId, 'user', userContent, userName, message.id);
-    logMessage(channelId, userId, userName, 'user', content);
-
-    messageCount++;
-    const chCount = (channelMsgCounts.get(channelId) || 0) + 1;
-    channelMsgCounts.set(channelId, chCount);
-    globalMsgCount++;
-    setState('global_msg_count', String(globalMsgCount));
-    updateHealth();
-
-    if (chCount % config.factExtractionInterval === 0) {
-      runFactExtraction(channelId).catch(err => logger.error('BackgroundExtraction', 'Error:', err));
-    }
+    // Only add to context/DB AFTER moderation passes (an edited message is already there)
+    if (!edited) {
+      await addMessage(channelId, 'user', userContent, userName, message.id);
+      logMessage(channelId, userId, userName, 'user', content);
+
+      messageCount++;
+      const chCount = (channelMsgCounts.get(channelId) || 0) + 1;
+      channelMsgCounts.set(channelId, chCount);
+      globalMsgCount++;
+      setState('global_msg_count', String(globalMsgCount));
+      updateHealth();
+
+      // Background work serves the whole channel, so it isn't billed to this user
+      if (chCount % config.factExtractionInterval === 0) {
+        withUsageContext({ guildId, channelId }, () => runFactExtraction(channelId)).catch(err => logger.error('BackgroundExtraction', 'Error:', err));
+      }
 
-    if (globalMsgCount % config.reflectionInterval === 0 && config.features.soulReflection) {
-      reflectAndUpdate().catch(err => logger.error('BackgroundReflection', 'Error:', err));
+      if (globalMsgCount % config.reflectionInterval === 0 && config.features.soulReflection) {
+        withUsageContext({ guildId, channelId }, () => reflectAndUpdate()).catch(err => logger.error('BackgroundReflection', 'Error:', err));
+      }
     }
 
     // ── Check if queue is full before enqueueing ──
@@ -263,6 +609,12 @@ async function processMessage(message, content, mergedAttachments) {
       try { await message.react('⏳'); } catch (_) {}
     }
 
+    // Attached documents are indexed only once the gate decides to answer
+    const onEngage = !edited && docAttachments.length > 0
+      ? () => indexAttachedDocuments(message, docAttachments, { channelId, guildId, userId, userName, content, userContent })
+        .catch(err => logger.error('MessageHandler', 'Failed to start indexing documents:', err))
+      : undefined;
+
     // ── 5-Layer Thinking System or Legacy Fallback ──
     if (_orchestrator && config.thinkingLayersEnabled) {
       const mentionsBot = message.mentions?.has(botId);
@@ -283,104 +635,23 @@ async function processMessage(message, content, mergedAttachments) {
         }
       } catch (_) {}
 
-      const stopTyping = startTyping(message.channel);
-
-      // Status embed — show immediately so users see every stage
-      const statusEmbed = new StatusEmbed(message.channel);
-      await statusEmbed.show();
-
-      try {
-        const orchestratorResult = await modelQueue.enqueue(config.model, () =>
-          _orchestrator.process(message, {
-            userId,
-            userName,
-            displayName,
-            channelId,
-            guildId,
-            botId,
-            inThread,
-            mentionsBot,
-            repliesToBot,
-            botRecentlySpokeInChannel,
-            lastBotMessageInChannel,
-            gptChannelId: config.gptChannelId,
-            statusEmbed,
-          }),
-          priority
-        );
-
-        stopTyping();
-        
-        await statusEmbed.destroy();
-
-        // Remove backpressure emoji
-        if (isQueued) {
-          try { await message.reactions.cache.get('⏳')?.users?.remove(botId); } catch (_) {}
-        }
-
-        if (orchestratorResult.action === 'ignore') {
-          logger.debug('Orchestrator', `Ignoring ${userName}: ${orchestratorResult.reason}`);
-          return;
-        }
-
-        // Track image rate limits
-        if (orchestratorResult.images) {
-          for (const _ of orchestratorResult.images) {
-            recordImageGeneration(userId);
-          }
-        }
-
-        // Moderation check on text
-        if (orchestratorResult.text) {
-          const outMod = await checkOutput(orchestratorResult.text, channelId);
-          if (!outMod.safe) {
-            await message.channel.send({ embeds: [errorEmbed("Response flagged by moderation.")] }).catch(() => {});
-            return;
-          }
-        }
-
-        // Log to context + DB
-        await addMessage(channelId, 'assistant', orchestratorResult.text || '[image]');
-        logMessage(channelId, null, 'LLMHub', 'assistant', orchestratorResult.text || '[image]');
-
-        // Send Discord messages
-        for (const msg of orchestratorResult.messages || []) {
-          try {
-            if (msg.delayMs && msg.delayMs > 0) {
-              await message.channel.sendTyping().catch(() => {});
-              await new Promise(r => setTimeout(r, msg.delayMs));
-            }
-            const payload = {};
-            if (msg.content) payload.content = msg.content;
-            if (msg.files && msg.files.length > 0) payload.files = msg.files;
-            if (msg.embeds && msg.embeds.length > 0) payload.embeds = msg.embeds;
-            if (payload.content || payload.files || payload.embeds) {
-              await message.channel.send(payload);
-            }
-          } catch (sendErr) {
-            logger.error('MessageHandler', `Failed to send message part: ${sendErr.message}`);
-          }
-        }
-        // First-time user tip
-        try {
-          const profile = getProfile(userId);
-          if (!profile || !profile.message_count || profile.message_count <= 1) {
-            await message.channel.send("💡 *Tip: Use `/help` to see everything I can do!*");
-          }
-        } catch (_) {}
-
-        recordProcessed();
-        const responsePreview = (orchestratorResult.text || '[image]').slice(0, 80);
-        logger.info('MessageHandler', `Response sent to ${channelId}: "${responsePreview}" (${(orchestratorResult.text || '').length} chars)`);
-      } catch (err) {
-        stopTyping();
-        
-        await statusEmbed.destroy();
-        if (isQueued) {
-          try { await message.reactions.cache.get('⏳')?.users?.remove(botId); } catch (_) {}
-        }
-        throw err;
-      }
+      await runThinkingPipeline(message, {
+        userId,
+        userName,
+        displayName,
+        channelId,
+        guildId,
+        parentChannelId: message.channel.parentId || null,
+        roleIds,
+        botId,
+        inThread,
+        mentionsBot,
+        repliesToBot,
+        botRecentlySpokeInChannel,
+        lastBotMessageInChannel,
+        gptChannelId: config.gptChannelId,
+        onEngage,
+      }, { priority, isQueued });
     } else {
       // ── Legacy fallback: simple text response (5-layer system should always be active) ──
       logger.warn('MessageHandler', 'Orchestrator not available — using basic text response fallback');
@@ -428,7 +699,7 @@ async function handleMessage(message) {
 
     // Debounce: coalesce rapid messages from same user+channel
     debouncer.add(message, (lastMessage, combinedContent, allAttachments) => {
-      processMessage(lastMessage, combinedContent, allAttachments).catch(err => {
+      withUsageContext(usageOwner(lastMessage), () => processMessage(lastMessage, combinedContent, allAttachments)).catch(err => {
         logger.error('MessageHandler', 'Debounced processing error:', err);
       });
     });
@@ -478,6 +749,10 @@ async function handleTextResponse(message, channelId, userId, userName, soulConf
 
 module.exports = {
   handleMessage,
+  handleMessageEdit,
+  cancelInFlight,
+  handleClarifyButton,
+  handleRegenerateButton,
   setAgentLoop,
   setOrchestrator,
   updateHealth,
@@ -9,9 +9,15 @@ const config = require('./config');
 const logger = require('./logger');
 const { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { getState, setState, insertFeedback } = require('./db');
-const { handleMessage, setAgentLoop, setOrchestrator, modelQueue, debouncer } = require('./handlers/messageHandler');
+const { handleMessage, handleMessageEdit, cancelInFlight, setAgentLoop, setOrchestrator, modelQueue, debouncer } = require('./handlers/messageHandler');
 const { handleInteraction } = require('./handlers/interactionHandler');
+const { featureCommands } = require('./commands');
 const ToolRegistry = require('./tools/registry');
+const { PluginManager } = require('./tools/plugins');
+const { McpManager } = require('./mcp/manager');
+const { SandboxSessionManager } = require('./tools/sandbox/sessions');
+const { ReminderScheduler } = require('./reminders');
+const { attachDocumentCleanup } = require('./documents');
 const AgentLoop = require('./agent-loop');
 const ThinkingOrchestrator = require('./thinking/orchestrator');
 const openaiClient = require('./openai-client');
@@ -69,17 +75,6 @@ async function registerCommands() {
     const exportCmd = new SlashCommandBuilder()
       .setName('export')
       .setDescription('Export the current conversation as a markdown file');
-    const rememberCmd = new SlashCommandBuilder()
-      .setName('remember')
-      .setDescription('Tell me something to remember about you')
-      .addStringOption(opt => opt.setName('fact').setDescription('What should I remember?').setRequired(true));
-    const forgetCmd = new SlashCommandBuilder()
-      .setName('forget')
-      .setDescription('Forget memories about a topic')
-      .addStringOption(opt => opt.setName('topic').setDescription('What should I forget?').setRequired(true));
-    const memoriesCmd = new SlashCommandBuilder()
-      .setName('memories')
-      .setDescription('See what I remember about you');
     const statsCmd = new SlashCommandBuilder()
       .setName('stats')
       .setDescription('View bot statistics (admin only)');
@@ -95,7 +90,7 @@ async function registerCommands() {
       .addBooleanOption(opt => opt.setName('images').setDescription('Enable/disable image generation in responses'));
     await rest.put(
       Routes.applicationGuildCommands(config.appId, config.guildId),
-      { body: [chatCmd.toJSON(), imagineCmd.toJSON(), toolsCmd.toJSON(), resetCmd.toJSON(), settingsCmd.toJSON(), helpCmd.toJSON(), exportCmd.toJSON(), statsCmd.toJSON(), rememberCmd.toJSON(), forgetCmd.toJSON(), memoriesCmd.toJSON()] }
+      { body: [chatCmd.toJSON(), imagineCmd.toJSON(), toolsCmd.toJSON(), resetCmd.toJSON(), settingsCmd.toJSON(), helpCmd.toJSON(), exportCmd.toJSON(), statsCmd.toJSON(), ...featureCommands.map(c => c.toJSON())] }
     );
     logger.info('Bot', 'Slash commands registered');
   } catch (err) {
@@ -136,6 +131,11 @@ async function sendStartupEmbed() {
 const registry = new ToolRegistry();
 registry.loadAll();
 ToolRegistry.setInstance(registry);
+PluginManager.setInstance(new PluginManager(registry, { dir: config.pluginsDir, allowedPermissions: config.pluginAllowedPermissions })).loadAll();
+McpManager.setInstance(new McpManager(registry, { configPath: config.mcpServersFile })).connectAll();
+SandboxSessionManager.setInstance(new SandboxSessionManager()).attach(client);
+ReminderScheduler.setInstance(new ReminderScheduler(client));
+attachDocumentCleanup(client);
 
 if (config.enableAgentLoop) {
   const agentLoop = new AgentLoop(registry, openaiClient, config);
@@ -189,6 +189,7 @@ client.on('messageUpdate', async (oldMessage, newMessage) => {
 
     await updateMessage(chId, newMessage.id, content);
     logger.info('MessageEdit', `${newMessage.author?.username} edited message ${newMessage.id} in ${chId}`);
+    await handleMessageEdit(newMessage); // restarts the answer if the old text was still being processed
   } catch (err) {
     logger.error('MessageEdit', 'Error handling edit:', err);
   }
@@ -203,6 +204,7 @@ client.on('messageDelete', async (message) => {
     const allowedChannels = config.allowedChannelIds;
     if (allowedChannels.length > 0 && !allowedChannels.includes(chId) && !allowedChannels.includes(parentId)) return;
 
+    cancelInFlight(message.id, 'message deleted');
     await deleteMessage(chId, message.id);
     logger.info('MessageDelete', `Message ${message.id} deleted from ${chId}`);
   } catch (err) {
@@ -221,6 +223,7 @@ client.on('messageReactionAdd', async (reaction, user) => {
     if (reaction.message.partial) {
       try { await reaction.message.fetch(); } catch (_) { return; }
     }
+    if (reaction.emoji.name === '❌' && cancelInFlight(reaction.message.id, 'cancelled with ❌', { userId: user.id })) return;
     // Only track reactions on bot's own messages
     if (reaction.message.author?.id !== client.user.id) return;
 
@@ -256,6 +259,8 @@ async function shutdown(signal) {
   // Give in-progress responses up to 5s to finish
   await new Promise(r => setTimeout(r, 5000));
 
+  ReminderScheduler.getInstance()?.stop();
+  await Promise.allSettled([McpManager.getInstance()?.closeAll(), SandboxSessionManager.getInstance()?.closeAll()]);
   try { client.destroy(); } catch (_) {}
   try { const { close: dbClose } = require('./db'); dbClose(); } catch (_) {}
   logger.info('Bot', 'Shutdown complete.');
@@ -272,6 +277,7 @@ client.once('ready', () => {
   logger.info('Bot', `Logged in as ${client.user.tag}`);
   logger.info('Bot', 'Production hardened: concurrency limiting, queue, WAL mode, embeds');
   sendStartupEmbed();
+  ReminderScheduler.getInstance().start(); // delivers reminders that came due while offline, too
 
   // Phase 2: Run startup memory consolidation (async, non-blocking)
   setImmediate(async () => {
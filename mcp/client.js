@@ -0,0 +1,294 @@
+/**
+ * @module mcp/client
+ * @description Minimal Model Context Protocol client (JSON-RPC 2.0). Talks to a server
+ * over stdio (a child process exchanging newline-delimited JSON) or Streamable HTTP
+ * (JSON-RPC POSTs answered with JSON or an SSE stream). Supports what LLMHub needs:
+ * initialize, tools/list (paginated), tools/call, ping, cancellation and the
+ * tools/list_changed notification.
+ */
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const EventEmitter = require('events');
+const logger = require('../logger');
+
+const PROTOCOL_VERSION = '2025-03-26';
+const CLIENT_INFO = { name: 'llmhub', version: '1.0.0' };
+const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
+/** Error returned by an MCP server (JSON-RPC error object) or raised by a failed tool. */
+class McpError extends Error {
+  constructor(message, code = null, data = null) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Child process transport: one JSON-RPC message per line on stdin/stdout.
+ */
+class StdioTransport {
+  /**
+   * @param {{command: string, args?: string[], env?: Object, cwd?: string}} opts
+   */
+  constructor({ command, args = [], env = {}, cwd }) {
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.cwd = cwd;
+    this.child = null;
+  }
+
+  /**
+   * @param {Function} onMessage - (message) => void
+   * @param {Function} onClose - (error|null) => void
+   */
+  async start(onMessage, onClose) {
+    this.child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    await new Promise((resolve, reject) => {
+      this.child.once('spawn', resolve);
+      this.child.once('error', reject);
+    });
+    this.child.on('error', err => logger.error('MCP', `${this.command} process error: ${err.message}`));
+    this.child.stdin.on('error', err => logger.warn('MCP', `${this.command} stdin error: ${err.message}`));
+
+    readline.createInterface({ input: this.child.stdout }).on('line', line => {
+      if (!line.trim()) return;
+      try {
+        onMessage(JSON.parse(line));
+      } catch (err) {
+        logger.warn('MCP', `Ignoring non-JSON output from ${this.command}: ${line.slice(0, 200)}`);
+      }
+    });
+    readline.createInterface({ input: this.child.stderr }).on('line', line => logger.debug('MCP', `[${this.command}] ${line}`));
+    this.child.once('exit', (code, signal) => {
+      this.child = null;
+      onClose(code === 0 || signal === 'SIGTERM' ? null : new Error(`server exited (code ${code}, signal ${signal})`));
+    });
+  }
+
+  async send(message) {
+    if (!this.child) throw new McpError('MCP server is not running');
+    this.child.stdin.write(`${JSON.stringify(message)}\n`);
+  }
+
+  async close() {
+    if (!this.child) return;
+    // Closing stdin is the polite shutdown for stdio servers; kill if it lingers
+    const child = this.child;
+    child.stdin.end();
+    const timer = setTimeout(() => child.kill('SIGTERM'), 2000);
+    timer.unref();
+    if (child.exitCode === null && child.signalCode === null) await new Promise(resolve => child.once('exit', resolve));
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Streamable HTTP transport: each message is POSTed; responses come back as JSON or SSE.
+ */
+class HttpTransport {
+  /**
+   * @param {{url: string, headers?: Object}} opts
+   */
+  constructor({ url, headers = {} }) {
+    this.url = url;
+    this.headers = headers;
+    this.sessionId = null;
+    this.onMessage = null;
+  }
+
+  async start(onMessage) {
+    this.onMessage = onMessage;
+  }
+
+  async send(message) {
+    const res = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {}),
+        ...this.headers,
+      },
+      body: JSON.stringify(message),
+    });
+    const sessionId = res.headers.get('mcp-session-id');
+    if (sessionId) this.sessionId = sessionId;
+    if (res.status === 202 || res.status === 204) return;
+    if (!res.ok) throw new McpError(`HTTP ${res.status} from MCP server`);
+
+    const body = await res.text();
+    const messages = (res.headers.get('content-type') || '').includes('text/event-stream')
+      ? body.split(/\r?\n\r?\n/).map(event => event.split(/\r?\n/).filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('\n')).filter(Boolean)
+      : [body].filter(b => b.trim());
+    for (const raw of messages) {
+      const parsed = JSON.parse(raw);
+      for (const msg of Array.isArray(parsed) ? parsed : [parsed]) this.onMessage(msg);
+    }
+  }
+
+  async close() {
+    if (!this.sessionId) return;
+    try {
+      await fetch(this.url, { method: 'DELETE', headers: { 'Mcp-Session-Id': this.sessionId, ...this.headers } });
+    } catch (_) {}
+  }
+}
+
+/**
+ * One connection to one MCP server. Emits 'toolsChanged' and 'close'.
+ */
+class McpClient extends EventEmitter {
+  /**
+   * @param {StdioTransport|HttpTransport} transport
+   * @param {{name?: string, requestTimeoutMs?: number}} [opts]
+   */
+  constructor(transport, { name = 'mcp', requestTimeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+    super();
+    this.transport = transport;
+    this.name = name;
+    this.requestTimeoutMs = requestTimeoutMs;
+    this.nextId = 1;
+    /** @type {Map<number, {resolve: Function, reject: Function, timer: NodeJS.Timeout}>} */
+    this.pending = new Map();
+    this.connected = false;
+    this.serverInfo = null;
+  }
+
+  /**
+   * Start the transport and perform the initialize handshake.
+   * @returns {Promise<Object>} The server's initialize result
+   */
+  async connect() {
+    await this.transport.start(msg => this._handle(msg), err => this._onClose(err));
+    const result = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO,
+    });
+    this.serverInfo = result.serverInfo || null;
+    await this.notify('notifications/initialized');
+    this.connected = true;
+    return result;
+  }
+
+  /**
+   * Send a request and wait for its response.
+   * @param {string} method
+   * @param {Object} [params]
+   * @param {{timeoutMs?: number, signal?: AbortSignal}} [opts]
+   * @returns {Promise<Object>} The result
+   */
+  request(method, params = {}, { timeoutMs = this.requestTimeoutMs, signal } = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const finish = (fn, value) => {
+        const entry = this.pending.get(id);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        signal?.removeEventListener('abort', entry.onAbort);
+        this.pending.delete(id);
+        fn(value);
+      };
+      const onAbort = () => {
+        this.notify('notifications/cancelled', { requestId: id, reason: String(signal.reason?.reason || 'cancelled') }).catch(() => {});
+        finish(reject, signal.reason);
+      };
+      const timer = setTimeout(() => {
+        this.notify('notifications/cancelled', { requestId: id, reason: 'timeout' }).catch(() => {});
+        finish(reject, new McpError(`${method} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+      timer.unref();
+      this.pending.set(id, { resolve: v => finish(resolve, v), reject: e => finish(reject, e), timer, onAbort });
+      if (signal) {
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      this.transport.send({ jsonrpc: '2.0', id, method, params }).catch(err => finish(reject, err));
+    });
+  }
+
+  notify(method, params) {
+    return this.transport.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  /**
+   * All tools the server offers (follows pagination).
+   * @returns {Promise<Array<{name: string, description?: string, inputSchema: Object}>>}
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+    do {
+      const page = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(page.tools || []));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return tools;
+  }
+
+  /**
+   * Call a tool. Tool-level errors (isError) are thrown as McpError.
+   * @param {string} name
+   * @param {Object} args
+   * @param {{timeoutMs?: number, signal?: AbortSignal}} [opts]
+   * @returns {Promise<*>} structuredContent if the server sent it, otherwise the text content
+   */
+  async callTool(name, args, opts = {}) {
+    const result = await this.request('tools/call', { name, arguments: args || {} }, opts);
+    const text = (result.content || []).map(part => {
+      if (part.type === 'text') return part.text;
+      if (part.type === 'resource') return part.resource?.text ?? `[resource ${part.resource?.uri}]`;
+      return `[${part.type}${part.mimeType ? ` ${part.mimeType}` : ''}]`;
+    }).join('\n');
+    if (result.isError) throw new McpError(text || `Tool ${name} failed`);
+    return result.structuredContent ?? text;
+  }
+
+  async close() {
+    this.connected = false;
+    await this.transport.close();
+    this._rejectAll(new McpError('MCP client closed'));
+  }
+
+  _handle(msg) {
+    if (msg.id !== undefined && msg.method === undefined) {
+      const entry = this.pending.get(msg.id);
+      if (!entry) return;
+      if (msg.error) entry.reject(new McpError(msg.error.message || 'MCP error', msg.error.code, msg.error.data));
+      else entry.resolve(msg.result || {});
+      return;
+    }
+    if (msg.method === 'notifications/tools/list_changed') {
+      this.emit('toolsChanged');
+      return;
+    }
+    if (msg.id !== undefined) {
+      // Server-to-client request: answer pings, decline anything else
+      const reply = msg.method === 'ping'
+        ? { jsonrpc: '2.0', id: msg.id, result: {} }
+        : { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Method not supported: ${msg.method}` } };
+      this.transport.send(reply).catch(() => {});
+    }
+  }
+
+  _onClose(err) {
+    const wasConnected = this.connected;
+    this.connected = false;
+    this._rejectAll(new McpError(`MCP server ${this.name} disconnected${err ? `: ${err.message}` : ''}`));
+    if (wasConnected) this.emit('close', err);
+  }
+
+  _rejectAll(err) {
+    for (const entry of [...this.pending.values()]) entry.reject(err);
+  }
+}
+
+module.exports = { McpClient, McpError, StdioTransport, HttpTransport, PROTOCOL_VERSION };
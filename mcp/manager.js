@@ -0,0 +1,224 @@
+/**
+ * @module mcp/manager
+ * @description Connects to the MCP servers listed in the MCP servers file
+ * (`MCP_SERVERS_FILE`, default `mcp-servers.json`) and registers their tools in the
+ * ToolRegistry as `mcp__<server>__<tool>`. Calls go through ToolRegistry#executeTool
+ * like any other tool (timeout, policy checks, logToolUsage) and are proxied to the
+ * server. Tool lists are refreshed on `tools/list_changed`, and a server that exits
+ * unexpectedly is reconnected with backoff.
+ *
+ * Example file (the `mcpServers` shape other MCP clients use; `${VAR}` reads the environment):
+ *   { "mcpServers": {
+ *       "docs": { "command": "node", "args": ["servers/docs.js"], "timeout": 20000 },
+ *       "tickets": { "url": "http://localhost:8931/mcp", "headers": { "Authorization": "Bearer ${TICKETS_TOKEN}" }, "tools": ["search"] }
+ *   } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { McpClient, StdioTransport, HttpTransport } = require('./client');
+
+const SERVER_NAME = /^[a-zA-Z0-9_-]{1,32}$/;
+const DEFAULT_TOOL_TIMEOUT_MS = 30000;
+const MAX_RECONNECTS = 3;
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Registry name for an MCP tool (OpenAI tool names: [a-zA-Z0-9_-], max 64 chars).
+ * @param {string} server
+ * @param {string} tool
+ * @returns {string}
+ */
+function mcpToolName(server, tool) {
+  return `mcp__${server}__${tool}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+}
+
+/** Replace `${VAR}` in config strings with environment values. */
+function interpolateEnv(value, env = process.env) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (_, name) => env[name] ?? '');
+  if (Array.isArray(value)) return value.map(v => interpolateEnv(v, env));
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolateEnv(v, env)]));
+  return value;
+}
+
+class McpManager {
+  /**
+   * @param {import('../tools/registry')} registry
+   * @param {Object} [opts]
+   * @param {string} [opts.configPath] - Servers file (absolute, or relative to the project root)
+   * @param {Object} [opts.servers] - Server configs by name (instead of reading the file)
+   * @param {number} [opts.reconnectDelayMs] - Backoff step between reconnect attempts
+   */
+  constructor(registry, { configPath = 'mcp-servers.json', servers = null, reconnectDelayMs = RECONNECT_DELAY_MS } = {}) {
+    this.registry = registry;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.configPath = path.resolve(__dirname, '..', configPath);
+    this.servers = servers;
+    /** @type {Map<string, {config: Object, client: McpClient|null, tools: string[], status: string, error: string|null, reconnects: number}>} */
+    this.connections = new Map();
+    this.closing = false;
+  }
+
+  /**
+   * Server configs by name, from the constructor or the servers file.
+   * @returns {Object}
+   */
+  loadConfig() {
+    if (this.servers) return interpolateEnv(this.servers);
+    if (!fs.existsSync(this.configPath)) return {};
+    const parsed = JSON.parse(fs.readFileSync(this.configPath, 'utf-8'));
+    return interpolateEnv(parsed.mcpServers || {});
+  }
+
+  /**
+   * Connect to every configured server. Failures are logged per server, never thrown.
+   * @returns {Promise<Array>} list()
+   */
+  async connectAll() {
+    let servers;
+    try {
+      servers = this.loadConfig();
+    } catch (err) {
+      logger.error('MCP', `Could not read ${this.configPath}: ${err.message}`);
+      return [];
+    }
+    await Promise.all(Object.entries(servers).map(([name, config]) => this.connect(name, config)));
+    if (this.connections.size) {
+      const tools = [...this.connections.values()].reduce((n, c) => n + c.tools.length, 0);
+      logger.info('MCP', `Connected ${this.list().filter(c => c.status === 'connected').length}/${this.connections.size} servers, ${tools} tools`);
+    }
+    return this.list();
+  }
+
+  /**
+   * Connect one server and register its tools.
+   * @param {string} name
+   * @param {Object} config - { command, args, env, cwd } or { url, headers }, plus optional timeout, tools allowlist and requiresConfirmation
+   */
+  async connect(name, config) {
+    const conn = this.connections.get(name) || { config, client: null, tools: [], status: 'connecting', error: null, reconnects: 0 };
+    conn.config = config;
+    this.connections.set(name, conn);
+    try {
+      if (!SERVER_NAME.test(name)) throw new Error('server names may only use letters, digits, - and _');
+      let transport;
+      if (config.command) transport = new StdioTransport({ command: config.command, args: config.args, env: config.env, cwd: config.cwd });
+      else if (config.url) transport = new HttpTransport({ url: config.url, headers: config.headers });
+      else throw new Error('needs a "command" (stdio) or a "url" (HTTP)');
+
+      const client = new McpClient(transport, { name });
+      conn.client = client;
+      await client.connect();
+      client.on('toolsChanged', () => this.syncTools(name).catch(err => logger.error('MCP', `Refreshing ${name} tools failed: ${err.message}`)));
+      client.on('close', err => this._onDisconnect(name, err));
+      await this.syncTools(name);
+      conn.status = 'connected';
+      conn.error = null;
+      conn.reconnects = 0;
+      logger.info('MCP', `Connected to ${name}${client.serverInfo ? ` (${client.serverInfo.name} ${client.serverInfo.version || ''})` : ''}: ${conn.tools.length} tools`);
+    } catch (err) {
+      conn.status = 'error';
+      conn.error = err.message;
+      logger.error('MCP', `Failed to connect to ${name}: ${err.message}`);
+      if (conn.client) await conn.client.close().catch(() => {});
+      conn.client = null;
+      // A failed reconnect keeps backing off until the attempts run out
+      if (conn.reconnects > 0) this._scheduleReconnect(name, conn);
+    }
+    return conn;
+  }
+
+  /**
+   * Re-list a server's tools and re-register them.
+   * @param {string} name
+   */
+  async syncTools(name) {
+    const conn = this.connections.get(name);
+    const client = conn.client;
+    const allow = Array.isArray(conn.config.tools) ? new Set(conn.config.tools) : null;
+    const listed = (await client.listTools()).filter(t => !allow || allow.has(t.name));
+    const timeout = conn.config.timeout || DEFAULT_TOOL_TIMEOUT_MS;
+
+    this._unregister(conn);
+    for (const tool of listed) {
+      const registryName = mcpToolName(name, tool.name);
+      if (this.registry.getTool(registryName)) {
+        logger.warn('MCP', `Skipping ${name}/${tool.name}: ${registryName} is already registered`);
+        continue;
+      }
+      this.registry.register({
+        name: registryName,
+        description: `[${name}] ${tool.description || tool.name}`,
+        parameters: tool.inputSchema || { type: 'object', properties: {} },
+        timeout,
+        requiresConfirmation: Boolean(conn.config.requiresConfirmation),
+        mcp: { server: name, tool: tool.name },
+        execute: (args, context) => client.callTool(tool.name, args, { timeoutMs: timeout, signal: context?.signal }),
+      });
+      conn.tools.push(registryName);
+    }
+  }
+
+  _unregister(conn) {
+    for (const toolName of conn.tools) this.registry.unregister(toolName);
+    conn.tools = [];
+  }
+
+  _onDisconnect(name, err) {
+    const conn = this.connections.get(name);
+    if (!conn || this.closing) return;
+    this._unregister(conn);
+    conn.client = null;
+    conn.status = 'disconnected';
+    conn.error = err ? err.message : 'server closed the connection';
+    logger.warn('MCP', `${name} disconnected: ${conn.error}`);
+    this._scheduleReconnect(name, conn);
+  }
+
+  _scheduleReconnect(name, conn) {
+    if (this.closing) return;
+    if (conn.reconnects >= MAX_RECONNECTS) {
+      logger.error('MCP', `${name}: giving up after ${MAX_RECONNECTS} reconnect attempts`);
+      return;
+    }
+    conn.reconnects++;
+    const timer = setTimeout(() => {
+      if (!this.closing) this.connect(name, conn.config);
+    }, this.reconnectDelayMs * conn.reconnects);
+    timer.unref();
+  }
+
+  /**
+   * Disconnect from every server and unregister their tools.
+   */
+  async closeAll() {
+    this.closing = true;
+    await Promise.all([...this.connections.values()].map(async conn => {
+      this._unregister(conn);
+      if (conn.client) await conn.client.close().catch(() => {});
+      conn.client = null;
+      conn.status = 'closed';
+    }));
+  }
+
+  /**
+   * @returns {Array<{name: string, transport: string, status: string, error: string|null, tools: string[]}>}
+   */
+  list() {
+    return [...this.connections.entries()].map(([name, conn]) => ({
+      name,
+      transport: conn.config.command ? 'stdio' : 'http',
+      status: conn.status,
+      error: conn.error,
+      tools: [...conn.tools],
+    }));
+  }
+}
+
+// Singleton instance — set by index.js
+let _instance = null;
+McpManager.setInstance = (inst) => { _instance = inst; return inst; };
+McpManager.getInstance = () => _instance;
+
+module.exports = { McpManager, mcpToolName, interpolateEnv };
@@ -10,6 +10,8 @@ const { appendDailyMemory, appendUserMemory } = require('./memory-files');
 const logger = require('./logger');
 const config = require('./config');
 const { withRetry } = require('./utils/retry');
+const { recorded } = require('./thinking/trace');
+const { recordUsage } = require('./utils/usage');
 
 const openai = new OpenAI({ apiKey: config.openaiApiKey });
 
@@ -51,6 +53,7 @@ async function getEmbedding(text) {
     model: 'text-embedding-3-small',
     input: text.slice(0, 8000),
   }), { label: 'embedding' });
+  recordUsage({ kind: 'embedding', model: 'text-embedding-3-small', usage: res.usage });
   const embedding = new Float32Array(res.data[0].embedding);
   embeddingCache.set(key, embedding);
   return embedding;
@@ -339,6 +342,7 @@ Return ONLY a valid JSON array, nothing else.`
       ],
     });
 
+    recordUsage({ kind: 'chat', model: config.miniModel, usage: res.usage });
     const text = res.choices[0]?.message?.content || '[]';
     const jsonMatch = text.match(/\[[\s\S]*\]/);
     if (!jsonMatch) return [];
@@ -355,4 +359,10 @@ Return ONLY a valid JSON array, nothing else.`
   }
 }
 
-module.exports = { storeMemory, searchMemory, hybridSearch, extractFacts, getEmbedding, LRUCache, pruneByAge, isDuplicate, cosineSimilarity, float32ToBuffer, bufferToFloat32 };
+module.exports = {
+  storeMemory,
+  // Search results made during a pipeline run are recorded on its trace for offline replay
+  searchMemory: recorded('memory.searchMemory', searchMemory),
+  hybridSearch: recorded('memory.hybridSearch', hybridSearch),
+  extractFacts, getEmbedding, LRUCache, pruneByAge, isDuplicate, cosineSimilarity, float32ToBuffer, bufferToFloat32,
+};
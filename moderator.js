@@ -1,13 +1,15 @@
 /**
  * @module moderator
  * @description Content moderation using OpenAI's omni-moderation-latest model.
- * Checks both inbound messages and outbound responses for policy violations.
+ * Checks both inbound messages and outbound responses for policy violations, and the
+ * text of attached documents before it is indexed.
  */
 
 const OpenAI = require('openai');
 const config = require('./config');
 const logger = require('./logger');
 const { getDb } = require('./db');
+const { recordUsage } = require('./utils/usage');
 
 const openai = new OpenAI({ apiKey: config.openaiApiKey });
 const db = getDb();
@@ -29,6 +31,28 @@ const insertLogStmt = db.prepare(
 );
 
 const FLAGGED_CATEGORIES = ['hate', 'harassment', 'self-harm', 'sexual', 'violence', 'illicit', 'illicit/violent'];
+// Texts per moderation request when checking many at once (a document's chunks)
+const TEXT_BATCH = 32;
+
+/**
+ * Flagged categories and their scores from one moderation result.
+ * @returns {{categories: string[], scores: Object}}
+ */
+function flaggedCategories(res) {
+  const categories = [];
+  const scores = {};
+  for (const cat of FLAGGED_CATEGORIES) {
+    for (const [key, flagged] of Object.entries(res.categories)) {
+      if (key === cat || key.startsWith(cat + '/')) {
+        if (flagged && !categories.includes(cat)) categories.push(cat);
+      }
+    }
+    for (const [key, score] of Object.entries(res.category_scores)) {
+      if (key === cat || key.startsWith(cat + '/')) scores[key] = score;
+    }
+  }
+  return { categories, scores };
+}
 
 /**
  * Moderate content using omni-moderation-latest (supports text + images).
@@ -59,20 +83,8 @@ async function moderate(content, imageUrls = []) {
       input: input.length === 1 && input[0].type === 'text' ? content : input,
     });
 
-    const res = result.results[0];
-    const flaggedCats = [];
-    const scores = {};
-
-    for (const cat of FLAGGED_CATEGORIES) {
-      for (const [key, flagged] of Object.entries(res.categories)) {
-        if (key === cat || key.startsWith(cat + '/')) {
-          if (flagged && !flaggedCats.includes(cat)) flaggedCats.push(cat);
-        }
-      }
-      for (const [key, score] of Object.entries(res.category_scores)) {
-        if (key === cat || key.startsWith(cat + '/')) scores[key] = score;
-      }
-    }
+    recordUsage({ kind: 'moderation', model: 'omni-moderation-latest' });
+    const { categories: flaggedCats, scores } = flaggedCategories(result.results[0]);
 
     const safe = flaggedCats.length === 0;
     if (!safe) {
@@ -96,6 +108,44 @@ async function checkMessage(message, imageUrls = []) {
   return { safe: result.safe, result };
 }
 
+/**
+ * Moderate many texts, such as a document's chunks, in a few batched requests.
+ * @param {string[]} texts
+ * @returns {Promise<{safe: boolean, categories: string[]}>} Unsafe when any text is flagged
+ */
+async function moderateTexts(texts) {
+  const inputs = texts.filter(text => text && text.trim().length >= 2);
+  if (!config.moderationEnabled || inputs.length === 0) return { safe: true, categories: [] };
+  const categories = new Set();
+  try {
+    for (let i = 0; i < inputs.length; i += TEXT_BATCH) {
+      const result = await openai.moderations.create({ model: 'omni-moderation-latest', input: inputs.slice(i, i + TEXT_BATCH) });
+      recordUsage({ kind: 'moderation', model: 'omni-moderation-latest' });
+      for (const res of result.results) flaggedCategories(res).categories.forEach(cat => categories.add(cat));
+      // One flagged chunk is enough to refuse the document
+      if (categories.size > 0) break;
+    }
+  } catch (err) {
+    logger.error('Moderator', 'API error:', { error: err.message, stack: err.stack });
+    return { safe: true, categories: [] };
+  }
+  return { safe: categories.size === 0, categories: [...categories] };
+}
+
+/**
+ * Moderate the text of an attached document before it is indexed.
+ * @param {string[]} texts - Its chunks
+ * @param {{name: string, userId?: string, channelId: string}} doc
+ */
+async function checkDocument(texts, { name, userId, channelId }) {
+  const result = await moderateTexts(texts);
+  if (!result.safe) {
+    logger.warn('Moderator', `Flagged document ${name} from ${userId}: [${result.categories.join(', ')}]`);
+    insertLogStmt.run(userId || null, channelId, name.slice(0, 200), JSON.stringify(result.categories), 'blocked_document');
+  }
+  return { safe: result.safe, result };
+}
+
 async function checkOutput(content, channelId) {
   const result = await moderate(content);
   if (!result.safe) {
@@ -105,4 +155,4 @@ async function checkOutput(content, channelId) {
   return { safe: result.safe, result };
 }
 
-module.exports = { moderateInput: moderate, moderateOutput: moderate, checkMessage, checkOutput };
+module.exports = { moderateInput: moderate, moderateOutput: moderate, moderateTexts, checkMessage, checkDocument, checkOutput };
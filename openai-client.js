@@ -1,7 +1,8 @@
 /**
  * @module openai-client
  * @description OpenAI API client wrapper. Provides chat completion, image generation,
- * structured thinking (JSON mode), and raw completion with tool calling support.
+ * structured thinking (JSON mode), and raw completion with tool calling support
+ * (buffered or streamed). Every call's token usage is written to the usage ledger.
  */
 
 const OpenAI = require('openai');
@@ -9,6 +10,8 @@ const OpenAI = require('openai');
 const logger = require('./logger');
 const { withRetry } = require('./utils/retry');
 const { CircuitBreaker } = require('./utils/circuit-breaker');
+const { recorded } = require('./thinking/trace');
+const { recordUsage } = require('./utils/usage');
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const openaiBreaker = new CircuitBreaker('openai', { failureThreshold: 3, resetTimeout: 30000 });
@@ -26,6 +29,24 @@ const SEARCH_TOOL = {
   },
 };
 
+/** SDK request options: pass the cancellation signal through so an abort closes the HTTP request. */
+function requestOptions(opts) {
+  return opts.signal ? { signal: opts.signal } : undefined;
+}
+
+/**
+ * Run a request, surfacing an abort as the signal's CancelledError (instead of the
+ * SDK's abort error) so retries and the circuit breaker ignore it.
+ */
+async function cancellable(fn, signal) {
+  try {
+    return await fn();
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    throw err;
+  }
+}
+
 /**
  * Generate a chat completion response.
  * Content can be a string or an array (for vision messages).
@@ -50,6 +71,7 @@ async function generateResponse(messages, config = {}) {
     }
 
     let completion = await withRetry(() => openaiBreaker.execute(() => openai.chat.completions.create(params)), { label: 'chat-completion' });
+    recordUsage({ kind: 'chat', model: params.model, usage: completion.usage });
     let responseMsg = completion.choices[0]?.message;
 
     // Handle tool calls (max 3 iterations)
@@ -84,6 +106,7 @@ async function generateResponse(messages, config = {}) {
       }
 
       completion = await withRetry(() => openaiBreaker.execute(() => openai.chat.completions.create(params)), { label: 'chat-completion-tool-followup' });
+      recordUsage({ kind: 'chat', model: params.model, usage: completion.usage });
       responseMsg = completion.choices[0]?.message;
     }
 
@@ -111,6 +134,7 @@ async function generateImage(prompt, size = '1024x1024') {
     size,
     n: 1,
   }), { label: 'image-generation' });
+  recordUsage({ kind: 'image', model: 'gpt-image-1', usage: response.usage, images: 1 });
 
   // gpt-image-1 returns base64 by default
   const imageData = response.data[0];
@@ -129,16 +153,18 @@ async function generateImage(prompt, size = '1024x1024') {
  * Call a model with JSON mode for structured output (used by thinking layer).
  * @param {Array} messages - OpenAI message array
  * @param {string} model - Model to use
+ * @param {Object} [opts] - {maxTokens} (default 300)
  * @returns {string} raw response text
  */
-async function thinkWithModel(messages, model = 'gpt-4.1-mini') {
+async function thinkWithModel(messages, model = 'gpt-4.1-mini', opts = {}) {
   const completion = await withRetry(() => openaiBreaker.execute(() => openai.chat.completions.create({
     model,
     messages,
     temperature: 0.2,
-    max_completion_tokens: 300,
+    max_completion_tokens: opts.maxTokens || 300,
     response_format: { type: 'json_object' },
   })), { label: 'think-model' });
+  recordUsage({ kind: 'think', model, usage: completion.usage });
   return completion.choices[0]?.message?.content || '';
 }
 
@@ -147,7 +173,7 @@ async function thinkWithModel(messages, model = 'gpt-4.1-mini') {
  * Returns the raw message object (with potential tool_calls).
  * @param {Array} messages - OpenAI message array
  * @param {Array} tools - OpenAI tools array (empty = no tools)
- * @param {Object} opts - {model, temperature, maxTokens}
+ * @param {Object} opts - {model, temperature, maxTokens, signal}
  * @returns {Object} message object with .content and optional .tool_calls
  */
 async function createChatCompletion(messages, tools = [], opts = {}) {
@@ -163,7 +189,8 @@ async function createChatCompletion(messages, tools = [], opts = {}) {
     params.tool_choice = 'auto';
   }
 
-  const completion = await withRetry(() => openaiBreaker.execute(() => openai.chat.completions.create(params)), { label: 'chat-completion-raw' });
+  const completion = await withRetry(() => openaiBreaker.execute(() => cancellable(() => openai.chat.completions.create(params, requestOptions(opts)), opts.signal)), { label: 'chat-completion-raw' });
+  recordUsage({ kind: 'chat', model: params.model, usage: completion.usage });
   const msg = completion.choices[0]?.message;
   return {
     content: msg?.content || '',
@@ -171,4 +198,68 @@ async function createChatCompletion(messages, tools = [], opts = {}) {
   };
 }
 
-module.exports = { generateResponse, generateImage, thinkWithModel, createChatCompletion };
+/**
+ * Streaming variant of createChatCompletion. Text deltas are passed to onDelta as
+ * they arrive; tool call fragments are accumulated. Only the initial request is
+ * retried — a stream that fails midway throws.
+ * @param {Array} messages - OpenAI message array
+ * @param {Array} tools - OpenAI tools array (empty = no tools)
+ * @param {Object} opts - {model, temperature, maxTokens, signal}
+ * @param {Function} [onDelta] - (textSoFar, delta) => void, called for each content chunk
+ * @returns {Object} message object with .content and optional .tool_calls
+ */
+async function streamChatCompletion(messages, tools = [], opts = {}, onDelta) {
+  const params = {
+    model: opts.model || process.env.MODEL || 'gpt-5.2',
+    messages,
+    temperature: opts.temperature ?? 0.8,
+    max_completion_tokens: opts.maxTokens || 1000,
+    stream: true,
+    stream_options: { include_usage: true }, // usage arrives on the final chunk
+  };
+
+  if (tools && tools.length > 0) {
+    params.tools = tools;
+    params.tool_choice = 'auto';
+  }
+
+  const stream = await withRetry(() => openaiBreaker.execute(() => cancellable(() => openai.chat.completions.create(params, requestOptions(opts)), opts.signal)), { label: 'chat-completion-stream' });
+
+  let content = '';
+  let usage = null;
+  const toolCalls = [];
+  await cancellable(async () => {
+    for await (const chunk of stream) {
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices[0]?.delta;
+      if (!delta) continue;
+      if (delta.content) {
+        content += delta.content;
+        if (onDelta) {
+          try { onDelta(content, delta.content); } catch (err) { logger.warn('OpenAI', `Stream delta handler error: ${err.message}`); }
+        }
+      }
+      for (const tc of delta.tool_calls || []) {
+        const entry = toolCalls[tc.index] || (toolCalls[tc.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+        if (tc.id) entry.id = tc.id;
+        if (tc.function?.name) entry.function.name += tc.function.name;
+        if (tc.function?.arguments) entry.function.arguments += tc.function.arguments;
+      }
+    }
+  }, opts.signal);
+  recordUsage({ kind: 'chat', model: params.model, usage });
+
+  return {
+    content,
+    tool_calls: toolCalls.length > 0 ? toolCalls.filter(Boolean) : null,
+  };
+}
+
+// Responses made during a pipeline run are recorded on its trace for offline replay
+module.exports = {
+  generateResponse: recorded('openai.generateResponse', generateResponse),
+  generateImage,
+  thinkWithModel: recorded('openai.thinkWithModel', thinkWithModel),
+  createChatCompletion: recorded('openai.createChatCompletion', createChatCompletion),
+  streamChatCompletion: recorded('openai.streamChatCompletion', streamChatCompletion),
+};
@@ -0,0 +1,294 @@
+/**
+ * @module reminders
+ * @description Reminders ("remind me in 2 hours to check the build"). Each reminder is a
+ * row in the SQLite `reminders` table, so it survives restarts, and is delivered by the
+ * ReminderScheduler as a ping to its owner in the channel or thread it was set in.
+ * Recurring reminders (hourly, daily, weekdays, weekly, monthly, yearly or "every 3 days")
+ * move to their next occurrence after each delivery, keeping the wall-clock time in the
+ * reminder's timezone across daylight saving changes. Each user may hold
+ * `REMINDERS_PER_USER` reminders.
+ */
+
+const config = require('./config');
+const logger = require('./logger');
+const {
+  insertReminder, getReminder, getUserReminders, countUserReminders, getDueReminders, rescheduleReminder, failReminder, deleteReminder,
+} = require('./db');
+const { resolveZone, parseDate, parseDuration, addDuration, toWall, formatDuration } = require('./tools/lib/datetime');
+
+const MAX_MESSAGE_LENGTH = 1000;
+// Reminders further out than this are refused
+const MAX_AHEAD_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+// A reminder that fails to send this many times in a row is dropped
+const MAX_FAILURES = 5;
+const RETRY_DELAY_MS = 60 * 1000;
+// Discord errors meaning the channel is gone for good: Unknown Channel, Missing Access
+const GONE_CHANNEL_CODES = [10003, 50001];
+
+/** Named schedules; "weekdays" skips Saturday and Sunday. */
+const REPEATS = {
+  hourly: { ms: 60 * 60 * 1000, days: 0, months: 0 },
+  daily: { ms: 0, days: 1, months: 0 },
+  weekdays: { ms: 0, days: 1, months: 0 },
+  weekly: { ms: 0, days: 7, months: 0 },
+  monthly: { ms: 0, days: 0, months: 1 },
+  yearly: { ms: 0, days: 0, months: 12 },
+};
+
+/** A reminder request that can't be honored; the message is meant for the user. */
+class ReminderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReminderError';
+  }
+}
+
+/**
+ * Normalize and validate a repeat schedule.
+ * @param {string|null|undefined} repeat - "daily", "weekdays", "every 2 hours", "3d", …
+ * @returns {string|null} The stored form ("daily", "2 hours"), or null for one-off reminders
+ * @throws {ReminderError}
+ */
+function normalizeRepeat(repeat) {
+  const text = String(repeat || '').trim().toLowerCase().replace(/^every\s+/, '');
+  if (!text || text === 'none' || text === 'never' || text === 'once') return null;
+  if (REPEATS[text]) return text;
+  const named = { hour: 'hourly', day: 'daily', weekday: 'weekdays', week: 'weekly', month: 'monthly', year: 'yearly' }[text];
+  if (named) return named;
+
+  let step;
+  try {
+    step = parseDuration(text);
+  } catch {
+    throw new ReminderError(`Unknown repeat "${repeat}" (use hourly, daily, weekdays, weekly, monthly, yearly or an interval like "every 3 days")`);
+  }
+  const approxMs = step.ms + step.days * 86400000 + step.months * 30 * 86400000;
+  if (approxMs < config.reminderMinRepeatMinutes * 60 * 1000) {
+    throw new ReminderError(`Reminders can repeat at most every ${config.reminderMinRepeatMinutes} minutes`);
+  }
+  return text;
+}
+
+function repeatStep(repeat) {
+  return REPEATS[repeat] || parseDuration(repeat);
+}
+
+/** Move Saturday and Sunday occurrences of a "weekdays" reminder to Monday. */
+function skipWeekend(ms, zone) {
+  let next = ms;
+  while ([0, 6].includes(toWall(zone, next).weekday)) next = addDuration(next, REPEATS.weekdays, zone);
+  return next;
+}
+
+function zoneFor(reminder) {
+  return resolveZone(reminder.timezone || 'UTC') || resolveZone('UTC');
+}
+
+/**
+ * The first occurrence of a recurring reminder after `after`. Occurrences missed while
+ * the bot was down are skipped rather than delivered in a burst.
+ * @param {{due_at: number, repeat: string, timezone?: string}} reminder
+ * @param {number} [after] - Epoch ms
+ * @returns {number} Epoch ms
+ */
+function nextOccurrence(reminder, after = Date.now()) {
+  const step = repeatStep(reminder.repeat);
+  const zone = zoneFor(reminder);
+  let next = reminder.due_at;
+  // Fixed-length intervals jump straight past `after`
+  if (!step.days && !step.months) {
+    return next + (Math.floor(Math.max(0, after - next) / step.ms) + 1) * step.ms;
+  }
+  for (let i = 0; i < 10000 && next <= after; i++) next = addDuration(next, step, zone);
+  return reminder.repeat === 'weekdays' ? skipWeekend(next, zone) : next;
+}
+
+/**
+ * Create a reminder.
+ * @param {Object} opts
+ * @param {string} opts.userId - Who gets pinged
+ * @param {string|null} opts.guildId
+ * @param {string} opts.channelId - Channel or thread to deliver in
+ * @param {string} opts.when - "in 2 hours", "tomorrow 9am", "Friday 18:00 Europe/Berlin", ISO…
+ * @param {string} opts.message - What to remind about
+ * @param {string} [opts.repeat] - See normalizeRepeat
+ * @param {string} [opts.timezone] - Zone for times in `when` that don't name one (default UTC)
+ * @param {number} [opts.now] - Reference time (tests)
+ * @returns {Object} The stored reminder row
+ * @throws {ReminderError} On bad input or when the user is at their limit
+ */
+function createReminder({ userId, guildId, channelId, when, message, repeat, timezone, now = Date.now() }) {
+  const text = String(message || '').trim();
+  if (!text) throw new ReminderError('What should I remind you about? The message is empty.');
+  if (text.length > MAX_MESSAGE_LENGTH) throw new ReminderError(`Reminder text is too long (max ${MAX_MESSAGE_LENGTH} chars)`);
+  if (!when || !String(when).trim()) throw new ReminderError('When should I remind you? Give a time like "in 2 hours" or "tomorrow 9am".');
+
+  let zone = resolveZone('UTC');
+  if (timezone) {
+    zone = resolveZone(timezone);
+    if (!zone) throw new ReminderError(`Unknown timezone "${timezone}"`);
+  }
+  let parsed;
+  try {
+    parsed = parseDate(String(when).trim(), { zone, now });
+  } catch (err) {
+    throw new ReminderError(err.message);
+  }
+  const schedule = normalizeRepeat(repeat);
+  const dueAt = schedule === 'weekdays' ? skipWeekend(parsed.ms, parsed.zone) : parsed.ms;
+  if (dueAt <= now) throw new ReminderError('That time has already passed.');
+  if (dueAt - now > MAX_AHEAD_MS) throw new ReminderError('Reminders can be set at most 5 years ahead.');
+
+  if (countUserReminders(userId) >= config.reminderMaxPerUser) {
+    throw new ReminderError(`You already have ${config.reminderMaxPerUser} reminders. Cancel one with /reminders cancel first.`);
+  }
+
+  const id = insertReminder({ userId, guildId, channelId, message: text, dueAt, repeat: schedule, timezone: parsed.zone.name });
+  logger.info('Reminders', `User ${userId} set reminder #${id} for ${new Date(dueAt).toISOString()}${schedule ? ` (repeats ${schedule})` : ''}`);
+  return getReminder(id);
+}
+
+/**
+ * @param {string} userId
+ * @returns {Object[]} The user's reminders, soonest first
+ */
+function listReminders(userId) {
+  return getUserReminders(userId);
+}
+
+/**
+ * Cancel one of a user's reminders.
+ * @param {string} userId
+ * @param {number} id
+ * @returns {boolean} Whether it existed and belonged to the user
+ */
+function cancelReminder(userId, id) {
+  const removed = deleteReminder(Number(id), userId);
+  if (removed) logger.info('Reminders', `User ${userId} cancelled reminder #${id}`);
+  return removed;
+}
+
+/** "daily" / "every 3 days" */
+function describeRepeat(repeat) {
+  if (!repeat) return null;
+  if (REPEATS[repeat]) return repeat;
+  const step = parseDuration(repeat);
+  const ms = step.ms + step.days * 86400000;
+  return step.months ? `every ${repeat}` : `every ${formatDuration(ms)}`;
+}
+
+/**
+ * One line describing a reminder, with Discord timestamp markup.
+ * @param {Object} reminder - Row from the reminders table
+ * @returns {string}
+ */
+function formatReminder(reminder) {
+  const unix = Math.floor(reminder.due_at / 1000);
+  const repeat = describeRepeat(reminder.repeat);
+  return `**#${reminder.id}** <t:${unix}:f> (<t:${unix}:R>)${repeat ? ` 🔁 ${repeat}` : ''} in <#${reminder.channel_id}> — ${reminder.message.slice(0, 200)}`;
+}
+
+class ReminderScheduler {
+  /**
+   * @param {import('discord.js').Client} client
+   * @param {Object} [opts]
+   * @param {number} [opts.pollMs] - How often to look for due reminders
+   */
+  constructor(client, { pollMs = 15000 } = {}) {
+    this.client = client;
+    this.pollMs = pollMs;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    this.timer.unref();
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Deliver everything that is due. Overlapping ticks are skipped.
+   * @param {number} [now]
+   * @returns {Promise<number>} Reminders delivered
+   */
+  async tick(now = Date.now()) {
+    if (this.running) return 0;
+    this.running = true;
+    let delivered = 0;
+    try {
+      for (const reminder of getDueReminders(now)) {
+        if (await this.deliver(reminder, now)) delivered++;
+      }
+    } catch (err) {
+      logger.error('Reminders', 'Scheduler tick failed:', err);
+    } finally {
+      this.running = false;
+    }
+    return delivered;
+  }
+
+  /**
+   * Send one reminder, then delete it or move it to its next occurrence.
+   * @returns {Promise<boolean>} Whether it was sent
+   */
+  async deliver(reminder, now = Date.now()) {
+    const next = reminder.repeat ? nextOccurrence(reminder, now) : null;
+    try {
+      const channel = await this.client.channels.fetch(reminder.channel_id);
+      if (!channel?.isTextBased?.()) throw Object.assign(new Error('Not a text channel'), { code: 10003 });
+      if (channel.isThread?.() && channel.archived) await channel.setArchived(false).catch(() => {});
+
+      const footer = next
+        ? `\n-# 🔁 Repeats ${describeRepeat(reminder.repeat)} · next <t:${Math.floor(next / 1000)}:R> · stop with \`/reminders cancel id:${reminder.id}\``
+        : `\n-# Set <t:${Math.floor(reminder.created_at / 1000)}:R>`;
+      await channel.send({
+        content: `⏰ <@${reminder.user_id}> ${reminder.message}${footer}`,
+        allowedMentions: { users: [reminder.user_id] },
+      });
+    } catch (err) {
+      if (GONE_CHANNEL_CODES.includes(err.code)) {
+        deleteReminder(reminder.id);
+        logger.warn('Reminders', `Dropped reminder #${reminder.id}: channel ${reminder.channel_id} is gone (${err.message})`);
+        return false;
+      }
+      const failures = failReminder(reminder.id, now + RETRY_DELAY_MS);
+      if (failures >= MAX_FAILURES) {
+        deleteReminder(reminder.id);
+        logger.error('Reminders', `Dropped reminder #${reminder.id} after ${failures} failed deliveries:`, err);
+      } else {
+        logger.warn('Reminders', `Reminder #${reminder.id} failed to send (attempt ${failures}): ${err.message}`);
+      }
+      return false;
+    }
+
+    if (next) rescheduleReminder(reminder.id, next);
+    else deleteReminder(reminder.id);
+    logger.info('Reminders', `Delivered reminder #${reminder.id} to ${reminder.user_id} in ${reminder.channel_id}`);
+    return true;
+  }
+}
+
+// Singleton instance — set by index.js
+let _instance = null;
+ReminderScheduler.setInstance = (inst) => { _instance = inst; return inst; };
+ReminderScheduler.getInstance = () => _instance;
+
+module.exports = {
+  ReminderScheduler,
+  ReminderError,
+  createReminder,
+  listReminders,
+  cancelReminder,
+  normalizeRepeat,
+  nextOccurrence,
+  formatReminder,
+  describeRepeat,
+  REPEATS,
+};
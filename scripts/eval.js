@@ -0,0 +1,251 @@
+/**
+ * @module scripts/eval
+ * @description Offline evaluation of the Layer 1 relevance gate and the Layer 2 intent/tone
+ * heuristics against a labeled JSONL dataset. Reports accuracy, per-label precision/recall,
+ * confusion matrices and per-rule hit rates, so heuristic tweaks (e.g. a new LOW_VALUE word)
+ * can be checked for regressions before they ship.
+ *
+ * Usage:
+ *   node scripts/eval.js                          # tests/eval/gate-intent.jsonl
+ *   node scripts/eval.js --file my-cases.jsonl
+ *   node scripts/eval.js --json                   # machine-readable report
+ *   node scripts/eval.js --fail-under 0.9         # exit 1 if any accuracy drops below 0.9
+ *
+ * Dataset format — one JSON object per line, every `expect` key optional:
+ *   {"id":"filler-lol","content":"lol","context":{"inThread":false},
+ *    "previousIntent":null,"llm":{"engage":false,"reason":"filler"},
+ *    "expect":{"engage":false,"intent":"general","tone":"neutral"}}
+ *
+ * `context` holds the gate flags (mentionsBot, repliesToBot, inThread, botRecentlySpokeInChannel,
+ * channelId, gptChannelId). `llm` is what the stubbed thinkWithModel returns if the gate falls
+ * through to its LLM path (an object is JSON-encoded, a string is returned as-is).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+// Modules construct OpenAI clients at load time — a placeholder key is enough since no request is sent
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'eval-offline';
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_DATASET = path.join(ROOT, 'tests/eval/gate-intent.jsonl');
+const DEFAULT_LLM_REPLY = { engage: false, reason: 'Eval stub (no llm label)', confidence: 0.5 };
+
+/**
+ * Parse a JSONL dataset. Blank lines are skipped.
+ * @param {string} file - Path to the .jsonl file
+ * @returns {Object[]} Cases
+ */
+function loadDataset(file) {
+  const lines = fs.readFileSync(file, 'utf-8').split('\n');
+  const cases = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${path.basename(file)}:${i + 1}: invalid JSON (${err.message})`);
+    }
+    if (typeof item.content !== 'string') throw new Error(`${path.basename(file)}:${i + 1}: missing "content"`);
+    cases.push({ id: item.id || `line-${i + 1}`, context: {}, expect: {}, ...item });
+  });
+  return cases;
+}
+
+/**
+ * Accuracy, confusion matrix and per-label precision/recall/F1.
+ * @param {Array<{expected: string, actual: string}>} pairs
+ */
+function classMetrics(pairs) {
+  const labels = [...new Set(pairs.flatMap(p => [p.expected, p.actual]))].sort();
+  const matrix = {}; // matrix[expected][actual] = count
+  for (const l of labels) matrix[l] = Object.fromEntries(labels.map(a => [a, 0]));
+  for (const p of pairs) matrix[p.expected][p.actual]++;
+
+  const perLabel = {};
+  for (const l of labels) {
+    const tp = matrix[l][l];
+    const predicted = labels.reduce((n, e) => n + matrix[e][l], 0);
+    const support = labels.reduce((n, a) => n + matrix[l][a], 0);
+    const precision = predicted ? tp / predicted : null;
+    const recall = support ? tp / support : null;
+    const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : (precision === null || recall === null ? null : 0);
+    perLabel[l] = { precision, recall, f1, support, predicted };
+  }
+
+  const correct = pairs.filter(p => p.expected === p.actual).length;
+  return { total: pairs.length, correct, accuracy: pairs.length ? correct / pairs.length : null, labels, matrix, perLabel };
+}
+
+/**
+ * How often each heuristic rule fired and how often it was right.
+ * @param {Array<{rule: string, expected: string, actual: string}>} rows
+ */
+function ruleMetrics(rows) {
+  const rules = {};
+  for (const r of rows) {
+    const entry = rules[r.rule] || (rules[r.rule] = { fired: 0, correct: 0, expected: {} });
+    entry.fired++;
+    if (r.expected === r.actual) entry.correct++;
+    entry.expected[r.expected] = (entry.expected[r.expected] || 0) + 1;
+  }
+  for (const entry of Object.values(rules)) entry.precision = entry.correct / entry.fired;
+  return rules;
+}
+
+/**
+ * Run every case through the gate and intent heuristics.
+ * Must run in a fresh process — it stubs openai-client in the require cache.
+ * @param {Object[]} cases - From loadDataset()
+ * @returns {Promise<Object>} Report with gate/intent/tone metrics and failures
+ */
+async function evaluate(cases) {
+  let current = null;
+  let llmCalls = 0;
+
+  const clientPath = require.resolve(path.join(ROOT, 'openai-client.js'));
+  const stub = new Module(clientPath, module);
+  stub.filename = clientPath;
+  stub.loaded = true;
+  stub.exports = {
+    thinkWithModel: async () => {
+      llmCalls++;
+      const reply = current.llm === undefined ? DEFAULT_LLM_REPLY : current.llm;
+      return typeof reply === 'string' ? reply : JSON.stringify(reply);
+    },
+  };
+  require.cache[clientPath] = stub;
+
+  const { relevanceGate } = require(path.join(ROOT, 'thinking/layer1-gate'));
+  const { classifyIntent, detectTone } = require(path.join(ROOT, 'thinking/layer2-intent'));
+
+  const gateRows = [], intentRows = [], toneRows = [], failures = [];
+
+  for (const item of cases) {
+    current = item;
+    const { expect } = item;
+
+    if (expect.engage !== undefined) {
+      const gate = await relevanceGate({ content: item.content }, {
+        userName: 'eval', botId: 'eval-bot', channelId: 'eval', gptChannelId: 'eval-gpt', ...item.context,
+      });
+      const row = { id: item.id, rule: gate.rule, expected: expect.engage ? 'engage' : 'ignore', actual: gate.engage ? 'engage' : 'ignore' };
+      gateRows.push(row);
+      if (row.expected !== row.actual) failures.push({ ...row, kind: 'gate', content: item.content });
+    }
+
+    if (expect.intent !== undefined) {
+      const cls = classifyIntent(item.content, item.previousIntent || null);
+      const row = { id: item.id, rule: cls.rule, expected: expect.intent, actual: cls.intent };
+      intentRows.push(row);
+      if (row.expected !== row.actual) failures.push({ ...row, kind: 'intent', content: item.content });
+    }
+
+    if (expect.tone !== undefined) {
+      const tone = detectTone(item.content);
+      const row = { id: item.id, rule: tone, expected: expect.tone, actual: tone };
+      toneRows.push(row);
+      if (row.expected !== row.actual) failures.push({ ...row, kind: 'tone', content: item.content });
+    }
+  }
+
+  return {
+    cases: cases.length,
+    llmCalls,
+    gate: { ...classMetrics(gateRows), rules: ruleMetrics(gateRows) },
+    intent: { ...classMetrics(intentRows), rules: ruleMetrics(intentRows) },
+    tone: classMetrics(toneRows),
+    failures,
+  };
+}
+
+const pct = (v) => (v === null || v === undefined ? '   —' : `${(v * 100).toFixed(0)}%`.padStart(4));
+
+function formatMatrix({ labels, matrix }) {
+  const width = Math.max(8, ...labels.map(l => l.length)) + 1;
+  const cell = Math.max(4, ...labels.map(l => l.slice(0, 6).length)) + 1;
+  const lines = [`  ${'expected \\ actual'.padEnd(width)}${labels.map(l => l.slice(0, 6).padStart(cell)).join('')}`];
+  for (const e of labels) {
+    lines.push(`  ${e.padEnd(width)}${labels.map(a => String(matrix[e][a] || '·').padStart(cell)).join('')}`);
+  }
+  return lines.join('\n');
+}
+
+function formatSection(title, metrics) {
+  const lines = [`${title}: ${metrics.correct}/${metrics.total} correct (${pct(metrics.accuracy).trim()})`];
+  lines.push('  label               precision  recall    f1  support');
+  for (const [label, m] of Object.entries(metrics.perLabel)) {
+    lines.push(`  ${label.padEnd(20)}${pct(m.precision).padStart(9)}${pct(m.recall).padStart(8)}${pct(m.f1).padStart(6)}${String(m.support).padStart(9)}`);
+  }
+  lines.push('', formatMatrix(metrics));
+  if (metrics.rules) {
+    lines.push('', '  rule                    fired  precision  expected');
+    const sorted = Object.entries(metrics.rules).sort((a, b) => b[1].fired - a[1].fired);
+    for (const [rule, r] of sorted) {
+      const expected = Object.entries(r.expected).map(([l, n]) => `${l}×${n}`).join(', ');
+      lines.push(`  ${rule.padEnd(24)}${String(r.fired).padStart(5)}${pct(r.precision).padStart(11)}  ${expected}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a report as plain text.
+ * @param {Object} report - From evaluate()
+ * @returns {string}
+ */
+function formatReport(report) {
+  const out = [
+    `Evaluated ${report.cases} cases (${report.llmCalls} gate LLM fallbacks, stubbed)`,
+    '',
+    formatSection('Gate', report.gate),
+    '',
+    formatSection('Intent', report.intent),
+    '',
+    formatSection('Tone', report.tone),
+  ];
+  if (report.failures.length) {
+    out.push('', `Misses (${report.failures.length}):`);
+    for (const f of report.failures) {
+      out.push(`  [${f.kind}] ${f.id}: expected ${f.expected}, got ${f.actual} (rule ${f.rule}) — "${f.content.slice(0, 60)}"`);
+    }
+  }
+  return out.join('\n');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fileIdx = args.indexOf('--file');
+  const file = fileIdx !== -1 ? args[fileIdx + 1] : DEFAULT_DATASET;
+  if (!file) throw new Error('--file needs a path');
+  const floorIdx = args.indexOf('--fail-under');
+  const floor = floorIdx !== -1 ? parseFloat(args[floorIdx + 1]) : null;
+  if (floorIdx !== -1 && !(floor >= 0 && floor <= 1)) throw new Error('--fail-under needs a ratio between 0 and 1');
+
+  const report = await evaluate(loadDataset(file));
+  console.log(args.includes('--json') ? JSON.stringify(report, null, 2) : formatReport(report));
+
+  if (floor !== null) {
+    const below = ['gate', 'intent', 'tone'].filter(k => report[k].accuracy !== null && report[k].accuracy < floor);
+    if (below.length) {
+      console.error(`Accuracy below ${floor} for: ${below.join(', ')}`);
+      return 1;
+    }
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  // Silence heuristic logging on the console unless asked for
+  if (!process.env.LOG_LEVEL) process.env.LOG_LEVEL = 'error';
+  main()
+    .then((code) => process.exit(code))
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { evaluate, loadDataset, classMetrics, ruleMetrics, formatReport };
@@ -0,0 +1,256 @@
+/**
+ * @module scripts/replay
+ * @description Offline replay of a recorded pipeline trace. Feeds the recorded message,
+ * context flags and channel context snapshot back through ThinkingOrchestrator with the
+ * OpenAI client, memory search and tools swapped for the responses recorded in the trace,
+ * so a bad answer can be reproduced deterministically with no network access.
+ *
+ * Usage:
+ *   node scripts/replay.js <messageId>           # load trace from llmhub.db
+ *   node scripts/replay.js --file trace.json     # load trace exported by /trace
+ *   node scripts/replay.js <messageId> --diff    # compare replay against the recording
+ *   node scripts/replay.js <messageId> --json    # print the replayed trace as JSON
+ *
+ * User profiles and settings are still read from the local database, and reflection
+ * is not replayed (it only writes).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+
+// Modules construct OpenAI clients at load time — a placeholder key is enough since no request is sent
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'replay-offline';
+
+const ROOT = path.join(__dirname, '..');
+const LOAD_LEVEL_DEPTH = { 1: 0, 2: 11, 3: 26, 4: 41 }; // queue depth that reproduces getLoadLevel()
+
+/**
+ * Replace a module's exports before anything else requires it.
+ * @param {string} relPath - Path relative to the repo root
+ * @param {Object} exports - Exports to serve
+ */
+function stubModule(relPath, exports) {
+  const resolved = require.resolve(path.join(ROOT, relPath));
+  const mod = new Module(resolved, module);
+  mod.filename = resolved;
+  mod.loaded = true;
+  mod.exports = exports;
+  require.cache[resolved] = mod;
+}
+
+/**
+ * Build per-source FIFO queues of recorded responses.
+ * @param {Array} calls - trace.calls
+ */
+function createPlayer(calls) {
+  const queues = new Map();
+  for (const call of calls || []) {
+    if (!queues.has(call.source)) queues.set(call.source, []);
+    queues.get(call.source).push(call);
+  }
+  const missing = [];
+
+  return {
+    missing,
+    take(source) {
+      const call = queues.get(source)?.shift();
+      if (!call) {
+        missing.push(source);
+        throw new Error(`Replay: no recorded response left for ${source}`);
+      }
+      if (call.error !== undefined) throw Object.assign(new Error(call.error), { status: call.status });
+      return JSON.parse(JSON.stringify(call.response ?? null));
+    },
+    unused() {
+      return [...queues.entries()].filter(([, q]) => q.length > 0).map(([source, q]) => ({ source, count: q.length }));
+    },
+  };
+}
+
+/**
+ * Queue recorded tool results per tool name, in call order.
+ */
+function createToolPlayer(iterations) {
+  const queues = new Map();
+  for (const it of iterations || []) {
+    for (const call of it.toolCalls || []) {
+      if (call.duplicate) continue;
+      if (!queues.has(call.name)) queues.set(call.name, []);
+      queues.get(call.name).push(call);
+    }
+  }
+  return (name) => {
+    const call = queues.get(name)?.shift();
+    if (!call) return { success: false, error: `Replay: no recorded result for ${name}` };
+    let value = call.result;
+    try { value = JSON.parse(call.result); } catch (_) {}
+    return call.success ? { success: true, result: value } : { success: false, error: value?.error || String(value) };
+  };
+}
+
+/**
+ * Replay a recorded trace through the current pipeline code.
+ * Must run in a fresh process — it stubs modules in the require cache.
+ * @param {Object} recordedTrace - Parsed trace (see PipelineTrace#toJSON)
+ * @returns {Promise<{ trace: Object, missing: string[], unused: Array }>}
+ */
+async function replay(recordedTrace) {
+  const player = createPlayer(recordedTrace.calls);
+
+  stubModule('openai-client.js', {
+    generateResponse: async () => player.take('openai.generateResponse'),
+    thinkWithModel: async () => player.take('openai.thinkWithModel'),
+    createChatCompletion: async () => player.take('openai.createChatCompletion'),
+    streamChatCompletion: async (messages, tools, opts, onDelta) => {
+      const response = player.take('openai.streamChatCompletion');
+      if (response?.content && onDelta) onDelta(response.content, response.content);
+      return response;
+    },
+    generateImage: async () => { throw new Error('Replay: image generation is not available offline'); },
+  });
+
+  const memory = require(path.join(ROOT, 'memory'));
+  stubModule('memory.js', {
+    ...memory,
+    searchMemory: async () => player.take('memory.searchMemory'),
+    hybridSearch: async () => player.take('memory.hybridSearch'),
+    storeMemory: async () => {},
+  });
+
+  const context = require(path.join(ROOT, 'context'));
+  stubModule('context.js', {
+    ...context,
+    getContext: () => JSON.parse(JSON.stringify(recordedTrace.contextSnapshot || [])),
+  });
+
+  const config = require(path.join(ROOT, 'config'));
+  const ToolRegistry = require(path.join(ROOT, 'tools/registry'));
+  const AgentLoop = require(path.join(ROOT, 'agent-loop'));
+  const ThinkingOrchestrator = require(path.join(ROOT, 'thinking/orchestrator'));
+
+  const registry = new ToolRegistry();
+  registry.loadAll();
+  const playTool = createToolPlayer(recordedTrace.iterations);
+  registry.executeTool = async (name) => playTool(name);
+
+  const agentLoop = new AgentLoop(registry, require(path.join(ROOT, 'openai-client')), config);
+  const orchestrator = new ThinkingOrchestrator({
+    toolRegistry: registry,
+    agentLoop,
+    config: { ...config, tracesEnabled: false },
+    layers: ThinkingOrchestrator.builtinLayers(null).filter(l => !l.background),
+  });
+  const depth = LOAD_LEVEL_DEPTH[recordedTrace.loadLevel] || 0;
+  orchestrator.setModelQueue({ getStats: () => ({ main: { pending: depth } }) });
+
+  let trace = null;
+  orchestrator.before('gate', (state) => { trace = state.trace; });
+
+  const message = { id: recordedTrace.messageId, content: recordedTrace.input.content, attachments: new Map() };
+  await orchestrator.process(message, { ...recordedTrace.input.context });
+
+  return { trace: trace.toJSON(), missing: player.missing, unused: player.unused() };
+}
+
+// Fields compared by --diff, as [label, getter]
+const DIFF_FIELDS = [
+  ['gate.engage', t => t.gate?.engage],
+  ['gate.reason', t => t.gate?.reason],
+  ['intent.intent', t => t.intent?.intent],
+  ['intent.tone', t => t.intent?.tone],
+  ['intent.emotionalTone', t => t.intent?.emotionalTone],
+  ['intent.suggestedTools', t => t.intent?.suggestedTools],
+  ['prompt.totalChars', t => t.prompt?.totalChars],
+  ['toolCalls', t => (t.iterations || []).flatMap(it => it.toolCalls.map(c => `${c.name}(${JSON.stringify(c.args)})`))],
+  ['execution.text', t => t.execution?.text],
+  ['verification.action', t => t.verification?.action ?? t.verification?.skipped],
+  ['verification.unsupportedClaims', t => t.verification?.unsupportedClaims?.map(c => c.claim)],
+  ['synthesis.messages', t => t.synthesis?.messages],
+  ['outcome.action', t => t.outcome?.action],
+  ['outcome.reason', t => t.outcome?.reason],
+];
+
+/**
+ * Compare two traces field by field.
+ * @param {Object} before - Recorded trace
+ * @param {Object} after - Replayed trace
+ * @returns {string[]} Human-readable difference lines (empty when identical)
+ */
+function diffTraces(before, after) {
+  const lines = [];
+  const show = (v) => (v === undefined ? '—' : JSON.stringify(v));
+
+  for (const [label, get] of DIFF_FIELDS) {
+    const a = show(get(before));
+    const b = show(get(after));
+    if (a !== b) lines.push(`~ ${label}: ${a} → ${b}`);
+  }
+
+  const sectionsBefore = new Map((before.prompt?.sections || []).map(s => [s.title, s.content]));
+  const sectionsAfter = new Map((after.prompt?.sections || []).map(s => [s.title, s.content]));
+  for (const [title, content] of sectionsBefore) {
+    if (!sectionsAfter.has(title)) lines.push(`- prompt section "${title}"`);
+    else if (sectionsAfter.get(title) !== content) lines.push(`~ prompt section "${title}" changed (${content.length} → ${sectionsAfter.get(title).length} chars)`);
+  }
+  for (const title of sectionsAfter.keys()) {
+    if (!sectionsBefore.has(title)) lines.push(`+ prompt section "${title}"`);
+  }
+
+  return lines;
+}
+
+function loadRecordedTrace(args) {
+  const fileIdx = args.indexOf('--file');
+  if (fileIdx !== -1) {
+    const file = args[fileIdx + 1];
+    if (!file) throw new Error('--file needs a path');
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+  const messageId = args.find(a => !a.startsWith('--'));
+  if (!messageId) throw new Error('Usage: node scripts/replay.js <messageId> | --file trace.json [--diff] [--json]');
+  const { loadTrace } = require(path.join(ROOT, 'thinking/trace'));
+  const trace = loadTrace(messageId);
+  if (!trace) throw new Error(`No trace recorded for message ${messageId}`);
+  return trace;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const recorded = loadRecordedTrace(args);
+  if (!recorded.input?.context) throw new Error('Trace predates replay support (no recorded context flags)');
+
+  const { trace, missing, unused } = await replay(recorded);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ trace, missing, unused, diff: diffTraces(recorded, trace) }, null, 2));
+    return;
+  }
+
+  console.log(`Replayed message ${recorded.messageId}: "${(recorded.input.content || '').slice(0, 80)}"`);
+  console.log(`  gate:    ${trace.gate?.engage ? 'engage' : 'ignore'} (${trace.gate?.reason})`);
+  console.log(`  intent:  ${trace.intent?.intent || '—'} / ${trace.intent?.tone || '—'}`);
+  console.log(`  tools:   ${(trace.execution?.toolsUsed || []).join(', ') || 'none'}`);
+  console.log(`  outcome: ${trace.outcome?.action || '—'}`);
+  if (trace.synthesis) console.log(`\n${trace.synthesis.messages.join('\n---\n')}\n`);
+  if (missing.length) console.log(`⚠️  Calls with no recorded response: ${missing.join(', ')}`);
+  if (unused.length) console.log(`ℹ️  Recorded responses not consumed: ${unused.map(u => `${u.source}×${u.count}`).join(', ')}`);
+
+  if (args.includes('--diff')) {
+    const lines = diffTraces(recorded, trace);
+    console.log(lines.length ? `\nDifferences from recording:\n${lines.join('\n')}` : '\nNo differences from recording.');
+  }
+}
+
+if (require.main === module) {
+  // Silence pipeline logging on the console unless asked for
+  if (!process.env.LOG_LEVEL) process.env.LOG_LEVEL = 'error';
+  main()
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { replay, diffTraces, createPlayer };
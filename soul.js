@@ -6,6 +6,7 @@ const { formatProfileForPrompt } = require('./users');
 const { getRecentMessages } = require('./db');
 const config = require('./config');
 const logger = require('./logger');
+const { recordUsage } = require('./utils/usage');
 
 const openai = new OpenAI({ apiKey: config.openaiApiKey });
 const SOUL_PATH = path.join(__dirname, 'data', 'soul.md');
@@ -120,6 +121,7 @@ Write ONLY the content that goes under "## What I've Learned" — no heading, ju
       ],
     });
 
+    recordUsage({ kind: 'chat', model: config.miniModel, usage: res.usage });
     const newLearned = res.choices[0]?.message?.content?.trim();
     if (!newLearned) return;
 
@@ -0,0 +1,58 @@
+/**
+ * Stand-in MCP server for the tests. Run directly to serve over stdio, or require
+ * `handle` and serve it over HTTP. Tools: echo, add (structured), fail (isError),
+ * slow (sleeps `ms`). tools/list is paginated to exercise cursors.
+ */
+
+const readline = require('readline');
+
+const TOOLS = [
+  { name: 'echo', description: 'Echo text back', inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] } },
+  { name: 'add', description: 'Add two numbers', inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } } },
+  { name: 'fail', description: 'Always fails', inputSchema: { type: 'object', properties: {} } },
+  { name: 'slow', description: 'Sleep for ms milliseconds', inputSchema: { type: 'object', properties: { ms: { type: 'number' } } } },
+];
+
+async function callTool(name, args) {
+  if (name === 'echo') return { content: [{ type: 'text', text: `echo: ${args.text}` }] };
+  if (name === 'add') return { content: [{ type: 'text', text: String(args.a + args.b) }], structuredContent: { sum: args.a + args.b } };
+  if (name === 'fail') return { content: [{ type: 'text', text: 'something broke' }], isError: true };
+  if (name === 'slow') {
+    await new Promise(r => setTimeout(r, args.ms || 1000));
+    return { content: [{ type: 'text', text: 'done' }] };
+  }
+  throw Object.assign(new Error(`Unknown tool: ${name}`), { code: -32602 });
+}
+
+/**
+ * Handle one JSON-RPC message; resolves to the response, or null for notifications.
+ */
+async function handle(msg) {
+  if (msg.id === undefined) return null;
+  try {
+    let result;
+    if (msg.method === 'initialize') {
+      result = { protocolVersion: msg.params.protocolVersion, capabilities: { tools: { listChanged: true } }, serverInfo: { name: 'fixture', version: '0.1.0' } };
+    } else if (msg.method === 'ping') {
+      result = {};
+    } else if (msg.method === 'tools/list') {
+      result = msg.params?.cursor === 'page2' ? { tools: TOOLS.slice(2) } : { tools: TOOLS.slice(0, 2), nextCursor: 'page2' };
+    } else if (msg.method === 'tools/call') {
+      result = await callTool(msg.params.name, msg.params.arguments || {});
+    } else {
+      return { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Method not found: ${msg.method}` } };
+    }
+    return { jsonrpc: '2.0', id: msg.id, result };
+  } catch (err) {
+    return { jsonrpc: '2.0', id: msg.id, error: { code: err.code || -32603, message: err.message } };
+  }
+}
+
+if (require.main === module) {
+  readline.createInterface({ input: process.stdin }).on('line', async line => {
+    const response = await handle(JSON.parse(line));
+    if (response) process.stdout.write(`${JSON.stringify(response)}\n`);
+  });
+}
+
+module.exports = { handle, TOOLS };
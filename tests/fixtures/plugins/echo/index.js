@@ -0,0 +1,12 @@
+module.exports = {
+  name: 'echo',
+  description: 'Echo the given text back',
+  parameters: {
+    type: 'object',
+    properties: { text: { type: 'string', description: 'Text to echo' } },
+    required: ['text'],
+  },
+  async execute(args) {
+    return { echoed: args.text };
+  },
+};
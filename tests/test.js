@@ -487,7 +487,7 @@ async function test(name, fn) {
   });
 
   // ──────────── TOOL DEFINITIONS ────────────
-  const toolDefFiles = ['brave_search', 'tavily_search', 'generate_image', 'calculator', 'timestamp', 'define_word', 'summarize_url', 'remember', 'recall', 'code_runner'];
+  const toolDefFiles = ['brave_search', 'tavily_search', 'generate_image', 'calculator', 'timestamp', 'define_word', 'summarize_url', 'remember', 'recall', 'code_runner', 'set_reminder', 'search_documents'];
 
   for (const name of toolDefFiles) {
     await test(`tool definition: ${name} loads and has required exports`, () => {
@@ -499,12 +499,12 @@ async function test(name, fn) {
     });
   }
 
-  await test('tool registry: loads all 10 tools', () => {
+  await test('tool registry: loads all 12 tools', () => {
     const ToolRegistry = require('../tools/registry');
     const reg = new ToolRegistry();
     reg.loadAll();
     const tools = reg.listTools();
-    assert.strictEqual(tools.length, 10, `Expected 10 tools, got ${tools.length}`);
+    assert.strictEqual(tools.length, 12, `Expected 12 tools, got ${tools.length}`);
   });
 
   await test('tool registry: getToolsForOpenAI returns correct format', () => {
@@ -512,7 +512,7 @@ async function test(name, fn) {
     const reg = new ToolRegistry();
     reg.loadAll();
     const openaiTools = reg.getToolsForOpenAI();
-    assert.ok(openaiTools.length === 10);
+    assert.ok(openaiTools.length === 12);
     for (const t of openaiTools) {
       assert.strictEqual(t.type, 'function');
       assert.ok(t.function.name);
@@ -574,6 +574,54 @@ async function test(name, fn) {
     }
   });
 
+  await test('calculator: exact decimals, big integers, factorials, percentages and variables', async () => {
+    const calc = async expression => (await calculator.execute({ expression })).result;
+    assert.strictEqual(await calc('0.1 + 0.2'), 0.3);
+    assert.strictEqual(await calc('2^100'), '1267650600228229401496703205376');
+    assert.strictEqual(await calc('25! / 23!'), 600);
+    assert.strictEqual(await calc('-2^2 + 2^3^2'), 508);
+    assert.strictEqual(await calc('200 + 15%'), 230);
+    assert.strictEqual(await calc('20% of 50'), 10);
+    assert.strictEqual(await calc('10 % 3'), 1);
+    assert.strictEqual(await calc('r = 3; area = r^2 * 2; area + 1'), 19);
+    assert.strictEqual(await calc('1/3'), '0.33333333333333333333');
+    const third = await calculator.execute({ expression: '1/3' });
+    assert.deepStrictEqual([third.approximate, third.formatted], [true, '≈ 0.33333333333333333333'], 'a cut-off decimal is approximate');
+    assert.strictEqual((await calculator.execute({ expression: '1/8' })).approximate, undefined);
+    const approx = await calculator.execute({ expression: 'sin(30 deg)' });
+    assert.deepStrictEqual([approx.result, approx.approximate, approx.formatted], [0.5, true, '≈ 0.5']);
+  });
+
+  await test('calculator: unit arithmetic and conversion', async () => {
+    const calc = expression => calculator.execute({ expression });
+    const speed = await calc('5 km/h in m/s');
+    assert.deepStrictEqual([speed.result, speed.unit, speed.approximate], ['1.3888888888888888889', 'm/s', true]);
+    assert.strictEqual((await calc('3 GiB to MB')).formatted, '3221.225472 MB');
+    assert.strictEqual((await calc('10 km / 2 h')).formatted, '5 km/h');
+    assert.strictEqual((await calc('1 h + 30 min in min')).formatted, '90 min');
+    assert.strictEqual((await calc('30 °C in °F')).formatted, '86 °F');
+    assert.strictEqual((await calc('212 °F as °C')).formatted, '100 °C');
+    // Adding temperatures adds the second as an interval; subtracting gives an interval
+    assert.strictEqual((await calc('30 °C + 10 °C')).formatted, '40 °C');
+    assert.strictEqual((await calc('50 °F + 10 °F')).formatted, '60 °F');
+    assert.strictEqual((await calc('30 °C - 10 °C')).formatted, '20 K');
+    assert.strictEqual((await calc('30 °C + 5 K')).formatted, '35 °C');
+    assert.strictEqual((await calc('12 in to cm')).formatted, '30.48 cm');
+    assert.strictEqual((await calc('100 Mbps to MB/s')).formatted, '12.5 MB/s');
+    await assert.rejects(calc('5 kg in m'), /Cannot convert kg to m/);
+    await assert.rejects(calc('2 m + 3 s'), /Cannot add m and s/);
+  });
+
+  await test('calculator: parses without eval and rejects unknown names', async () => {
+    const src = fs.readFileSync(path.join(__dirname, '..', 'tools', 'definitions', 'calculator.js'), 'utf-8')
+      + fs.readFileSync(path.join(__dirname, '..', 'tools', 'lib', 'expression.js'), 'utf-8');
+    assert.ok(!/new Function|\beval\(/.test(src), 'no Function or eval');
+    await assert.rejects(calculator.execute({ expression: 'globalThis' }), /Blocked: unknown name "globalThis"/);
+    await assert.rejects(calculator.execute({ expression: '2 +' }), /Unexpected end/);
+    await assert.rejects(calculator.execute({ expression: '9^9^9' }), /too large/);
+    await assert.rejects(calculator.execute({ expression: '5000!' }), /limited/);
+  });
+
   // ── Timestamp tests ──
   const timestamp = require('../tools/definitions/timestamp');
 
@@ -601,6 +649,62 @@ async function test(name, fn) {
     }
   });
 
+  const datetime = require('../tools/lib/datetime');
+  // Monday 2026-10-19 12:00 UTC
+  const tsNow = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+  await test('timestamp: parses natural-language dates and zones', () => {
+    const at = (text) => new Date(datetime.parseDate(text, { now: tsNow }).ms).toISOString();
+    assert.strictEqual(at('3pm PST'), '2026-10-19T23:00:00.000Z');
+    assert.strictEqual(at('Friday 18:00 UTC'), '2026-10-23T18:00:00.000Z');
+    assert.strictEqual(at('tomorrow at noon Berlin'), '2026-10-20T10:00:00.000Z');
+    assert.strictEqual(at('next monday 9:30am'), '2026-10-26T09:30:00.000Z');
+    assert.strictEqual(at('in 2 hours'), '2026-10-19T14:00:00.000Z');
+    assert.strictEqual(at('May 5 2025 14:00 UTC+5:30'), '2025-05-05T08:30:00.000Z');
+    assert.strictEqual(at('2025-05-01T10:00+02:00'), '2025-05-01T08:00:00.000Z');
+    assert.strictEqual(at('<t:1700000000:R>'), '2023-11-14T22:13:20.000Z');
+    assert.strictEqual(datetime.parseDate('3pm PST in New York', { now: tsNow }).target.name, 'America/New_York');
+    assert.throws(() => datetime.parseDate('flurb at 3pm', { now: tsNow }), /Could not understand "flurb"/);
+    assert.throws(() => datetime.parseDate('13pm', { now: tsNow }), /not a valid time/);
+    for (const impossible of ['2024-02-30', '2023-02-29 at 3pm', 'April 31', '2024-13-01T10:00Z']) {
+      assert.throws(() => datetime.parseDate(impossible, { now: tsNow }), /Could not understand/, impossible);
+    }
+    assert.strictEqual(at('2024-02-29'), '2024-02-29T00:00:00.000Z');
+    assert.strictEqual(at('Feb 29'), '2028-02-29T00:00:00.000Z');
+    assert.throws(() => datetime.parseDate('2024-05-01T24:30Z', { now: tsNow }), /out of range/);
+  });
+
+  await test('timestamp: handles DST and durations', () => {
+    const berlin = datetime.resolveZone('Europe/Berlin');
+    // 02:30 does not exist on 2026-03-29 in Berlin; it lands an hour later (03:30 CEST)
+    assert.strictEqual(new Date(datetime.fromWall(berlin, { year: 2026, month: 3, day: 29, hour: 2, minute: 30 })).toISOString(), '2026-03-29T01:30:00.000Z');
+    // One day after noon CET is noon CEST, 23 hours later
+    const next = datetime.addDuration(Date.UTC(2026, 2, 28, 11), datetime.parseDuration('1 day'), berlin);
+    assert.strictEqual(new Date(next).toISOString(), '2026-03-29T10:00:00.000Z');
+    assert.throws(() => datetime.parseDate('in 1000000 years', { now: tsNow }), /^Error: Date is out of range$/);
+    assert.throws(() => datetime.addDuration(tsNow, datetime.parseDuration('100000000000 days'), berlin), /Date is out of range/);
+    assert.throws(() => datetime.addDuration(tsNow, datetime.parseDuration('1000000000000 hours'), berlin), /Date is out of range/);
+    assert.strictEqual(datetime.parseDuration('2h 30m').ms, 9000000);
+    assert.throws(() => datetime.parseDuration('3 bananas'), /Unknown duration unit/);
+    assert.strictEqual(datetime.formatDuration(3 * 86400000 + 4 * 3600000 + 5000), '3 days, 4 hours and 5 seconds');
+    assert.strictEqual(datetime.formatRelative(tsNow - 7200000, tsNow), '2 hours ago');
+  });
+
+  await test('timestamp: converts zones and returns Discord markup', async () => {
+    const r = await timestamp.execute({ when: '2026-07-01 15:00 PST in Berlin', until: '2026-07-02 15:00 PST' });
+    assert.strictEqual(r.timezone, 'Europe/Berlin');
+    assert.strictEqual(r.iso, '2026-07-01T23:00:00.000Z');
+    assert.strictEqual(r.offset, 'UTC+02:00');
+    assert.strictEqual(r.source.timezone, 'PST');
+    assert.strictEqual(r.discord.full, `<t:${r.unix}:F>`);
+    assert.strictEqual(r.discord.relative, `<t:${r.unix}:R>`);
+    assert.strictEqual(r.until.seconds, 86400);
+    assert.strictEqual(r.until.text, '1 day');
+    const tokyo = await timestamp.execute({ when: '2026-07-01 09:00', from_timezone: 'Tokyo', timezone: 'UTC', add: '1h 30m' });
+    assert.strictEqual(tokyo.iso, '2026-07-01T01:30:00.000Z');
+    await assert.rejects(timestamp.execute({ timezone: 'Nowhere' }), /Unknown timezone "Nowhere"/);
+  });
+
   // ── Code runner tests (E2B sandbox) ──
   const codeRunner = require('../tools/definitions/code_runner');
 
@@ -628,6 +732,549 @@ async function test(name, fn) {
     }
   });
 
+  // ── Sandbox backends ──
+  const { createSandbox } = require('../tools/sandbox');
+  const { LocalSandbox } = require('../tools/sandbox/local');
+
+  await test('sandbox: local backend runs python and node with a scrubbed environment', async () => {
+    const sandbox = await createSandbox('local', { isolation: 'none' });
+    try {
+      const py = await sandbox.run('import os\nprint(6 * 7)\nprint("OPENAI_API_KEY" in os.environ)');
+      assert.deepStrictEqual(py, { stdout: '42\nFalse', stderr: '', results: '', error: null, artifacts: [] });
+      const js = await sandbox.run('console.log([1, 2].map(x => x * 2).join(","))', { language: 'javascript' });
+      assert.strictEqual(js.stdout, '2,4');
+      const failed = await sandbox.run('1/0');
+      assert.strictEqual(failed.error, 'ZeroDivisionError: division by zero');
+      const slow = await sandbox.run('import time\ntime.sleep(5)', { timeoutMs: 300 });
+      assert.ok(slow.error.startsWith('Time limit exceeded'));
+    } finally {
+      await sandbox.close();
+    }
+    assert.strictEqual(sandbox.dir, null);
+  });
+
+  await test('sandbox: jails apply network, memory and CPU limits', () => {
+    const sandbox = new LocalSandbox({ isolation: 'namespace', memoryMb: 128, cpuSeconds: 5, network: false });
+    sandbox.dir = '/tmp/x';
+    const ns = sandbox._command('python', 'main.py', 'c1');
+    assert.deepStrictEqual(ns.slice(0, 1), ['unshare']);
+    assert.ok(ns.includes('--net') && ns.includes('--cpu=5') && ns.includes(`--as=${128 * 1024 * 1024}`));
+    assert.ok(ns.includes('--mount') && ns.includes('--nproc=64') && ns.some(arg => arg.endsWith('jail.sh')));
+    // Nothing that contains the bot's directory is mounted into the jail
+    const botRoot = path.join(__dirname, '..');
+    sandbox.python = { executable: '/opt/py/bin/python3', prefixes: ['/opt/py', '/'] };
+    const mounted = sandbox._jailPaths();
+    assert.ok(mounted.includes('/usr') && mounted.includes('/opt/py') && !mounted.includes('/'));
+    assert.ok(mounted.every(p => path.relative(p, botRoot).startsWith('..')));
+    sandbox.isolation = 'docker';
+    const docker = sandbox._command('javascript', 'main.js', 'c1').join(' ');
+    assert.ok(docker.includes('--network none') && docker.includes('--memory 128m') && docker.includes('-v /tmp/x:/work'));
+    assert.ok(docker.endsWith('node:20-slim node --max-old-space-size=128 main.js'));
+    assert.throws(() => new LocalSandbox({ isolation: 'chroot' }), /SANDBOX_ISOLATION/);
+  });
+
+  await test('code_runner: local backend keeps the result shape', () => {
+    // config is frozen at load, so run the tool in a child process with its own env
+    const { execFileSync } = require('child_process');
+    const script = "require('./tools/definitions/code_runner').execute({ code: 'print(\\'hi\\')' }).then(r => { console.log(JSON.stringify(r)); process.exit(0); })";
+    const out = execFileSync(process.execPath, ['-e', script], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, SANDBOX_BACKEND: 'local', SANDBOX_ISOLATION: 'none', LOG_LEVEL: 'error' },
+      encoding: 'utf-8',
+      timeout: 20000,
+    });
+    const r = JSON.parse(out.trim().split('\n').pop());
+    assert.deepStrictEqual(r, { success: true, stdout: 'hi', stderr: '', results: '', error: null, language: 'python' });
+  });
+
+  await test('sandbox: files written to outputs/ come back as artifacts and are cleared', async () => {
+    const sandbox = await createSandbox('local', { isolation: 'none' });
+    try {
+      const r = await sandbox.run('import os\nos.makedirs("outputs/sub", exist_ok=True)\nopen("outputs/data.csv", "w").write("a,b\\n1,2\\n")\nopen(os.path.join(os.environ["OUTPUT_DIR"], "sub", "x.png"), "wb").write(b"png")');
+      assert.strictEqual(r.error, null);
+      const byName = Object.fromEntries(r.artifacts.map(a => [a.name, a]));
+      assert.deepStrictEqual(Object.keys(byName).sort(), ['data.csv', 'sub_x.png']);
+      assert.strictEqual(byName['data.csv'].data.toString(), 'a,b\n1,2\n');
+      assert.strictEqual(byName['sub_x.png'].mimeType, 'image/png');
+      assert.deepStrictEqual((await sandbox.run('print(1)')).artifacts, []);
+    } finally {
+      await sandbox.close();
+    }
+  });
+
+  await test('sandbox: outputs/ swapped for symlinks or FIFOs after the scan are not read', async () => {
+    const secretDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'host-'));
+    fs.writeFileSync(path.join(secretDir, 'secret.env'), 'TOKEN=host-secret');
+    const sandbox = await LocalSandbox.create({ isolation: 'none' });
+    const outDir = path.join(sandbox.dir, 'outputs');
+    fs.symlinkSync(path.join(secretDir, 'secret.env'), path.join(outDir, 'env.txt'));
+    fs.symlinkSync(secretDir, path.join(outDir, 'host'));
+    require('child_process').execFileSync('mkfifo', [path.join(outDir, 'pipe.txt')]);
+    fs.writeFileSync(path.join(outDir, 'ok.txt'), 'ok');
+    // What the scan saw a moment before the code swapped the files
+    const seen = ['env.txt', 'host/secret.env', 'pipe.txt', 'gone.txt', 'ok.txt']
+      .map(rel => ({ name: path.basename(rel), parentPath: path.join(outDir, path.dirname(rel)), isFile: () => true }));
+    const readdir = fs.promises.readdir;
+    fs.promises.readdir = async () => seen;
+    try {
+      const artifacts = await sandbox._collectArtifacts();
+      assert.deepStrictEqual(artifacts.map(a => [a.name, a.data.toString()]), [['ok.txt', 'ok']]);
+    } finally {
+      fs.promises.readdir = readdir;
+      await sandbox.close();
+      fs.rmSync(secretDir, { recursive: true, force: true });
+    }
+  });
+
+  await test('artifacts: filenames are sanitized, deduplicated and size-limited', () => {
+    const artifacts = require('../tools/artifacts');
+    assert.strictEqual(artifacts.safeFilename('../../etc/passwd'), 'passwd');
+    assert.strictEqual(artifacts.safeFilename('my plot (final)', 'image/png'), 'my_plot_final_.png');
+    assert.strictEqual(artifacts.safeFilename('', 'text/csv'), 'file.csv');
+    assert.strictEqual(artifacts.safeFilename(`${'x'.repeat(200)}.csv`).length, 80);
+    const context = {};
+    assert.deepStrictEqual(artifacts.addGeneratedFile(context, { name: 'out/a.csv', data: Buffer.from('1,2'), mimeType: 'text/csv' }), { name: 'a.csv', size: 3 });
+    artifacts.addGeneratedFile(context, { name: 'a.csv', data: Buffer.alloc(2048) });
+    const { attachments, skipped } = artifacts.prepareAttachments(context.generatedFiles, { maxBytes: 1024 });
+    assert.deepStrictEqual(attachments.map(a => a.name), ['a.csv']);
+    assert.deepStrictEqual(skipped, ['a.csv (2 KB, over the 1 KB limit)']);
+
+    // Sizes are checked before a sandbox reads anything
+    const budget = artifacts.artifactBudget({ maxBytes: 1024, totalBytes: 1536 });
+    assert.deepStrictEqual([budget(2048), budget(1000), budget(1000), budget(500)], ['2 KB, over the 1 KB limit', null, 'over the 2 KB total for one run', null]);
+    const held = {};
+    assert.deepStrictEqual(artifacts.addGeneratedFile(held, { name: 'big.bin', size: 9e6, skipped: 'too big' }), { name: 'big.bin', size: 9e6, skipped: 'too big' });
+    assert.strictEqual(artifacts.addGeneratedFile(held, { name: 'huge.bin', data: Buffer.alloc(33 * 1024 * 1024) }).skipped, 'over the 32.0 MB total for one reply');
+    assert.ok(held.generatedFiles.every(f => f.data === undefined), 'skipped files are not held');
+    assert.deepStrictEqual(artifacts.prepareAttachments(held.generatedFiles).skipped, ['big.bin (too big)', 'huge.bin (over the 32.0 MB total for one reply)']);
+  });
+
+  await test('sandbox: files over ARTIFACT_MAX_MB are reported without being read', async () => {
+    const sandbox = await createSandbox('local', { isolation: 'none' });
+    try {
+      const r = await sandbox.run('with open("outputs/big.bin", "wb") as f:\n    f.truncate(9 * 1024 * 1024)\nopen("outputs/small.txt", "w").write("hi")');
+      const byName = Object.fromEntries(r.artifacts.map(a => [a.name, a]));
+      assert.strictEqual(byName['big.bin'].data, undefined);
+      assert.deepStrictEqual([byName['big.bin'].size, byName['big.bin'].skipped], [9 * 1024 * 1024, '9.0 MB, over the 8.0 MB limit']);
+      assert.strictEqual(byName['small.txt'].data.toString(), 'hi');
+    } finally {
+      await sandbox.close();
+    }
+  });
+
+  // ── Code sessions ──
+  const { SandboxSessionManager, SessionLimitError } = require('../tools/sandbox/sessions');
+
+  await test('sandbox sessions: state and files persist per thread, capped per guild', async () => {
+    const sessions = new SandboxSessionManager({ backend: 'local', idleMs: 60000, maxPerGuild: 1, create: (backend, opts) => createSandbox(backend, { ...opts, isolation: 'none' }) });
+    try {
+      const first = await sessions.run('thread-1', 'guild-1', 'import os\ndata = [1, 2, 3]\nopen("outputs/a.csv", "w").write("x")');
+      assert.strictEqual(first.started, true);
+      assert.deepStrictEqual(first.execution.artifacts.map(a => a.name), ['a.csv']);
+      const second = await sessions.run('thread-1', 'guild-1', 'data.append(4)\nprint(open("outputs/a.csv").read())\nlen(data)');
+      assert.deepStrictEqual([second.started, second.runs, second.execution.stdout, second.execution.results], [false, 2, 'x', '4']);
+      assert.deepStrictEqual(second.execution.artifacts, [], 'unchanged files are not attached again');
+      const js = await sessions.run('thread-1', 'guild-1', 'let n = 2; n * 21', { language: 'javascript' });
+      assert.strictEqual(js.execution.results, '42');
+      assert.strictEqual((await sessions.run('thread-1', 'guild-1', 'n + 1', { language: 'javascript' })).execution.results, '3');
+
+      await assert.rejects(sessions.run('thread-2', 'guild-1', 'print(1)'), SessionLimitError);
+      assert.strictEqual((await sessions.run('thread-3', 'guild-2', 'print(1)')).started, true, 'the cap is per guild');
+      assert.strictEqual(sessions.status('thread-1').runs, 4);
+
+      assert.strictEqual(await sessions.end('thread-1', 'test'), true);
+      assert.strictEqual(sessions.status('thread-1'), null);
+      const fresh = await sessions.run('thread-1', 'guild-1', "print('data' in globals())");
+      assert.deepStrictEqual([fresh.started, fresh.execution.stdout], [true, 'False']);
+    } finally {
+      await sessions.closeAll();
+    }
+    assert.strictEqual(sessions.sessions.size, 0);
+  });
+
+  await test('sandbox sessions: a run over the time limit restarts the interpreter', async () => {
+    const sandbox = await createSandbox('local', { isolation: 'none', persistent: true });
+    try {
+      await sandbox.run('x = 1');
+      const slow = await sandbox.run('import time\ntime.sleep(5)', { timeoutMs: 300 });
+      assert.ok(/^Time limit exceeded.*session was restarted/.test(slow.error), slow.error);
+      const after = await sandbox.run("print('x' in globals())");
+      assert.deepStrictEqual([after.error, after.stdout], [null, 'False']);
+    } finally {
+      await sandbox.close();
+    }
+  });
+
+  await test('sandbox sessions: idle timeout and archived threads end sessions', async () => {
+    const closed = [];
+    const fake = { run: async () => ({ stdout: '', stderr: '', results: '', error: null, artifacts: [] }), close: async () => closed.push('x') };
+    const sessions = new SandboxSessionManager({ backend: 'local', idleMs: 50, maxPerGuild: 2, create: async () => fake });
+    await sessions.run('t-idle', 'g', 'pass');
+    await new Promise(r => setTimeout(r, 120));
+    assert.strictEqual(sessions.status('t-idle'), null);
+
+    const EventEmitter = require('events');
+    const client = new EventEmitter();
+    sessions.idleMs = 60000;
+    sessions.attach(client);
+    await sessions.run('t-arch', 'g', 'pass');
+    client.emit('threadUpdate', {}, { id: 't-arch', archived: false });
+    assert.ok(sessions.status('t-arch'));
+    client.emit('threadUpdate', {}, { id: 't-arch', archived: true });
+    await new Promise(r => setImmediate(r));
+    assert.strictEqual(sessions.status('t-arch'), null);
+    assert.strictEqual(closed.length, 2);
+  });
+
+  await test('code_runner: uses the thread session when SANDBOX_SESSIONS is on', () => {
+    const { execFileSync } = require('child_process');
+    const script = [
+      "const { SandboxSessionManager } = require('./tools/sandbox/sessions');",
+      "const sessions = SandboxSessionManager.setInstance(new SandboxSessionManager());",
+      "const run = require('./tools/definitions/code_runner').execute;",
+      "const thread = { channelId: 't1', guildId: 'g1', parentChannelId: 'c1' };",
+      "(async () => {",
+      "  const out = [await run({ code: 'v = 5' }, thread), await run({ code: 'v * 2' }, thread), await run({ code: \"print('v' in globals())\" }, { channelId: 'c1', guildId: 'g1' })];",
+      "  await sessions.closeAll();",
+      "  console.log(JSON.stringify(out)); process.exit(0);",
+      "})();",
+    ].join('\n');
+    const out = execFileSync(process.execPath, ['-e', script], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, SANDBOX_BACKEND: 'local', SANDBOX_ISOLATION: 'none', SANDBOX_SESSIONS: 'true', LOG_LEVEL: 'error' },
+      encoding: 'utf-8',
+      timeout: 20000,
+    });
+    const [first, second, outside] = JSON.parse(out.trim().split('\n').pop());
+    assert.ok(first.session.startsWith('new session'));
+    assert.strictEqual(second.results, '10');
+    assert.ok(second.session.startsWith('continued session (run 2)'));
+    assert.strictEqual(outside.stdout, 'False', 'outside threads each run is fresh');
+    assert.strictEqual(outside.session, undefined);
+  });
+
+  await test('/sandbox command is registered and routed', () => {
+    const { featureCommands } = require('../commands');
+    assert.ok(featureCommands.some(c => c.name === 'sandbox'));
+    const src = fs.readFileSync(path.join(__dirname, '..', 'handlers', 'interactionHandler.js'), 'utf-8');
+    assert.ok(src.includes("commandName === 'sandbox'"));
+    const index = fs.readFileSync(path.join(__dirname, '..', 'index.js'), 'utf-8');
+    assert.ok(index.includes('SandboxSessionManager.setInstance(new SandboxSessionManager()).attach(client)'));
+  });
+
+  // ── Reminders ──
+  const reminders = require('../reminders');
+  // Saturday 2026-10-17 12:00 UTC
+  const remNow = Date.UTC(2026, 9, 17, 12);
+  const remUser = `rem-user-${Date.now()}`;
+  const clearReminders = (userId) => { for (const r of reminders.listReminders(userId)) reminders.cancelReminder(userId, r.id); };
+
+  await test('reminders: create, validate and cancel', () => {
+    const base = { userId: remUser, guildId: 'g1', channelId: 'c1', now: remNow };
+    const once = reminders.createReminder({ ...base, when: 'in 2 hours', message: 'check the build' });
+    assert.strictEqual(once.due_at, remNow + 2 * 3600000);
+    assert.strictEqual(once.repeat, null);
+    // "9am" is read in the given zone; weekday reminders set on a Saturday start on Monday
+    const standup = reminders.createReminder({ ...base, when: '9am', message: 'standup', repeat: 'weekdays', timezone: 'Europe/Berlin' });
+    assert.strictEqual(new Date(standup.due_at).toISOString(), '2026-10-19T07:00:00.000Z');
+    assert.strictEqual(standup.timezone, 'Europe/Berlin');
+    assert.deepStrictEqual(reminders.listReminders(remUser).map(r => r.id), [once.id, standup.id]);
+
+    assert.throws(() => reminders.createReminder({ ...base, when: 'yesterday', message: 'x' }), /already passed/);
+    assert.throws(() => reminders.createReminder({ ...base, when: 'in 1h', message: 'x', repeat: 'every 5 minutes' }), /at most every 60 minutes/);
+    assert.throws(() => reminders.createReminder({ ...base, when: 'in 1h', message: 'x', repeat: 'sometimes' }), /Unknown repeat/);
+    assert.throws(() => reminders.createReminder({ ...base, when: 'in 1h', message: '  ' }), reminders.ReminderError);
+
+    assert.strictEqual(reminders.cancelReminder('someone-else', once.id), false, 'only the owner can cancel');
+    assert.strictEqual(reminders.cancelReminder(remUser, once.id), true);
+    clearReminders(remUser);
+    assert.strictEqual(reminders.listReminders(remUser).length, 0);
+  });
+
+  await test('reminders: per-user limit', () => {
+    const userId = `${remUser}-limit`;
+    for (let i = 0; i < config.reminderMaxPerUser; i++) {
+      reminders.createReminder({ userId, channelId: 'c1', when: `in ${i + 1} hours`, message: `r${i}`, now: remNow });
+    }
+    assert.throws(() => reminders.createReminder({ userId, channelId: 'c1', when: 'in 1 day', message: 'one too many', now: remNow }), /already have 25 reminders/);
+    clearReminders(userId);
+  });
+
+  await test('reminders: recurring schedules keep the wall-clock time', () => {
+    // Daily 09:00 Berlin across the end of summer time (2026-10-25)
+    const daily = { due_at: Date.UTC(2026, 9, 24, 7), repeat: 'daily', timezone: 'Europe/Berlin' };
+    assert.strictEqual(new Date(reminders.nextOccurrence(daily, daily.due_at)).toISOString(), '2026-10-25T08:00:00.000Z');
+    // Missed occurrences are skipped, not replayed
+    const hourly = { due_at: remNow, repeat: 'hourly', timezone: 'UTC' };
+    assert.strictEqual(reminders.nextOccurrence(hourly, remNow + 5.5 * 3600000), remNow + 6 * 3600000);
+    const weekdays = { due_at: Date.UTC(2026, 9, 23, 7), repeat: 'weekdays', timezone: 'Europe/Berlin' };
+    assert.strictEqual(new Date(reminders.nextOccurrence(weekdays, weekdays.due_at)).toISOString(), '2026-10-26T08:00:00.000Z');
+    assert.strictEqual(reminders.normalizeRepeat('every 3 days'), '3 days');
+    assert.strictEqual(reminders.describeRepeat('90 minutes'), 'every 1 hour and 30 minutes');
+  });
+
+  await test('reminders: scheduler pings the owner and reschedules or drops', async () => {
+    const userId = `${remUser}-sched`;
+    const sent = [];
+    const channels = {
+      c1: { isTextBased: () => true, isThread: () => false, send: async (msg) => { sent.push(msg); } },
+    };
+    const client = {
+      channels: {
+        fetch: async (id) => {
+          if (channels[id]) return channels[id];
+          throw Object.assign(new Error('Unknown Channel'), { code: 10003 });
+        },
+      },
+    };
+    const once = reminders.createReminder({ userId, channelId: 'c1', when: 'in 1 hour', message: 'stretch @everyone', now: remNow });
+    const daily = reminders.createReminder({ userId, channelId: 'c1', when: 'in 2 hours', message: 'water the plants', repeat: 'daily', now: remNow });
+    const gone = reminders.createReminder({ userId, channelId: 'deleted-channel', when: 'in 1 hour', message: 'lost', now: remNow });
+
+    // Deliver only this test's rows: tick() would sweep every due reminder in the shared DB
+    const scheduler = new reminders.ReminderScheduler(client);
+    const at = remNow + 3 * 3600000;
+    let delivered = 0;
+    for (const reminder of reminders.listReminders(userId).filter(r => r.due_at <= at)) {
+      if (await scheduler.deliver(reminder, at)) delivered++;
+    }
+    assert.strictEqual(delivered, 2);
+    assert.strictEqual(sent.length, 2);
+    assert.ok(sent[0].content.startsWith(`⏰ <@${userId}> stretch @everyone`));
+    assert.deepStrictEqual(sent[0].allowedMentions, { users: [userId] }, 'only the owner is pinged');
+    assert.ok(sent[1].content.includes(`/reminders cancel id:${daily.id}`));
+
+    const left = reminders.listReminders(userId);
+    assert.deepStrictEqual(left.map(r => r.id), [daily.id], 'one-off and orphaned reminders are deleted');
+    assert.strictEqual(left[0].due_at, daily.due_at + 86400000);
+    assert.strictEqual(left[0].sent_count, 1);
+    assert.ok(!left.some(r => r.id === once.id || r.id === gone.id));
+    clearReminders(userId);
+  });
+
+  await test('set_reminder tool sets, lists and cancels for the requesting user', async () => {
+    const tool = require('../tools/definitions/set_reminder');
+    const context = { userId: `${remUser}-tool`, channelId: 't1', guildId: 'g1' };
+    const set = await tool.execute({ when: 'in 30 minutes', message: 'check the build' }, context);
+    assert.strictEqual(set.set, true);
+    assert.strictEqual(set.discord.relative, `<t:${Math.floor(Date.parse(set.due) / 1000)}:R>`);
+    const bad = await tool.execute({ when: 'whenever', message: 'x' }, context);
+    assert.strictEqual(bad.set, false);
+    assert.ok(bad.error.includes('Could not understand'));
+    const list = await tool.execute({ action: 'list' }, context);
+    assert.strictEqual(list.count, 1);
+    assert.strictEqual(list.reminders[0].message, 'check the build');
+    assert.strictEqual((await tool.execute({ action: 'cancel', id: set.id }, { ...context, userId: 'other' })).cancelled, false);
+    assert.strictEqual((await tool.execute({ action: 'cancel', id: set.id }, context)).cancelled, true);
+  });
+
+  await test('/remind and /reminders are registered and routed', () => {
+    const { featureCommands } = require('../commands');
+    assert.ok(featureCommands.some(c => c.name === 'remind'));
+    assert.ok(featureCommands.some(c => c.name === 'reminders'));
+    const src = fs.readFileSync(path.join(__dirname, '..', 'handlers', 'interactionHandler.js'), 'utf-8');
+    assert.ok(src.includes("commandName === 'remind'"));
+    assert.ok(src.includes("commandName === 'reminders'"));
+    const index = fs.readFileSync(path.join(__dirname, '..', 'index.js'), 'utf-8');
+    assert.ok(index.includes('ReminderScheduler.getInstance().start()'));
+  });
+
+  // ── Documents ──
+  await test('documents: indexing is opt-in', () => {
+    assert.strictEqual(config.documentsEnabled, false, 'DOCUMENTS_ENABLED is unset here');
+    assert.strictEqual(require('../documents').getLimits('any-guild').enabled, false);
+  });
+
+  // The rest run with indexing turned on: a fresh documents module sees DOCUMENTS_ENABLED=true
+  const documents = (() => {
+    const configPath = require.resolve('../config');
+    const realConfig = require.cache[configPath];
+    require.cache[configPath] = { ...realConfig, exports: Object.freeze({ ...config, documentsEnabled: true }) };
+    delete require.cache[require.resolve('../documents')];
+    try {
+      return require('../documents');
+    } finally {
+      require.cache[configPath] = realConfig;
+    }
+  })();
+  const docChannel = `doc-chan-${Date.now()}`;
+  const docThread = `${docChannel}-thread`;
+  const docGuild = `doc-guild-${Date.now()}`;
+  // Deterministic stand-in for getEmbedding: one dimension per topic word
+  const topics = ['refund', 'shipping', 'warranty', 'invoice'];
+  const fakeEmbed = async (text) => Float32Array.from(topics.map(t => (text.toLowerCase().includes(t) ? 1 : 0.01)));
+  const allowAll = async () => ({ safe: true });
+  const tinyPdf = (pageTexts) => {
+    const pageIds = pageTexts.map((_, i) => 4 + i * 2);
+    const objs = ['<< /Type /Catalog /Pages 2 0 R >>', `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageTexts.length} >>`, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+    for (const [i, text] of pageTexts.entries()) {
+      const stream = `BT /F1 12 Tf 72 700 Td (${text}) Tj ET`;
+      objs.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${pageIds[i] + 1} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`);
+      objs.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    }
+    let out = '%PDF-1.4\n';
+    const offsets = objs.map((obj, i) => { const at = out.length; out += `${i + 1} 0 obj\n${obj}\nendobj\n`; return at; });
+    const xref = out.length;
+    out += `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+    out += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out);
+  };
+
+  await test('documents: text chunks keep line numbers, CSV chunks keep the header', async () => {
+    const lines = Array.from({ length: 120 }, (_, i) => `line ${i + 1} ${'x'.repeat(40)}`);
+    const { chunks, pages } = await documents.parseDocument('notes.md', Buffer.from(lines.join('\r\n')));
+    assert.strictEqual(pages, null);
+    assert.ok(chunks.length > 1);
+    assert.strictEqual(chunks[0].lineStart, 1);
+    assert.ok(chunks[0].text.startsWith('line 1 '));
+    assert.strictEqual(chunks[1].lineStart, chunks[0].lineEnd + 1);
+    assert.strictEqual(chunks[chunks.length - 1].lineEnd, 120);
+
+    const csv = ['sku,price', ...Array.from({ length: 200 }, (_, i) => `item-${i},${i}.99`)].join('\n');
+    const parsed = await documents.parseDocument('prices.csv', Buffer.from(csv));
+    assert.ok(parsed.chunks.length > 1);
+    assert.ok(parsed.chunks.every(c => c.text.startsWith('sku,price\n')));
+    assert.strictEqual(parsed.chunks[0].lineStart, 2);
+    await assert.rejects(documents.parseDocument('empty.txt', Buffer.from('  \n')), documents.DocumentError);
+    await assert.rejects(documents.parseDocument('blob.txt', Buffer.from([0x50, 0, 0x4b])), /binary/);
+  });
+
+  await test('documents: PDFs are split by page and cited by page', async () => {
+    const { chunks, pages } = await documents.parseDocument('report.pdf', tinyPdf(['Quarterly refund summary', 'Shipping delays by region']));
+    assert.strictEqual(pages, 2);
+    assert.deepStrictEqual(chunks.map(c => c.page), [1, 2]);
+    assert.ok(chunks[1].text.includes('Shipping delays'));
+    assert.strictEqual(documents.citation({ name: 'report.pdf' }, { chunk_index: 1, page: 2 }), 'report.pdf p.2 (chunk 2)');
+    assert.strictEqual(documents.citation({ name: 'a.py' }, { chunk_index: 0, line_start: 10, line_end: 42 }), 'a.py L10-42 (chunk 1)');
+    await assert.rejects(documents.parseDocument('broken.pdf', Buffer.from('not a pdf')), documents.DocumentError);
+  });
+
+  await test('documents: flagged text is not indexed', async () => {
+    const seen = [];
+    const moderate = async (texts, doc) => { seen.push([texts.length, doc.name, doc.channelId]); return { safe: !texts.some(t => t.includes('forbidden')) }; };
+    await assert.rejects(
+      documents.indexDocument({ name: 'bad.txt', data: Buffer.from('fine\nforbidden words'), channelId: `${docChannel}-mod`, userId: 'doc-u1', embed: fakeEmbed, moderate }),
+      /Blocked by content moderation/,
+    );
+    assert.deepStrictEqual(seen, [[1, 'bad.txt', `${docChannel}-mod`]]);
+    assert.strictEqual(documents.listDocuments(`${docChannel}-mod`).length, 0);
+  });
+
+  await test('documents: page and chunk limits are checked before the work is done', async () => {
+    await assert.rejects(documents.parseDocument('long.pdf', tinyPdf(['one', 'two', 'three']), { maxPages: 2 }), /3 pages, the limit is 2/);
+    // Too long to fit even in full chunks: refused before it is split
+    await assert.rejects(documents.parseDocument('big.txt', Buffer.from('x'.repeat(1200 * 5 + 1)), { maxChunks: 3 }), /at least 6 chunks, the limit is 3/);
+    // Fits in two full chunks, but lines are not split, so it takes three
+    const lines = ['a', 'b', 'c'].map(ch => ch.repeat(700)).join('\n');
+    await assert.rejects(documents.parseDocument('lines.txt', Buffer.from(lines), { maxChunks: 2 }), /\(3 chunks, the limit is 2\)/);
+    assert.strictEqual((await documents.parseDocument('lines.txt', Buffer.from(lines), { maxChunks: 3 })).chunks.length, 3);
+  });
+
+  await test('documents: indexed chunks are searchable from the channel and its threads', async () => {
+    const policy = ['# Policy', 'Refunds are issued within 14 days of purchase.', '', ...Array.from({ length: 40 }, () => 'Filler text about nothing in particular at all.'), 'Shipping takes 3-5 business days.'].join('\n');
+    const doc = await documents.indexDocument({ name: 'policy.md', data: Buffer.from(policy), channelId: docChannel, guildId: docGuild, userId: 'doc-u1', userName: 'alice', messageId: 'm1', embed: fakeEmbed, moderate: allowAll });
+    assert.ok(doc.id);
+    assert.ok(doc.chunk_count >= 2);
+    await documents.indexDocument({ name: 'report.pdf', data: tinyPdf(['Quarterly refund summary', 'Shipping delays by region']), channelId: docThread, guildId: docGuild, userId: 'doc-u2', embed: fakeEmbed, moderate: allowAll });
+
+    const fromThread = await documents.searchDocuments('how long does shipping take?', { channelId: docThread, parentChannelId: docChannel, embed: fakeEmbed, limit: 3 });
+    assert.strictEqual(fromThread.documents.length, 2);
+    assert.ok(fromThread.results.length <= 3);
+    assert.ok(fromThread.results[0].text.toLowerCase().includes('shipping'));
+    assert.ok(/^(policy\.md L\d+-\d+|report\.pdf p\.2) \(chunk \d+\)$/.test(fromThread.results[0].citation));
+
+    const fromChannel = await documents.searchDocuments('refund window', { channelId: docChannel, embed: fakeEmbed });
+    assert.deepStrictEqual([...new Set(fromChannel.results.map(r => r.document))], ['policy.md'], 'a channel does not see its threads\' documents');
+    assert.ok(fromChannel.results[0].lines);
+
+    // Without embeddings the search falls back to keywords
+    const offline = async () => { throw new Error('offline'); };
+    const keywords = await documents.searchDocuments('Refunds issued purchase', { channelId: docChannel, embed: offline });
+    assert.ok(keywords.results[0].text.includes('Refunds are issued'));
+    const filtered = await documents.searchDocuments('refund', { channelId: docThread, parentChannelId: docChannel, document: 'REPORT', embed: fakeEmbed });
+    assert.deepStrictEqual(filtered.documents.map(d => d.name), ['report.pdf']);
+  });
+
+  await test('documents: limits gate types and sizes per guild', async () => {
+    assert.deepStrictEqual(documents.getLimits(docGuild).allowedTypes, documents.ALL_EXTENSIONS);
+    const limits = documents.setLimits({ guildId: docGuild, maxMb: 2, types: 'pdf, code', updatedBy: 'admin' });
+    assert.strictEqual(limits.maxMb, 2);
+    assert.ok(limits.allowedTypes.includes('pdf') && limits.allowedTypes.includes('py'));
+    assert.ok(!limits.allowedTypes.includes('md'));
+    assert.throws(() => documents.setLimits({ guildId: docGuild, types: 'exe', updatedBy: 'admin' }), /Unknown document type/);
+
+    const owner = { channelId: docChannel, guildId: docGuild, userId: 'doc-u1' };
+    const result = await documents.ingestAttachments([
+      { name: 'cat.png', url: 'https://cdn.invalid/cat.png', size: 10 },
+      { name: 'readme.md', url: 'https://cdn.invalid/readme.md', size: 10 },
+      { name: 'huge.pdf', url: 'https://cdn.invalid/huge.pdf', size: 3 * 1024 * 1024 },
+    ], owner);
+    assert.strictEqual(result.indexed.length, 0);
+    assert.deepStrictEqual(result.skipped.map(s => s.name), ['readme.md', 'huge.pdf'], 'images are not documents');
+    assert.ok(result.skipped[0].reason.includes('.md files are not accepted'));
+    assert.ok(result.skipped[1].reason.includes('larger than'));
+    assert.ok(documents.describeIngestion(result).startsWith('[Not indexed: readme.md'));
+
+    documents.setLimits({ guildId: docGuild, enabled: false, types: 'all', updatedBy: 'admin' });
+    assert.deepStrictEqual(await documents.ingestAttachments([{ name: 'a.txt', url: 'https://cdn.invalid/a.txt', size: 1 }], owner), { indexed: [], skipped: [] });
+    assert.strictEqual(documents.getLimits(docGuild).allowedTypes.length, documents.ALL_EXTENSIONS.length);
+    assert.strictEqual(documents.ingestInBackground([{ name: 'a.txt', url: 'https://cdn.invalid/a.txt', size: 1 }], owner), null);
+  });
+
+  await test('documents: background indexing does not block, and search waits for it', async () => {
+    const channelId = `${docChannel}-bg`;
+    const text = 'Warranty claims need the invoice number.';
+    const attachment = { name: 'warranty.txt', url: `data:text/plain,${encodeURIComponent(text)}`, size: text.length };
+    assert.strictEqual(documents.ingestInBackground([{ name: 'cat.png', url: 'https://cdn.invalid/cat.png', size: 1 }], { channelId }), null);
+    let indexed = false;
+    const slowEmbed = async (t) => { await new Promise(r => setTimeout(r, 50)); return fakeEmbed(t); };
+    const task = documents.ingestInBackground([attachment], { channelId, guildId: `${docGuild}-bg`, userId: 'doc-u1', messageId: 'bg1', embed: slowEmbed, moderate: allowAll });
+    task.then(() => { indexed = true; });
+    assert.strictEqual(indexed, false);
+    assert.ok(documents.describePendingIngestion([attachment]).includes('being indexed: warranty.txt'));
+
+    const found = await documents.searchDocuments('warranty', { channelId, embed: fakeEmbed });
+    assert.ok(indexed, 'search waited for the pending ingestion');
+    assert.deepStrictEqual(found.documents.map(d => d.name), ['warranty.txt']);
+    assert.ok(documents.describeIngestion(await task).includes('warranty.txt (1 chunks)'));
+    assert.strictEqual(documents.clearDocuments(channelId), 1);
+  });
+
+  await test('documents: only the uploader or an admin can delete', async () => {
+    const [doc] = documents.listDocuments(docChannel);
+    assert.throws(() => documents.removeDocument(doc.id, { userId: 'doc-u2', isAdmin: false, channelIds: [docChannel] }), /Only the person who shared/);
+    assert.throws(() => documents.removeDocument(doc.id, { userId: 'doc-u1', isAdmin: false, channelIds: ['elsewhere'] }), /no document/);
+    assert.strictEqual(documents.removeDocument(doc.id, { userId: 'doc-u2', isAdmin: true, channelIds: [docChannel] }).name, 'policy.md');
+    assert.strictEqual(db.getDocumentChunks(doc.id).length, 0, 'chunks go with the document');
+    assert.strictEqual(documents.clearDocuments(docThread, 'doc-u1'), 0);
+    assert.strictEqual(documents.clearDocuments(docThread), 1);
+    assert.strictEqual(documents.listDocuments(docThread, docChannel).length, 0);
+  });
+
+  await test('search_documents tool explains when nothing is shared, formatter keeps citations', async () => {
+    const tool = require('../tools/definitions/search_documents');
+    const empty = await tool.execute({ query: 'anything' }, { channelId: `${docChannel}-empty` });
+    assert.deepStrictEqual(empty.results, []);
+    assert.ok(empty.note.includes('No documents'));
+
+    const { formatToolResult } = require('../tools/result-formatters');
+    const long = 'word '.repeat(600);
+    const result = { query: 'q', documents: [{ id: 1, name: 'a.pdf', chunks: 3 }], results: [1, 2, 3].map(n => ({ citation: `a.pdf p.${n} (chunk ${n})`, score: 0.5, text: long })) };
+    const text = await formatToolResult('search_documents', { success: true, result }, { budget: 200 });
+    for (const n of [1, 2, 3]) assert.ok(text.includes(`[a.pdf p.${n} (chunk ${n})]`));
+  });
+
+  await test('/documents is registered and routed', () => {
+    const { featureCommands } = require('../commands');
+    const cmd = featureCommands.find(c => c.name === 'documents');
+    assert.ok(cmd);
+    assert.deepStrictEqual(cmd.toJSON().options.map(o => o.name), ['list', 'delete', 'clear', 'limits']);
+    const src = fs.readFileSync(path.join(__dirname, '..', 'handlers', 'interactionHandler.js'), 'utf-8');
+    assert.ok(src.includes("commandName === 'documents'"));
+    const handler = fs.readFileSync(path.join(__dirname, '..', 'handlers', 'messageHandler.js'), 'utf-8');
+    assert.ok(handler.includes('ingestInBackground('));
+  });
+
   // ── DB tool usage ──
   await test('db: logToolUsage and getToolStats work', () => {
     // Use unique tool name to avoid accumulation across test runs
@@ -648,7 +1295,7 @@ async function test(name, fn) {
     reg.loadAll();
     const tools = reg.listTools();
     const lines = tools.map(t => `${t.name} — ${t.description.split('.')[0]}`);
-    assert.ok(lines.length === 10);
+    assert.ok(lines.length === 12);
     assert.ok(lines.some(l => l.includes('calculator')));
     assert.ok(lines.some(l => l.includes('brave_search')));
     assert.ok(lines.some(l => l.includes('code_runner')));
@@ -912,6 +1559,18 @@ async function test(name, fn) {
     assert.ok(stats.pendingBatches >= 1);
   });
 
+  await test('debouncer: remove drops a pending message', () => {
+    const debouncer = new MessageDebouncer(5000);
+    let fired = false;
+    const msg = (id) => ({ id, channel: { id: 'ch-rm' }, author: { id: 'u-rm' }, content: id });
+    debouncer.add(msg('m1'), () => { fired = true; });
+    assert.strictEqual(debouncer.remove('m1', 'someone-else'), false);
+    assert.strictEqual(debouncer.remove('m1'), true);
+    assert.ok(!debouncer.hasPending('ch-rm', 'u-rm'), 'Empty batch is cleared');
+    assert.strictEqual(debouncer.remove('m1'), false);
+    assert.strictEqual(fired, false);
+  });
+
   // ──────────── PRIORITY QUEUE ────────────
   const { PriorityTaskQueue } = require('../utils/model-queue');
 
@@ -964,6 +1623,47 @@ async function test(name, fn) {
     assert.strictEqual(queue.getStats().errors, 1);
   });
 
+  await test('PriorityQueue: aborting removes a waiting task', async () => {
+    const queue = new PriorityTaskQueue(1, 10);
+    const controller = new AbortController();
+    let release;
+    const blocker = queue.enqueue(() => new Promise(r => { release = r; }), 0);
+    let ran = false;
+    const waiting = queue.enqueue(async () => { ran = true; }, 3, controller.signal);
+    controller.abort(new Error('gone'));
+    await assert.rejects(waiting, /gone/);
+    assert.strictEqual(queue.getStats().pending, 0);
+    release();
+    await blocker;
+    assert.strictEqual(ran, false);
+    await assert.rejects(queue.enqueue(async () => {}, 0, controller.signal), /gone/, 'Already-aborted signals are rejected up front');
+  });
+
+  // ──────────── CONCURRENCY ────────────
+  const { mapWithConcurrency } = require('../utils/concurrency');
+
+  await test('mapWithConcurrency: caps in-flight calls and keeps input order', async () => {
+    let active = 0, peak = 0;
+    const results = await mapWithConcurrency([30, 5, 15, 1], 2, async (ms, i) => {
+      active++; peak = Math.max(peak, active);
+      await new Promise(r => setTimeout(r, ms));
+      active--;
+      return i;
+    });
+    assert.deepStrictEqual(results, [0, 1, 2, 3]);
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+
+  await test('mapWithConcurrency: first failure rejects and stops new work', async () => {
+    const started = [];
+    await assert.rejects(mapWithConcurrency([1, 2, 3, 4], 1, async (n) => {
+      started.push(n);
+      if (n === 2) throw new Error('boom');
+    }), /boom/);
+    assert.deepStrictEqual(started, [1, 2]);
+  });
+
   // ──────────── MODEL QUEUE ────────────
   const { ModelQueue } = require('../utils/model-queue');
 
@@ -996,6 +1696,36 @@ async function test(name, fn) {
     assert.ok(!mq.isQueueFull('gpt-5.2'));
   });
 
+  await test('ModelQueue: a task waiting outside the queue frees its slot, then queues ahead of new work', async () => {
+    const { outsideQueue } = require('../utils/model-queue');
+    const mq = new ModelQueue({ mainConcurrency: 1 });
+    const gate = () => { let open; const opened = new Promise(r => { open = r; }); return { open, opened }; };
+    const approval = gate();
+    const other = gate();
+    const order = [];
+    const tick = () => new Promise(r => setImmediate(r));
+    const a = mq.enqueue('gpt-5.2', async () => {
+      order.push('a:start');
+      // Two parallel approvals step out of the slot once
+      await Promise.all([outsideQueue(() => approval.opened), outsideQueue(() => approval.opened)]);
+      order.push('a:resumed');
+    });
+    const b = mq.enqueue('gpt-5.2', async () => { order.push('b'); });
+    await b;
+    assert.deepStrictEqual(order, ['a:start', 'b'], 'b ran while a waited for approval');
+    const c = mq.enqueue('gpt-5.2', async () => { order.push('c:start'); await other.opened; order.push('c:end'); });
+    await tick();
+    const d = mq.enqueue('gpt-5.2', async () => { order.push('d'); });
+    approval.open();
+    await tick();
+    assert.strictEqual(mq.getStats().main.active, 1, 'a waits for a free slot');
+    other.open();
+    await Promise.all([a, c, d]);
+    assert.deepStrictEqual(order, ['a:start', 'b', 'c:start', 'c:end', 'a:resumed', 'd']);
+    assert.deepStrictEqual([mq.getStats().main.active, mq.getStats().main.pending], [0, 0]);
+    assert.strictEqual(await outsideQueue(async () => 'ran'), 'ran', 'outside a queued task fn just runs');
+  });
+
   // ──────────── HEALTH ENDPOINT ────────────
   const http = require('http');
   const { startHealthServer } = require('../health');
@@ -1604,6 +2334,43 @@ async function test(name, fn) {
     assert.strictEqual(classifyIntent("that's wrong").tone, 'receptive');
   });
 
+  // ── LLM intent ensemble ──
+  const { combineIntent } = require('../thinking/layer2-intent');
+
+  await test('intent: heuristic matches carry a confidence', () => {
+    assert.ok(classifyIntent('summarize https://example.com').confidence >= 0.8);
+    assert.ok(classifyIntent('hola, ¿qué tal?').confidence < 0.5);
+  });
+
+  await test('intent: combineIntent keeps a confident heuristic match over the LLM', () => {
+    const result = combineIntent(classifyIntent('calculate 5 * 12'), { intent: 'general', tone: 'helpful', suggestedTools: [], confidence: 0.95 });
+    assert.strictEqual(result.intent, 'calculation');
+    assert.strictEqual(result.source, 'heuristic');
+  });
+
+  await test('intent: combineIntent lets a confident LLM override an ambiguous heuristic', () => {
+    const llm = { intent: 'current_info', tone: 'informative', suggestedTools: ['brave_search'], confidence: 0.85 };
+    const result = combineIntent(classifyIntent('¿quién ganó el partido anoche?'), llm);
+    assert.strictEqual(result.intent, 'current_info');
+    assert.strictEqual(result.source, 'llm');
+    assert.strictEqual(result.suggestSearch, true);
+    assert.deepStrictEqual(result.llmTools, ['brave_search']);
+  });
+
+  await test('intent: combineIntent falls back to the heuristic without an LLM result', () => {
+    const result = combineIntent(classifyIntent('hello there'), null);
+    assert.strictEqual(result.intent, 'general');
+    assert.strictEqual(result.source, 'heuristic');
+  });
+
+  await test('intent: combineIntent raises confidence when both agree', () => {
+    const heuristic = classifyIntent('what is photosynthesis');
+    const result = combineIntent(heuristic, { intent: 'definition', tone: 'educational', suggestedTools: ['define_word'], confidence: 0.9 });
+    assert.strictEqual(result.source, 'agree');
+    assert.strictEqual(result.confidence, 0.9);
+    assert.strictEqual(result.tone, heuristic.tone);
+  });
+
   // ── Profile consolidation trigger (50+ notes) ──
   await test('users: consolidateUserProfile exported', () => {
     const { consolidateUserProfile } = require('../users');
@@ -2008,13 +2775,717 @@ async function test(name, fn) {
     assert.ok(src.includes('attachmentSource'), 'Should use attachment source');
   });
 
+  // ── Pipeline traces ──
+  await test('trace: save and load by message id and reply id', () => {
+    const { PipelineTrace, loadTrace, linkReply } = require('../thinking/trace');
+    const trace = new PipelineTrace({ id: 'test-trace-1', content: 'what is 2+2?' }, { channelId: 'test-trace-ch', userId: 'test-u', userName: 'Tester' });
+    trace.recordPrompt(['You are LLMHub.', '\n## Key Context\nMath question']);
+    trace.recordIteration({ iteration: 1, content: null, toolCalls: [{ name: 'calculator', args: { expression: '2+2' }, success: true, result: '{"result":4}' }] });
+    trace.capture({ loadLevel: 1, gate: { engage: true, reason: 'mentioned', confidence: 1 }, intent: { intent: 'calculation', tone: 'concise', suggestedTools: ['calculator'] }, response: { action: 'respond', messages: [{ content: '4' }] } });
+    assert.ok(trace.save());
+    linkReply('test-trace-reply-1', 'test-trace-1');
+
+    const loaded = loadTrace('test-trace-1');
+    assert.strictEqual(loaded.gate.reason, 'mentioned');
+    assert.deepStrictEqual(loaded.intent.suggestedTools, ['calculator']);
+    assert.deepStrictEqual(loaded.prompt.sections.map(s => s.title), ['Base prompt', 'Key Context']);
+    assert.strictEqual(loaded.iterations[0].toolCalls[0].name, 'calculator');
+    assert.deepStrictEqual(loaded.synthesis.messages, ['4']);
+    assert.strictEqual(loadTrace('test-trace-reply-1').messageId, 'test-trace-1');
+    assert.strictEqual(loadTrace('test-trace-missing'), null);
+  });
+
+  await test('trace: context snapshot and recorded responses are clipped', () => {
+    const { PipelineTrace } = require('../thinking/trace');
+    const long = 'x'.repeat(10000);
+    const trace = new PipelineTrace({ content: 'hi' }, {});
+    trace.recordContext([{ role: 'user', content: long, name: 'a' }, { role: 'user', content: [{ type: 'text', text: long }, { type: 'image_url', image_url: { url: 'https://x' } }] }]);
+    trace.recordCall('openai.thinkWithModel', { content: long, usage: { total_tokens: 5 } });
+    trace.recordIteration({ iteration: 1, content: long, toolCalls: [] });
+    const data = JSON.parse(JSON.stringify(trace));
+    assert.ok(JSON.stringify(data).length < 20000);
+    assert.ok(data.contextSnapshot[0].content.includes('[truncated 6000 chars]'));
+    assert.ok(data.contextSnapshot[1].content[0].text.includes('[truncated'));
+    assert.strictEqual(data.contextSnapshot[1].content[1].image_url.url, 'https://x');
+    assert.ok(data.calls[0].response.content.includes('[truncated'));
+    assert.strictEqual(data.calls[0].response.usage.total_tokens, 5);
+    assert.ok(data.iterations[0].content.includes('[truncated'));
+  });
+
+  await test('trace: save without message id is a no-op', () => {
+    const { PipelineTrace } = require('../thinking/trace');
+    assert.strictEqual(new PipelineTrace({ content: 'hi' }, {}).save(), false);
+  });
+
+  await test('trace: latest trace per channel and pruning', () => {
+    const { PipelineTrace, loadLatestTrace } = require('../thinking/trace');
+    const { pruneTraces } = require('../db');
+    const old = new PipelineTrace({ id: 'test-trace-old', content: 'old' }, { channelId: 'test-trace-ch2' });
+    old.startedAt = Date.now() - 30 * 86400000;
+    old.save();
+    new PipelineTrace({ id: 'test-trace-new', content: 'new' }, { channelId: 'test-trace-ch2' }).save();
+    assert.strictEqual(loadLatestTrace('test-trace-ch2').messageId, 'test-trace-new');
+    assert.ok(pruneTraces(Date.now() - 7 * 86400000) >= 1);
+    assert.strictEqual(loadLatestTrace('test-trace-ch2').messageId, 'test-trace-new');
+  });
+
+  await test('trace: command parses message ids and links', () => {
+    const { parseMessageRef } = require('../commands/trace-commands');
+    assert.strictEqual(parseMessageRef('123456789012345678'), '123456789012345678');
+    assert.strictEqual(parseMessageRef('https://discord.com/channels/1/2/123456789012345678'), '123456789012345678');
+    assert.strictEqual(parseMessageRef('hello'), null);
+  });
+
+  await test('trace: embed summarizes a stored trace', () => {
+    const { buildTraceEmbed } = require('../commands/trace-commands');
+    const { loadTrace } = require('../thinking/trace');
+    const embed = buildTraceEmbed(loadTrace('test-trace-1')).toJSON();
+    const fields = Object.fromEntries(embed.fields.map(f => [f.name, f.value]));
+    assert.ok(fields.Gate.includes('mentioned'));
+    assert.ok(fields.Intent.includes('calculation'));
+    assert.ok(fields['Agent Loop'].includes('calculator'));
+  });
+
+  await test('trace: openai-client and memory exports record onto the current trace', async () => {
+    const { PipelineTrace, runWithTrace, recorded } = require('../thinking/trace');
+    const trace = new PipelineTrace({ content: 'x' }, {});
+    const ok = recorded('test.ok', async (n) => n * 2);
+    const bad = recorded('test.bad', async () => { throw Object.assign(new Error('nope'), { status: 500 }); });
+    await runWithTrace(trace, async () => {
+      assert.strictEqual(await ok(21), 42);
+      await assert.rejects(bad(), /nope/);
+    });
+    assert.strictEqual(await ok(1), 2); // outside a run: not recorded
+    assert.deepStrictEqual(trace.calls, [{ source: 'test.ok', response: 42 }, { source: 'test.bad', error: 'nope', status: 500 }]);
+  });
+
+  await test('replay: reproduces a recorded trace offline and diffs it', () => {
+    const { execFileSync } = require('child_process');
+    const os = require('os');
+    const file = path.join(os.tmpdir(), `llmhub-replay-${Date.now()}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      messageId: 'test-replay-1',
+      loadLevel: 1,
+      input: { content: 'calculate 2+2', userName: 'Tester', context: { userId: 'test-replay-u', userName: 'Tester', channelId: 'test-replay-ch', botId: 'b1', mentionsBot: true } },
+      contextSnapshot: [{ role: 'user', content: 'calculate 2+2', name: 'Tester' }],
+      calls: [
+        { source: 'memory.hybridSearch', response: [] },
+        { source: 'memory.hybridSearch', response: [] },
+        { source: 'openai.createChatCompletion', response: { content: '', tool_calls: [{ id: 'c1', type: 'function', function: { name: 'calculator', arguments: '{"expression":"2+2"}' } }] } },
+        { source: 'openai.createChatCompletion', response: { content: 'It is 4.', tool_calls: null } },
+      ],
+      gate: { engage: true, reason: 'old reason', confidence: 1 },
+      iterations: [{ iteration: 1, content: null, toolCalls: [{ name: 'calculator', args: { expression: '2+2' }, success: true, result: '{"result":4}' }] }],
+      outcome: { action: 'respond', reason: null },
+    }));
+    try {
+      const out = execFileSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'replay.js'), '--file', file, '--json'], {
+        encoding: 'utf-8', timeout: 60000, env: { ...process.env, LOG_LEVEL: 'error' },
+      });
+      const result = JSON.parse(out.slice(out.indexOf('{')));
+      assert.strictEqual(result.trace.intent.intent, 'calculation');
+      assert.strictEqual(result.trace.iterations[0].toolCalls[0].name, 'calculator');
+      assert.deepStrictEqual(result.trace.synthesis.messages, ['It is 4.']);
+      assert.deepStrictEqual(result.missing, []);
+      assert.ok(result.diff.includes('~ gate.reason: "old reason" → "Bot mentioned"'));
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  await test('trace: interactionHandler routes /trace and the context menu', () => {
+    const src = fs.readFileSync(path.join(__dirname, '..', 'handlers', 'interactionHandler.js'), 'utf-8');
+    assert.ok(src.includes("commandName === 'trace'"), 'Should handle trace command');
+    assert.ok(src.includes('isMessageContextMenuCommand'), 'Should route context menu commands');
+  });
+
+  // ── Gate / intent evaluation ──
+  await test('eval: classifyIntent names the rule that matched', () => {
+    assert.strictEqual(classifyIntent('draw me a cat').rule, 'image');
+    assert.strictEqual(classifyIntent('now add tests', 'code_request').rule, 'code_followup');
+    assert.strictEqual(classifyIntent('hey how are you doing').rule, 'default');
+  });
+
+  await test('eval: classMetrics computes precision, recall and the confusion matrix', () => {
+    const { classMetrics, ruleMetrics } = require('../scripts/eval');
+    const m = classMetrics([
+      { expected: 'a', actual: 'a' }, { expected: 'a', actual: 'b' },
+      { expected: 'b', actual: 'b' }, { expected: 'b', actual: 'b' },
+    ]);
+    assert.strictEqual(m.accuracy, 0.75);
+    assert.strictEqual(m.matrix.a.b, 1);
+    assert.strictEqual(m.perLabel.a.precision, 1);
+    assert.strictEqual(m.perLabel.a.recall, 0.5);
+    assert.ok(Math.abs(m.perLabel.b.precision - 2 / 3) < 1e-9);
+    const rules = ruleMetrics([{ rule: 'r1', expected: 'a', actual: 'a' }, { rule: 'r1', expected: 'b', actual: 'a' }]);
+    assert.deepStrictEqual(rules.r1, { fired: 2, correct: 1, expected: { a: 1, b: 1 }, precision: 0.5 });
+  });
+
+  await test('eval: labeled dataset does not regress', () => {
+    const { execFileSync } = require('child_process');
+    const out = execFileSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'eval.js'), '--json'], {
+      encoding: 'utf-8', timeout: 60000, env: { ...process.env, LOG_LEVEL: 'error' }, stdio: ['ignore', 'pipe', 'ignore'],
+    });
+    const report = JSON.parse(out);
+    // Baseline of the current heuristics — raise these when a tweak fixes a miss, never lower them
+    assert.strictEqual(report.gate.accuracy, 1, `gate misses: ${report.failures.filter(f => f.kind === 'gate').map(f => f.id)}`);
+    assert.ok(report.intent.correct >= 40, `intent correct ${report.intent.correct}/${report.intent.total}`);
+    assert.ok(report.tone.correct >= 18, `tone correct ${report.tone.correct}/${report.tone.total}`);
+  });
+
+  // ── Clarifying questions ──
+  const clarify = require('../thinking/clarify');
+
+  await test('clarify: looksUnderspecified flags short vague requests only', () => {
+    assert.strictEqual(clarify.looksUnderspecified('make it better'), true);
+    assert.strictEqual(clarify.looksUnderspecified('can you fix it'), true);
+    assert.strictEqual(clarify.looksUnderspecified('shorter'), true);
+    assert.strictEqual(clarify.looksUnderspecified('make it better by adding error handling to the parser function'), false);
+    assert.strictEqual(clarify.looksUnderspecified('what is the capital of france'), false);
+  });
+
+  await test('clarify: button IDs round-trip through parseClarifyId', () => {
+    const msg = clarify.buildClarifyMessage('123456789012345678', { question: 'Which?', options: ['First', 'Second', 'Third'] });
+    assert.strictEqual(msg.content, '🤔 Which?');
+    const buttons = msg.components[0].toJSON().components;
+    assert.strictEqual(buttons.length, 3);
+    assert.deepStrictEqual(clarify.parseClarifyId(buttons[2].custom_id), { messageId: '123456789012345678', index: 2 });
+    assert.strictEqual(clarify.parseClarifyId('forget_cancel'), null);
+  });
+
+  await test('clarify: pending questions are consumed once', () => {
+    clarify.savePending('test-pending-1', { context: { userId: 'u' }, options: ['a', 'b'], question: 'q' });
+    assert.ok(clarify.getPending('test-pending-1'));
+    assert.ok(clarify.takePending('test-pending-1'));
+    assert.strictEqual(clarify.takePending('test-pending-1'), null);
+  });
+
+  await test('clarify: button handler rejects expired questions and other users', async () => {
+    const { handleClarifyButton } = require('../handlers/messageHandler');
+    const replies = [];
+    const interaction = (userId, customId) => ({ customId, user: { id: userId }, reply: async (r) => replies.push(r), update: async () => { throw new Error('should not update'); } });
+    await handleClarifyButton(interaction('u1', 'clarify:test-missing:0'));
+    assert.ok(replies[0].content.includes('expired'));
+    clarify.savePending('test-pending-2', { message: { content: 'do it' }, context: { userId: 'owner' }, options: ['a', 'b'], question: 'q' });
+    await handleClarifyButton(interaction('intruder', 'clarify:test-pending-2:1'));
+    assert.ok(replies[1].content.includes('Only the person'));
+    assert.strictEqual(replies.every(r => r.ephemeral), true);
+    assert.ok(clarify.getPending('test-pending-2'), 'Question stays open for the asker');
+  });
+
+  await test('clarify: interactionHandler routes clarify buttons', () => {
+    const src = fs.readFileSync(path.join(__dirname, '..', 'handlers', 'interactionHandler.js'), 'utf-8');
+    assert.ok(src.includes('handleClarifyButton'));
+    assert.ok(src.includes('CLARIFY_PREFIX'));
+  });
+
+  // ── Regenerate / alternatives ──
+  const regen = require('../thinking/regenerate');
+
+  await test('regenerate: only single-message text replies are regenerable', () => {
+    const reply = { action: 'respond', text: 'Hi', intent: { intent: 'general' }, images: [], messages: [{ content: 'Hi', files: [] }] };
+    assert.strictEqual(regen.isRegenerable(reply), true);
+    assert.strictEqual(regen.isRegenerable({ ...reply, messages: [{ content: 'a' }, { content: 'b' }] }), false);
+    assert.strictEqual(regen.isRegenerable({ ...reply, images: [{}] }), false);
+    assert.strictEqual(regen.isRegenerable({ ...reply, intent: undefined }), false);
+    assert.strictEqual(regen.displayText({ messages: [{ content: 'x'.repeat(2500) }] }).length, 2000);
+  });
+
+  await test('regenerate: pager row reflects position, choice and limit', () => {
+    const ids = (row) => row.toJSON().components.map(c => [c.custom_id, c.label, Boolean(c.disabled)]);
+    assert.deepStrictEqual(ids(regen.buildRegenRow('42', { alternatives: [{}], index: 0, chosen: 0 })), [['regen:42:new', '🔁 Regenerate', false]]);
+    const row = ids(regen.buildRegenRow('42', { alternatives: [{}, {}, {}], index: 1, chosen: 0 }));
+    assert.deepStrictEqual(row.map(r => r[1]), ['◀', '2/3', '▶', '✅ Use this', '🔁 Regenerate']);
+    assert.deepStrictEqual(row.map(r => r[2]), [false, true, false, false, false]);
+    const full = ids(regen.buildRegenRow('42', { alternatives: Array(regen.MAX_ALTERNATIVES).fill({}), index: 0, chosen: 0 }));
+    assert.strictEqual(full[3][1], '✅ In use');
+    assert.strictEqual(full[4][2], true, 'Regenerate disabled at the limit');
+    assert.deepStrictEqual(regen.parseRegenId('regen:42:next'), { messageId: '42', action: 'next' });
+    assert.strictEqual(regen.parseRegenId('regen:42:page'), null);
+  });
+
+  await test('regenerate: picking an alternative replaces the assistant turn in context', async () => {
+    const { handleRegenerateButton } = require('../handlers/messageHandler');
+    const ch = 'test-regen-ch';
+    await clearChannelContext(ch);
+    await addMessage(ch, 'user', 'tell me a joke', 'alice', 'test-regen-q');
+    await addMessage(ch, 'assistant', 'first joke', undefined, 'test-regen-a');
+    const session = regen.saveSession('test-regen-q', {
+      message: { id: 'test-regen-q' }, context: { userId: 'owner', userName: 'alice', channelId: ch },
+      intent: { intent: 'general' }, priority: 0, replyMessageId: 'test-regen-a', text: 'first joke', content: 'first joke',
+    });
+    session.alternatives.push({ text: 'second joke', content: 'second joke' });
+    session.index = 1;
+
+    const updates = [], replies = [];
+    const click = (userId, action) => handleRegenerateButton({
+      customId: `regen:test-regen-q:${action}`, user: { id: userId },
+      reply: async (r) => replies.push(r), update: async (r) => updates.push(r),
+    });
+    await click('intruder', 'pick');
+    assert.ok(replies[0].content.includes('Only the person') && replies[0].ephemeral);
+    assert.ok(getContext(ch).some(m => m.content === 'first joke'), 'Paging alone does not touch context');
+
+    await click('owner', 'pick');
+    assert.strictEqual(session.chosen, 1);
+    assert.ok(getContext(ch).some(m => m.content === 'second joke'));
+    assert.ok(!getContext(ch).some(m => m.content === 'first joke'));
+    await click('owner', 'prev');
+    assert.strictEqual(updates[1].content, 'first joke');
+    await clearChannelContext(ch);
+  });
+
+  await test('context: getContextUntil drops turns after the given message', async () => {
+    const { getContextUntil } = require('../context');
+    const ch = 'test-until-ch';
+    await clearChannelContext(ch);
+    await addMessage(ch, 'user', 'question', 'alice', 'until-1');
+    await addMessage(ch, 'assistant', 'answer', undefined, 'until-2');
+    assert.deepStrictEqual(getContextUntil(ch, 'until-1').map(m => m.content), ['question']);
+    assert.strictEqual(getContextUntil(ch, 'missing').length, 2, 'Unknown message falls back to full context');
+    await clearChannelContext(ch);
+  });
+
+  // ── Cancellation ──
+  const cancellation = require('../utils/cancellation');
+
+  await test('cancellation: only the author can cancel, and release keeps newer runs', () => {
+    const first = cancellation.track('test-cancel-1', 'owner');
+    assert.strictEqual(cancellation.cancel('test-cancel-1', 'cancelled with ❌', { userId: 'intruder' }), false);
+    assert.strictEqual(cancellation.cancel('test-cancel-1', 'message edited'), true);
+    assert.strictEqual(first.signal.reason.reason, 'message edited');
+    assert.strictEqual(cancellation.isCancellation(first.signal.reason), true);
+    const second = cancellation.track('test-cancel-1', 'owner');
+    cancellation.release('test-cancel-1', first);
+    assert.ok(cancellation.isInFlight('test-cancel-1'), 'Stale release does not drop the restarted run');
+    cancellation.release('test-cancel-1', second);
+    assert.ok(!cancellation.isInFlight('test-cancel-1'));
+    assert.strictEqual(cancellation.cancel('test-cancel-1', 'message deleted'), false);
+  });
+
+  await test('cancellation: retries and the circuit breaker let cancellations through', async () => {
+    const { CircuitBreaker } = require('../utils/circuit-breaker');
+    const breaker = new CircuitBreaker('test-cancel', { failureThreshold: 1 });
+    let attempts = 0;
+    await assert.rejects(withRetry(() => breaker.execute(async () => {
+      attempts++;
+      throw new cancellation.CancelledError('message deleted');
+    }), { maxRetries: 3, backoffMs: 1 }), /Cancelled/);
+    assert.strictEqual(attempts, 1);
+    assert.strictEqual(breaker.getState().state, 'CLOSED');
+  });
+
+  await test('cancellation: index.js wires delete, edit and ❌ to cancellation', () => {
+    const src = fs.readFileSync(path.join(__dirname, '..', 'index.js'), 'utf-8');
+    assert.ok(src.includes("cancelInFlight(message.id, 'message deleted')"));
+    assert.ok(src.includes('handleMessageEdit(newMessage)'));
+    assert.ok(src.includes("reaction.emoji.name === '❌'"));
+  });
+
+  // ── Tool permission policies ──
+  const policy = require('../tools/policy');
+  const policyCtx = { guildId: 'test-guild-1', channelId: 'test-chan-1', parentChannelId: 'test-parent-1', userId: 'test-user-1', roleIds: ['test-role-1'] };
+
+  await test('tool policy: no rules allows everything, DMs are unrestricted', () => {
+    assert.strictEqual(policy.checkToolAccess('code_runner', policyCtx).allowed, true);
+    assert.strictEqual(policy.policyFilter(policyCtx), null);
+    assert.strictEqual(policy.checkToolAccess('code_runner', { userId: 'test-user-1' }).allowed, true);
+  });
+
+  await test('tool policy: most specific level wins, exact tool beats *', () => {
+    const set = (scope, targetId, toolName, effect) => policy.setPolicy({ guildId: 'test-guild-1', scope, targetId, toolName, effect });
+    set('guild', 'test-guild-1', '*', 'deny');
+    assert.strictEqual(policy.checkToolAccess('calculator', policyCtx).allowed, false);
+    set('channel', 'test-parent-1', 'calculator', 'allow');
+    assert.strictEqual(policy.checkToolAccess('calculator', policyCtx).allowed, true, 'thread inherits parent channel rule');
+    set('role', 'test-role-1', '*', 'deny');
+    set('role', 'test-role-1', 'calculator', 'allow');
+    assert.strictEqual(policy.checkToolAccess('calculator', policyCtx).allowed, true);
+    assert.strictEqual(policy.checkToolAccess('web_search', policyCtx).allowed, false);
+    set('user', 'test-user-1', 'web_search', 'allow');
+    assert.strictEqual(policy.checkToolAccess('web_search', policyCtx).allowed, true);
+    set('guild', 'test-guild-1', '*', 'allow'); // upsert replaces the effect
+    assert.strictEqual(policy.listPolicies('test-guild-1').filter(r => r.scope === 'guild')[0].effect, 'allow');
+    assert.strictEqual(policy.removePolicy('test-guild-1', 'role', 'test-role-1', '*'), true);
+    assert.strictEqual(policy.removePolicy('test-guild-1', 'role', 'test-role-1', '*'), false);
+    assert.throws(() => set('team', 'x', '*', 'deny'), /Invalid policy scope/);
+  });
+
+  await test('tool policy: filter hides denied tools and executeTool refuses them', async () => {
+    const ToolRegistry = require('../tools/registry');
+    const reg = new ToolRegistry();
+    let ran = false;
+    for (const name of ['code_runner', 'calculator']) {
+      reg.register({ name, description: name, parameters: { type: 'object', properties: {} }, execute: async () => { ran = true; return 'ok'; } });
+    }
+    policy.setPolicy({ guildId: 'test-guild-1', scope: 'channel', targetId: 'test-chan-1', toolName: 'code_runner', effect: 'deny' });
+    assert.deepStrictEqual(reg.getToolsForOpenAI(policy.policyFilter(policyCtx)).map(t => t.function.name), ['calculator']);
+    const result = await reg.executeTool('code_runner', {}, policyCtx);
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.denied, true);
+    assert.ok(result.error.includes('disabled'));
+    assert.strictEqual(ran, false);
+    assert.strictEqual((await reg.executeTool('calculator', {}, policyCtx)).success, true);
+  });
+
+  await test('tool policy: /toolpolicy is registered and routed', () => {
+    const { toolPolicyCommands, formatTarget } = require('../commands/toolpolicy-commands');
+    assert.deepStrictEqual(toolPolicyCommands[0].toJSON().options.map(o => o.name), ['set', 'remove', 'list']);
+    assert.strictEqual(formatTarget({ scope: 'role', target_id: '9' }), '<@&9>');
+    assert.ok(fs.readFileSync(path.join(__dirname, '..', 'commands', 'index.js'), 'utf-8').includes('toolPolicyCommands'));
+    assert.ok(fs.readFileSync(path.join(__dirname, '..', 'handlers', 'interactionHandler.js'), 'utf-8').includes('handleToolPolicy'));
+  });
+
+  // ── Tool result formatting ──
+  const resultFormatters = require('../tools/result-formatters');
+  const { countTokens } = require('../tokenizer');
+
+  await test('tool results: search keeps every title and URL within budget', async () => {
+    const results = Array.from({ length: 5 }, (_, i) => ({ title: `Result ${i}`, url: `https://example.com/${i}`, snippet: 'lorem ipsum '.repeat(200) }));
+    const text = await resultFormatters.formatToolResult('brave_search', { success: true, result: results }, { budget: 300 });
+    assert.ok(countTokens(text) <= 300, `got ${countTokens(text)} tokens`);
+    for (let i = 0; i < 5; i++) assert.ok(text.includes(`https://example.com/${i}`) && text.includes(`Result ${i}`));
+    const tavily = await resultFormatters.formatToolResult('tavily_search', { success: true, result: { answer: 'Paris', results: [{ title: 'T', url: 'https://t.example', content: 'c' }] } });
+    assert.ok(tavily.startsWith('Answer: Paris') && tavily.includes('https://t.example'));
+  });
+
+  await test('tool results: code output keeps head, tail and the full error', async () => {
+    const stdout = ['first line', ...Array.from({ length: 2000 }, (_, i) => `row ${i}`), 'last line'].join('\n');
+    const error = 'Traceback: ' + 'frame '.repeat(60) + 'ZeroDivisionError';
+    const text = await resultFormatters.formatToolResult('code_runner', { success: true, result: { success: false, stdout, stderr: '', results: '', error, language: 'python' } }, { budget: 400 });
+    assert.ok(countTokens(text) <= 400, `got ${countTokens(text)} tokens`);
+    assert.ok(text.includes('first line') && text.includes('last line') && text.includes('chars omitted'));
+    assert.ok(text.includes(error));
+  });
+
+  await test('tool results: oversized output goes through the summarizer, then trimming', async () => {
+    const big = { success: true, result: { data: 'x '.repeat(5000) } };
+    let seen;
+    const summarized = await resultFormatters.formatToolResult('recall', big, { budget: 100, summarize: async (text, budget, name) => { seen = { budget, name }; return 'short summary'; } });
+    assert.strictEqual(summarized, 'short summary');
+    assert.deepStrictEqual(seen, { budget: 100, name: 'recall' });
+    const trimmed = await resultFormatters.formatToolResult('recall', big, { budget: 100, summarize: async () => { throw new Error('model down'); } });
+    assert.ok(trimmed.endsWith(resultFormatters.TRUNCATION_MARKER) && countTokens(trimmed) <= 100);
+    assert.strictEqual(await resultFormatters.formatToolResult('recall', { success: false, error: 'boom' }), '{"error":"boom"}');
+  });
+
+  // ── Usage ledger & quotas ──
+  const usage = require('../utils/usage');
+
+  await test('usage: calls are attributed to the current user and priced', () => {
+    assert.strictEqual(usage.estimateCost('gpt-4.1-mini-2025-04-14', { promptTokens: 1e6, completionTokens: 0 }), usage.PRICING['gpt-4.1-mini'].input);
+    assert.strictEqual(usage.estimateCost('unknown-model', { promptTokens: 1000 }), 0);
+    usage.withUsageContext({ userId: 'test-usage-1', guildId: 'test-guild-u', channelId: 'test-chan-u' }, () => {
+      usage.recordUsage({ kind: 'chat', model: 'gpt-4.1-mini', usage: { prompt_tokens: 100, completion_tokens: 50 } });
+      usage.recordUsage({ kind: 'image', model: 'gpt-image-1', images: 1 });
+    });
+    usage.recordUsage({ kind: 'think', model: 'gpt-4.1-mini', usage: { prompt_tokens: 999 } }); // no owner
+    const today = usage.getUsage('test-usage-1', 'day');
+    assert.strictEqual(today.calls, 2);
+    assert.strictEqual(today.tokens, 150);
+    assert.strictEqual(today.images, 1);
+    assert.ok(today.costUsd > 0.04);
+    assert.deepStrictEqual(today.byModel.map(m => m.model), ['gpt-image-1', 'gpt-4.1-mini']);
+  });
+
+  await test('usage: quotas resolve user > most generous role > server, per resource', () => {
+    const who = { userId: 'test-usage-1', guildId: 'test-guild-u', roleIds: ['test-role-a', 'test-role-b'] };
+    assert.strictEqual(usage.checkQuota(who).allowed, true, 'no quotas = unlimited');
+    usage.setQuota({ guildId: 'test-guild-u', scope: 'guild', targetId: 'test-guild-u', period: 'day', maxTokens: 100 });
+    const blocked = usage.checkQuota(who);
+    assert.strictEqual(blocked.allowed, false);
+    assert.strictEqual(blocked.period, 'day');
+    assert.ok(blocked.reason.includes('daily tokens quota'));
+    usage.setQuota({ guildId: 'test-guild-u', scope: 'role', targetId: 'test-role-a', period: 'day', maxTokens: 120, maxImages: 5 });
+    usage.setQuota({ guildId: 'test-guild-u', scope: 'role', targetId: 'test-role-b', period: 'day', maxTokens: 1000, maxImages: 1 });
+    assert.strictEqual(usage.checkQuota(who).allowed, true, 'most generous role wins');
+    assert.strictEqual(usage.checkQuota(who, 'images').allowed, true);
+    usage.setQuota({ guildId: 'test-guild-u', scope: 'user', targetId: 'test-usage-1', period: 'month', maxImages: 1 });
+    assert.strictEqual(usage.checkQuota(who, 'images').allowed, false);
+    assert.strictEqual(usage.checkQuota(who).allowed, true, 'image quota does not block text');
+    assert.deepStrictEqual(usage.getLimits(who).day, { max_tokens: 1000, max_images: 5 });
+    assert.strictEqual(usage.removeQuota('test-guild-u', 'user', 'test-usage-1', 'month'), true);
+    assert.throws(() => usage.setQuota({ guildId: 'test-guild-u', scope: 'user', targetId: 'x', period: 'week' }), /Invalid quota period/);
+  });
+
+  await test('usage: queued model tasks keep the enqueuer\'s usage context', async () => {
+    const { ModelQueue } = require('../utils/model-queue');
+    const queue = new ModelQueue({ mainConcurrency: 1 });
+    let release;
+    const first = usage.withUsageContext({ userId: 'test-a' }, () => queue.enqueue('gpt-5.2', () => new Promise(r => { release = r; })));
+    const second = usage.withUsageContext({ userId: 'test-b' }, () => queue.enqueue('gpt-5.2', async () => usage.currentUsageContext()?.userId));
+    release();
+    await first;
+    assert.strictEqual(await second, 'test-b');
+  });
+
+  await test('usage: /usage and /quota are registered and routed', () => {
+    const { usageCommands } = require('../commands/usage-commands');
+    assert.deepStrictEqual(usageCommands.map(c => c.name), ['usage', 'quota']);
+    const src = fs.readFileSync(path.join(__dirname, '..', 'handlers', 'interactionHandler.js'), 'utf-8');
+    assert.ok(src.includes('handleUsage') && src.includes('handleQuota') && src.includes('withUsageContext'));
+    assert.ok(fs.readFileSync(path.join(__dirname, '..', 'commands', 'index.js'), 'utf-8').includes('usageCommands'));
+  });
+
+  // ── Tool plugins ──
+  const { PluginManager, validateManifest } = require('../tools/plugins');
+  const { getState: readState, setState: writeState } = require('../db');
+  const savedDisabledPlugins = readState('plugins_disabled');
+
+  await test('plugins: manifests are validated before loading', () => {
+    assert.deepStrictEqual(validateManifest({ name: 'ok', version: '1.2.3', permissions: ['network'] }), []);
+    const errors = validateManifest({ name: 'Bad Name', version: '1', timeout: -1, env: ['NOPE_NOT_SET_X'], permissions: ['root'] });
+    assert.strictEqual(errors.length, 5);
+    assert.ok(validateManifest({ name: 'a', version: '1.0.0', permissions: ['network'] }, { allowedPermissions: [] })[0].includes('not allowed'));
+  });
+
+  await test('plugins: load valid plugins, report invalid ones', async () => {
+    writeState('plugins_disabled', '[]');
+    const ToolRegistry = require('../tools/registry');
+    const reg = new ToolRegistry();
+    const manager = new PluginManager(reg, { dir: path.join(__dirname, 'fixtures', 'plugins') });
+    manager.loadAll();
+    const byName = Object.fromEntries(manager.list().map(p => [p.name, p]));
+    assert.strictEqual(byName.echo.status, 'enabled');
+    assert.deepStrictEqual(byName.echo.tools, ['echo']);
+    assert.strictEqual(byName['needs-secret'].status, 'error');
+    assert.ok(byName['needs-secret'].error.includes('LLMHUB_TEST_PLUGIN_SECRET'));
+    assert.strictEqual(reg.getTool('echo').timeout, 5000);
+    assert.deepStrictEqual((await reg.executeTool('echo', { text: 'hi' }, {})).result, { echoed: 'hi' });
+  });
+
+  await test('plugins: disable, enable and hot reload at runtime', () => {
+    writeState('plugins_disabled', '[]');
+    const os = require('os');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmhub-plugins-'));
+    try {
+      fs.cpSync(path.join(__dirname, 'fixtures', 'plugins', 'echo'), path.join(dir, 'echo'), { recursive: true });
+      const ToolRegistry = require('../tools/registry');
+      const reg = new ToolRegistry();
+      const manager = new PluginManager(reg, { dir });
+      manager.loadAll();
+      manager.disable('echo');
+      assert.strictEqual(reg.getTool('echo'), undefined);
+      assert.deepStrictEqual(JSON.parse(readState('plugins_disabled')), ['echo']);
+      manager.reload();
+      assert.strictEqual(manager.list()[0].status, 'disabled', 'disabled state survives a rescan');
+      manager.enable('echo');
+      assert.ok(reg.getTool('echo'));
+
+      const entry = path.join(dir, 'echo', 'index.js');
+      fs.writeFileSync(entry, fs.readFileSync(entry, 'utf-8').replace("'Echo the given text back'", "'Echo v2'"));
+      manager.reload('echo');
+      assert.strictEqual(reg.getTool('echo').description, 'Echo v2');
+
+      reg.register({ name: 'echo2', description: 'x', parameters: {}, execute: async () => null });
+      fs.writeFileSync(entry, fs.readFileSync(entry, 'utf-8').replace("name: 'echo'", "name: 'echo2'"));
+      const [clash] = manager.reload('echo');
+      assert.strictEqual(clash.status, 'error');
+      assert.ok(clash.error.includes('already taken'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('plugins: a duplicate name is reported without replacing the loaded plugin', () => {
+    writeState('plugins_disabled', '[]');
+    const os = require('os');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmhub-plugins-'));
+    try {
+      fs.cpSync(path.join(__dirname, 'fixtures', 'plugins', 'echo'), path.join(dir, 'echo'), { recursive: true });
+      fs.cpSync(path.join(__dirname, 'fixtures', 'plugins', 'echo'), path.join(dir, 'echo-copy'), { recursive: true });
+      const ToolRegistry = require('../tools/registry');
+      const reg = new ToolRegistry();
+      const manager = new PluginManager(reg, { dir });
+      manager.loadAll();
+      const byName = Object.fromEntries(manager.list().map(p => [p.name, p]));
+      assert.strictEqual(byName.echo.status, 'enabled');
+      assert.deepStrictEqual(byName.echo.tools, ['echo']);
+      assert.strictEqual(byName['echo-copy'].status, 'error');
+      assert.ok(byName['echo-copy'].error.includes('duplicate plugin name "echo"'));
+      manager.disable('echo');
+      assert.strictEqual(reg.getTool('echo'), undefined, 'the loaded plugin can still be disabled');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('plugins: /plugins is registered and routed', () => {
+    const { pluginCommands } = require('../commands/plugin-commands');
+    assert.deepStrictEqual(pluginCommands[0].toJSON().options.map(o => o.name), ['list', 'enable', 'disable', 'reload']);
+    assert.ok(fs.readFileSync(path.join(__dirname, '..', 'handlers', 'interactionHandler.js'), 'utf-8').includes('handlePlugins'));
+    assert.ok(fs.readFileSync(path.join(__dirname, '..', 'commands', 'index.js'), 'utf-8').includes('pluginCommands'));
+  });
+  writeState('plugins_disabled', savedDisabledPlugins || '[]');
+
+  // ── MCP ──
+  const { McpManager, mcpToolName, interpolateEnv } = require('../mcp/manager');
+  const { McpClient, HttpTransport } = require('../mcp/client');
+  const mcpFixture = path.join(__dirname, 'fixtures', 'mcp-server.js');
+
+  await test('mcp: tool names are namespaced and config reads the environment', () => {
+    assert.strictEqual(mcpToolName('docs', 'search'), 'mcp__docs__search');
+    assert.strictEqual(mcpToolName('docs', 'get.page v2'), 'mcp__docs__get_page_v2');
+    assert.strictEqual(mcpToolName('docs', 'x'.repeat(100)).length, 64);
+    assert.deepStrictEqual(interpolateEnv({ headers: { a: 'Bearer ${TOKEN}' }, args: ['${NOPE}'] }, { TOKEN: 't' }), { headers: { a: 'Bearer t' }, args: [''] });
+  });
+
+  await test('mcp: stdio server tools are registered and proxied through executeTool', async () => {
+    const ToolRegistry = require('../tools/registry');
+    const reg = new ToolRegistry();
+    const manager = new McpManager(reg, { servers: {
+      fixture: { command: process.execPath, args: [mcpFixture], timeout: 500 },
+      broken: { command: process.execPath, args: ['-e', 'process.exit(3)'] },
+    } });
+    try {
+      await manager.connectAll();
+      const byName = Object.fromEntries(manager.list().map(s => [s.name, s]));
+      assert.strictEqual(byName.fixture.status, 'connected');
+      assert.deepStrictEqual(byName.fixture.tools, ['mcp__fixture__echo', 'mcp__fixture__add', 'mcp__fixture__fail', 'mcp__fixture__slow']);
+      assert.strictEqual(byName.broken.status, 'error');
+      assert.ok(reg.getTool('mcp__fixture__echo').description.startsWith('[fixture]'));
+      assert.deepStrictEqual(reg.getTool('mcp__fixture__echo').parameters.required, ['text']);
+
+      assert.deepStrictEqual(await reg.executeTool('mcp__fixture__echo', { text: 'hi' }, {}), { success: true, result: 'echo: hi', error: null });
+      assert.deepStrictEqual((await reg.executeTool('mcp__fixture__add', { a: 2, b: 3 }, {})).result, { sum: 5 });
+      const failed = await reg.executeTool('mcp__fixture__fail', {}, {});
+      assert.strictEqual(failed.success, false);
+      assert.strictEqual(failed.error, 'something broke');
+      const slow = await reg.executeTool('mcp__fixture__slow', { ms: 2000 }, {});
+      assert.strictEqual(slow.success, false);
+      assert.ok(/timed out/.test(slow.error));
+    } finally {
+      await manager.closeAll();
+    }
+    assert.strictEqual(reg.getTool('mcp__fixture__echo'), undefined, 'tools are unregistered on close');
+  });
+
+  await test('mcp: a lost server is retried with backoff until the attempts run out', async () => {
+    const http = require('http');
+    const { handle } = require('./fixtures/mcp-server');
+    const server = http.createServer(async (req, res) => {
+      if (req.method === 'DELETE') return res.writeHead(204).end();
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      const reply = await handle(JSON.parse(body));
+      if (!reply) return res.writeHead(202).end();
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(reply));
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    const ToolRegistry = require('../tools/registry');
+    const reg = new ToolRegistry();
+    const url = `http://127.0.0.1:${server.address().port}/mcp`;
+    const manager = new McpManager(reg, { servers: { flaky: { url } }, reconnectDelayMs: 5 });
+    try {
+      await manager.connectAll();
+      assert.strictEqual(manager.list()[0].status, 'connected');
+      await new Promise(r => server.close(r));
+      let attempts = 0;
+      const connect = manager.connect.bind(manager);
+      manager.connect = (...args) => { attempts++; return connect(...args); };
+      manager.connections.get('flaky').client.emit('close', new Error('lost'));
+      assert.strictEqual(reg.getTool('mcp__flaky__echo'), undefined);
+      for (let i = 0; i < 100 && !(attempts === 3 && manager.list()[0].status === 'error'); i++) await new Promise(r => setTimeout(r, 20));
+      await new Promise(r => setTimeout(r, 50));
+      assert.strictEqual(attempts, 3, 'each failed reconnect schedules the next one');
+      assert.strictEqual(manager.list()[0].status, 'error');
+    } finally {
+      await manager.closeAll();
+      server.close();
+    }
+  });
+
+  await test('mcp: HTTP transport talks JSON and SSE', async () => {
+    const http = require('http');
+    const { handle } = require('./fixtures/mcp-server');
+    let sse = false;
+    const server = http.createServer(async (req, res) => {
+      if (req.method === 'DELETE') return res.writeHead(204).end();
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      const reply = await handle(JSON.parse(body));
+      if (!reply) return res.writeHead(202).end();
+      if (sse) return res.writeHead(200, { 'Content-Type': 'text/event-stream' }).end(`event: message\ndata: ${JSON.stringify(reply)}\n\n`);
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'sess-1' }).end(JSON.stringify(reply));
+    });
+    await new Promise(r => server.listen(0, '127.0.0.1', r));
+    const transport = new HttpTransport({ url: `http://127.0.0.1:${server.address().port}/mcp` });
+    const client = new McpClient(transport, { name: 'http' });
+    try {
+      await client.connect();
+      assert.strictEqual(client.serverInfo.name, 'fixture');
+      assert.strictEqual(transport.sessionId, 'sess-1');
+      assert.strictEqual((await client.listTools()).length, 4);
+      sse = true;
+      assert.strictEqual(await client.callTool('echo', { text: 'sse' }), 'echo: sse');
+      await assert.rejects(client.callTool('nope', {}), /Unknown tool/);
+    } finally {
+      await client.close();
+      server.close();
+    }
+  });
+
+  // ── Tool confirmation ──
+  const confirmation = require('../tools/confirmation');
+
+  await test('tool confirmation: code_runner and generate_image require approval', () => {
+    assert.strictEqual(require('../tools/definitions/code_runner').requiresConfirmation, true);
+    assert.strictEqual(require('../tools/definitions/generate_image').requiresConfirmation, true);
+    assert.ok(confirmation.describeToolCall('code_runner', { code: 'print(1)' }).startsWith('```python\nprint(1)'));
+    assert.ok(confirmation.describeToolCall('generate_image', { prompt: 'a cat', size: '1024x1024' }).startsWith('> a cat\n**size:**'));
+    assert.deepStrictEqual(confirmation.parseConfirmId('toolconfirm:abc-1:deny'), { id: 'abc-1', approved: false });
+    assert.strictEqual(confirmation.parseConfirmId('clarify:1:0'), null);
+    const src = fs.readFileSync(path.join(__dirname, '..', 'handlers', 'interactionHandler.js'), 'utf-8');
+    assert.ok(src.includes('CONFIRM_PREFIX') && src.includes('handleConfirmButton'));
+  });
+
+  await test('tool confirmation: only the requester can answer; timeouts settle the prompt', async () => {
+    const posts = [];
+    const channel = { send: async (msg) => { const sent = { msg, edits: [], edit: async (e) => sent.edits.push(e) }; posts.push(sent); return sent; } };
+    const pendingAnswer = confirmation.requestConfirmation(channel, { userId: 'test-u1', toolName: 'code_runner', args: { code: 'x = 1' }, timeoutMs: 5000 });
+    await new Promise(r => setImmediate(r));
+    const approveId = posts[0].msg.components[0].toJSON().components[0].custom_id;
+    const replies = [];
+    const click = (userId) => ({ customId: approveId, user: { id: userId, username: userId }, reply: async (r) => replies.push(r), update: async (u) => replies.push(u) });
+    await confirmation.handleConfirmButton(click('test-u2'));
+    assert.ok(replies[0].content.includes('Only the person'));
+    await confirmation.handleConfirmButton(click('test-u1'));
+    assert.deepStrictEqual(await pendingAnswer, { approved: true, outcome: 'approved' });
+    assert.deepStrictEqual(replies[1].components, []);
+    await confirmation.handleConfirmButton(click('test-u1'));
+    assert.ok(replies[2].content.includes('already been answered'));
+
+    const timedOut = await confirmation.requestConfirmation(channel, { userId: 'test-u1', toolName: 'generate_image', args: { prompt: 'p' }, timeoutMs: 20 });
+    assert.deepStrictEqual(timedOut, { approved: false, outcome: 'timeout' });
+    assert.deepStrictEqual(posts[1].edits[0].components, []);
+  });
+
+  await test('tool confirmation: a run cancelled while the prompt is sent settles at once', async () => {
+    const { isCancellation, CancelledError } = require('../utils/cancellation');
+    const controller = new AbortController();
+    let sent;
+    const channel = { send: async () => { controller.abort(new CancelledError('message deleted')); sent = { edits: [], edit: async (e) => sent.edits.push(e) }; return sent; } };
+    const started = Date.now();
+    await assert.rejects(
+      confirmation.requestConfirmation(channel, { userId: 'test-u1', toolName: 'code_runner', args: { code: 'x' }, timeoutMs: 5000, signal: controller.signal }),
+      err => isCancellation(err),
+    );
+    assert.ok(Date.now() - started < 1000, 'does not wait for the timeout');
+    assert.deepStrictEqual(sent.edits[0].components, [], 'the buttons are removed');
+  });
+
   // ── Cleanup test data ──
   try {
     const db = getDb();
+    db.prepare("DELETE FROM pipeline_traces WHERE message_id LIKE 'test-%'").run();
+    db.prepare("DELETE FROM trace_replies WHERE reply_message_id LIKE 'test-%'").run();
     db.prepare("DELETE FROM user_settings WHERE user_id LIKE 'test-%'").run();
     db.prepare("DELETE FROM conversation_context WHERE channel_id LIKE 'test-%'").run();
     db.prepare("DELETE FROM feedback WHERE user_id LIKE 'test-%'").run();
     db.prepare("DELETE FROM user_profiles WHERE user_id LIKE 'test-%'").run();
+    db.prepare("DELETE FROM tool_policies WHERE guild_id LIKE 'test-%'").run();
+    db.prepare("DELETE FROM usage_ledger WHERE user_id LIKE 'test-%' OR (user_id IS NULL AND prompt_tokens = 999)").run();
+    db.prepare("DELETE FROM usage_quotas WHERE guild_id LIKE 'test-%'").run();
   } catch (_) {}
 
   // ──────────── RESULTS ────────────
@@ -0,0 +1,155 @@
+/**
+ * @module thinking/clarify
+ * @description Clarifying questions for underspecified requests ("make it better" with
+ * nothing to refer to). Layer 2 asks a small model for 2–4 candidate interpretations;
+ * the orchestrator returns a `clarify` action, the message handler posts them as buttons,
+ * and a click resumes the pipeline with the chosen interpretation. Pending questions are
+ * held in memory, keyed by the user's message ID, until answered or expired.
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const logger = require('../logger');
+const config = require('../config');
+const { thinkWithModel } = require('../openai-client');
+const { withRetry } = require('../utils/retry');
+
+const CLARIFY_PREFIX = 'clarify';
+const PENDING_TTL_MS = 15 * 60 * 1000;
+const MAX_OPTIONS = 4;
+const MAX_WORDS = 8;
+
+// Short requests that lean entirely on an unstated referent
+const VAGUE_REQUEST = /^(?:(?:can|could|would) you\s+|pls\s+|please\s+)?(?:make (?:it|this|that)\b|do (?:it|this|that)\b|fix (?:it|this|that)\b|change (?:it|this|that)\b|improve (?:it|this|that)\b|redo (?:it|this|that)\b|rewrite (?:it|this|that)\b|same (?:thing|again)\b|again\b|more\b|better\b|shorter\b|longer\b|do the thing\b|the other one\b|what about (?:it|this|that)\b)/i;
+
+/** @type {Map<string, {message: Object, context: Object, priority: number, question: string, options: string[], expires: number}>} */
+const pending = new Map();
+
+/**
+ * Cheap pre-filter: is this a short request with nothing concrete in it?
+ * @param {string} content - Message text
+ * @returns {boolean}
+ */
+function looksUnderspecified(content) {
+  if (typeof content !== 'string') return false;
+  const text = content.trim();
+  if (!text || text.split(/\s+/).length > MAX_WORDS) return false;
+  return VAGUE_REQUEST.test(text);
+}
+
+/**
+ * Ask the intent model whether recent conversation resolves the request, and if not,
+ * for a question plus candidate interpretations.
+ * @param {string} content - Message text
+ * @param {Array} recentMessages - Recent channel context ({ role, content, name })
+ * @returns {Promise<{question: string, options: string[]}|null>} null when no clarification is needed or on failure
+ */
+async function generateClarification(content, recentMessages = []) {
+  const transcript = recentMessages
+    .filter(m => typeof m.content === 'string')
+    .slice(-6)
+    .map(m => `${m.role === 'assistant' ? 'Bot' : (m.name || 'User')}: ${m.content.slice(0, 300)}`)
+    .join('\n');
+
+  try {
+    const raw = await withRetry(() => thinkWithModel([
+      {
+        role: 'system',
+        content: `A Discord user sent a short, possibly underspecified request to an AI assistant. Using the recent conversation, decide whether it is clear what they want. Return JSON: {"ambiguous":true/false,"question":"one short clarifying question","options":["2-${MAX_OPTIONS} distinct interpretations, each a complete request under 80 characters"]}. Only mark it ambiguous when the conversation does not make the referent or goal clear.`,
+      },
+      { role: 'user', content: `Recent conversation:\n${transcript || '(none)'}\n\nRequest: "${content.slice(0, 200)}"` },
+    ], config.intentModel), { label: 'clarify', maxRetries: 1 });
+
+    const parsed = JSON.parse(raw);
+    if (!parsed.ambiguous) return null;
+    const options = [...new Set((Array.isArray(parsed.options) ? parsed.options : [])
+      .filter(o => typeof o === 'string' && o.trim())
+      .map(o => o.trim().slice(0, 80)))]
+      .slice(0, MAX_OPTIONS);
+    if (options.length < 2) return null;
+    const question = typeof parsed.question === 'string' && parsed.question.trim() ? parsed.question.trim().slice(0, 200) : 'What did you have in mind?';
+    return { question, options };
+  } catch (err) {
+    logger.warn('Clarify', `Clarification check failed, proceeding without: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Build the Discord message that asks the question, one button per interpretation.
+ * @param {string} messageId - ID of the user's message (embedded in button IDs)
+ * @param {{question: string, options: string[]}} clarification
+ * @returns {{content: string, components: ActionRowBuilder[]}}
+ */
+function buildClarifyMessage(messageId, { question, options }) {
+  const row = new ActionRowBuilder().addComponents(
+    options.map((option, i) => new ButtonBuilder()
+      .setCustomId(`${CLARIFY_PREFIX}:${messageId}:${i}`)
+      .setLabel(option)
+      .setStyle(i === 0 ? ButtonStyle.Primary : ButtonStyle.Secondary)),
+  );
+  return { content: `🤔 ${question}`, components: [row] };
+}
+
+/**
+ * Parse a clarify button custom ID.
+ * @param {string} customId
+ * @returns {{messageId: string, index: number}|null}
+ */
+function parseClarifyId(customId) {
+  const match = /^clarify:([\w-]+):(\d)$/.exec(customId || '');
+  return match ? { messageId: match[1], index: parseInt(match[2], 10) } : null;
+}
+
+function prunePending() {
+  const now = Date.now();
+  for (const [id, entry] of pending) {
+    if (entry.expires <= now) pending.delete(id);
+  }
+}
+
+/**
+ * Hold a question until the user answers it.
+ * @param {string} messageId - ID of the user's message
+ * @param {Object} entry - { message, context, priority, question, options }
+ */
+function savePending(messageId, entry) {
+  prunePending();
+  pending.set(messageId, { ...entry, expires: Date.now() + PENDING_TTL_MS });
+}
+
+/**
+ * Look up a pending question without consuming it.
+ * @param {string} messageId
+ * @returns {Object|null}
+ */
+function getPending(messageId) {
+  const entry = pending.get(messageId);
+  if (!entry) return null;
+  if (entry.expires <= Date.now()) {
+    pending.delete(messageId);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Look up and remove a pending question (so a second click can't resume twice).
+ * @param {string} messageId
+ * @returns {Object|null}
+ */
+function takePending(messageId) {
+  const entry = getPending(messageId);
+  pending.delete(messageId);
+  return entry;
+}
+
+module.exports = {
+  CLARIFY_PREFIX,
+  looksUnderspecified,
+  generateClarification,
+  buildClarifyMessage,
+  parseClarifyId,
+  savePending,
+  getPending,
+  takePending,
+};
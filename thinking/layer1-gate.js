@@ -15,48 +15,53 @@ const LOW_VALUE = /^(lol|lmao|nice|ok|yeah|yep|nah|true|fr|facts|damn|rip|gg|bru
  * Layer 1: Relevance Gate
  * FAST heuristics first, LLM fallback only when inconclusive.
  * Target: <50ms heuristic, <500ms LLM.
+ * Every result carries a `rule` naming the check that decided it (used by scripts/eval.js).
  */
 async function relevanceGate(message, context) {
   const content = (typeof message.content === 'string' ? message.content : '').trim();
   const { botId, inThread, channelId, gptChannelId, mentionsBot, repliesToBot } = context;
 
   // ── Heuristic: Always engage ──
+  if (context.clarification) {
+    logger.info('Gate', `Heuristic match: "clarification chosen" for ${context.userName}`);
+    return { engage: true, reason: 'Answering a clarifying question', confidence: 1.0, rule: 'clarified' };
+  }
   if (mentionsBot) {
     logger.info('Gate', `Heuristic match: "bot mentioned" for ${context.userName}`);
-    return { engage: true, reason: 'Bot mentioned', confidence: 1.0 };
+    return { engage: true, reason: 'Bot mentioned', confidence: 1.0, rule: 'mention' };
   }
   if (repliesToBot) {
     logger.info('Gate', `Heuristic match: "reply to bot" for ${context.userName}`);
-    return { engage: true, reason: 'Reply to bot message', confidence: 1.0 };
+    return { engage: true, reason: 'Reply to bot message', confidence: 1.0, rule: 'reply' };
   }
   if (inThread) {
     logger.info('Gate', `Heuristic match: "thread message" for ${context.userName}`);
-    return { engage: true, reason: 'In /chat thread', confidence: 0.95 };
+    return { engage: true, reason: 'In /chat thread', confidence: 0.95, rule: 'thread' };
   }
 
   // ── Heuristic: Never engage ──
   if (content.length < 3) {
     logger.debug('Gate', `Heuristic match: "too short" (${content.length} chars)`);
-    return { engage: false, reason: 'Message too short', confidence: 0.95 };
+    return { engage: false, reason: 'Message too short', confidence: 0.95, rule: 'too_short' };
   }
   if (PURE_EMOJI.test(content)) {
     logger.debug('Gate', 'Heuristic match: "pure emoji"');
-    return { engage: false, reason: 'Pure emoji', confidence: 0.95 };
+    return { engage: false, reason: 'Pure emoji', confidence: 0.95, rule: 'pure_emoji' };
   }
   if (LOW_VALUE.test(content)) {
     logger.debug('Gate', `Heuristic match: "low-value filler" ("${content}")`);
-    return { engage: false, reason: 'Low-value filler', confidence: 0.9 };
+    return { engage: false, reason: 'Low-value filler', confidence: 0.9, rule: 'low_value' };
   }
 
   // ── Heuristic: Likely engage ──
   // If the bot recently spoke in this channel, the conversation is active — engage
   if (context.botRecentlySpokeInChannel) {
     logger.info('Gate', `Heuristic match: "active conversation" for ${context.userName} (bot spoke recently in channel)`);
-    return { engage: true, reason: 'Active conversation — bot recently spoke in this channel', confidence: 0.85 };
+    return { engage: true, reason: 'Active conversation — bot recently spoke in this channel', confidence: 0.85, rule: 'active_conversation' };
   }
   if (channelId === gptChannelId && content.endsWith('?')) {
     logger.info('Gate', 'Heuristic match: "question in #gpt channel"');
-    return { engage: true, reason: 'Question in #gpt channel', confidence: 0.8 };
+    return { engage: true, reason: 'Question in #gpt channel', confidence: 0.8, rule: 'gpt_channel_question' };
   }
 
   // ── LLM fallback for ambiguous cases ──
@@ -84,13 +89,14 @@ async function relevanceGate(message, context) {
       engage: !!parsed.engage,
       reason: parsed.reason || 'LLM decision',
       confidence: Math.min(1, Math.max(0, parseFloat(parsed.confidence) || 0.5)),
+      rule: 'llm',
     };
     logger.info('Gate', `LLM fallback result: engage=${gateResult.engage}, reason="${gateResult.reason}", confidence=${gateResult.confidence}`);
     return gateResult;
   } catch (err) {
     logger.error('Gate', 'LLM fallback error:', { error: err.message, stack: err.stack });
     // Conservative: don't engage on error
-    return { engage: false, reason: 'Gate error — defaulting to ignore', confidence: 0.3 };
+    return { engage: false, reason: 'Gate error — defaulting to ignore', confidence: 0.3, rule: 'llm_error' };
   }
 }
 
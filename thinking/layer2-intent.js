@@ -1,17 +1,32 @@
 /**
  * @module thinking/layer2-intent
- * @description Analyzes user intent using fast heuristics (no LLM call),
- * gathers relevant context (memories, user profile, settings) for downstream layers.
+ * @description Analyzes user intent using fast heuristics, optionally backed by an LLM
+ * classifier for messages the heuristics can't place confidently, and gathers relevant
+ * context (memories, user profile, settings) for downstream layers.
  */
 
 const logger = require('../logger');
+const config = require('../config');
+const LRUCache = require('../utils/cache');
+const { thinkWithModel } = require('../openai-client');
+const { withRetry } = require('../utils/retry');
 const { hybridSearch } = require('../memory');
 const { getProfile, formatProfileForPrompt } = require('../users');
 const { getUserSettings, getUserProfile } = require('../db');
+const { getContext } = require('../context');
+const { looksUnderspecified, generateClarification } = require('./clarify');
+const { documentAttachments } = require('../documents');
 
 // ── Return-user tracking (in-memory last_seen map) ──
 const lastSeenMap = new Map();
 
+// ── LLM classification ──
+const INTENTS = ['image_request', 'correction', 'creative', 'summarize_url', 'summarize', 'code_request', 'current_info', 'definition', 'calculation', 'general'];
+const RESPONSE_TONES = ['creative', 'receptive', 'concise', 'technical', 'informative', 'educational', 'precise', 'helpful'];
+const HEURISTIC_TRUST = 0.8; // heuristic matches at or above this confidence never consult the LLM
+const LLM_SKIP_LOAD_LEVEL = 3; // also gates the clarifying-question check
+const llmIntentCache = new LRUCache(200, 10 * 60 * 1000); // per message, survives debounce re-runs
+
 /**
  * Detect emotional tone from message content.
  */
@@ -41,6 +56,8 @@ function hasNegation(text, keywordMatch) {
 /**
  * Fast heuristic intent classification — no LLM call needed.
  * Uses multi-word patterns and negation awareness.
+ * `rule` names the pattern that matched, for per-rule evaluation (scripts/eval.js);
+ * `confidence` is how much that pattern is trusted when combined with the LLM classifier.
  */
 function classifyIntent(messageContent, previousIntent) {
   const lower = messageContent.toLowerCase();
@@ -48,81 +65,162 @@ function classifyIntent(messageContent, previousIntent) {
   // Negation-aware image requests
   const imageMatch = lower.match(/\b(draw|paint|generate an? image|create an? image|show me|visualize|imagine|picture of|make an? image)\b/);
   if (imageMatch && !hasNegation(lower, imageMatch[0])) {
-    return { intent: 'image_request', tone: 'creative' };
+    return { intent: 'image_request', tone: 'creative', rule: 'image', confidence: 0.85 };
   }
 
   // Correction (check early — high priority)
   if (/\b(that's wrong|you'?re wrong|actually,? (?:it |that |no |the )|no,? that|incorrect|try again|not right|that'?s not)\b/i.test(lower)) {
-    return { intent: 'correction', tone: 'receptive' };
+    return { intent: 'correction', tone: 'receptive', rule: 'correction', confidence: 0.9 };
   }
 
   // Creative writing requests
   if (/\b(write (?:me )?a (?:story|poem|song|haiku|limerick)|tell me a story|creative writ|once upon a time|write (?:a |an )?(?:essay|article|blog))\b/i.test(lower)) {
-    return { intent: 'creative', tone: 'creative' };
+    return { intent: 'creative', tone: 'creative', rule: 'creative', confidence: 0.9 };
   }
 
   // Summarize (standalone, not URL)
   if (/\b(tl;?dr|summarize|sum up|give me (?:a |the )?(?:summary|gist|overview)|in short)\b/i.test(lower)) {
     // URL summarization
     if (/https?:\/\/\S+/.test(lower)) {
-      return { intent: 'summarize_url', tone: 'concise' };
+      return { intent: 'summarize_url', tone: 'concise', rule: 'summarize_url', confidence: 0.95 };
     }
-    return { intent: 'summarize', tone: 'concise' };
+    return { intent: 'summarize', tone: 'concise', rule: 'summarize', confidence: 0.85 };
   }
 
   // Code requests — multi-word patterns + context-aware
   const codePatterns = /\b(write (?:a |an |the |some )?(?:code|function|script|program|algorithm)|run (?:this |the )?code|execute|debug|fix (?:this |the |my )?(?:code|bug|error)|python|javascript|typescript|how do I (?:code|implement|program)|help me (?:with |write )?(?:code|a function|a script)|algorithm)\b/i;
   if (codePatterns.test(lower)) {
-    return { intent: 'code_request', tone: 'technical' };
+    return { intent: 'code_request', tone: 'technical', rule: 'code', confidence: 0.85 };
   }
   // Context-aware: if previous intent was code, ambiguous follow-ups continue as code
   if (previousIntent === 'code_request' && /\b(now|also|and|then|next|what about|how about|change|modify|update|add)\b/i.test(lower)) {
-    return { intent: 'code_request', tone: 'technical' };
+    return { intent: 'code_request', tone: 'technical', rule: 'code_followup', confidence: 0.6 };
   }
 
   // Questions about current events
   if (/\b(latest|recent(?:ly)?|today(?:'s)?|current|news|what happened|what'?s (?:new|happening|going on))\b/i.test(lower)) {
-    return { intent: 'current_info', tone: 'informative', suggestSearch: true };
+    return { intent: 'current_info', tone: 'informative', suggestSearch: true, rule: 'current_info', confidence: 0.7 };
   }
 
   // Definitions — multi-word patterns
   if (/\b(what (?:is|are) (?:a |an |the )?|define|meaning of|what does .+ mean|explain (?:what |how )?|can you (?:explain|tell me (?:about|what)))\b/i.test(lower)) {
-    return { intent: 'definition', tone: 'educational' };
+    return { intent: 'definition', tone: 'educational', rule: 'definition', confidence: 0.7 };
   }
 
   // Math
   if (/\b(calculate|compute|solve|what is \d|how much is|convert \d)\b/i.test(lower)) {
-    return { intent: 'calculation', tone: 'precise' };
+    return { intent: 'calculation', tone: 'precise', rule: 'calculation', confidence: 0.85 };
   }
 
   // General help patterns — detect intent from phrasing
   if (/\b(help me (?:with|understand|figure out)|can you (?:help|assist)|I need (?:help|assistance|you to)|how do I|how can I|I want to|I'?d like to)\b/i.test(lower)) {
     // These are general help requests — keep as 'general' but with helpful tone
-    return { intent: 'general', tone: 'helpful' };
+    return { intent: 'general', tone: 'helpful', rule: 'help', confidence: 0.5 };
   }
 
   // Default
-  return { intent: 'general', tone: 'helpful' };
+  return { intent: 'general', tone: 'helpful', rule: 'default', confidence: 0.3 };
+}
+
+/**
+ * LLM intent classification for messages the keyword heuristics can't place
+ * (other languages, indirect phrasing). Results are cached per message.
+ * @param {string} content - Message text
+ * @param {Object} [opts]
+ * @param {string} [opts.cacheKey] - Cache key, usually the message ID
+ * @param {string} [opts.previousIntent] - Intent of the user's previous message
+ * @param {Object} [opts.toolRegistry] - Used to drop suggested tools that don't exist
+ * @returns {Promise<{intent: string, tone: string, suggestedTools: string[], confidence: number}|null>} null on failure
+ */
+async function classifyIntentLLM(content, { cacheKey, previousIntent, toolRegistry } = {}) {
+  const key = `${cacheKey || ''}:${content}`;
+  const cached = llmIntentCache.get(key);
+  if (cached) return cached;
+
+  const toolNames = toolRegistry ? toolRegistry.listTools().map(t => t.name) : [];
+  try {
+    const raw = await withRetry(() => thinkWithModel([
+      {
+        role: 'system',
+        content: `Classify the intent of a message sent to a Discord AI assistant. The message may be in any language. Return JSON: {"intent":"one of ${INTENTS.join('|')}","tone":"one of ${RESPONSE_TONES.join('|')}","suggestedTools":["tool names that would help${toolNames.length ? `, from: ${toolNames.join(', ')}` : ''}"],"confidence":0.0-1.0}.${previousIntent ? ` The user's previous message was classified as ${previousIntent}.` : ''}`,
+      },
+      { role: 'user', content: content.slice(0, 500) },
+    ], config.intentModel), { label: 'intent-llm', maxRetries: 1 });
+
+    const parsed = JSON.parse(raw);
+    const intent = INTENTS.includes(parsed.intent) ? parsed.intent : 'general';
+    const result = {
+      intent,
+      tone: RESPONSE_TONES.includes(parsed.tone) ? parsed.tone : 'helpful',
+      suggestedTools: (Array.isArray(parsed.suggestedTools) ? parsed.suggestedTools : [])
+        .filter(t => typeof t === 'string' && (!toolRegistry || toolNames.includes(t))),
+      confidence: Math.min(1, Math.max(0, parseFloat(parsed.confidence) || 0.5)),
+    };
+    llmIntentCache.set(key, result);
+    return result;
+  } catch (err) {
+    logger.warn('Intent', `LLM classification failed, using heuristic: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Combine heuristic and LLM classifications. A confident heuristic match wins;
+ * otherwise the more confident of the two does. Agreement keeps the heuristic's
+ * tone and takes the higher confidence.
+ * @param {Object} heuristic - From classifyIntent()
+ * @param {Object|null} llm - From classifyIntentLLM()
+ * @returns {Object} Classification with `source` ('heuristic' | 'llm' | 'agree')
+ */
+function combineIntent(heuristic, llm) {
+  if (!llm) return { ...heuristic, source: 'heuristic' };
+  if (llm.intent === heuristic.intent) {
+    return { ...heuristic, confidence: Math.max(heuristic.confidence, llm.confidence), llmTools: llm.suggestedTools, source: 'agree' };
+  }
+  if (heuristic.confidence >= HEURISTIC_TRUST || heuristic.confidence >= llm.confidence) {
+    return { ...heuristic, source: 'heuristic' };
+  }
+  return {
+    intent: llm.intent,
+    tone: llm.tone,
+    confidence: llm.confidence,
+    suggestSearch: llm.intent === 'current_info',
+    llmTools: llm.suggestedTools,
+    rule: 'llm',
+    source: 'llm',
+  };
 }
 
 /**
  * Layer 2: Intent Analysis
- * Uses heuristics for classification, still loads user profile and memories.
+ * Uses heuristics for classification — plus the LLM classifier for low-confidence
+ * matches when enabled and load allows — and loads user profile and memories.
  */
 async function analyzeIntent(message, context, gate) {
   const content = typeof message.content === 'string' ? message.content : '[media]';
   const { userId, userName, channelId } = context;
 
+  // After a clarifying question, classify the interpretation the user picked
+  const request = context.clarification || content;
+
   // Heuristic classification (instant, no LLM) — pass previous intent for context awareness
   const previousIntent = context._lastIntent || null;
-  const classification = classifyIntent(content, previousIntent);
+  const heuristic = classifyIntent(request, previousIntent);
   const emotionalTone = detectTone(content);
 
-  // Gather context in parallel
-  const [memories, profile] = await Promise.all([
-    hybridSearch(content, 5, 0.55, context.guildId).catch(() => []),
+  const llmAllowed = (context.loadLevel || 1) < LLM_SKIP_LOAD_LEVEL && content !== '[media]';
+  const useLLM = config.llmIntentEnabled && heuristic.confidence < HEURISTIC_TRUST && llmAllowed;
+  const checkClarify = config.clarifyEnabled && llmAllowed && !context.clarification && looksUnderspecified(content);
+
+  // Gather context (and the LLM opinions, if needed) in parallel
+  const [memories, profile, llmClassification, clarify] = await Promise.all([
+    hybridSearch(request, 5, 0.55, context.guildId).catch(() => []),
     Promise.resolve(getProfile(userId)).catch(() => null),
+    useLLM ? classifyIntentLLM(request, { cacheKey: message.id, previousIntent, toolRegistry: context.toolRegistry }) : null,
+    checkClarify ? generateClarification(content, getContext(channelId)) : null,
   ]);
+  const classification = combineIntent(heuristic, llmClassification);
+  if (clarify) logger.info('Intent', `Underspecified request from ${userName} — asking: "${clarify.question}" [${clarify.options.join(' | ')}]`);
 
   // Return-user detection: check if 24h+ since last interaction
   let returnUserContext = '';
@@ -138,7 +236,7 @@ async function analyzeIntent(message, context, gate) {
     logger.info('Intent', `Return user detected: ${userName} (${daysAway}d away)`);
   }
 
-  logger.info('Intent', `Heuristic intent="${classification.intent}", tone="${classification.tone}", emotion="${emotionalTone}", memories=${memories.length}, profile=${profile ? 'found' : 'none'}`);
+  logger.info('Intent', `Intent="${classification.intent}" (source=${classification.source}, rule=${classification.rule}, confidence=${classification.confidence}), tone="${classification.tone}", emotion="${emotionalTone}", memories=${memories.length}, profile=${profile ? 'found' : 'none'}`);
 
   // Load user settings
   const userSettings = getUserSettings(userId);
@@ -152,7 +250,14 @@ async function analyzeIntent(message, context, gate) {
   if (classification.intent === 'calculation') suggestedTools.push('calculator');
   if (classification.intent === 'summarize_url') suggestedTools.push('summarize_url');
   if (classification.intent === 'summarize') suggestedTools.push('summarize_url');
+  if (/\bremind me\b|\breminders?\b/i.test(request)) suggestedTools.push('set_reminder');
+  if (/\b(pdf|documents?|files?|attachments?|attached|csv|spreadsheet)\b/i.test(request) || documentAttachments([...(message.attachments?.values?.() || [])]).length > 0) {
+    suggestedTools.push('search_documents');
+  }
   // creative intent doesn't need special tools — uses main model
+  for (const tool of classification.llmTools || []) {
+    if (!suggestedTools.includes(tool)) suggestedTools.push(tool);
+  }
 
   // Store intent for context-aware classification on next message
   context._lastIntent = classification.intent;
@@ -161,6 +266,8 @@ async function analyzeIntent(message, context, gate) {
     intent: classification.intent,
     suggestedTools,
     tone: classification.tone,
+    confidence: classification.confidence,
+    source: classification.source,
     emotionalTone,
     includeImage: classification.intent === 'image_request',
     memoryContext: memories,
@@ -168,7 +275,8 @@ async function analyzeIntent(message, context, gate) {
     userSettings,
     keyContext: returnUserContext,
     approach: '',
+    clarify, // { question, options } when the request needs a clarifying question first
   };
 }
 
-module.exports = { analyzeIntent, classifyIntent, detectTone };
+module.exports = { analyzeIntent, classifyIntent, classifyIntentLLM, combineIntent, detectTone };
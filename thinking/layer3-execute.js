@@ -6,10 +6,13 @@
 
 const logger = require('../logger');
 const { getSystemPrompt } = require('../soul');
-const { getContext } = require('../context');
+const { getContext, getContextUntil } = require('../context');
 const { getUserSettings } = require('../db');
 const { hybridSearch } = require('../memory');
 const { formatProfileForPrompt } = require('../users');
+const { shouldPlan, createPlan } = require('./planner');
+const { abortable, createDeadline } = require('../utils/cancellation');
+const { requestConfirmation } = require('../tools/confirmation');
 
 /**
  * Get dynamic model parameters based on intent type.
@@ -48,7 +51,9 @@ async function execute(message, context, intent) {
   const promptParts = [basePrompt];
 
   // Multi-user awareness in threads
-  const contextMessages = getContext(channelId);
+  // Regenerating: answer from the conversation as it stood, without the reply being replaced
+  const contextMessages = context.regenerate ? getContextUntil(channelId, message.id) : getContext(channelId);
+  context.trace?.recordContext(contextMessages);
   const participants = new Set();
   for (const msg of contextMessages) {
     if (msg.name) participants.add(msg.name);
@@ -58,6 +63,17 @@ async function execute(message, context, intent) {
     promptParts.push(`\n## Thread Participants\nThis thread has multiple participants: ${names}. Address users by name when relevant. The current message is from ${userName}.`);
   }
 
+  // The user picked an interpretation from a clarifying question
+  if (context.clarification) {
+    promptParts.push(`\n## Clarified Request\n${userName}'s message was ambiguous, so you asked what they meant. They chose: "${context.clarification}". Answer that interpretation directly.`);
+  }
+
+  // The user asked for another take on this turn
+  if (context.regenerate?.previous?.length) {
+    const previous = context.regenerate.previous.map((p, i) => `${i + 1}. ${p.slice(0, 300)}${p.length > 300 ? '…' : ''}`).join('\n');
+    promptParts.push(`\n## Regenerating\n${userName} asked for a different answer to this message. Earlier answers began:\n${previous}\nGive a genuinely different answer — another angle, structure or emphasis — not a rewording.`);
+  }
+
   // Correction handling
   if (intent.intent === 'correction') {
     promptParts.push(`\n## Important\nThe user is correcting your previous response. Acknowledge the mistake gracefully and provide the corrected information. Don't be defensive.`);
@@ -92,6 +108,18 @@ async function execute(message, context, intent) {
     logger.debug('Execute', `Memory boost failed (non-critical): ${err.message}`);
   }
 
+  // Research-style questions: draft a plan before entering the loop
+  let plan = null;
+  if (agentLoop && shouldPlan(message.content, intent, context)) {
+    await context.statusEmbed?.updateStage('execute', 'active', 'planning...');
+    plan = await createPlan(message.content, intent, context.toolRegistry);
+    if (plan) {
+      promptParts.push(plan.toPrompt());
+      context.trace?.recordPlan(plan);
+      await context.statusEmbed?.setPlan(plan);
+    }
+  }
+
   // Wire user verbosity preference
   const userSettings = getUserSettings(userId);
   if (userSettings?.verbosity === 'concise') {
@@ -101,6 +129,7 @@ async function execute(message, context, intent) {
   }
 
   const systemPrompt = promptParts.join('\n');
+  context.trace?.recordPrompt(promptParts);
   logger.debug('Execute', `System prompt length: ${systemPrompt.length} chars (~${Math.ceil(systemPrompt.length / 4)} tokens est.)`);
 
   // Prefix context messages with usernames for multi-user clarity
@@ -116,22 +145,46 @@ async function execute(message, context, intent) {
 
   // Run agent loop
   if (agentLoop) {
+    // Paused while a tool call waits for the user's approval
+    const deadline = createDeadline(context.agentLoopTimeout || 60000);
     const agentContext = {
       userId,
       userName,
       channelId,
       guildId: context.guildId,
+      parentChannelId: context.parentChannelId, // tool policies: threads inherit their channel's rules; code sessions are per thread
+      roleIds: context.roleIds || [],
       generatedImages: [],
+      generatedFiles: [], // code_runner plots and files, attached by Layer 4
       modelParams, // pass dynamic params
       registry: context.toolRegistry, // Enable tool fallback chains (brave→tavily, tavily→brave)
+      trace: context.trace,
+      streamReply: context.streamReply, // set when streaming output is enabled
+      statusEmbed: context.statusEmbed,
+      plan,
+      loadLevel: context.loadLevel, // under load, oversized tool results are trimmed rather than summarized
+      signal: context.signal, // aborted when the message is deleted, edited or ❌'d
+      deadline,
+      // Tools with requiresConfirmation ask the requesting user first (not possible offline, e.g. replay)
+      confirmTool: message.channel?.send
+        ? (toolName, args) => requestConfirmation(message.channel, { userId, toolName, args, signal: context.signal })
+        : null,
     };
 
-    const timeout = context.agentLoopTimeout || 60000;
+    let result;
+    try {
+      result = await abortable(Promise.race([
+        agentLoop.run(enrichedContextMessages, systemPrompt, agentContext),
+        deadline.promise,
+      ]), context.signal);
+    } finally {
+      deadline.clear();
+    }
 
-    const result = await Promise.race([
-      agentLoop.run(enrichedContextMessages, systemPrompt, agentContext),
-      new Promise((_, reject) => setTimeout(() => reject(new Error('TIMEOUT')), timeout)),
-    ]);
+    if (plan) {
+      plan.finish();
+      await context.statusEmbed?.setPlan(plan);
+    }
 
     logger.info('Execute', `Agent loop completed in ${result.iterations} iterations, ${result.toolsUsed.length} tools used`);
     if (result.toolsUsed.length > 0) {
@@ -143,6 +196,8 @@ async function execute(message, context, intent) {
       toolsUsed: result.toolsUsed,
       iterations: result.iterations,
       images: result.images || [],
+      files: result.files || [],
+      toolResults: result.toolResults || [],
     };
   }
 
@@ -1,13 +1,25 @@
 /**
  * @module thinking/layer4-synthesize
- * @description Response synthesis layer. Formats raw execution output for Discord,
- * handling message splitting, code block preservation, and image attachments.
+ * @description Response synthesis layer. Optionally verifies the draft against the
+ * search/URL tool results it was based on, then formats it for Discord, handling
+ * message splitting, code block preservation, and image attachments.
  */
 
 const { AttachmentBuilder } = require('discord.js');
 const logger = require('../logger');
+const config = require('../config');
+const { thinkWithModel } = require('../openai-client');
+const { withRetry } = require('../utils/retry');
+const { countTokens } = require('../tokenizer');
+const { prepareAttachments, batchUploads } = require('../tools/artifacts');
 
 const MAX_MSG_LEN = 2000;
+const EVIDENCE_TOOLS = new Set(['brave_search', 'tavily_search', 'summarize_url']);
+const MAX_EVIDENCE_CHARS = 8000;
+const VERIFY_SKIP_LOAD_LEVEL = 2;
+// Room for the claims list and JSON around a revised answer; escaping inflates the answer itself
+const VERIFY_BASE_TOKENS = 800;
+const VERIFY_ESCAPE_FACTOR = 1.25;
 
 /**
  * Smart split: tries to break at paragraph, then sentence, then word boundaries.
@@ -66,42 +78,162 @@ function smartSplit(text, maxLen = MAX_MSG_LEN) {
   return parts;
 }
 
+/**
+ * Strip markdown image syntax — images are sent as Discord attachments, not inline markdown.
+ */
+function stripInlineImages(text) {
+  return text.replace(/!\[[^\]]*\]\([^)]*\)\s*/g, '');
+}
+
+/**
+ * Successful search/URL tool outputs from the agent loop, as verification evidence.
+ * @param {Array} toolResults - result.toolResults from Layer 3
+ * @returns {Array<{name: string, args: Object, content: string}>}
+ */
+function collectEvidence(toolResults) {
+  return (toolResults || []).filter(r => r.success && EVIDENCE_TOOLS.has(r.name));
+}
+
+/**
+ * Check a draft answer against tool evidence. Unsupported claims are either revised
+ * out of the answer or flagged with a caveat, at the verifier's discretion.
+ * @param {string} text - Draft answer
+ * @param {Array} evidence - From collectEvidence()
+ * @returns {Promise<{action: string, text: string, unsupportedClaims: Array, caveat?: string, error?: string}>}
+ *   action is 'keep' | 'revise' | 'caveat' | 'error'; text is the answer to send
+ */
+async function verifyAnswer(text, evidence) {
+  let budget = MAX_EVIDENCE_CHARS;
+  const sources = [];
+  for (const e of evidence) {
+    if (budget <= 0) break;
+    const content = e.content.slice(0, budget);
+    budget -= content.length;
+    sources.push(`### ${e.name}(${JSON.stringify(e.args).slice(0, 200)})\n${content}`);
+  }
+
+  // A revision repeats the whole draft inside the JSON, so the limit grows with it
+  const maxTokens = VERIFY_BASE_TOKENS + Math.ceil(countTokens(text) * VERIFY_ESCAPE_FACTOR);
+
+  try {
+    const raw = await withRetry(() => thinkWithModel([
+      {
+        role: 'system',
+        content: 'You check a Discord assistant\'s draft answer against the tool results it was based on. Flag factual claims (names, numbers, dates, quotes, events) that the tool results do not support. General knowledge, opinions and advice are fine. Return JSON: {"unsupportedClaims":[{"claim":"...","reason":"..."}],"action":"keep|revise|caveat","revised":"the full corrected answer, only when action is revise — keep the original voice and formatting, just remove or correct unsupported claims","caveat":"one short sentence for the reader, only when action is caveat"}. Use keep when every claim is supported, revise when unsupported claims can simply be removed or corrected, caveat when they are central to the answer.',
+      },
+      { role: 'user', content: `## Tool results\n${sources.join('\n\n')}\n\n## Draft answer\n${text}` },
+    ], config.verifyModel, { maxTokens }), { label: 'verify-answer', maxRetries: 1 });
+
+    const parsed = JSON.parse(raw);
+    const unsupportedClaims = (Array.isArray(parsed.unsupportedClaims) ? parsed.unsupportedClaims : [])
+      .filter(c => c && typeof c.claim === 'string')
+      .map(c => ({ claim: c.claim.slice(0, 300), reason: typeof c.reason === 'string' ? c.reason.slice(0, 300) : '' }));
+
+    if (unsupportedClaims.length === 0 || parsed.action === 'keep') {
+      return { action: 'keep', text, unsupportedClaims };
+    }
+    if (parsed.action === 'revise' && typeof parsed.revised === 'string' && parsed.revised.trim()) {
+      return { action: 'revise', text: parsed.revised.trim(), unsupportedClaims };
+    }
+    const caveat = typeof parsed.caveat === 'string' && parsed.caveat.trim()
+      ? parsed.caveat.trim()
+      : 'Some details here could not be confirmed by the sources I checked.';
+    return { action: 'caveat', text: `${text}\n\n*⚠️ ${caveat}*`, unsupportedClaims, caveat };
+  } catch (err) {
+    logger.warn('Synthesize', `Verification failed, sending draft unchanged: ${err.message}`);
+    return { action: 'error', text, unsupportedClaims: [], error: err.message };
+  }
+}
+
 /**
  * Layer 4: Response Synthesis
- * Polishes raw execution output for Discord delivery.
+ * Verifies evidence-backed drafts (when enabled and load allows), then polishes
+ * the output for Discord delivery.
  */
 async function synthesize(result, intent, context) {
   const { userId } = context;
 
-  if (!result.text && result.images.length === 0) {
+  const files = result.files || [];
+  if (!result.text && result.images.length === 0 && files.length === 0) {
     logger.info('Synthesize', 'Empty result — nothing to send');
     return { action: 'ignore', reason: 'Empty result', messages: [], images: [] };
   }
 
-  let text = result.text || '';
-  // Strip markdown image syntax — images are sent as Discord attachments, not inline markdown
-  text = text.replace(/!\[[^\]]*\]\([^)]*\)\s*/g, '').trim();
+  const draft = stripInlineImages(result.text || '').trim();
+  let text = draft;
+
+  // Verification pass: only for answers built on search/URL results
+  const evidence = collectEvidence(result.toolResults);
+  if (text && evidence.length > 0) {
+    if (!config.verifyAnswers) {
+      context.trace?.recordVerification({ skipped: 'disabled' });
+    } else if ((context.loadLevel || 1) >= VERIFY_SKIP_LOAD_LEVEL) {
+      logger.info('Synthesize', `Verification skipped at load level ${context.loadLevel}`);
+      context.trace?.recordVerification({ skipped: `load level ${context.loadLevel}` });
+    } else {
+      await context.statusEmbed?.updateStage('synthesize', 'active', 'checking against sources...');
+      const verification = await verifyAnswer(text, evidence);
+      if (verification.action === 'revise' || verification.action === 'caveat') {
+        logger.info('Synthesize', `Verification ${verification.action}: ${verification.unsupportedClaims.length} unsupported claim(s) — ${verification.unsupportedClaims.map(c => `"${c.claim.slice(0, 80)}"`).join(', ')}`);
+      } else {
+        logger.debug('Synthesize', `Verification ${verification.action} (${evidence.length} evidence item(s))`);
+      }
+      context.trace?.recordVerification({
+        action: verification.action,
+        evidence: evidence.map(e => e.name),
+        unsupportedClaims: verification.unsupportedClaims,
+        changed: verification.text !== text,
+        ...(verification.action === 'revise' ? { original: text } : {}),
+        ...(verification.caveat ? { caveat: verification.caveat } : {}),
+        ...(verification.error ? { error: verification.error } : {}),
+      });
+      text = verification.text;
+    }
+  }
+
   const parts = smartSplit(text);
   const totalLen = text.length;
-  logger.info('Synthesize', `Output: ${parts.length} message(s), total ${totalLen} chars, ${result.images.length} image(s)`);
+  logger.info('Synthesize', `Output: ${parts.length} message(s), total ${totalLen} chars, ${result.images.length} image(s), ${files.length} file(s)`);
   if (parts.length > 1) {
     logger.debug('Synthesize', `Split into ${parts.length} parts: [${parts.map(p => p.length).join(', ')}] chars`);
   }
 
   // Build Discord message objects with multi-message support
   const messages = [];
-  const imageFiles = [];
+  const imageFiles = []; // { file: AttachmentBuilder, bytes }
+  const takenNames = new Set();
 
   // Prepare image attachments
   for (let i = 0; i < result.images.length; i++) {
     const img = result.images[i];
     if (img.image_buffer) {
       const buf = Buffer.from(img.image_buffer, 'base64');
-      imageFiles.push(new AttachmentBuilder(buf, { name: `generated_${i + 1}.png` }));
+      imageFiles.push({ file: new AttachmentBuilder(buf, { name: `generated_${i + 1}.png` }), bytes: buf.length });
+      takenNames.add(`generated_${i + 1}.png`);
     }
   }
 
+  // Tool-produced files (code_runner plots, CSVs): size-limited, safely and uniquely named
+  const { attachments, skipped } = prepareAttachments(files, { taken: takenNames });
+  for (const file of attachments) {
+    imageFiles.push({ file: new AttachmentBuilder(file.buffer, { name: file.name }), bytes: file.buffer.length });
+  }
+  if (skipped.length > 0) {
+    logger.warn('Synthesize', `Not attaching ${skipped.length} file(s): ${skipped.join('; ')}`);
+  }
+  const skippedNote = skipped.length > 0 ? `⚠️ Not attached: ${skipped.join(', ')}`.slice(0, 2000) : null;
+
   const hasImages = imageFiles.length > 0;
+  // Discord caps attachments per message by count and total size, so larger sets go out in batches
+  const attachmentMessages = (delayMs) => {
+    const batches = batchUploads(imageFiles).map((batch, i) => ({
+      content: i === 0 ? skippedNote : null,
+      files: batch.map(upload => upload.file),
+      delayMs: i === 0 ? delayMs : 0,
+    }));
+    if (batches.length === 0 && skippedNote) batches.push({ content: skippedNote, files: [], delayMs });
+    return batches;
+  };
 
   if (hasImages && parts.length > 0) {
     // Multi-message: text first, then images with delay (feels natural)
@@ -109,15 +241,16 @@ async function synthesize(result, intent, context) {
       messages.push({ content: part, files: [], delayMs: 0 });
     }
     // Send images as a separate follow-up message
-    messages.push({ content: null, files: imageFiles, delayMs: 500 });
+    messages.push(...attachmentMessages(500));
   } else if (parts.length > 0) {
     // Text only — send all parts
     for (const part of parts) {
       messages.push({ content: part, files: [], delayMs: 0 });
     }
-  } else if (hasImages) {
+    messages.push(...attachmentMessages(0));
+  } else if (hasImages || skippedNote) {
     // Images only
-    messages.push({ content: null, files: imageFiles, delayMs: 0 });
+    messages.push(...attachmentMessages(0));
   }
 
   // Add follow-up messages from result if any
@@ -135,9 +268,9 @@ async function synthesize(result, intent, context) {
     action: 'respond',
     messages,
     images: result.images,
-    text: result.text,
+    text: text !== draft ? text : result.text, // verified text is what moderation and context should see
     toolsUsed: result.toolsUsed || [],
   };
 }
 
-module.exports = { synthesize, smartSplit };
+module.exports = { synthesize, smartSplit, stripInlineImages, verifyAnswer, collectEvidence };
@@ -59,6 +59,8 @@ If nothing meaningful to extract, return { "significance": 0.1, "insights": [],
 /**
  * Layer 5: Async Reflection
  * Runs after response is sent. Extracts learnings, updates user profiles, stores memories.
+ * @returns {Promise<Object>} Outcome for the pipeline trace — either { skipped: reason }
+ *   or { significance, insights, topics, memoryStored, soulReflection }
  */
 async function reflect(message, response, context) {
   const content = typeof message.content === 'string' ? message.content : '[media]';
@@ -66,14 +68,14 @@ async function reflect(message, response, context) {
   const responseText = response.text || '';
 
   // Selective reflection: skip trivial exchanges
-  if (content.length < 10 && responseText.length < 50) return;
+  if (content.length < 10 && responseText.length < 50) return { skipped: 'short exchange' };
   if (SKIP_PATTERNS.test(content.trim())) {
     logger.debug('Reflect', `Skipping trivial message from ${userName}: "${content.slice(0, 30)}"`);
-    return;
+    return { skipped: 'trivial message' };
   }
   if (COMMAND_PATTERN.test(content.trim())) {
     logger.debug('Reflect', `Skipping command from ${userName}: "${content.slice(0, 30)}"`);
-    return;
+    return { skipped: 'command' };
   }
 
   reflectionCount++;
@@ -96,11 +98,12 @@ async function reflect(message, response, context) {
     const topics = Array.isArray(parsed.topics) ? parsed.topics : [];
 
     logger.info('Reflect', `Extracted: ${insights.length} insights, sig=${significance.toFixed(2)}, topics=${topics.length}, memory=${parsed.memoryWorthStoring ? 'yes' : 'no'}`);
+    const outcome = { significance, insights: insights.length, topics, memoryStored: false, soulReflection: false };
 
     // Skip memory store entirely if low significance and no insights
     if (significance < 0.5 && insights.length === 0 && !parsed.memoryWorthStoring) {
       logger.debug('Reflect', `Low significance (${significance.toFixed(2)}) for ${userName}, skipping`);
-      return;
+      return outcome;
     }
 
     // Update user profile with meaningful insights (confidence > 0.7)
@@ -141,6 +144,7 @@ async function reflect(message, response, context) {
         significance,
         guildId: context.guildId,
       });
+      outcome.memoryStored = true;
     }
 
     // Consolidate user profile if notes are getting long
@@ -156,11 +160,14 @@ async function reflect(message, response, context) {
     if (reflectionCount % reflectionInterval === 0) {
       logger.info('Reflect', `Triggering soul reflection (every ${reflectionInterval} reflections) for channel ${channelId}`);
       await reflectAndUpdate(channelId);
+      outcome.soulReflection = true;
     }
 
     logger.debug('Reflect', `Processed reflection for ${userName}: ${insights.length} insights`);
+    return outcome;
   } catch (err) {
     logger.error('Reflect', 'Reflection error:', { error: err.message, stack: err.stack });
+    return { error: err.message };
   }
 }
 
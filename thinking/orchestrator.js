@@ -2,7 +2,8 @@
  * @module thinking/orchestrator
  * @description 5-layer thinking pipeline orchestrator. Runs messages through
  * Gate → Intent → Execute → Synthesize → Reflect with graceful degradation
- * under load and comprehensive error recovery at each layer.
+ * under load and comprehensive error recovery at each layer. Additional layers
+ * and before/after hooks can be registered without touching this file.
  */
 
 const logger = require('../logger');
@@ -11,10 +12,13 @@ const { analyzeIntent } = require('./layer2-intent');
 const { execute } = require('./layer3-execute');
 const { synthesize } = require('./layer4-synthesize');
 const { reflect } = require('./layer5-reflect');
+const { registerStage } = require('../utils/status-embed');
+const { PipelineTrace, runWithTrace } = require('./trace');
+const { isCancellation } = require('../utils/cancellation');
 
 /**
  * 5-Layer Thinking Orchestrator
- * 
+ *
  * Layer 1: Relevance Gate — should we respond?
  * Layer 2: Intent Analysis — what does the user want?
  * Layer 3: Execution — agent loop with tools
@@ -33,25 +37,271 @@ function getLoadLevel(queueStats) {
   return 1; // normal
 }
 
+const DEFAULT_INTENT = { intent: 'discussion', suggestedTools: [], tone: 'helpful', memoryContext: [], userContext: null, keyContext: '', approach: '' };
+
+/**
+ * Layer descriptor shape:
+ * {
+ *   name: 'policy',                  // unique layer name (required)
+ *   stage: 'intent' | { key, label, emoji }, // StatusEmbed stage (optional)
+ *   run: async (state) => {},        // does the work, reads/writes state (required)
+ *   fallback: async (err, state) => {}, // recovery when run throws (optional — error is logged and the layer skipped)
+ *   skipAtLoad: 3,                   // skip when getLoadLevel() >= this value (optional)
+ *   shouldRun: (state) => true,      // extra per-message condition (optional)
+ *   detail: (state) => 'text',       // StatusEmbed detail once done (optional)
+ *   summary: (state) => 'text',      // log line suffix once done (optional)
+ *   background: false,               // run after the response is returned, non-blocking
+ * }
+ *
+ * Layers communicate through the shared `state` object:
+ * { message, context, loadLevel, gate, intent, result, response, trace, stop(response) }.
+ * Calling `state.stop(response)` ends the pipeline and returns `response` as-is.
+ * When `context.signal` aborts, the pipeline stops with `{ action: 'cancelled' }` —
+ * between layers, or as soon as the running layer throws the CancelledError.
+ */
+function builtinLayers(orchestrator) {
+  return [
+    {
+      name: 'gate',
+      stage: 'gate',
+      async run(state) {
+        state.gate = await relevanceGate(state.message, state.context);
+        if (!state.gate.engage) {
+          state.stop({ action: 'ignore', reason: state.gate.reason, messages: [], images: [] });
+        } else {
+          // Work that is only worth doing for messages the bot answers (indexing attached documents)
+          await state.context.onEngage?.();
+        }
+      },
+      async fallback(err, state) {
+        state.stop({ action: 'ignore', reason: 'Gate error', messages: [], images: [] });
+      },
+      detail: (state) => (state.gate?.engage ? 'Engaged' : 'Skipped'),
+      summary: (state) => `engage=${state.gate.engage}, reason="${state.gate.reason}", confidence=${state.gate.confidence}`,
+    },
+    {
+      name: 'intent',
+      stage: 'intent',
+      async run(state) {
+        state.intent = await analyzeIntent(state.message, state.context, state.gate);
+        if (state.intent.clarify) {
+          state.stop({ action: 'clarify', ...state.intent.clarify, messages: [], images: [] });
+        }
+      },
+      async fallback(err, state) {
+        state.intent = { ...DEFAULT_INTENT };
+      },
+      detail: (state) => (state.intent.clarify ? 'needs clarification' : state.intent.intent),
+      summary: (state) => `intent=${state.intent.intent}, tone=${state.intent.tone}, tools=[${(state.intent.suggestedTools || []).join(',')}]`,
+    },
+    {
+      // Memory recall already happened inside intent analysis — this only reports it
+      name: 'memory',
+      stage: 'memory',
+      async run() {},
+      detail: (state) => (state.intent?.memoryContext?.length > 0 ? `${state.intent.memoryContext.length} memories` : 'no matches'),
+    },
+    {
+      name: 'execute',
+      stage: 'execute',
+      async run(state) {
+        state.result = await execute(state.message, state.context, state.intent);
+      },
+      async fallback(err, state) {
+        // Fallback: try direct GPT response without tools
+        try {
+          const { generateResponse } = require('../openai-client');
+          const { getContext } = require('../context');
+          const { getSystemPrompt } = require('../soul');
+          const { channelId, userId } = state.context;
+          const systemPrompt = await getSystemPrompt(channelId, userId, state.message.content);
+          state.trace.recordPrompt([systemPrompt]);
+          const contextMsgs = getContext(channelId);
+          state.trace.recordContext(contextMsgs);
+          const text = await generateResponse(
+            [{ role: 'system', content: systemPrompt }, ...contextMsgs],
+            { tools: false, maxTokens: 1000 }
+          );
+          state.result = { text, toolsUsed: [], iterations: 0, images: [] };
+        } catch (fallbackErr) {
+          logger.error('Orchestrator', 'Layer "execute" fallback also failed:', { error: fallbackErr.message });
+          const { friendlyError } = require('../utils/errors');
+          state.stop({
+            action: 'respond',
+            messages: [{ content: friendlyError(fallbackErr) }],
+            images: [], text: '', toolsUsed: [],
+          });
+        }
+      },
+      detail: (state) => (state.result.toolsUsed.length > 0 ? state.result.toolsUsed.join(', ') : 'direct response'),
+      summary: (state) => `${state.result.toolsUsed.length} tools, ${state.result.iterations} iterations`,
+    },
+    {
+      name: 'synthesize',
+      stage: 'synthesize',
+      async run(state) {
+        state.response = await synthesize(state.result, state.intent, state.context);
+      },
+      async fallback(err, state) {
+        // Fallback: send raw text without formatting
+        const result = state.result;
+        if (result && result.text) {
+          const rawParts = result.text.match(/[\s\S]{1,2000}/g) || [];
+          state.response = {
+            action: 'respond',
+            messages: rawParts.map(p => ({ content: p })),
+            images: result.images || [],
+            text: result.text,
+            toolsUsed: result.toolsUsed || [],
+          };
+        } else {
+          state.stop({ action: 'ignore', reason: 'Synthesis error with no text', messages: [], images: [] });
+        }
+      },
+      summary: (state) => `action=${state.response.action}, messages=${(state.response.messages || []).length}`,
+    },
+    {
+      // Every 5th message per channel, on corrections, negative feedback or tool usage
+      name: 'reflect',
+      stage: 'reflect',
+      background: true,
+      shouldRun(state) {
+        const channelId = state.context.channelId;
+        const reflCount = (orchestrator._reflectionCounters.get(channelId) || 0) + 1;
+        orchestrator._reflectionCounters.set(channelId, reflCount);
+
+        const hasToolUsage = state.result && state.result.toolsUsed && state.result.toolsUsed.length > 0;
+        const msgContent = typeof state.message.content === 'string' ? state.message.content : '';
+        const isNegativeFeedback = /👎|:-1|thumbsdown/i.test(msgContent);
+        const should = (state.intent && state.intent.intent === 'correction') ||
+                       isNegativeFeedback ||
+                       hasToolUsage ||
+                       reflCount % 5 === 0;
+        if (!should) logger.debug('Orchestrator', `Skipping reflection (load=${state.loadLevel}, count=${reflCount})`);
+        return should;
+      },
+      async run(state) {
+        state.trace.recordReflection(await reflect(state.message, state.response, state.context));
+      },
+    },
+  ];
+}
+
 class ThinkingOrchestrator {
-  constructor({ toolRegistry, agentLoop, config }) {
+  /**
+   * @param {Object} opts
+   * @param {Object} opts.toolRegistry
+   * @param {Object} opts.agentLoop
+   * @param {Object} opts.config
+   * @param {Array} [opts.layers] - Replace the built-in layer list (tests, replay)
+   */
+  constructor({ toolRegistry, agentLoop, config, layers }) {
     this.toolRegistry = toolRegistry;
     this.agentLoop = agentLoop;
     this.config = config;
     this._modelQueue = null; // set externally
     this._reflectionCounters = new Map(); // channelId -> message count
-    logger.info('Orchestrator', '5-layer thinking system initialized');
+    this.layers = [];
+    this.hooks = new Map(); // layerName -> { before: [], after: [] }
+    const builtin = layers || builtinLayers(this);
+    for (const layer of builtin) this.registerLayer(layer);
+    this._builtinNames = new Set(builtin.map(l => l.name)); // the rest were added with registerLayer
+    logger.info('Orchestrator', `Thinking system initialized with layers: ${this.listLayers().join(' → ')}`);
   }
 
   setModelQueue(mq) { this._modelQueue = mq; }
 
   /**
-   * Process a message through all 5 layers.
+   * Register a pipeline layer.
+   * @param {Object} layer - Layer descriptor (see builtinLayers)
+   * @param {Object} [position] - { before: 'layerName' } or { after: 'layerName' }; default appends
+   */
+  registerLayer(layer, position = {}) {
+    if (!layer || !layer.name || typeof layer.run !== 'function') {
+      throw new Error(`Layer registration failed: missing required fields (name=${layer?.name})`);
+    }
+    if (this.layers.some(l => l.name === layer.name)) {
+      throw new Error(`Layer registration failed: "${layer.name}" is already registered`);
+    }
+
+    let index = this.layers.length;
+    const anchor = position.before || position.after;
+    if (anchor) {
+      const anchorIdx = this.layers.findIndex(l => l.name === anchor);
+      if (anchorIdx === -1) throw new Error(`Layer registration failed: unknown anchor layer "${anchor}"`);
+      index = position.before ? anchorIdx : anchorIdx + 1;
+    } else if (!layer.background) {
+      // Foreground layers go before the first background layer
+      const firstBackground = this.layers.findIndex(l => l.background);
+      if (firstBackground !== -1) index = firstBackground;
+    }
+
+    // Custom StatusEmbed rows are placed after the stage of the preceding layer
+    if (layer.stage && typeof layer.stage === 'object') {
+      const prevStage = this.layers.slice(0, index).reverse().find(l => l.stage)?.stage;
+      registerStage(layer.stage, typeof prevStage === 'object' ? prevStage.key : prevStage);
+    }
+
+    this.layers.splice(index, 0, layer);
+    this.hooks.set(layer.name, this.hooks.get(layer.name) || { before: [], after: [] });
+    if (anchor) {
+      logger.info('Orchestrator', `Registered layer "${layer.name}" ${position.before ? 'before' : 'after'} "${anchor}"`);
+    }
+  }
+
+  /**
+   * Attach a hook that runs before or after a layer. Hooks receive the pipeline state
+   * and may call `state.stop(response)`. Hook errors are logged and never fatal.
+   * @param {string} layerName
+   * @param {'before'|'after'} when
+   * @param {Function} fn - async (state) => void
+   */
+  addHook(layerName, when, fn) {
+    if (when !== 'before' && when !== 'after') throw new Error(`Invalid hook timing: ${when}`);
+    if (typeof fn !== 'function') throw new Error('Hook must be a function');
+    const hooks = this.hooks.get(layerName);
+    if (!hooks) throw new Error(`Cannot hook unknown layer "${layerName}"`);
+    hooks[when].push(fn);
+  }
+
+  before(layerName, fn) { this.addHook(layerName, 'before', fn); }
+  after(layerName, fn) { this.addHook(layerName, 'after', fn); }
+
+  /** @returns {string[]} Layer names in execution order */
+  listLayers() {
+    return this.layers.map(l => l.name);
+  }
+
+  /**
+   * Process a message through all registered layers.
    * @param {Object} message - { content, author, attachments, ... }
-   * @param {Object} context - { userId, userName, channelId, botId, inThread, mentionsBot, repliesToBot, gptChannelId }
-   * @returns {Object} { action, messages, images, reason }
+   * @param {Object} context - { userId, userName, channelId, botId, inThread, mentionsBot, repliesToBot, gptChannelId, signal, onEngage }
+   *   onEngage: optional async () => void, awaited once the gate decides to answer; must not throw
+   * @returns {Object} { action, messages, images, reason, intent }
    */
   async process(message, context) {
+    const trace = new PipelineTrace(message, context);
+    return runWithTrace(trace, () => this._process(message, context, trace));
+  }
+
+  /**
+   * Re-run Execute and Synthesize for a turn that was already answered (🔁 Regenerate).
+   * The gate and intent are not re-evaluated — the original intent is reused — but layers
+   * added with registerLayer before Execute (policy, redaction…) run again, with
+   * `state.gate` null. Background layers don't run. The trace is not saved, so /trace
+   * keeps the original run.
+   * @param {Object} message - The user's message
+   * @param {Object} context - Same shape as process(); `regenerate.previous` holds earlier answers
+   * @param {Object} intent - Layer 2 output from the original run
+   * @returns {Object} { action, messages, images, text, intent }
+   */
+  async regenerate(message, context, intent) {
+    const trace = new PipelineTrace(message, context);
+    return runWithTrace(trace, () => this._process(message, context, trace, { startAt: 'execute', intent }));
+  }
+
+  /** @private */
+  async _process(message, context, trace, { startAt = null, intent = null } = {}) {
     const pipelineStart = Date.now();
     const contentPreview = (typeof message.content === 'string' ? message.content : '[media]').slice(0, 80);
     logger.info('Orchestrator', `Processing message from ${context.userName} in ${context.channelId}: "${contentPreview}"`);
@@ -70,140 +320,144 @@ class ThinkingOrchestrator {
       agentLoop: this.agentLoop,
       agentLoopTimeout: this.config.agentLoopTimeout || 60000,
       loadLevel,
+      trace,
     };
 
-    const statusEmbed = fullContext.statusEmbed;
+    const state = {
+      message,
+      context: fullContext,
+      loadLevel,
+      gate: null,
+      intent,
+      result: null,
+      response: null,
+      final: null,
+      trace,
+      stop(response) { state.final = response; },
+    };
 
-    // Layer 1: Relevance Gate
-    let gate;
-    const l1Start = Date.now();
-    try {
-      await statusEmbed?.updateStage('gate', 'active');
-      gate = await relevanceGate(message, fullContext);
-      await statusEmbed?.updateStage('gate', 'done', gate.engage ? 'Engaged' : 'Skipped');
-      logger.info('Orchestrator', `Layer 1 (Gate): engage=${gate.engage}, reason="${gate.reason}", confidence=${gate.confidence}, time=${Date.now() - l1Start}ms`);
-    } catch (err) {
-      logger.error('Orchestrator', 'Layer 1 (Gate) failed:', { error: err.message, stack: err.stack });
-      return { action: 'ignore', reason: 'Gate error', messages: [], images: [] };
-    }
+    const startIdx = startAt ? this.layers.findIndex(l => l.name === startAt) : 0;
+    if (startIdx === -1) throw new Error(`Cannot resume at unknown layer "${startAt}"`);
+    const save = startAt ? () => state.trace.capture(state) : () => this._saveTrace(state);
 
-    if (!gate.engage) {
-      logger.info('Orchestrator', `Total thinking pipeline: ${Date.now() - pipelineStart}ms (ignored)`);
-      return { action: 'ignore', reason: gate.reason, messages: [], images: [] };
+    // Built-in layers before the resume point are skipped; registered ones always run
+    const layers = this.layers.filter((l, i) => i >= startIdx || !this._builtinNames.has(l.name));
+
+    for (const layer of layers) {
+      if (layer.background) continue;
+      if (context.signal?.aborted) {
+        state.stop({ action: 'cancelled', reason: context.signal.reason?.reason || 'cancelled', messages: [], images: [] });
+      } else {
+        await this._runLayer(layer, state);
+      }
+      if (state.final) {
+        logger.info('Orchestrator', `Total thinking pipeline: ${Date.now() - pipelineStart}ms (stopped at "${layer.name}")`);
+        save();
+        return state.final;
+      }
     }
+    save();
 
-    // Layer 2: Intent Analysis
-    let intent;
-    const l2Start = Date.now();
-    try {
-      await statusEmbed?.updateStage('intent', 'active');
-      intent = await analyzeIntent(message, fullContext, gate);
-      await statusEmbed?.updateStage('intent', 'done', intent.intent);
-      logger.info('Orchestrator', `Layer 2 (Intent): intent=${intent.intent}, tone=${intent.tone}, tools=[${intent.suggestedTools.join(',')}], time=${Date.now() - l2Start}ms`);
-    } catch (err) {
-      logger.error('Orchestrator', 'Layer 2 (Intent) failed:', { error: err.message, stack: err.stack });
-      intent = { intent: 'discussion', suggestedTools: [], tone: 'helpful', memoryContext: [], userContext: null, keyContext: '', approach: '' };
+    const background = startAt ? [] : this.layers.filter(l => l.background);
+    if (background.length > 0 && state.response) {
+      setImmediate(async () => {
+        try {
+          for (const layer of background) await this._runLayer(layer, state);
+          // Re-save so the stored trace includes the reflection outcome
+          if (state.trace.reflection) this._saveTrace(state);
+        } catch (err) {
+          logger.error('Orchestrator', 'Background layers failed:', { error: err.message, stack: err.stack });
+        }
+      });
     }
 
-    // Memory recall (between intent and execution)
-    if (intent.memoryContext?.length > 0) {
-      await statusEmbed?.updateStage('memory', 'done', `${intent.memoryContext.length} memories`);
-    } else {
-      await statusEmbed?.updateStage('memory', 'done', 'no matches');
+    logger.info('Orchestrator', `Total thinking pipeline: ${Date.now() - pipelineStart}ms`);
+    // The intent travels with the response so the message handler can offer 🔁 Regenerate
+    return state.response
+      ? { ...state.response, intent: state.intent }
+      : { action: 'ignore', reason: 'No response produced', messages: [], images: [] };
+  }
+
+  /**
+   * Run one layer with its hooks, load-based skipping, status updates and fallback.
+   * @private
+   */
+  async _runLayer(layer, state) {
+    const statusEmbed = state.context.statusEmbed;
+    const stageKey = typeof layer.stage === 'object' ? layer.stage.key : layer.stage;
+
+    if (layer.skipAtLoad && state.loadLevel >= layer.skipAtLoad) {
+      logger.info('Orchestrator', `Layer "${layer.name}" skipped at load level ${state.loadLevel}`);
+      state.trace.recordLayer(layer.name, 'skipped');
+      if (stageKey) await statusEmbed?.updateStage(stageKey, 'done', 'skipped');
+      return;
+    }
+    if (layer.shouldRun && !layer.shouldRun(state)) {
+      state.trace.recordLayer(layer.name, 'skipped');
+      return;
     }
 
-    // Layer 3: Execution
-    let result;
-    const l3Start = Date.now();
+    const hooks = this.hooks.get(layer.name);
+    await this._runHooks(layer.name, 'before', hooks.before, state);
+    if (state.final) return;
+
+    const start = Date.now();
     try {
-      await statusEmbed?.updateStage('execute', 'active');
-      result = await execute(message, fullContext, intent);
-      const toolSummary = result.toolsUsed.length > 0
-        ? result.toolsUsed.join(', ')
-        : 'direct response';
-      await statusEmbed?.updateStage('execute', 'done', toolSummary);
-      logger.info('Orchestrator', `Layer 3 (Execute): ${result.toolsUsed.length} tools, ${result.iterations} iterations, time=${Date.now() - l3Start}ms`);
+      if (stageKey) await statusEmbed?.updateStage(stageKey, 'active');
+      await layer.run(state);
+      const detail = layer.detail ? layer.detail(state) : '';
+      if (stageKey) await statusEmbed?.updateStage(stageKey, 'done', detail);
+      const summary = layer.summary ? `${layer.summary(state)}, ` : '';
+      const level = layer.background ? 'debug' : 'info';
+      logger[level]('Orchestrator', `Layer "${layer.name}": ${summary}time=${Date.now() - start}ms`);
+      state.trace.recordLayer(layer.name, 'done', Date.now() - start);
     } catch (err) {
-      logger.error('Orchestrator', 'Layer 3 (Execute) failed, falling back to direct response:', { error: err.message, stack: err.stack });
-      // Fallback: try direct GPT response without tools
+      if (isCancellation(err) || state.context.signal?.aborted) {
+        logger.info('Orchestrator', `Layer "${layer.name}" cancelled: ${err.reason || err.message}`);
+        state.trace.recordLayer(layer.name, 'cancelled', Date.now() - start);
+        state.stop({ action: 'cancelled', reason: err.reason || 'cancelled', messages: [], images: [] });
+        return;
+      }
+      if (!layer.fallback) {
+        logger.error('Orchestrator', `Layer "${layer.name}" failed, skipping:`, { error: err.message, stack: err.stack });
+        state.trace.recordLayer(layer.name, 'failed', Date.now() - start, err);
+        return;
+      }
+      logger.error('Orchestrator', `Layer "${layer.name}" failed, using fallback:`, { error: err.message, stack: err.stack });
+      state.trace.recordLayer(layer.name, 'fallback', Date.now() - start, err);
       try {
-        const { generateResponse } = require('../openai-client');
-        const { getContext } = require('../context');
-        const { getSystemPrompt } = require('../soul');
-        const systemPrompt = await getSystemPrompt(context.channelId, context.userId, message.content);
-        const contextMsgs = getContext(context.channelId);
-        const text = await generateResponse(
-          [{ role: 'system', content: systemPrompt }, ...contextMsgs],
-          { tools: false, maxTokens: 1000 }
-        );
-        result = { text, toolsUsed: [], iterations: 0, images: [] };
+        await layer.fallback(err, state);
       } catch (fallbackErr) {
-        logger.error('Orchestrator', 'Layer 3 fallback also failed:', { error: fallbackErr.message });
-        const { friendlyError } = require('../utils/errors');
-        return {
-          action: 'respond',
-          messages: [{ content: friendlyError(fallbackErr) }],
-          images: [], text: '', toolsUsed: [],
-        };
+        logger.error('Orchestrator', `Layer "${layer.name}" fallback also failed, skipping:`, { error: fallbackErr.message, stack: fallbackErr.stack });
+        return;
       }
     }
+    if (state.final) return;
 
-    // Layer 4: Response Synthesis
-    let response;
-    const l4Start = Date.now();
-    try {
-      await statusEmbed?.updateStage('synthesize', 'active');
-      response = await synthesize(result, intent, fullContext);
-      await statusEmbed?.updateStage('synthesize', 'done');
-      logger.info('Orchestrator', `Layer 4 (Synthesize): action=${response.action}, messages=${(response.messages || []).length}, time=${Date.now() - l4Start}ms`);
-    } catch (err) {
-      logger.error('Orchestrator', 'Layer 4 (Synthesize) failed, sending raw text:', { error: err.message, stack: err.stack });
-      // Fallback: send raw text without formatting
-      if (result && result.text) {
-        const rawParts = result.text.match(/[\s\S]{1,2000}/g) || [];
-        response = {
-          action: 'respond',
-          messages: rawParts.map(p => ({ content: p })),
-          images: result.images || [],
-          text: result.text,
-          toolsUsed: result.toolsUsed || [],
-        };
-      } else {
-        return { action: 'ignore', reason: 'Synthesis error with no text', messages: [], images: [] };
-      }
-    }
+    await this._runHooks(layer.name, 'after', hooks.after, state);
+  }
 
-    // Layer 5: Reflection (async, non-blocking) — every 3rd message, on corrections, or under low load
-    const channelId = context.channelId;
-    const reflCount = (this._reflectionCounters.get(channelId) || 0) + 1;
-    this._reflectionCounters.set(channelId, reflCount);
-
-    const hasToolUsage = result && result.toolsUsed && result.toolsUsed.length > 0;
-    const msgContent = typeof message.content === 'string' ? message.content : '';
-    const isNegativeFeedback = /👎|:-1|thumbsdown/i.test(msgContent);
-    const shouldReflect = (intent && intent.intent === 'correction') ||
-                          isNegativeFeedback ||
-                          hasToolUsage ||
-                          reflCount % 5 === 0;
-
-    if (shouldReflect) {
-      statusEmbed?.updateStage('reflect', 'active');
-      setImmediate(() => {
-        const l5Start = Date.now();
-        reflect(message, response, fullContext)
-          .then(() => {
-            statusEmbed?.updateStage('reflect', 'done');
-            logger.debug('Orchestrator', `Layer 5 (Reflect): time=${Date.now() - l5Start}ms`);
-          })
-          .catch(err => logger.error('Orchestrator', 'Layer 5 (Reflect) failed:', { error: err.message, stack: err.stack }));
-      });
-    } else {
-      logger.debug('Orchestrator', `Skipping reflection (load=${loadLevel}, count=${reflCount})`);
-    }
+  /** @private */
+  _saveTrace(state) {
+    state.trace.capture(state);
+    if (this.config.tracesEnabled === false) return;
+    state.trace.save({ retentionDays: this.config.traceRetentionDays || 7 });
+  }
 
-    logger.info('Orchestrator', `Total thinking pipeline: ${Date.now() - pipelineStart}ms`);
-    return response;
+  /** @private */
+  async _runHooks(layerName, when, hooks, state) {
+    for (const hook of hooks) {
+      try {
+        await hook(state);
+      } catch (err) {
+        logger.error('Orchestrator', `${when}-hook on "${layerName}" failed:`, { error: err.message, stack: err.stack });
+      }
+      if (state.final) return;
+    }
   }
 }
 
+ThinkingOrchestrator.getLoadLevel = getLoadLevel;
+ThinkingOrchestrator.builtinLayers = builtinLayers;
+
 module.exports = ThinkingOrchestrator;
@@ -0,0 +1,124 @@
+/**
+ * @module thinking/planner
+ * @description Optional planning step for research-style questions. Before the agent
+ * loop starts, a small model drafts a short plan (steps, tools per step, stop criteria).
+ * The plan is added to the system prompt, shown as a checklist in the status embed,
+ * and ticked off as the loop finishes the tools each step calls for.
+ */
+
+const logger = require('../logger');
+const config = require('../config');
+const { thinkWithModel } = require('../openai-client');
+const { withRetry } = require('../utils/retry');
+
+const MAX_STEPS = 5;
+const PLAN_SKIP_LOAD_LEVEL = 2;
+const RESEARCH_INTENTS = new Set(['current_info', 'definition', 'summarize_url']);
+const RESEARCH_PHRASES = /\b(compare|comparison|research|pros and cons|trade-?offs?|versus|vs\.?|differences? between|step by step|in depth|deep dive|sources?)\b/i;
+
+class Plan {
+  /**
+   * @param {Object} raw
+   * @param {Array<{title: string, tools?: string[]}>} raw.steps
+   * @param {string} [raw.stopCriteria]
+   */
+  constructor({ steps, stopCriteria = '' }) {
+    this.steps = steps.map(s => ({ title: s.title, tools: s.tools || [], status: 'pending' }));
+    this.stopCriteria = stopCriteria;
+    if (this.steps.length) this.steps[0].status = 'active';
+  }
+
+  /**
+   * Tick off the earliest open step that calls for this tool.
+   * @param {string} toolName
+   * @returns {boolean} Whether any step changed
+   */
+  markToolDone(toolName) {
+    const step = this.steps.find(s => s.status !== 'done' && s.tools.includes(toolName));
+    if (!step) return false;
+    step.status = 'done';
+    this._advance();
+    return true;
+  }
+
+  /**
+   * Close the plan once the loop has answered. Tool-less steps (e.g. "write the answer")
+   * count as done; steps whose tools never ran are marked skipped.
+   */
+  finish() {
+    for (const step of this.steps) {
+      if (step.status !== 'done') step.status = step.tools.length ? 'skipped' : 'done';
+    }
+  }
+
+  /** @private Move the active marker to the first open step. */
+  _advance() {
+    for (const step of this.steps) if (step.status === 'active') step.status = 'pending';
+    const next = this.steps.find(s => s.status === 'pending');
+    if (next) next.status = 'active';
+  }
+
+  /** System prompt section that hands the plan to the agent loop. */
+  toPrompt() {
+    const lines = this.steps.map((s, i) => `${i + 1}. ${s.title}${s.tools.length ? ` (tools: ${s.tools.join(', ')})` : ''}`);
+    const stop = this.stopCriteria ? `\nStop researching and answer when: ${this.stopCriteria}` : '';
+    return `\n## Plan\nWork through these steps in order, batching tool calls where you can. Skip a step if earlier results already cover it.\n${lines.join('\n')}${stop}`;
+  }
+
+  toJSON() {
+    return { steps: this.steps, stopCriteria: this.stopCriteria };
+  }
+}
+
+/**
+ * Whether a message is worth planning for: research-style intents or phrasing,
+ * with planning enabled and load low enough to afford the extra model call.
+ * @param {string} content - Message text
+ * @param {Object} intent - Layer 2 output
+ * @param {Object} context - Pipeline context (loadLevel)
+ * @returns {boolean}
+ */
+function shouldPlan(content, intent, context = {}) {
+  if (!config.planningEnabled || (context.loadLevel || 1) >= PLAN_SKIP_LOAD_LEVEL) return false;
+  if (typeof content !== 'string' || content.length < 25) return false;
+  return RESEARCH_PHRASES.test(content) || (RESEARCH_INTENTS.has(intent.intent) && content.length >= 60);
+}
+
+/**
+ * Ask the planning model for a short structured plan.
+ * @param {string} content - Message text
+ * @param {Object} intent - Layer 2 output
+ * @param {Object} [toolRegistry] - Restricts step tools to ones that exist
+ * @returns {Promise<Plan|null>} null when the model fails or returns no usable steps
+ */
+async function createPlan(content, intent, toolRegistry) {
+  const toolNames = toolRegistry ? toolRegistry.listTools().map(t => t.name) : [];
+  try {
+    const raw = await withRetry(() => thinkWithModel([
+      {
+        role: 'system',
+        content: `Plan how a Discord AI assistant should answer a research-style question with tools. Return JSON: {"steps":[{"title":"short imperative step","tools":["tool names"]}],"stopCriteria":"when the assistant has enough to answer"}. Use 2-${MAX_STEPS} steps; the last step is usually writing the answer with no tools. ${toolNames.length ? `Available tools: ${toolNames.join(', ')}.` : ''} Suggested tools from intent analysis: ${(intent.suggestedTools || []).join(', ') || 'none'}.`,
+      },
+      { role: 'user', content: content.slice(0, 1000) },
+    ], config.thinkingModel), { label: 'planner', maxRetries: 1 });
+
+    const parsed = JSON.parse(raw);
+    const steps = (Array.isArray(parsed.steps) ? parsed.steps : [])
+      .filter(s => s && typeof s.title === 'string' && s.title.trim())
+      .slice(0, MAX_STEPS)
+      .map(s => ({
+        title: s.title.trim().slice(0, 120),
+        tools: (Array.isArray(s.tools) ? s.tools : []).filter(t => typeof t === 'string' && (!toolNames.length || toolNames.includes(t))),
+      }));
+    if (steps.length === 0) return null;
+
+    const plan = new Plan({ steps, stopCriteria: typeof parsed.stopCriteria === 'string' ? parsed.stopCriteria.slice(0, 200) : '' });
+    logger.info('Planner', `Plan with ${steps.length} steps: ${steps.map(s => s.title).join(' → ')}`);
+    return plan;
+  } catch (err) {
+    logger.warn('Planner', `Planning failed, running without a plan: ${err.message}`);
+    return null;
+  }
+}
+
+module.exports = { Plan, shouldPlan, createPlan };
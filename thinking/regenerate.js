@@ -0,0 +1,154 @@
+/**
+ * @module thinking/regenerate
+ * @description 🔁 Regenerate for bot replies. A single-message reply carries a Regenerate
+ * button; each click reruns Execute and Synthesize for the same user turn and adds an
+ * alternative the asker can page through (◀ 2/3 ▶). The channel context keeps the
+ * original answer until the asker presses ✅ on another alternative, so "try again"
+ * never leaves a trail of rejected answers in the conversation history. Sessions are
+ * held in memory, keyed by the user's message ID, until they expire.
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+const REGEN_PREFIX = 'regen';
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const MAX_ALTERNATIVES = 5;
+const MAX_DISPLAY_CHARS = 2000;
+const ACTIONS = new Set(['new', 'prev', 'next', 'pick']);
+
+/**
+ * @typedef {Object} RegenSession
+ * @property {Object} message - The user's Discord message
+ * @property {Object} context - Pipeline context the reply was produced with
+ * @property {Object} intent - Layer 2 output, reused for every alternative
+ * @property {number} priority - Queue priority of the original message
+ * @property {string} replyMessageId - Bot message that shows the alternatives (and keys the context entry)
+ * @property {Array<{text: string, content: string}>} alternatives - Context text and displayed text per answer
+ * @property {number} index - Alternative currently shown
+ * @property {number} chosen - Alternative stored in the channel context
+ * @property {boolean} busy - A regeneration is running
+ */
+
+/** @type {Map<string, RegenSession & {expires: number}>} */
+const sessions = new Map();
+
+/**
+ * Whether a pipeline response can be regenerated in place: a single text message
+ * with no images or attachments (the alternatives replace that one message).
+ * @param {Object} response - Orchestrator result
+ * @returns {boolean}
+ */
+function isRegenerable(response) {
+  if (!response || response.action !== 'respond' || !response.text || !response.intent) return false;
+  if ((response.images || []).length > 0) return false;
+  const messages = response.messages || [];
+  return messages.length === 1 && Boolean(messages[0].content) &&
+    !(messages[0].files && messages[0].files.length) && !(messages[0].embeds && messages[0].embeds.length);
+}
+
+/**
+ * Text shown in the reply for an alternative, clipped to one Discord message.
+ * @param {Object} response - Orchestrator result
+ * @returns {string}
+ */
+function displayText(response) {
+  const text = (response.messages || []).filter(m => m.content).map(m => m.content).join('\n\n') || response.text || '';
+  return text.length > MAX_DISPLAY_CHARS ? `${text.slice(0, MAX_DISPLAY_CHARS - 1)}…` : text;
+}
+
+function button(messageId, action, label, style = ButtonStyle.Secondary, disabled = false) {
+  return new ButtonBuilder()
+    .setCustomId(`${REGEN_PREFIX}:${messageId}:${action}`)
+    .setLabel(label)
+    .setStyle(style)
+    .setDisabled(disabled);
+}
+
+/**
+ * Button row for a reply: just 🔁 for a fresh reply, the full pager once there are alternatives.
+ * @param {string} messageId - ID of the user's message (embedded in button IDs)
+ * @param {{alternatives: Array, index: number, chosen: number, busy?: boolean}} session
+ * @returns {ActionRowBuilder}
+ */
+function buildRegenRow(messageId, { alternatives, index, chosen, busy = false }) {
+  const count = alternatives.length;
+  const row = new ActionRowBuilder();
+  if (count > 1) {
+    row.addComponents(
+      button(messageId, 'prev', '◀', ButtonStyle.Secondary, busy || index === 0),
+      button(messageId, 'page', `${index + 1}/${count}`, ButtonStyle.Secondary, true),
+      button(messageId, 'next', '▶', ButtonStyle.Secondary, busy || index === count - 1),
+      button(messageId, 'pick', index === chosen ? '✅ In use' : '✅ Use this', ButtonStyle.Success, busy || index === chosen),
+    );
+  }
+  row.addComponents(button(messageId, 'new', busy ? '🔁 Regenerating…' : '🔁 Regenerate', ButtonStyle.Secondary, busy || count >= MAX_ALTERNATIVES));
+  return row;
+}
+
+/**
+ * Message payload showing the session's current alternative.
+ * @param {string} messageId - ID of the user's message
+ * @param {RegenSession} session
+ * @returns {{content: string, components: ActionRowBuilder[]}}
+ */
+function renderSession(messageId, session) {
+  return { content: session.alternatives[session.index].content, components: [buildRegenRow(messageId, session)] };
+}
+
+/**
+ * Parse a regenerate button custom ID.
+ * @param {string} customId
+ * @returns {{messageId: string, action: string}|null}
+ */
+function parseRegenId(customId) {
+  const match = /^regen:([\w-]+):(\w+)$/.exec(customId || '');
+  return match && ACTIONS.has(match[2]) ? { messageId: match[1], action: match[2] } : null;
+}
+
+function pruneSessions() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.expires <= now) sessions.delete(id);
+  }
+}
+
+/**
+ * Start tracking a reply that can be regenerated.
+ * @param {string} messageId - ID of the user's message
+ * @param {Object} entry - { message, context, intent, priority, replyMessageId, text, content }
+ * @returns {RegenSession}
+ */
+function saveSession(messageId, { text, content, ...entry }) {
+  pruneSessions();
+  const session = { ...entry, alternatives: [{ text, content }], index: 0, chosen: 0, busy: false, expires: Date.now() + SESSION_TTL_MS };
+  sessions.set(messageId, session);
+  return session;
+}
+
+/**
+ * Look up a live session. Each lookup extends it, so an active pager doesn't expire mid-use.
+ * @param {string} messageId
+ * @returns {RegenSession|null}
+ */
+function getSession(messageId) {
+  const session = sessions.get(messageId);
+  if (!session) return null;
+  if (session.expires <= Date.now()) {
+    sessions.delete(messageId);
+    return null;
+  }
+  session.expires = Date.now() + SESSION_TTL_MS;
+  return session;
+}
+
+module.exports = {
+  REGEN_PREFIX,
+  MAX_ALTERNATIVES,
+  isRegenerable,
+  displayText,
+  buildRegenRow,
+  renderSession,
+  parseRegenId,
+  saveSession,
+  getSession,
+};
@@ -0,0 +1,312 @@
+/**
+ * @module thinking/trace
+ * @description Structured per-message record of a pipeline run — gate decision,
+ * intent analysis, system prompt sections, agent loop iterations, synthesis output
+ * and reflection outcome — persisted to SQLite keyed by the Discord message ID.
+ * Also records everything needed to replay the run offline (see scripts/replay.js):
+ * context flags, the channel context snapshot, and every model/memory response.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../logger');
+const { saveTrace, getTrace, getLatestTrace, linkTraceReply, pruneTraces } = require('../db');
+
+const MAX_TEXT = 4000; // per-field cap so one trace can't bloat the DB
+const PRUNE_EVERY = 100; // saves between retention sweeps
+let saveCount = 0;
+
+// Context keys needed to reproduce gate/intent decisions on replay
+const REPLAY_CONTEXT_KEYS = [
+  'userId', 'userName', 'displayName', 'channelId', 'guildId', 'botId', 'inThread', 'mentionsBot',
+  'repliesToBot', 'botRecentlySpokeInChannel', 'lastBotMessageInChannel', 'gptChannelId', 'clarification',
+];
+
+// The trace for the pipeline run currently executing (follows async calls)
+const traceStorage = new AsyncLocalStorage();
+
+function clip(value, max = MAX_TEXT) {
+  if (typeof value !== 'string') return value;
+  return value.length > max ? `${value.slice(0, max)}... [truncated ${value.length - max} chars]` : value;
+}
+
+/** clip() every string inside plain objects and arrays; other values are kept as they are. */
+function clipDeep(value, max = MAX_TEXT) {
+  if (typeof value === 'string') return clip(value, max);
+  if (Array.isArray(value)) return value.map(v => clipDeep(v, max));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clipDeep(v, max)]));
+  }
+  return value;
+}
+
+class PipelineTrace {
+  /**
+   * @param {Object} message - Discord message (or message-like object)
+   * @param {Object} context - Orchestrator context (userId, channelId, flags...)
+   */
+  constructor(message, context = {}) {
+    this.messageId = message.id || null;
+    this.channelId = context.channelId || null;
+    this.userId = context.userId || null;
+    this.guildId = context.guildId || null;
+    this.startedAt = Date.now();
+    this.durationMs = 0;
+    this.input = {
+      content: typeof message.content === 'string' ? message.content : '[media]',
+      attachments: message.attachments?.size || 0,
+      userName: context.userName || null,
+      context: Object.fromEntries(REPLAY_CONTEXT_KEYS.filter(k => context[k] !== undefined).map(k => [k, context[k]])),
+    };
+    this.contextSnapshot = null;
+    this.calls = []; // [{ source, response } | { source, error, status }] in call order
+    this.loadLevel = null;
+    this.layers = []; // [{ name, status, durationMs, error? }]
+    this.gate = null;
+    this.intent = null;
+    this.prompt = null;
+    this.plan = null;
+    this.iterations = [];
+    this.execution = null;
+    this.verification = null;
+    this.synthesis = null;
+    this.reflection = null;
+    this.outcome = null;
+  }
+
+  recordLayer(name, status, durationMs = 0, error = null) {
+    const entry = { name, status, durationMs };
+    if (error) entry.error = error.message || String(error);
+    this.layers.push(entry);
+  }
+
+  /**
+   * Record the final system prompt, split into the sections it was built from.
+   * @param {string[]} parts - Prompt parts in the order they were joined
+   */
+  recordPrompt(parts) {
+    const sections = parts.map((part, i) => {
+      const heading = part.match(/^\s*##\s+(.+)$/m);
+      return {
+        title: heading ? heading[1].trim() : (i === 0 ? 'Base prompt' : 'Instruction'),
+        chars: part.length,
+        content: clip(part),
+      };
+    });
+    this.prompt = { totalChars: parts.join('\n').length, sections };
+  }
+
+  /**
+   * Record the plan drafted before the agent loop. Step statuses keep updating
+   * until the trace is saved, so the stored plan shows how far the loop got.
+   * @param {import('./planner').Plan} plan
+   */
+  recordPlan(plan) {
+    this.plan = plan;
+  }
+
+  /**
+   * Record one agent loop iteration. The entry may be mutated by the caller
+   * as tool calls complete.
+   * @param {Object} entry - { iteration, content, toolCalls: [{ name, args, success, result, durationMs }] }
+   */
+  recordIteration(entry) {
+    this.iterations.push(entry);
+    return entry;
+  }
+
+  /**
+   * Record the channel context the execution layer saw.
+   * @param {Array} messages - Context messages from getContext()
+   */
+  recordContext(messages) {
+    this.contextSnapshot = messages.map(({ role, content, name }) => ({ role, content: clipDeep(content), name }));
+  }
+
+  /**
+   * Record an external response (model call, memory search) for offline replay.
+   * Long strings in the response are clipped, so a replay sees the clipped text.
+   * @param {string} source - e.g. 'openai.thinkWithModel'
+   * @param {*} response - Resolved value
+   * @param {Error} [error] - Set instead of response when the call threw
+   */
+  recordCall(source, response, error) {
+    if (error) this.calls.push({ source, error: error.message, status: error.status });
+    else this.calls.push({ source, response: clipDeep(response) });
+  }
+
+  /**
+   * Record the Layer 4 verification pass: what was flagged and whether the answer changed.
+   * @param {Object} outcome - { action, evidence, unsupportedClaims, changed, original?, caveat? } or { skipped }
+   */
+  recordVerification(outcome) {
+    this.verification = outcome;
+  }
+
+  recordReflection(outcome) {
+    this.reflection = outcome || { skipped: 'no outcome' };
+  }
+
+  /**
+   * Copy layer outputs from the pipeline state into the trace.
+   * @param {Object} state - Orchestrator pipeline state
+   */
+  capture(state) {
+    this.loadLevel = state.loadLevel;
+    if (state.gate) {
+      const { engage, reason, confidence, rule } = state.gate;
+      this.gate = { engage, reason, confidence, rule };
+    }
+    if (state.intent) {
+      const { intent, tone, emotionalTone, suggestedTools, approach, keyContext, memoryContext, confidence, source } = state.intent;
+      this.intent = {
+        intent, tone, emotionalTone, approach, confidence, source,
+        clarify: state.intent.clarify || undefined,
+        suggestedTools: suggestedTools || [],
+        keyContext: clip(keyContext || ''),
+        memories: (memoryContext || []).length,
+      };
+    }
+    if (state.result) {
+      this.execution = {
+        text: clip(state.result.text || ''),
+        toolsUsed: state.result.toolsUsed || [],
+        iterations: state.result.iterations || 0,
+        images: (state.result.images || []).length,
+      };
+    }
+    const response = state.final || state.response;
+    if (response) {
+      this.outcome = { action: response.action, reason: response.reason || null };
+      if (response.action === 'respond') {
+        this.synthesis = {
+          messages: (response.messages || []).map(m => clip(m.content || '', 2000)),
+          images: (response.images || []).length,
+        };
+      }
+    }
+    this.durationMs = Date.now() - this.startedAt;
+  }
+
+  toJSON() {
+    return {
+      messageId: this.messageId,
+      channelId: this.channelId,
+      userId: this.userId,
+      startedAt: new Date(this.startedAt).toISOString(),
+      durationMs: this.durationMs,
+      loadLevel: this.loadLevel,
+      input: this.input,
+      contextSnapshot: this.contextSnapshot,
+      calls: this.calls,
+      layers: this.layers,
+      gate: this.gate,
+      intent: this.intent,
+      prompt: this.prompt,
+      plan: this.plan ? JSON.parse(JSON.stringify(this.plan)) : null,
+      iterations: clipDeep(this.iterations),
+      execution: this.execution,
+      verification: this.verification,
+      synthesis: this.synthesis,
+      reflection: this.reflection,
+      outcome: this.outcome,
+    };
+  }
+
+  /**
+   * Persist (insert or overwrite) this trace. Never throws.
+   * @param {Object} [opts] - { retentionDays }
+   */
+  save({ retentionDays = 7 } = {}) {
+    if (!this.messageId) return false;
+    try {
+      saveTrace({
+        messageId: this.messageId,
+        channelId: this.channelId,
+        userId: this.userId,
+        guildId: this.guildId,
+        action: this.outcome?.action || null,
+        durationMs: this.durationMs,
+        data: JSON.stringify(this),
+        createdAt: this.startedAt,
+      });
+      if (++saveCount % PRUNE_EVERY === 0) {
+        const removed = pruneTraces(Date.now() - retentionDays * 86400000);
+        if (removed > 0) logger.info('Trace', `Pruned ${removed} traces older than ${retentionDays} days`);
+      }
+      return true;
+    } catch (err) {
+      logger.error('Trace', `Failed to save trace for ${this.messageId}:`, err.message);
+      return false;
+    }
+  }
+}
+
+/** @returns {PipelineTrace|undefined} Trace of the pipeline run in the current async context */
+function currentTrace() {
+  return traceStorage.getStore();
+}
+
+/**
+ * Run fn with trace as the current trace for everything it awaits.
+ */
+function runWithTrace(trace, fn) {
+  return traceStorage.run(trace, fn);
+}
+
+/**
+ * Wrap an async function so each result (or error) is recorded on the current trace.
+ * Used on module exports, so internal calls within a module are not double-recorded.
+ * @param {string} source - Name the response is recorded under
+ * @param {Function} fn - Async function to wrap
+ * @returns {Function}
+ */
+function recorded(source, fn) {
+  return async function recordedCall(...args) {
+    const trace = currentTrace();
+    if (!trace) return fn.apply(this, args);
+    try {
+      const result = await fn.apply(this, args);
+      trace.recordCall(source, result);
+      return result;
+    } catch (err) {
+      trace.recordCall(source, undefined, err);
+      throw err;
+    }
+  };
+}
+
+function parseRow(row) {
+  if (!row) return null;
+  try { return JSON.parse(row.data); } catch (_) { return null; }
+}
+
+/**
+ * Load a stored trace by the user's message ID or by a bot reply's message ID.
+ * @param {string} messageId
+ * @returns {Object|null} Parsed trace data
+ */
+function loadTrace(messageId) {
+  return parseRow(getTrace(messageId));
+}
+
+/**
+ * Load the most recent trace recorded in a channel.
+ * @param {string} channelId
+ * @returns {Object|null} Parsed trace data
+ */
+function loadLatestTrace(channelId) {
+  return parseRow(getLatestTrace(channelId));
+}
+
+/**
+ * Remember that a bot message was sent in reply to a traced message, so the
+ * trace can be looked up from either one.
+ */
+function linkReply(replyMessageId, messageId) {
+  if (!replyMessageId || !messageId) return;
+  try { linkTraceReply(replyMessageId, messageId); } catch (err) {
+    logger.debug('Trace', `Failed to link reply ${replyMessageId}: ${err.message}`);
+  }
+}
+
+module.exports = { PipelineTrace, loadTrace, loadLatestTrace, linkReply, currentTrace, runWithTrace, recorded };
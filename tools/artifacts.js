@@ -0,0 +1,176 @@
+/**
+ * @module tools/artifacts
+ * @description Files produced by tools (code_runner plots, CSVs, …) on their way to
+ * Discord. Tools add them to `context.generatedFiles` the way generate_image fills
+ * `context.generatedImages`; the agent loop returns them and Layer 4 attaches them to
+ * the reply, skipping files over the size limit and giving each a safe, unique name.
+ * Sandboxes check sizes with artifactBudget before reading a file, so oversized output
+ * is never loaded into memory.
+ */
+
+const config = require('../config');
+
+// Discord accepts at most 10 attachments per message, and 10 MB of uploads on unboosted servers
+const MAX_FILES_PER_MESSAGE = 10;
+const MAX_BYTES_PER_MESSAGE = 10 * 1024 * 1024;
+const MAX_FILES_PER_REPLY = 20;
+const MAX_NAME_LENGTH = 80;
+// Most bytes of tool-produced files held in memory for one reply
+const MAX_HELD_BYTES = 32 * 1024 * 1024;
+
+const MIME_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/svg+xml': '.svg',
+  'text/csv': '.csv',
+  'text/plain': '.txt',
+  'application/json': '.json',
+  'application/pdf': '.pdf',
+};
+
+/**
+ * MIME type for a filename, from its extension.
+ * @param {string} name
+ * @returns {string}
+ */
+function mimeTypeFor(name) {
+  const ext = (/\.\w+$/.exec(name || '') || [''])[0].toLowerCase();
+  if (ext === '.jpeg') return 'image/jpeg';
+  return Object.keys(MIME_EXTENSIONS).find(type => MIME_EXTENSIONS[type] === ext) || 'application/octet-stream';
+}
+
+/**
+ * A filename that is safe to upload: no directories, only [A-Za-z0-9._-], a sensible
+ * extension, and bounded length.
+ * @param {string} name
+ * @param {string} [mimeType]
+ * @returns {string}
+ */
+function safeFilename(name, mimeType) {
+  let base = String(name || '').split(/[\\/]/).pop().replace(/[^\w.-]+/g, '_').replace(/^[._]+/, '');
+  if (!base) base = 'file';
+  if (!/\.\w{1,8}$/.test(base) && MIME_EXTENSIONS[mimeType]) base += MIME_EXTENSIONS[mimeType];
+  if (base.length > MAX_NAME_LENGTH) {
+    const ext = (/\.\w{1,8}$/.exec(base) || [''])[0];
+    base = base.slice(0, MAX_NAME_LENGTH - ext.length) + ext;
+  }
+  return base;
+}
+
+/** `name`, or `name_2.ext`, `name_3.ext`… if taken. Adds the result to `taken`. */
+function uniqueFilename(name, taken) {
+  let candidate = name;
+  const dot = name.lastIndexOf('.');
+  const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${stem}_${n}${ext}`;
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/** "12 KB", "3.4 MB" */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Size check for a sandbox's files, made before each one is read: files over the
+ * per-file limit are skipped, and so is everything once the run's total is reached.
+ * @param {Object} [opts]
+ * @param {number} [opts.maxBytes] - Per file (default ARTIFACT_MAX_MB)
+ * @param {number} [opts.totalBytes] - Per run
+ * @returns {(size: number) => string|null} Why a file of that size is skipped, or null to read it
+ */
+function artifactBudget({ maxBytes = config.artifactMaxMb * 1024 * 1024, totalBytes = MAX_HELD_BYTES } = {}) {
+  let used = 0;
+  return (size) => {
+    if (size > maxBytes) return `${formatBytes(size)}, over the ${formatBytes(maxBytes)} limit`;
+    if (used + size > totalBytes) return `over the ${formatBytes(totalBytes)} total for one run`;
+    used += size;
+    return null;
+  };
+}
+
+/**
+ * Hold a tool-produced file for attachment to the reply. A file that was not read
+ * (`skipped`), or that would take the reply past MAX_HELD_BYTES, is kept as a note only.
+ * @param {Object} context - Tool execution context
+ * @param {{name: string, data?: Buffer, size?: number, mimeType?: string, skipped?: string}} file
+ * @returns {{name: string, size: number, skipped?: string}} Metadata for the model (no content)
+ */
+function addGeneratedFile(context, { name, data, size = data.length, mimeType, skipped }) {
+  context.generatedFiles = context.generatedFiles || [];
+  const safeName = safeFilename(name, mimeType);
+  const held = context.generatedFiles.reduce((sum, file) => sum + (file.data ? file.size : 0), 0);
+  if (!skipped && held + size > MAX_HELD_BYTES) skipped = `over the ${formatBytes(MAX_HELD_BYTES)} total for one reply`;
+  context.generatedFiles.push(skipped
+    ? { name: safeName, mimeType: mimeType || null, size, skipped }
+    : { name: safeName, mimeType: mimeType || null, size, data: data.toString('base64') });
+  return skipped ? { name: safeName, size, skipped } : { name: safeName, size };
+}
+
+/**
+ * Apply the limits and name files for upload.
+ * @param {Array<{name: string, data?: string, size: number, skipped?: string}>} files - From context.generatedFiles
+ * @param {Object} [opts]
+ * @param {number} [opts.maxBytes] - Per file (default ARTIFACT_MAX_MB)
+ * @param {number} [opts.maxFiles] - Per reply
+ * @param {Set<string>} [opts.taken] - Names already used in the reply (lowercase)
+ * @returns {{attachments: Array<{name: string, buffer: Buffer}>, skipped: string[]}} skipped: human-readable reasons
+ */
+function prepareAttachments(files, { maxBytes = config.artifactMaxMb * 1024 * 1024, maxFiles = MAX_FILES_PER_REPLY, taken = new Set() } = {}) {
+  const attachments = [];
+  const skipped = [];
+  for (const file of files || []) {
+    if (file.skipped) {
+      skipped.push(`${file.name} (${file.skipped})`);
+    } else if (file.size > maxBytes) {
+      skipped.push(`${file.name} (${formatBytes(file.size)}, over the ${formatBytes(maxBytes)} limit)`);
+    } else if (attachments.length >= maxFiles) {
+      skipped.push(`${file.name} (more than ${maxFiles} files)`);
+    } else {
+      attachments.push({ name: uniqueFilename(safeFilename(file.name, file.mimeType), taken), buffer: Buffer.from(file.data, 'base64') });
+    }
+  }
+  return { attachments, skipped };
+}
+
+/**
+ * Group uploads into messages that stay under Discord's per-message count and size
+ * limits, keeping their order. A file over the size limit on its own gets its own message.
+ * @param {Array<{bytes: number}>} uploads
+ * @param {Object} [opts]
+ * @param {number} [opts.maxFiles] - Per message
+ * @param {number} [opts.maxBytes] - Per message
+ * @returns {Array<Array>} The uploads, batched
+ */
+function batchUploads(uploads, { maxFiles = MAX_FILES_PER_MESSAGE, maxBytes = MAX_BYTES_PER_MESSAGE } = {}) {
+  const batches = [];
+  let batch = [];
+  let batchBytes = 0;
+  for (const upload of uploads) {
+    if (batch.length > 0 && (batch.length >= maxFiles || batchBytes + upload.bytes > maxBytes)) {
+      batches.push(batch);
+      batch = [];
+      batchBytes = 0;
+    }
+    batch.push(upload);
+    batchBytes += upload.bytes;
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+module.exports = {
+  MAX_FILES_PER_MESSAGE,
+  MAX_BYTES_PER_MESSAGE,
+  mimeTypeFor,
+  safeFilename,
+  uniqueFilename,
+  formatBytes,
+  artifactBudget,
+  addGeneratedFile,
+  prepareAttachments,
+  batchUploads,
+};
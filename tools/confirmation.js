@@ -0,0 +1,166 @@
+/**
+ * @module tools/confirmation
+ * @description Human-in-the-loop approval for tools that declare `requiresConfirmation`
+ * (code_runner, generate_image). The agent loop asks before running one: the proposed
+ * arguments are posted with Approve/Deny buttons for the requesting user, the loop waits
+ * for an answer (or the timeout), and the decision goes back to the model as the tool
+ * result. Pending requests are held in memory until answered, expired or cancelled. The
+ * wait happens outside the model queue, so unanswered prompts do not hold its slots.
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const config = require('../config');
+const logger = require('../logger');
+const { throwIfCancelled } = require('../utils/cancellation');
+const { outsideQueue } = require('../utils/model-queue');
+
+const CONFIRM_PREFIX = 'toolconfirm';
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 1000;
+const MAX_PREVIEW = 3500;
+
+const OUTCOMES = {
+  approved: { color: 0x57F287, label: '✅ Approved' },
+  denied: { color: 0xED4245, label: '🚫 Denied' },
+  timeout: { color: 0x99AAB5, label: '⌛ No answer — not run' },
+  cancelled: { color: 0x99AAB5, label: '✖️ Cancelled' },
+};
+
+/** @type {Map<string, {userId: string, toolName: string, embed: EmbedBuilder, finish: Function}>} */
+const pending = new Map();
+let nextId = 1;
+
+/**
+ * Render a tool call's arguments for review: code as a code block, prompts quoted,
+ * anything else as JSON.
+ * @param {string} toolName
+ * @param {Object} args
+ * @returns {string}
+ */
+function describeToolCall(toolName, args = {}) {
+  const clip = text => (text.length > MAX_PREVIEW ? `${text.slice(0, MAX_PREVIEW)}\n… (${text.length - MAX_PREVIEW} more characters)` : text);
+  if (typeof args.code === 'string') {
+    const lang = (args.language || 'python').toLowerCase() === 'python' ? 'python' : 'js';
+    return `\`\`\`${lang}\n${clip(args.code).replace(/```/g, '`​``')}\n\`\`\``;
+  }
+  if (typeof args.prompt === 'string') {
+    const extra = Object.entries(args).filter(([k]) => k !== 'prompt').map(([k, v]) => `**${k}:** ${v}`).join(' · ');
+    return `${clip(args.prompt).split('\n').map(line => `> ${line}`).join('\n')}${extra ? `\n${extra}` : ''}`;
+  }
+  return `\`\`\`json\n${clip(JSON.stringify(args, null, 2))}\n\`\`\``;
+}
+
+/**
+ * Build the approval prompt.
+ * @param {string} id - Confirmation ID (embedded in button IDs)
+ * @param {{userId: string, toolName: string, args: Object, timeoutMs: number}} request
+ * @returns {{content: string, embeds: EmbedBuilder[], components: ActionRowBuilder[], allowedMentions: Object}}
+ */
+function buildConfirmMessage(id, { userId, toolName, args, timeoutMs }) {
+  const embed = new EmbedBuilder()
+    .setColor(0xFEE75C)
+    .setTitle(`🔐 Run \`${toolName}\`?`)
+    .setDescription(describeToolCall(toolName, args))
+    .setFooter({ text: `Waiting for approval · expires in ${Math.round(timeoutMs / 1000)}s` });
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`${CONFIRM_PREFIX}:${id}:approve`).setLabel('Approve').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`${CONFIRM_PREFIX}:${id}:deny`).setLabel('Deny').setStyle(ButtonStyle.Danger),
+  );
+  return { content: `<@${userId}>`, embeds: [embed], components: [row], allowedMentions: { users: [userId] } };
+}
+
+/**
+ * Parse a confirmation button custom ID.
+ * @param {string} customId
+ * @returns {{id: string, approved: boolean}|null}
+ */
+function parseConfirmId(customId) {
+  const match = /^toolconfirm:([\w-]+):(approve|deny)$/.exec(customId || '');
+  return match ? { id: match[1], approved: match[2] === 'approve' } : null;
+}
+
+/** The prompt embed, recolored and footed with its outcome. */
+function resolvedEmbed(embed, outcome, userName) {
+  const { color, label } = OUTCOMES[outcome];
+  return EmbedBuilder.from(embed).setColor(color).setFooter({ text: userName ? `${label} by ${userName}` : label });
+}
+
+/**
+ * Ask the user to approve a tool call and wait for the answer.
+ * @param {import('discord.js').TextBasedChannel} channel - Where to post the prompt
+ * @param {Object} request
+ * @param {string} request.userId - The only user who may answer
+ * @param {string} request.toolName
+ * @param {Object} request.args
+ * @param {number} [request.timeoutMs] - Default TOOL_CONFIRM_TIMEOUT_MS (2 minutes)
+ * @param {AbortSignal} [request.signal] - Cancels the wait (throws the CancelledError)
+ * @returns {Promise<{approved: boolean, outcome: string}>} outcome: approved | denied | timeout
+ */
+async function requestConfirmation(channel, { userId, toolName, args, timeoutMs = config.toolConfirmTimeoutMs || DEFAULT_TIMEOUT_MS, signal }) {
+  throwIfCancelled(signal);
+  const id = `${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+  const prompt = buildConfirmMessage(id, { userId, toolName, args, timeoutMs });
+  const sent = await channel.send(prompt);
+
+  const outcome = await outsideQueue(() => new Promise(resolve => {
+    const finish = (result) => {
+      if (!pending.delete(id)) return;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      resolve(result);
+    };
+    const onAbort = () => finish('cancelled');
+    const timer = setTimeout(() => finish('timeout'), timeoutMs);
+    pending.set(id, { userId, toolName, embed: prompt.embeds[0], finish });
+    signal?.addEventListener('abort', onAbort, { once: true });
+    // Cancelled while the prompt was being sent: the abort event has already fired
+    if (signal?.aborted) finish('cancelled');
+  }));
+
+  logger.info('ToolConfirm', `${toolName} for user ${userId}: ${outcome}`);
+  // Button answers update the prompt themselves; timeouts and cancellations are settled here
+  if (outcome === 'timeout' || outcome === 'cancelled') {
+    await sent?.edit({ embeds: [resolvedEmbed(prompt.embeds[0], outcome)], components: [] }).catch(() => {});
+  }
+  throwIfCancelled(signal);
+  return { approved: outcome === 'approved', outcome };
+}
+
+/**
+ * What the model is told when a call was not approved.
+ * @param {string} toolName
+ * @param {string} outcome - denied | timeout
+ * @returns {string}
+ */
+function declinedMessage(toolName, outcome) {
+  return outcome === 'timeout'
+    ? `The user did not approve ${toolName} in time, so it was not run. Do not retry it unless they ask.`
+    : `The user denied this ${toolName} call, so it was not run. Do not retry it unless they ask.`;
+}
+
+/**
+ * Button route for Approve/Deny.
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
+async function handleConfirmButton(interaction) {
+  const parsed = parseConfirmId(interaction.customId);
+  const entry = parsed && pending.get(parsed.id);
+  if (!entry) {
+    return interaction.reply({ content: '⌛ This request has already been answered or has expired.', ephemeral: true });
+  }
+  if (interaction.user.id !== entry.userId) {
+    return interaction.reply({ content: 'Only the person who asked can approve this.', ephemeral: true });
+  }
+  const outcome = parsed.approved ? 'approved' : 'denied';
+  entry.finish(outcome);
+  await interaction.update({ embeds: [resolvedEmbed(entry.embed, outcome, interaction.user.username)], components: [] }).catch(() => {});
+}
+
+module.exports = {
+  CONFIRM_PREFIX,
+  describeToolCall,
+  buildConfirmMessage,
+  parseConfirmId,
+  requestConfirmation,
+  declinedMessage,
+  handleConfirmButton,
+};
@@ -1,52 +1,29 @@
-const logger = require('../../logger');
+const { evaluate } = require('../lib/expression');
 
-// Whitelist: only digits, operators, parens, dots, spaces, and Math functions
-const ALLOWED_PATTERN = /^[0-9+\-*/().,%^ \t]+$|Math\./;
-const MATH_FUNCS = ['abs','ceil','floor','round','sqrt','pow','min','max','log','log2','log10','sin','cos','tan','PI','E','random','trunc','sign'];
-const DANGEROUS = /(?:process|require|import|eval|Function|global|this|constructor|prototype|__proto__|setTimeout|setInterval|fetch|Buffer|child_process|fs|net|os|http)/i;
-
-function sanitize(expr) {
-  if (typeof expr !== 'string') throw new Error('Expression must be a string');
-  if (expr.length > 200) throw new Error('Expression too long (max 200 chars)');
-  if (DANGEROUS.test(expr)) throw new Error('Blocked: unsafe expression');
-
-  // Replace Math function names with Math.name
-  let sanitized = expr;
-  for (const fn of MATH_FUNCS) {
-    sanitized = sanitized.replace(new RegExp(`\\b${fn}\\b`, 'g'), `Math.${fn}`);
-  }
-  // Fix double Math.Math.
-  sanitized = sanitized.replace(/Math\.Math\./g, 'Math.');
-
-  // After substitution, check that remaining chars are safe
-  const stripped = sanitized.replace(/Math\.\w+/g, '0');
-  if (!/^[0-9+\-*/().,%^ \t]+$/.test(stripped)) {
-    throw new Error('Blocked: contains disallowed characters');
-  }
-
-  return sanitized;
-}
+const MAX_LENGTH = 200;
 
 module.exports = {
   name: 'calculator',
-  description: 'Evaluate mathematical expressions safely. Supports basic arithmetic and Math functions (sqrt, sin, cos, pow, etc).',
+  description: 'Evaluate math exactly (0.1 + 0.2 = 0.3, big integers, factorials) with units and conversions. Supports + - * / ^ mod, n!, percentages ("200 + 15%", "20% of 50"), functions (sqrt, round(x, 2), log, sin(30 deg), min, max, gcd, ...), constants (pi, e), variables ("r = 3; pi r^2") and units ("5 km/h in m/s", "3 GiB to MB", "70 °F in °C").',
   parameters: {
     type: 'object',
     properties: {
-      expression: { type: 'string', description: 'Mathematical expression to evaluate (e.g. "sqrt(144) + 2^3")' },
+      expression: { type: 'string', description: 'Expression to evaluate (e.g. "sqrt(144) + 2^3", "25! / 23!", "60 mph to km/h")' },
     },
     required: ['expression'],
   },
   async execute(args) {
-    const sanitized = sanitize(args.expression);
-    // Use ^ as power operator
-    const withPow = sanitized.replace(/(\d+(?:\.\d+)?)\s*\^\s*(\d+(?:\.\d+)?)/g, 'Math.pow($1,$2)');
-    const result = new Function('return ' + withPow)();
-    if (typeof result !== 'number' || !isFinite(result)) {
-      throw new Error('Result is not a finite number');
-    }
-    return { expression: args.expression, result };
+    if (typeof args.expression !== 'string') throw new Error('Expression must be a string');
+    if (args.expression.length > MAX_LENGTH) throw new Error(`Expression too long (max ${MAX_LENGTH} chars)`);
+
+    const { value, number, unit, approximate } = evaluate(args.expression);
+    // result stays a number when that is exact; long or repeating decimals come back as text
+    return {
+      expression: args.expression,
+      result: number ?? value,
+      ...(unit ? { unit } : {}),
+      formatted: `${approximate ? '≈ ' : ''}${value}${unit ? ` ${unit}` : ''}`,
+      ...(approximate ? { approximate: true } : {}),
+    };
   },
-  // Exported for testing
-  _sanitize: sanitize,
 };
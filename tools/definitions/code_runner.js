@@ -1,9 +1,12 @@
-const { Sandbox } = require('@e2b/code-interpreter');
+const { createSandbox } = require('../sandbox');
+const { SandboxSessionManager, SessionLimitError } = require('../sandbox/sessions');
+const { addGeneratedFile } = require('../artifacts');
+const config = require('../../config');
 const logger = require('../../logger');
 
 module.exports = {
   name: 'code_runner',
-  description: 'Execute Python or JavaScript code in a secure cloud sandbox. Returns stdout, stderr, and results.',
+  description: 'Execute Python or JavaScript code in a secure sandbox. Returns stdout, stderr, and results. Files saved to the outputs/ directory (e.g. plt.savefig("outputs/plot.png"), df.to_csv("outputs/data.csv")) are attached to your reply. When the result reports a session, variables, imports and files from earlier calls in this thread are still available.',
   parameters: {
     type: 'object',
     properties: {
@@ -13,7 +16,8 @@ module.exports = {
     required: ['code'],
   },
   timeout: 30000,
-  async execute(args) {
+  requiresConfirmation: true, // the user approves the code before it runs
+  async execute(args, context) {
     const lang = (args.language || 'python').toLowerCase();
     if (lang !== 'python' && lang !== 'javascript' && lang !== 'js') {
       throw new Error(`Unsupported language: ${lang}. Use "python" or "javascript".`);
@@ -21,38 +25,48 @@ module.exports = {
 
     if (args.code.length > 10000) throw new Error('Code too long (max 10000 chars)');
 
+    const runOpts = { language: lang === 'python' ? 'python' : 'javascript', timeoutMs: 10000 };
+    // In a thread with code sessions on, state carries over between calls
+    const sessions = config.sandboxSessions && context?.parentChannelId ? SandboxSessionManager.getInstance() : null;
+
+    // E2B cloud sandbox or a local jail, per SANDBOX_BACKEND
     let sandbox;
     try {
-      sandbox = await Sandbox.create();
-
-      // For JavaScript, wrap in a Node.js execution via Python subprocess
-      let code = args.code;
-      if (lang === 'javascript' || lang === 'js') {
-        // E2B supports JS via node - write to file and execute
-        const escaped = code.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n');
-        code = `import subprocess\nresult = subprocess.run(['node', '-e', '${escaped}'], capture_output=True, text=True, timeout=10)\nprint(result.stdout, end='')\nif result.stderr:\n    import sys; print(result.stderr, end='', file=sys.stderr)`;
+      let execution;
+      let session;
+      if (sessions) {
+        try {
+          const run = await sessions.run(context.channelId, context.guildId, args.code, runOpts);
+          execution = run.execution;
+          session = run.started ? 'new session — variables and files persist in this thread' : `continued session (run ${run.runs}) — earlier variables and files are available`;
+        } catch (err) {
+          if (!(err instanceof SessionLimitError)) throw err;
+          session = `not kept: ${err.message}, so this ran in a fresh sandbox`;
+        }
+      }
+      if (!execution) {
+        sandbox = await createSandbox();
+        execution = await sandbox.run(args.code, runOpts);
       }
 
-      const execution = await Promise.race([
-        sandbox.runCode(code, { timeoutMs: 10000 }),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Execution timeout')), 15000)),
-      ]);
+      // Plots and files go to the reply as attachments; the model only sees their names
+      const files = context ? (execution.artifacts || []).map(file => addGeneratedFile(context, file)) : [];
 
       return {
         success: !execution.error,
-        stdout: (execution.logs?.stdout || []).join('\n'),
-        stderr: (execution.logs?.stderr || []).join('\n'),
-        results: (execution.results || []).map(r => r.text || r.toString()).join('\n'),
-        error: execution.error ? execution.error.value : null,
+        stdout: execution.stdout,
+        stderr: execution.stderr,
+        results: execution.results,
+        error: execution.error,
         language: lang,
+        ...(files.length ? { files } : {}),
+        ...(session ? { session } : {}),
       };
     } catch (err) {
-      logger.error('CodeRunner', `E2B execution error: ${err.message}`);
+      logger.error('CodeRunner', `${config.sandboxBackend} execution error: ${err.message}`);
       return { success: false, error: err.message, stdout: '', stderr: '', results: '' };
     } finally {
-      if (sandbox) {
-        try { await sandbox.kill(); } catch (_) {}
-      }
+      if (sandbox) await sandbox.close();
     }
   },
 };
@@ -12,6 +12,7 @@ module.exports = {
     required: ['prompt'],
   },
   timeout: 60000,
+  requiresConfirmation: true, // the user approves the prompt before an image is generated
   async execute(args, context) {
     // Check if user has disabled image generation
     const { getUserSettings } = require('../../db');
@@ -22,6 +23,12 @@ module.exports = {
       }
     }
 
+    const { checkQuota } = require('../../utils/usage');
+    const quota = checkQuota({ userId: context?.userId, guildId: context?.guildId, roleIds: context?.roleIds }, 'images');
+    if (!quota.allowed) {
+      return { success: false, description: quota.reason };
+    }
+
     const { generateImage } = require('../../openai-client');
     const size = args.size || '1024x1024';
     const buffer = await generateImage(args.prompt, size);
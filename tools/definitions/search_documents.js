@@ -0,0 +1,43 @@
+const { searchDocuments } = require('../../documents');
+
+const MAX_RESULTS = 8;
+
+module.exports = {
+  name: 'search_documents',
+  description: 'Search the documents (PDF, text, Markdown, CSV, source code) shared in this channel or thread for passages relevant to a question. Returns the best-matching chunks with citations like "report.pdf p.3 (chunk 5)" — cite them in the answer. Use it whenever the user asks about an attached or earlier-shared file.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'What to look for, phrased as a question or keywords' },
+      document: { type: 'string', description: 'Only search documents whose file name contains this' },
+      limit: { type: 'integer', description: `Number of chunks to return (default 5, max ${MAX_RESULTS})` },
+    },
+    required: ['query'],
+  },
+  async execute(args, context) {
+    if (!args.query || typeof args.query !== 'string') throw new Error('Query must be a non-empty string');
+    if (!context?.channelId) throw new Error('Document search needs a channel');
+    const limit = Math.min(Math.max(parseInt(args.limit, 10) || 5, 1), MAX_RESULTS);
+
+    const { documents, results } = await searchDocuments(args.query, {
+      channelId: context.channelId,
+      parentChannelId: context.parentChannelId || null,
+      document: args.document,
+      limit,
+    });
+    if (documents.length === 0) {
+      return {
+        query: args.query,
+        results: [],
+        note: args.document
+          ? `No shared document matches "${args.document}".`
+          : 'No documents have been shared here yet. Ask the user to attach the file.',
+      };
+    }
+    return {
+      query: args.query,
+      documents: documents.map(d => ({ id: d.id, name: d.name, ...(d.pages ? { pages: d.pages } : {}), chunks: d.chunk_count })),
+      results,
+    };
+  },
+};
@@ -0,0 +1,62 @@
+const { createReminder, listReminders, cancelReminder, describeRepeat, ReminderError } = require('../../reminders');
+
+function summarize(reminder) {
+  const unix = Math.floor(reminder.due_at / 1000);
+  return {
+    id: reminder.id,
+    message: reminder.message,
+    due: new Date(reminder.due_at).toISOString(),
+    ...(reminder.repeat ? { repeat: describeRepeat(reminder.repeat) } : {}),
+    discord: { full: `<t:${unix}:F>`, relative: `<t:${unix}:R>` },
+  };
+}
+
+module.exports = {
+  name: 'set_reminder',
+  description: 'Set, list or cancel reminders for the user. A reminder pings them in this channel or thread at the given time ("in 2 hours", "tomorrow 9am", "Friday 18:00 Europe/Berlin"), optionally repeating (daily, weekdays, weekly, monthly, "every 3 days"). Use it whenever the user asks to be reminded — never promise a reminder without calling this. Quote discord.full from the result so they see the time in their own timezone.',
+  parameters: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: ['set', 'list', 'cancel'], description: 'What to do (default: set)' },
+      when: { type: 'string', description: 'When to remind (for set), e.g. "in 2 hours", "tomorrow at 9am", "2025-06-01 14:00"' },
+      message: { type: 'string', description: 'What to remind them about, written to them (for set), e.g. "check the build"' },
+      repeat: { type: 'string', description: 'Optional schedule: hourly, daily, weekdays, weekly, monthly, yearly, or "every <interval>"' },
+      timezone: { type: 'string', description: 'The user\'s timezone if they mentioned one (for times like "9am" that do not name a zone); default UTC' },
+      id: { type: 'integer', description: 'Reminder ID (for cancel)' },
+    },
+    required: [],
+  },
+  async execute(args, context) {
+    const userId = context?.userId;
+    if (!userId || !context?.channelId) throw new Error('Reminders need a user and a channel');
+    const action = args.action || 'set';
+
+    if (action === 'list') {
+      const reminders = listReminders(userId);
+      return { count: reminders.length, reminders: reminders.map(summarize) };
+    }
+
+    if (action === 'cancel') {
+      if (!Number.isInteger(Number(args.id))) throw new Error('Give the ID of the reminder to cancel (list them first)');
+      const cancelled = cancelReminder(userId, Number(args.id));
+      return { cancelled, id: Number(args.id), ...(cancelled ? {} : { reason: 'No reminder with that ID belongs to this user' }) };
+    }
+
+    try {
+      const reminder = createReminder({
+        userId,
+        guildId: context.guildId || null,
+        channelId: context.channelId,
+        when: args.when,
+        message: args.message,
+        repeat: args.repeat,
+        timezone: args.timezone,
+      });
+      return { set: true, ...summarize(reminder) };
+    } catch (err) {
+      // Bad times and full quotas go back to the model so it can tell the user
+      if (err instanceof ReminderError) return { set: false, error: err.message };
+      throw err;
+    }
+  },
+};
@@ -1,5 +1,6 @@
 const logger = require('../../logger');
 const config = require('../../config');
+const { recordUsage } = require('../../utils/usage');
 const OpenAI = require('openai');
 const { withRetry } = require('../../utils/retry');
 const { URL } = require('url');
@@ -103,6 +104,7 @@ module.exports = {
         { role: 'user', content: cleaned },
       ],
     });
+    recordUsage({ kind: 'chat', model: config.miniModel, usage: completion.usage });
 
     return {
       url,
@@ -1,31 +1,76 @@
+const {
+  resolveZone, parseDate, parseDuration, addDuration, formatInZone, formatDuration, formatRelative, discordMarkup,
+} = require('../lib/datetime');
+
+const MAX_LENGTH = 200;
+
+function zoneArg(value, label) {
+  if (!value) return null;
+  const zone = resolveZone(value);
+  if (!zone) throw new Error(`Unknown ${label} "${value}" (use an IANA name like Europe/Berlin, an abbreviation like PST, UTC+2 or a city)`);
+  return zone;
+}
+
+function textArg(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw new Error(`${label} must be a string`);
+  if (value.length > MAX_LENGTH) throw new Error(`${label} too long (max ${MAX_LENGTH} chars)`);
+  return value;
+}
+
 module.exports = {
   name: 'timestamp',
-  description: 'Get current date/time or convert between timezones. Supports IANA timezone names like America/New_York, Europe/London, Asia/Tokyo.',
+  description: 'Dates, times and timezones. Gives the current time, reads natural-language or ISO dates ("3pm PST in Berlin", "Friday 18:00 UTC", "tomorrow at noon", "in 2 hours", "2025-05-01T10:00Z"), converts between zones (IANA names, abbreviations, UTC offsets or city names), adds durations and measures the time between two dates. Returns Discord timestamp markup (discord.full / discord.relative) — put it in the reply as-is so every reader sees their own local time.',
   parameters: {
     type: 'object',
     properties: {
-      timezone: { type: 'string', description: 'IANA timezone (default: UTC)' },
+      when: { type: 'string', description: 'Date/time to look at (default: now). May name its own zone and a zone to convert to, e.g. "3pm PST in Berlin"' },
+      timezone: { type: 'string', description: 'Zone to show the result in (default: the one named in "when", else UTC)' },
+      from_timezone: { type: 'string', description: 'Zone for times in "when" that do not name one (default: timezone)' },
+      add: { type: 'string', description: 'Duration to add, e.g. "2h 30m", "3 days", "-1 week"' },
+      until: { type: 'string', description: 'Second date/time; the result includes the time from "when" until it' },
       format: { type: 'string', description: 'Format style: short, medium, long, full (default: long)' },
     },
     required: [],
   },
   async execute(args) {
-    const tz = args.timezone || 'UTC';
     const style = args.format || 'long';
-    const now = new Date();
-
-    const dateOpts = { timeZone: tz, dateStyle: style };
-    const timeOpts = { timeZone: tz, timeStyle: style };
+    const when = textArg(args.when, 'when');
+    const add = textArg(args.add, 'add');
+    const until = textArg(args.until, 'until');
+    const display = zoneArg(args.timezone, 'timezone');
+    const readZone = zoneArg(args.from_timezone, 'timezone') || display || resolveZone('UTC');
+    const now = Date.now();
 
-    const date = new Intl.DateTimeFormat('en-US', dateOpts).format(now);
-    const time = new Intl.DateTimeFormat('en-US', timeOpts).format(now);
+    const parsed = parseDate(when, { zone: readZone, now });
+    const ms = add ? addDuration(parsed.ms, parseDuration(add), parsed.zone) : parsed.ms;
+    const zone = display || parsed.target || parsed.zone;
+    const { date, time, offset } = formatInZone(ms, zone, style);
 
-    return {
-      timezone: tz,
+    const result = {
+      timezone: zone.name,
       date,
       time,
-      iso: now.toISOString(),
-      unix: Math.floor(now.getTime() / 1000),
+      offset,
+      iso: new Date(ms).toISOString(),
+      unix: Math.floor(ms / 1000),
+      from_now: formatRelative(ms, now),
+      discord: discordMarkup(ms),
     };
+    if (when && parsed.zone.name !== zone.name) {
+      const source = formatInZone(ms, parsed.zone, style);
+      result.source = { timezone: parsed.zone.name, date: source.date, time: source.time, offset: source.offset };
+    }
+    if (until) {
+      const end = parseDate(until, { zone: readZone, now });
+      const diff = end.ms - ms;
+      result.until = {
+        iso: new Date(end.ms).toISOString(),
+        seconds: Math.round(diff / 1000),
+        text: diff < 0 ? `${formatDuration(diff)} before` : formatDuration(diff),
+        discord: discordMarkup(end.ms),
+      };
+    }
+    return result;
   },
 };
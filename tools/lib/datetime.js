@@ -0,0 +1,514 @@
+/**
+ * @module tools/lib/datetime
+ * @description Date parsing and timezone math for the timestamp tool. Understands ISO
+ * dates, Unix seconds, Discord `<t:…>` markup and everyday phrases ("3pm PST",
+ * "Friday 18:00 UTC", "tomorrow at noon in Berlin", "next monday 9:30", "in 2 hours",
+ * "May 5 2025 14:00"). Zones can be IANA names, common abbreviations (PST, CET, IST),
+ * UTC offsets (UTC+5:30) or city names (Berlin, New York, Mumbai).
+ *
+ * Abbreviations are fixed offsets: "PST" is always UTC-8, even in summer. The generic
+ * forms (PT, ET, CT, MT) follow daylight saving time.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+/** Dates end at ±8.64e15 ms; zone lookups probe a day either side, so stop short of that. */
+const MAX_MS = 8.64e15 - 2 * DAY;
+
+/** Fixed-offset abbreviations, in minutes east of UTC. */
+const ABBREVIATIONS = {
+  UTC: 0, GMT: 0, Z: 0, WET: 0, WEST: 60, BST: 60, CET: 60, CEST: 120, EET: 120, EEST: 180,
+  MSK: 180, IST: 330, PKT: 300, ICT: 420, WIB: 420, SGT: 480, HKT: 480, AWST: 480, JST: 540,
+  KST: 540, ACST: 570, AEST: 600, AEDT: 660, NZST: 720, NZDT: 780, HST: -600, AKST: -540,
+  AKDT: -480, PST: -480, PDT: -420, MST: -420, MDT: -360, CST: -360, CDT: -300, EST: -300,
+  EDT: -240, AST: -240, ADT: -180, NST: -210, NDT: -150, BRT: -180, ART: -180,
+};
+
+/** Names that are not the last part of an IANA zone. */
+const ALIASES = {
+  PT: 'America/Los_Angeles', MT: 'America/Denver', CT: 'America/Chicago', ET: 'America/New_York',
+  'san francisco': 'America/Los_Angeles', 'los angeles': 'America/Los_Angeles', seattle: 'America/Los_Angeles',
+  'silicon valley': 'America/Los_Angeles', austin: 'America/Chicago', dallas: 'America/Chicago',
+  houston: 'America/Chicago', washington: 'America/New_York', boston: 'America/New_York',
+  miami: 'America/New_York', atlanta: 'America/New_York', montreal: 'America/Toronto',
+  beijing: 'Asia/Shanghai', china: 'Asia/Shanghai', mumbai: 'Asia/Kolkata', delhi: 'Asia/Kolkata',
+  'new delhi': 'Asia/Kolkata', bangalore: 'Asia/Kolkata', bengaluru: 'Asia/Kolkata', india: 'Asia/Kolkata',
+  kolkata: 'Asia/Kolkata', kyiv: 'Europe/Kyiv', japan: 'Asia/Tokyo', korea: 'Asia/Seoul',
+  'ho chi minh city': 'Asia/Ho_Chi_Minh', 'ho chi minh': 'Asia/Ho_Chi_Minh', 'hong kong': 'Asia/Hong_Kong',
+  uk: 'Europe/London', england: 'Europe/London', germany: 'Europe/Berlin', france: 'Europe/Paris',
+  munich: 'Europe/Berlin', frankfurt: 'Europe/Berlin', hamburg: 'Europe/Berlin', milan: 'Europe/Rome',
+  barcelona: 'Europe/Madrid', geneva: 'Europe/Zurich', 'st petersburg': 'Europe/Moscow',
+  melbourne: 'Australia/Melbourne', 'rio de janeiro': 'America/Sao_Paulo', rio: 'America/Sao_Paulo',
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/** Duration units: exact milliseconds, or calendar steps that keep the wall-clock time. */
+const DURATION_UNITS = [
+  [/^(?:s|secs?|seconds?)$/, { ms: 1000 }],
+  [/^(?:m|mins?|minutes?)$/, { ms: MINUTE }],
+  [/^(?:h|hrs?|hours?)$/, { ms: HOUR }],
+  [/^(?:d|days?)$/, { days: 1 }],
+  [/^(?:w|wks?|weeks?)$/, { days: 7 }],
+  [/^(?:mo|mos|months?)$/, { months: 1 }],
+  [/^(?:y|yrs?|years?)$/, { months: 12 }],
+];
+
+// City name (lowercase, spaces) → IANA zone, built on first use
+let cityIndex = null;
+
+function getCityIndex() {
+  if (cityIndex) return cityIndex;
+  cityIndex = new Map();
+  for (const zone of Intl.supportedValuesOf('timeZone')) {
+    cityIndex.set(zone.split('/').pop().replace(/_/g, ' ').toLowerCase(), zone);
+    cityIndex.set(zone.toLowerCase(), zone);
+  }
+  return cityIndex;
+}
+
+/**
+ * A resolved timezone.
+ * @typedef {Object} Zone
+ * @property {string} name - IANA name, or the abbreviation / offset as written
+ * @property {number|null} fixed - Minutes east of UTC for fixed-offset zones, else null
+ */
+
+function fixedZone(name, minutes) {
+  return { name, fixed: minutes };
+}
+
+function ianaZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return { name, fixed: null };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve a timezone written any supported way.
+ * @param {string} text - "Europe/Berlin", "PST", "UTC+5:30", "Berlin", "New York time"
+ * @returns {Zone|null}
+ */
+function resolveZone(text) {
+  const raw = String(text || '').trim().replace(/\s+time$/i, '').replace(/\s+/g, ' ');
+  if (!raw) return null;
+  const upper = raw.toUpperCase();
+  if (Object.prototype.hasOwnProperty.call(ABBREVIATIONS, upper)) return fixedZone(upper === 'Z' ? 'UTC' : upper, ABBREVIATIONS[upper]);
+
+  const offset = /^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i.exec(raw);
+  if (offset && (/^(?:UTC|GMT)/i.test(raw) || offset[3] !== undefined)) {
+    const minutes = (Number(offset[2]) * 60 + Number(offset[3] || 0)) * (offset[1] === '-' ? -1 : 1);
+    if (Math.abs(minutes) > 14 * 60) return null;
+    const hh = String(Math.floor(Math.abs(minutes) / 60)).padStart(2, '0');
+    const mm = String(Math.abs(minutes) % 60).padStart(2, '0');
+    return fixedZone(`UTC${offset[1]}${hh}:${mm}`, minutes);
+  }
+
+  const lower = raw.toLowerCase();
+  const alias = ALIASES[upper] || ALIASES[lower];
+  if (alias) return ianaZone(alias);
+  // Only names with a slash go straight to Intl: it also accepts legacy names like "EST"
+  if (raw.includes('/')) {
+    const known = getCityIndex().get(lower.replace(/ /g, '_'));
+    return ianaZone(known || raw);
+  }
+  const city = getCityIndex().get(lower);
+  return city ? ianaZone(city) : null;
+}
+
+/**
+ * Offset of a zone from UTC at an instant.
+ * @param {Zone} zone
+ * @param {number} ms - Epoch milliseconds
+ * @returns {number} Minutes east of UTC
+ */
+function offsetAt(zone, ms) {
+  if (zone.fixed !== null) return zone.fixed;
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone.name, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  });
+  for (const { type, value } of formatter.formatToParts(new Date(ms))) parts[type] = Number(value);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wall - Math.floor(ms / 1000) * 1000) / MINUTE);
+}
+
+/**
+ * Wall-clock fields of an instant in a zone.
+ * @param {Zone} zone
+ * @param {number} ms
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ */
+function toWall(zone, ms) {
+  const d = new Date(ms + offsetAt(zone, ms) * MINUTE);
+  return {
+    year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+    hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds(), weekday: d.getUTCDay(),
+  };
+}
+
+/**
+ * The instant a wall-clock time happens in a zone. Times skipped by a DST change
+ * land an hour later; repeated times take the first occurrence.
+ * @param {Zone} zone
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} wall
+ * @returns {number} Epoch milliseconds
+ */
+function fromWall(zone, { year, month, day, hour = 0, minute = 0, second = 0 }) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const before = offsetAt(zone, guess - DAY);
+  const after = offsetAt(zone, guess + DAY);
+  const valid = [before, after].map(offset => guess - offset * MINUTE).filter(ms => guess - offsetAt(zone, ms) * MINUTE === ms);
+  return valid.length ? Math.min(...valid) : guess - before * MINUTE;
+}
+
+/** "UTC+02:00" */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/** Move a wall date by whole days / months, keeping the time of day. */
+function shiftWall(wall, { days = 0, months = 0 }) {
+  const monthIndex = wall.year * 12 + (wall.month - 1) + months;
+  const year = Math.floor(monthIndex / 12);
+  const month = monthIndex - year * 12 + 1;
+  // Jan 31 + 1 month is the last day of February, not March 3
+  const d = new Date(Date.UTC(year, month - 1, Math.min(wall.day, daysInMonth(year, month)) + days));
+  return { ...wall, year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/**
+ * Parse a duration: "2h 30m", "3 days 4 hours", "1w", "-90 minutes", "1:30".
+ * @param {string} text
+ * @returns {{ms: number, days: number, months: number}}
+ * @throws {Error} When the text is not a duration
+ */
+function parseDuration(text) {
+  const source = String(text || '').trim().toLowerCase();
+  const clock = /^([+-])?(\d+):(\d{2})(?::(\d{2}))?$/.exec(source);
+  if (clock) {
+    const sign = clock[1] === '-' ? -1 : 1;
+    return { ms: sign * (Number(clock[2]) * HOUR + Number(clock[3]) * MINUTE + Number(clock[4] || 0) * 1000), days: 0, months: 0 };
+  }
+  const sign = source.startsWith('-') ? -1 : 1;
+  const body = source.replace(/^[+-]\s*/, '').replace(/,|\band\b/g, ' ').trim();
+  const total = { ms: 0, days: 0, months: 0 };
+  const pattern = /(\d+(?:\.\d+)?)\s*([a-z]+)\s*/gy;
+  let match;
+  let consumed = 0;
+  while ((match = pattern.exec(body))) {
+    const unit = DURATION_UNITS.find(([re]) => re.test(match[2]));
+    if (!unit) throw new Error(`Unknown duration unit "${match[2]}"`);
+    const amount = Number(match[1]) * sign;
+    const step = unit[1];
+    if (step.ms) total.ms += amount * step.ms;
+    // Fractions of days and months are counted in exact time
+    else if (step.days) Number.isInteger(amount) ? total.days += amount * step.days : total.ms += amount * step.days * DAY;
+    else if (Number.isInteger(amount)) total.months += amount * step.months;
+    else total.ms += amount * step.months * 30.4375 * DAY;
+    consumed = pattern.lastIndex;
+  }
+  if (!body || consumed !== body.length) throw new Error(`Could not understand the duration "${text}" (try "2h 30m" or "3 days")`);
+  return total;
+}
+
+/**
+ * Apply a parsed duration to an instant. Days and months move the wall-clock date in
+ * the zone (so "+1 day" across a DST change keeps the same time); hours and smaller are exact.
+ * Throws "Date is out of range" when the result is beyond what a Date can hold.
+ * @param {number} ms
+ * @param {{ms: number, days: number, months: number}} duration
+ * @param {Zone} zone
+ * @returns {number}
+ */
+function addDuration(ms, duration, zone) {
+  let result = checkRange(ms);
+  if (duration.days || duration.months) {
+    const wall = shiftWall(toWall(zone, ms), duration);
+    checkRange(Date.UTC(wall.year, wall.month - 1, wall.day));
+    result = fromWall(zone, wall);
+  }
+  return checkRange(result + duration.ms);
+}
+
+function checkRange(ms) {
+  if (!(Math.abs(ms) <= MAX_MS)) throw new Error('Date is out of range');
+  return ms;
+}
+
+/**
+ * "3 days, 4 hours and 5 minutes". Shows the three largest non-zero units.
+ * @param {number} ms - Absolute length
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  let rest = Math.round(Math.abs(ms) / 1000);
+  if (!rest) return '0 seconds';
+  const parts = [];
+  for (const [name, size] of [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]]) {
+    const n = Math.floor(rest / size);
+    rest -= n * size;
+    if (n) parts.push(`${n} ${name}${n === 1 ? '' : 's'}`);
+  }
+  const shown = parts.slice(0, 3);
+  return shown.length > 1 ? `${shown.slice(0, -1).join(', ')} and ${shown[shown.length - 1]}` : shown[0];
+}
+
+/** "in 3 hours" / "2 days ago" / "now" */
+function formatRelative(ms, now = Date.now()) {
+  const diff = ms - now;
+  if (Math.abs(diff) < 1000) return 'now';
+  return diff > 0 ? `in ${formatDuration(diff)}` : `${formatDuration(diff)} ago`;
+}
+
+/**
+ * Split "3pm PST in Berlin" into the date phrase and the zone it should be shown in.
+ * @param {string} text
+ * @returns {{text: string, target: Zone|null}}
+ */
+function splitTarget(text) {
+  const match = /^(.+?)\s+(?:in|to|into)\s+([^\d].*)$/i.exec(text);
+  const target = match && resolveZone(match[2]);
+  return target ? { text: match[1], target } : { text, target: null };
+}
+
+/**
+ * Peel a zone off the end of a date phrase ("Friday 18:00 UTC", "9am New York time").
+ * @param {string} text
+ * @returns {{text: string, zone: Zone|null}}
+ */
+function splitSourceZone(text) {
+  const words = text.split(/\s+/);
+  // Offsets glued to the time: "18:00+02:00", "9am-5"
+  const glued = /^(.*?\d(?:am|pm)?)((?:UTC|GMT|Z)?[+-]\d{1,2}(?::?\d{2})?|Z)$/i.exec(words[words.length - 1]);
+  if (glued && /[:apm]|Z$/i.test(glued[1] + glued[2])) {
+    const zone = resolveZone(glued[2]);
+    if (zone) return { text: [...words.slice(0, -1), glued[1]].join(' '), zone };
+  }
+  for (let n = Math.min(4, words.length); n >= 1; n--) {
+    const candidate = words.slice(-n).join(' ');
+    // Times and dates ("18:00", "5") are never zones
+    if (/^\d/.test(candidate)) continue;
+    const zone = resolveZone(candidate);
+    if (zone) return { text: words.slice(0, -n).join(' '), zone };
+  }
+  return { text, zone: null };
+}
+
+function monthIndex(word) {
+  const i = MONTHS.findIndex(m => m === word || (word.length >= 3 && m.startsWith(word)));
+  return i < 0 ? null : i + 1;
+}
+
+function weekdayIndex(word) {
+  const i = WEEKDAYS.findIndex(d => d === word || (word.length >= 3 && d.startsWith(word)));
+  return i < 0 ? null : i;
+}
+
+/**
+ * Reject a month or day the calendar doesn't have ("2024-02-30") instead of letting
+ * Date.UTC roll it into the next month. A date without a year may be Feb 29.
+ * @param {{year: number|null, month: number, day: number}} date
+ * @param {string} text - What the date was read from, for the error
+ * @returns {{year: number|null, month: number, day: number}} The same date
+ */
+function checkDate(date, text) {
+  const { year, month, day } = date;
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year ?? 2000, month)) {
+    throw new Error(`Could not understand "${text.trim()}" in the date`);
+  }
+  return date;
+}
+
+/**
+ * Read the date/time words of a phrase into fields.
+ * @param {string} text - Lowercased phrase with any zones removed
+ * @returns {{date: Object|null, time: Object|null, weekday: {index: number, mode: string}|null, dayOffset: number|null, duration: Object|null}}
+ */
+function readPhrase(text) {
+  const state = { date: null, time: null, weekday: null, dayOffset: null, duration: null };
+  let rest = ` ${text.replace(/,/g, ' ').replace(/\s+/g, ' ').trim()} `;
+  // fn returns false to leave the match in place
+  const take = (re, fn) => {
+    rest = rest.replace(re, (...m) => (fn(m) === false ? m[0] : ' '));
+  };
+
+  // Relative phrases: "in 2 hours", "3 days ago", "2 weeks from now"
+  take(/ in ((?:\d+(?:\.\d+)?\s*[a-z]+\s*(?:and\s+)?)+)(?= )/, m => { state.duration = parseDuration(m[1]); });
+  take(/ ((?:\d+(?:\.\d+)?\s*[a-z]+\s*(?:and\s+)?)+)(ago|from now|later|before|after)(?= )/, m => {
+    const d = parseDuration(m[1]);
+    const sign = m[2] === 'ago' || m[2] === 'before' ? -1 : 1;
+    state.duration = { ms: d.ms * sign, days: d.days * sign, months: d.months * sign };
+  });
+
+  // Dates: 2025-05-05, 2025/5/5, May 5 [2025], 5 May [2025], 5th of May
+  take(/ (\d{4})[-/](\d{1,2})[-/](\d{1,2})(?= )/, m => { state.date = checkDate({ year: +m[1], month: +m[2], day: +m[3] }, m[0]); });
+  take(/ ([a-z]{3,9})\.? (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?(?= )/, m => {
+    const month = monthIndex(m[1]);
+    if (!month) return false;
+    state.date = checkDate({ year: m[3] ? +m[3] : null, month, day: +m[2] }, m[0]);
+  });
+  take(/ (\d{1,2})(?:st|nd|rd|th)?(?: of)? ([a-z]{3,9})\.?(?: (\d{4}))?(?= )/, m => {
+    const month = monthIndex(m[2]);
+    if (!month) return false;
+    state.date = checkDate({ year: m[3] ? +m[3] : null, month, day: +m[1] }, m[0]);
+  });
+
+  // Times: 15:30[:05], 3pm, 3:30 pm, noon, midnight
+  take(/ (?:at )?(noon|midday|midnight)(?= )/, m => { state.time = { hour: m[1] === 'midnight' ? 0 : 12, minute: 0, second: 0 }; });
+  take(/ (?:at )?(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?= )/, m => {
+    let hour = +m[1];
+    if (hour < 1 || hour > 12) throw new Error(`"${m[0].trim()}" is not a valid time`);
+    if (m[4].startsWith('p') && hour !== 12) hour += 12;
+    if (m[4].startsWith('a') && hour === 12) hour = 0;
+    state.time = { hour, minute: +(m[2] || 0), second: +(m[3] || 0) };
+  });
+  take(/ (?:at )?(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(?= )/, m => { state.time = { hour: +m[1], minute: +m[2], second: +(m[3] || 0) }; });
+
+  // Days: today, tonight, tomorrow, yesterday, [next|this|last] friday
+  take(/ (today|tonight|tomorrow|yesterday)(?= )/, m => {
+    state.dayOffset = { today: 0, tonight: 0, tomorrow: 1, yesterday: -1 }[m[1]];
+    if (m[1] === 'tonight' && !state.time) state.time = { hour: 20, minute: 0, second: 0 };
+  });
+  take(/ (?:(next|this|last|coming) )?([a-z]{3,9})\.?(?= )/, m => {
+    const index = weekdayIndex(m[2]);
+    if (index === null) return false;
+    state.weekday = { index, mode: m[1] === 'coming' ? 'this' : m[1] || 'upcoming' };
+  });
+  take(/ (?:on|at|the|of|now)(?= )/g, () => {});
+
+  if (rest.trim()) {
+    throw new Error(`Could not understand "${rest.trim()}" in the date`);
+  }
+  if (state.time && (state.time.hour > 23 || state.time.minute > 59 || state.time.second > 59)) {
+    throw new Error('Time of day is out of range');
+  }
+  return state;
+}
+
+/**
+ * Parse a point in time.
+ * @param {string} input - ISO, Unix seconds, Discord markup or a phrase
+ * @param {Object} [opts]
+ * @param {Zone} [opts.zone] - Zone for times that don't name one (default UTC)
+ * @param {number} [opts.now] - Reference instant (default Date.now())
+ * @returns {{ms: number, zone: Zone, target: Zone|null}} The instant, the zone it was read in,
+ *   and the zone the phrase asked to convert to ("… in Berlin"), if any
+ * @throws {Error} When the text is not understood
+ */
+function parseDate(input, { zone = fixedZone('UTC', 0), now = Date.now() } = {}) {
+  const original = String(input ?? '').trim();
+  if (!original || /^now$/i.test(original)) return { ms: now, zone, target: null };
+
+  const markup = /^<t:(-?\d+)(?::[tTdDfFR])?>$/.exec(original);
+  if (markup) return { ms: Number(markup[1]) * 1000, zone, target: null };
+  if (/^-?\d{9,12}$/.test(original)) return { ms: Number(original) * 1000, zone, target: null };
+
+  const { text: withoutTarget, target } = splitTarget(original);
+
+  const iso = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(withoutTarget);
+  if (iso && (iso[8] || iso[4] !== undefined)) {
+    const readZone = iso[8] ? resolveZone(iso[8]) : zone;
+    checkDate({ year: +iso[1], month: +iso[2], day: +iso[3] }, withoutTarget);
+    if (+(iso[4] || 0) > 23 || +(iso[5] || 0) > 59 || +(iso[6] || 0) > 59) throw new Error('Time of day is out of range');
+    const ms = fromWall(readZone, { year: +iso[1], month: +iso[2], day: +iso[3], hour: +(iso[4] || 0), minute: +(iso[5] || 0), second: +(iso[6] || 0) })
+      + Math.round(Number(`0.${iso[7] || 0}`) * 1000);
+    return { ms, zone: readZone, target };
+  }
+
+  const { text: phrase, zone: named } = splitSourceZone(withoutTarget);
+  const readZone = named || zone;
+  const state = readPhrase(phrase.toLowerCase());
+  const today = toWall(readZone, now);
+
+  // Nothing but "now" or "in 2 hours": count from the current instant
+  if (!state.date && !state.weekday && !state.time && state.dayOffset === null) {
+    return { ms: state.duration ? addDuration(now, state.duration, readZone) : now, zone: readZone, target };
+  }
+
+  let wall = { year: today.year, month: today.month, day: today.day };
+  if (state.date) {
+    wall = { ...state.date, year: state.date.year ?? today.year };
+    // A month and day without a year mean the next time that date comes round (Feb 29: the next leap year)
+    while (state.date.year === null && (wall.day > daysInMonth(wall.year, wall.month) || fromWall(readZone, { ...wall, hour: 23, minute: 59, second: 59 }) < now)) wall.year++;
+  }
+  wall = shiftWall(wall, { days: state.dayOffset || 0 });
+  const time = state.time || { hour: 0, minute: 0, second: 0 };
+
+  if (state.weekday) {
+    const current = new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay();
+    let delta = (state.weekday.index - current + 7) % 7;
+    if (state.weekday.mode === 'next' && delta === 0) delta = 7;
+    if (state.weekday.mode === 'last') delta = delta === 0 ? -7 : delta - 7;
+    // A bare weekday that is today but already over means next week
+    if (state.weekday.mode === 'upcoming' && delta === 0 && state.time && fromWall(readZone, { ...wall, ...time }) < now) delta = 7;
+    wall = shiftWall(wall, { days: delta });
+  }
+
+  let ms = fromWall(readZone, { ...wall, ...time });
+  if (state.duration) ms = addDuration(ms, state.duration, readZone);
+  return { ms, zone: readZone, target };
+}
+
+/**
+ * Date and time text for an instant in a zone.
+ * @param {number} ms
+ * @param {Zone} zone
+ * @param {string} [style] - short | medium | long | full
+ * @returns {{date: string, time: string, offset: string}}
+ */
+function formatInZone(ms, zone, style = 'long') {
+  const offset = offsetAt(zone, ms);
+  if (zone.fixed === null) {
+    return {
+      date: new Intl.DateTimeFormat('en-US', { timeZone: zone.name, dateStyle: style }).format(ms),
+      time: new Intl.DateTimeFormat('en-US', { timeZone: zone.name, timeStyle: style }).format(ms),
+      offset: formatOffset(offset),
+    };
+  }
+  // Intl has no fixed-offset zones: format the shifted instant as UTC and label it ourselves
+  const shifted = ms + offset * MINUTE;
+  const time = new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', timeStyle: style === 'short' ? 'short' : 'medium' }).format(shifted);
+  return {
+    date: new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', dateStyle: style }).format(shifted),
+    time: style === 'long' || style === 'full' ? `${time} ${zone.name}` : time,
+    offset: formatOffset(offset),
+  };
+}
+
+/**
+ * Discord timestamp markup; each reader sees it in their own timezone.
+ * @param {number} ms
+ * @returns {{full: string, relative: string, short: string}}
+ */
+function discordMarkup(ms) {
+  const unix = Math.floor(ms / 1000);
+  return { full: `<t:${unix}:F>`, relative: `<t:${unix}:R>`, short: `<t:${unix}:f>` };
+}
+
+module.exports = {
+  resolveZone,
+  parseDate,
+  parseDuration,
+  addDuration,
+  offsetAt,
+  toWall,
+  fromWall,
+  formatInZone,
+  formatOffset,
+  formatDuration,
+  formatRelative,
+  discordMarkup,
+};
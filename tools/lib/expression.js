@@ -0,0 +1,598 @@
+/**
+ * @module tools/lib/expression
+ * @description Tokenizer, parser and evaluator behind the calculator tool. Numbers are
+ * exact rationals (./rational) that may carry units (./units); nothing is handed to
+ * eval or Function — only the operators, functions, constants and units defined here
+ * exist. Grammar, loosest first:
+ *   statements  a = 2; b = a^2; b + 1        (`;` or newlines; the last value is the answer)
+ *   conversion  5 km/h in m/s · 3 GiB to MB · 100 °F as °C
+ *   + -         200 + 10% adds ten percent of 200
+ *   * / mod of  20% of 50
+ *   implicit    2pi, 5 km, 3(4 + 1) — tighter than * and /, so 10 km / 2 h is 5 km/h
+ *   unary - +
+ *   ^ **        right-associative; -2^2 is -4
+ *   postfix     5! and 50%
+ */
+
+const { Rational } = require('./rational');
+const { BASE_SYMBOLS, getUnit } = require('./units');
+
+/** A rejected or failed expression. The message is meant for the user. */
+class CalcError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CalcError';
+  }
+}
+
+const KEYWORDS = new Set(['in', 'to', 'as', 'of', 'mod']);
+const MAX_FACTORIAL = 3000;
+// Integers longer than this are shown in scientific notation
+const MAX_DISPLAY_DIGITS = 1000;
+
+const WHITESPACE = /[ \t]+/y;
+const NUMBER = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+const IDENT = /[A-Za-z_°µμπ][\w°µμ]*/y;
+const OPERATOR = /\*\*|[-+*/^()!%,;=]/y;
+
+/**
+ * Split an expression into tokens. Unicode ×, ÷ and − are accepted; newlines separate
+ * statements like `;`.
+ * @param {string} source
+ * @returns {Array<{type: string, value: string, pos: number}>}
+ */
+function tokenize(source) {
+  const text = source.replace(/[×·]/g, '*').replace(/÷/g, '/').replace(/−/g, '-').replace(/\r?\n/g, ';');
+  const tokens = [];
+  let pos = 0;
+  const at = (re, type) => {
+    re.lastIndex = pos;
+    const match = re.exec(text);
+    if (!match) return false;
+    if (type) tokens.push({ type, value: match[0], pos });
+    pos = re.lastIndex;
+    return true;
+  };
+  while (pos < text.length) {
+    if (at(WHITESPACE) || at(NUMBER, 'num') || at(IDENT, 'ident') || at(OPERATOR, 'op')) continue;
+    throw new CalcError(`Blocked: disallowed character "${text[pos]}"`);
+  }
+  return tokens;
+}
+
+// ── Parser ──
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.i = 0;
+  }
+
+  peek(offset = 0) { return this.tokens[this.i + offset]; }
+  next() { return this.tokens[this.i++]; }
+  isOp(tok, ...ops) { return tok?.type === 'op' && ops.includes(tok.value); }
+  isWord(tok, ...words) { return tok?.type === 'ident' && words.includes(tok.value); }
+
+  fail(tok) {
+    throw new CalcError(tok ? `Unexpected "${tok.value}"` : 'Unexpected end of expression');
+  }
+
+  expect(op) {
+    const tok = this.next();
+    if (!this.isOp(tok, op)) this.fail(tok);
+  }
+
+  /** `in` right after a number and before the end of an operand is the inch: "12 in to cm". */
+  isInch(offset = 0) {
+    const after = this.peek(offset + 1);
+    return this.peek(offset - 1)?.type === 'num'
+      && (!after || this.isOp(after, ')', ';', ',', '+', '-', '*', '/', '^') || this.isWord(after, 'to', 'as'));
+  }
+
+  /** Can this token start an implicitly multiplied operand (5 km, 2pi, 3(1 + 2))? */
+  startsOperand(offset = 0) {
+    const tok = this.peek(offset);
+    if (this.isOp(tok, '(')) return true;
+    if (tok?.type !== 'ident') return false;
+    return !KEYWORDS.has(tok.value) || (tok.value === 'in' && this.isInch(offset));
+  }
+
+  program() {
+    const statements = [];
+    while (this.peek()) {
+      if (this.isOp(this.peek(), ';')) {
+        this.next();
+        continue;
+      }
+      statements.push(this.statement());
+      if (this.peek() && !this.isOp(this.peek(), ';')) this.fail(this.peek());
+    }
+    if (!statements.length) throw new CalcError('Empty expression');
+    return statements;
+  }
+
+  statement() {
+    if (this.peek()?.type === 'ident' && this.isOp(this.peek(1), '=')) {
+      const name = this.next().value;
+      this.next();
+      if (KEYWORDS.has(name) || FUNCTIONS[name] || CONSTANTS[name]) throw new CalcError(`Cannot assign to "${name}"`);
+      return { type: 'assign', name, expr: this.conversion() };
+    }
+    return this.conversion();
+  }
+
+  conversion() {
+    const expr = this.additive();
+    if (this.isWord(this.peek(), 'in', 'to', 'as')) {
+      this.next();
+      return { type: 'convert', expr, target: this.additive() };
+    }
+    return expr;
+  }
+
+  additive() {
+    let left = this.multiplicative();
+    while (this.isOp(this.peek(), '+', '-')) {
+      const op = this.next().value;
+      left = { type: 'binary', op, left, right: this.multiplicative() };
+    }
+    return left;
+  }
+
+  multiplicative() {
+    let left = this.implicit();
+    for (;;) {
+      const tok = this.peek();
+      if (!this.isOp(tok, '*', '/', '%') && !this.isWord(tok, 'mod', 'of')) return left;
+      this.next();
+      const op = tok.value === '%' ? 'mod' : tok.value;
+      left = { type: 'binary', op, left, right: this.implicit() };
+    }
+  }
+
+  /** Juxtaposition binds tighter than * and /, so "10 km / 2 h" is 5 km/h. */
+  implicit() {
+    let left = this.unary();
+    while (this.startsOperand()) left = { type: 'binary', op: '*', left, right: this.power() };
+    return left;
+  }
+
+  unary() {
+    if (this.isOp(this.peek(), '-', '+')) {
+      const op = this.next().value;
+      const arg = this.unary();
+      return op === '-' ? { type: 'negate', arg } : arg;
+    }
+    return this.power();
+  }
+
+  power() {
+    const base = this.postfix();
+    if (this.isOp(this.peek(), '^', '**')) {
+      this.next();
+      return { type: 'binary', op: '^', left: base, right: this.unary() };
+    }
+    return base;
+  }
+
+  postfix() {
+    let node = this.primary();
+    for (;;) {
+      if (this.isOp(this.peek(), '!')) {
+        this.next();
+        node = { type: 'factorial', arg: node };
+      } else if (this.isOp(this.peek(), '%') && (!this.startsOperand(1) && this.peek(1)?.type !== 'num')) {
+        // "50%" or "50% of x"; "7 % 3" (an operand follows) is modulo
+        this.next();
+        node = { type: 'percent', arg: node };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  primary() {
+    const tok = this.next();
+    if (!tok) this.fail();
+    if (tok.type === 'num') return { type: 'num', value: Rational.parse(tok.value) };
+    if (this.isOp(tok, '(')) {
+      const expr = this.conversion();
+      this.expect(')');
+      return expr;
+    }
+    if (tok.type === 'ident' && (!KEYWORDS.has(tok.value) || (tok.value === 'in' && this.isInch(-1)))) {
+      if (FUNCTIONS[tok.value] && this.isOp(this.peek(), '(')) {
+        this.next();
+        const args = [];
+        if (!this.isOp(this.peek(), ')')) {
+          do args.push(this.conversion());
+          while (this.isOp(this.peek(), ',') && this.next());
+        }
+        this.expect(')');
+        return { type: 'call', name: tok.value, args };
+      }
+      return { type: 'name', name: tok.value };
+    }
+    return this.fail(tok);
+  }
+}
+
+// ── Quantities ──
+
+const NO_DIMS = [0, 0, 0, 0, 0, 0, 0, 0];
+
+/**
+ * A value with dimensions. `value` is in SI base units; `units` maps the unit names the
+ * user wrote to their exponents, for display.
+ */
+function quantity(value, dims = NO_DIMS, units = {}, approximate = false) {
+  return { value, dims, units, approximate };
+}
+
+const number = (value, approximate = false) => quantity(value, NO_DIMS, {}, approximate);
+const isDimensionless = q => q.dims.every(d => d === 0);
+const sameDims = (a, b) => a.dims.every((d, i) => d === b.dims[i]);
+const hasUnits = q => Object.keys(q.units).length > 0;
+
+function combineUnits(a, b, sign) {
+  const units = { ...a };
+  for (const [name, exp] of Object.entries(b)) {
+    units[name] = (units[name] || 0) + sign * exp;
+    if (!units[name]) delete units[name];
+  }
+  // Units of the same kind cancel (km/h × min is km); the SI value is unaffected
+  for (const up of Object.keys(units)) {
+    for (const down of Object.keys(units)) {
+      const [u, d] = [getUnit(up), getUnit(down)];
+      if (!(units[up] > 0 && units[down] < 0) || u.offset || d.offset || !u.dims.every((x, i) => x === d.dims[i])) continue;
+      const cancel = Math.min(units[up], -units[down]);
+      units[up] -= cancel;
+      units[down] += cancel;
+      if (!units[up]) delete units[up];
+      if (!units[down]) delete units[down];
+    }
+  }
+  return units;
+}
+
+function requireDimensionless(q, what) {
+  if (!isDimensionless(q)) throw new CalcError(`${what} needs a plain number, not ${formatUnits(q) || 'a quantity with units'}`);
+  return q.value;
+}
+
+function requireSameDims(a, b, op) {
+  if (!sameDims(a, b)) throw new CalcError(`Cannot ${op} ${formatUnits(a) || 'a plain number'} and ${formatUnits(b) || 'a plain number'}`);
+}
+
+/** The single offset unit (°C, °F) a quantity is written in, if any. */
+function offsetUnit(q) {
+  const names = Object.keys(q.units);
+  const unit = names.length === 1 && q.units[names[0]] === 1 ? getUnit(names[0]) : null;
+  return unit?.offset ? unit : null;
+}
+
+function multiply(a, b) {
+  // "30 °C" means the temperature 30 °C, not 30 × (1 °C above absolute zero)
+  for (const [n, u] of [[a, b], [b, a]]) {
+    if (u.bareUnit && offsetUnit(u) && isDimensionless(n) && !hasUnits(n)) {
+      const unit = offsetUnit(u);
+      return quantity(n.value.mul(unit.factor).add(unit.offset), u.dims, u.units, n.approximate);
+    }
+  }
+  const dims = a.dims.map((d, i) => d + b.dims[i]);
+  const units = dims.every(d => d === 0) ? {} : combineUnits(a.units, b.units, 1);
+  return quantity(a.value.mul(b.value), dims, units, a.approximate || b.approximate);
+}
+
+function divide(a, b) {
+  const dims = a.dims.map((d, i) => d - b.dims[i]);
+  const units = dims.every(d => d === 0) ? {} : combineUnits(a.units, b.units, -1);
+  return quantity(a.value.div(b.value), dims, units, a.approximate || b.approximate);
+}
+
+function addSub(a, b, op) {
+  requireSameDims(a, b, op === '+' ? 'add' : 'subtract');
+  // Two temperatures cannot both be absolute: 30 °C + 10 °C adds 10 °C as an interval, making 40 °C
+  const bothTemperatures = offsetUnit(a) && offsetUnit(b);
+  const value = op === '+'
+    ? a.value.add(bothTemperatures ? b.value.sub(offsetUnit(b).offset) : b.value)
+    : a.value.sub(b.value);
+  // The difference of two temperatures is an interval, in kelvin
+  const units = op === '-' && bothTemperatures ? { K: 1 } : hasUnits(a) ? a.units : b.units;
+  return quantity(value, a.dims, units, a.approximate || b.approximate);
+}
+
+function power(base, exponent) {
+  const e = requireDimensionless(exponent, 'An exponent');
+  const approximate = base.approximate || exponent.approximate;
+  const exact = base.value.pow(e);
+  if (exact) {
+    const n = Number(e.num);
+    const units = Object.fromEntries(Object.entries(base.units).map(([name, exp]) => [name, exp * n]));
+    return quantity(exact, base.dims.map(d => d * n), units, approximate);
+  }
+  if (!isDimensionless(base)) throw new CalcError('Units can only be raised to whole-number powers');
+  const result = Math.pow(base.value.toNumber(), e.toNumber());
+  if (Number.isNaN(result)) throw new CalcError('Result is not a real number');
+  return number(Rational.fromNumber(result), true);
+}
+
+function factorial(q) {
+  const n = requireDimensionless(q, 'Factorial');
+  if (!n.isInteger() || n.sign() < 0) throw new CalcError('Factorial is only defined for whole numbers ≥ 0');
+  if (n.num > BigInt(MAX_FACTORIAL)) throw new CalcError(`Factorial is limited to ${MAX_FACTORIAL}!`);
+  let result = 1n;
+  for (let i = 2n; i <= n.num; i++) result *= i;
+  return number(new Rational(result), q.approximate);
+}
+
+// ── Functions and constants ──
+
+/** Run a float function on a plain number; the result is approximate. */
+function float(fn, { snap = false } = {}) {
+  return (args, name) => {
+    const x = fn(...args.map(a => requireDimensionless(a, `${name}()`).toNumber()));
+    if (Number.isNaN(x)) throw new CalcError(`${name}() is not defined for that input`);
+    // sin(pi) is 1.2e-16 in floating point; show 0
+    return number(Rational.fromNumber(snap && Math.abs(x) < 1e-15 ? 0 : x), true);
+  };
+}
+
+/** Trig input: plain numbers are radians; angles (30 deg) are converted. */
+function trig(fn) {
+  return ([a], name) => {
+    const angleOnly = a.dims.every((d, i) => d === (i === a.dims.length - 1 ? 1 : 0));
+    return float(fn, { snap: true })([angleOnly ? number(a.value) : a], name);
+  };
+}
+
+function exact(fn, { dimensionless = true } = {}) {
+  return (args, name) => {
+    if (dimensionless) args.forEach(a => requireDimensionless(a, `${name}()`));
+    return fn(args, name);
+  };
+}
+
+function extremum(sign) {
+  return (args) => {
+    args.slice(1).forEach(a => requireSameDims(args[0], a, 'compare'));
+    return args.reduce((best, a) => (a.value.cmp(best.value) === sign ? a : best));
+  };
+}
+
+function integerGcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a < 0n ? -a : a;
+}
+
+function wholeNumbers(args, name) {
+  return args.map(a => {
+    if (!a.value.isInteger()) throw new CalcError(`${name}() needs whole numbers`);
+    return a.value.num;
+  });
+}
+
+/** name → { min, max (argument count), fn(args, name) → quantity } */
+const FUNCTIONS = {
+  abs: { min: 1, max: 1, fn: ([a]) => ({ ...a, value: a.value.abs() }) },
+  sign: { min: 1, max: 1, fn: exact(([a]) => number(new Rational(BigInt(a.value.sign())))) },
+  floor: { min: 1, max: 1, fn: exact(([a]) => number(a.value.floor(), a.approximate)) },
+  ceil: { min: 1, max: 1, fn: exact(([a]) => number(a.value.ceil(), a.approximate)) },
+  trunc: { min: 1, max: 1, fn: exact(([a]) => number(a.value.trunc(), a.approximate)) },
+  round: {
+    min: 1,
+    max: 2,
+    fn: exact(([a, places], name) => {
+      const p = places ? places.value : new Rational(0n);
+      if (!p.isInteger()) throw new CalcError(`${name}() places must be a whole number`);
+      const scale = new Rational(10n).pow(p);
+      return number(a.value.mul(scale).round().div(scale), a.approximate);
+    }),
+  },
+  min: { min: 1, max: Infinity, fn: extremum(-1) },
+  max: { min: 1, max: Infinity, fn: extremum(1) },
+  gcd: { min: 2, max: Infinity, fn: exact((args, name) => number(new Rational(wholeNumbers(args, name).reduce(integerGcd)))) },
+  lcm: {
+    min: 2,
+    max: Infinity,
+    fn: exact((args, name) => number(new Rational(wholeNumbers(args, name).reduce((a, b) => (a && b ? (a * b < 0n ? -a * b : a * b) / integerGcd(a, b) : 0n))))),
+  },
+  factorial: { min: 1, max: 1, fn: ([a]) => factorial(a) },
+  pow: { min: 2, max: 2, fn: ([a, b]) => power(a, b) },
+  sqrt: {
+    min: 1,
+    max: 1,
+    fn: ([a], name) => {
+      if (a.dims.some(d => d % 2)) throw new CalcError(`${name}() of ${formatUnits(a)} has no whole-number units`);
+      const root = a.value.sqrtExact();
+      const units = Object.fromEntries(Object.entries(a.units).map(([u, exp]) => [u, exp / 2]));
+      const halved = Object.values(units).every(Number.isInteger) ? units : {};
+      if (root) return quantity(root, a.dims.map(d => d / 2), halved, a.approximate);
+      if (a.value.sign() < 0) throw new CalcError(`${name}() of a negative number is not real`);
+      return quantity(Rational.fromNumber(Math.sqrt(a.value.toNumber())), a.dims.map(d => d / 2), halved, true);
+    },
+  },
+  cbrt: { min: 1, max: 1, fn: float(Math.cbrt) },
+  exp: { min: 1, max: 1, fn: float(Math.exp) },
+  ln: { min: 1, max: 1, fn: float(Math.log) },
+  log: { min: 1, max: 2, fn: float((x, base) => (base === undefined ? Math.log(x) : Math.log(x) / Math.log(base))) },
+  log10: { min: 1, max: 1, fn: float(Math.log10) },
+  log2: { min: 1, max: 1, fn: float(Math.log2) },
+  sin: { min: 1, max: 1, fn: trig(Math.sin) },
+  cos: { min: 1, max: 1, fn: trig(Math.cos) },
+  tan: { min: 1, max: 1, fn: trig(Math.tan) },
+  asin: { min: 1, max: 1, fn: float(Math.asin) },
+  acos: { min: 1, max: 1, fn: float(Math.acos) },
+  atan: { min: 1, max: 1, fn: float(Math.atan) },
+  atan2: { min: 2, max: 2, fn: float(Math.atan2) },
+  sinh: { min: 1, max: 1, fn: float(Math.sinh) },
+  cosh: { min: 1, max: 1, fn: float(Math.cosh) },
+  tanh: { min: 1, max: 1, fn: float(Math.tanh) },
+  random: { min: 0, max: 0, fn: float(Math.random) },
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  PI: Math.PI,
+  'π': Math.PI,
+  tau: 2 * Math.PI,
+  e: Math.E,
+  E: Math.E,
+  phi: (1 + Math.sqrt(5)) / 2,
+};
+
+// ── Evaluation ──
+
+class Evaluator {
+  constructor() {
+    /** @type {Map<string, Object>} */
+    this.variables = new Map();
+  }
+
+  evaluate(node) {
+    switch (node.type) {
+      case 'num': return number(node.value);
+      case 'name': return this.lookup(node.name);
+      case 'assign': {
+        const value = this.evaluate(node.expr);
+        this.variables.set(node.name, { ...value, bareUnit: false });
+        return value;
+      }
+      case 'negate': {
+        const q = this.evaluate(node.arg);
+        return { ...q, value: q.value.neg(), bareUnit: false };
+      }
+      case 'percent': {
+        const q = this.evaluate(node.arg);
+        return { ...q, value: q.value.div(new Rational(100n)), bareUnit: false };
+      }
+      case 'factorial': return factorial(this.evaluate(node.arg));
+      case 'call': return this.call(node);
+      case 'convert': return this.convert(node);
+      case 'binary': return this.binary(node);
+      default: throw new CalcError(`Unsupported expression: ${node.type}`);
+    }
+  }
+
+  lookup(name) {
+    if (this.variables.has(name)) return this.variables.get(name);
+    if (Object.prototype.hasOwnProperty.call(CONSTANTS, name)) return number(Rational.parse(String(CONSTANTS[name])), true);
+    const unit = getUnit(name);
+    if (unit) return { ...quantity(unit.factor, unit.dims, { [name]: 1 }, unit.approximate), bareUnit: true };
+    if (FUNCTIONS[name]) throw new CalcError(`${name} is a function: use ${name}(…)`);
+    throw new CalcError(`Blocked: unknown name "${name}"`);
+  }
+
+  call({ name, args }) {
+    const fn = FUNCTIONS[name];
+    if (args.length < fn.min || args.length > fn.max) {
+      const count = fn.min === fn.max ? `${fn.min}` : fn.max === Infinity ? `at least ${fn.min}` : `${fn.min}–${fn.max}`;
+      throw new CalcError(`${name}() takes ${count} argument${fn.min === 1 && fn.max === 1 ? '' : 's'}`);
+    }
+    return fn.fn(args.map(a => this.evaluate(a)), name);
+  }
+
+  binary({ op, left, right }) {
+    const a = this.evaluate(left);
+    // "200 + 10%" is 220, like a pocket calculator
+    if ((op === '+' || op === '-') && right.type === 'percent') {
+      const pct = this.evaluate(right);
+      const delta = multiply(a, { ...pct, dims: NO_DIMS, units: {} });
+      return addSub(a, delta, op);
+    }
+    const b = this.evaluate(right);
+    switch (op) {
+      case '+':
+      case '-': return addSub(a, b, op);
+      case '*':
+      case 'of': return multiply(a, b);
+      case '/': return divide(a, b);
+      case '^': return power(a, b);
+      case 'mod': {
+        requireSameDims(a, b, 'take the remainder of');
+        const q = a.value.div(b.value).trunc();
+        return quantity(a.value.sub(q.mul(b.value)), a.dims, a.units, a.approximate || b.approximate);
+      }
+      default: throw new CalcError(`Unknown operator ${op}`);
+    }
+  }
+
+  convert({ expr, target }) {
+    const value = this.evaluate(expr);
+    const unit = this.evaluate(target);
+    if (!hasUnits(unit)) throw new CalcError('Convert to a unit, e.g. "in m/s"');
+    if (!sameDims(value, unit)) throw new CalcError(`Cannot convert ${formatUnits(value) || 'a plain number'} to ${formatUnits(unit)}`);
+    return quantity(value.value, value.dims, unit.units, value.approximate || unit.approximate);
+  }
+}
+
+// ── Output ──
+
+/** "km/h", "m/s^2", "kg*m^2/s^2"; base SI symbols when no units were written. */
+function formatUnits(q) {
+  let units = q.units;
+  if (!Object.keys(units).length) {
+    units = Object.fromEntries(q.dims.map((d, i) => [BASE_SYMBOLS[i], d]).filter(([, d]) => d));
+  }
+  const part = ([name, exp]) => (Math.abs(exp) === 1 ? name : `${name}^${Math.abs(exp)}`);
+  const entries = Object.entries(units);
+  const top = entries.filter(([, e]) => e > 0).map(part).join('*');
+  const bottom = entries.filter(([, e]) => e < 0).map(part);
+  if (!bottom.length) return top;
+  return `${top || '1'}/${bottom.length > 1 ? `(${bottom.join('*')})` : bottom[0]}`;
+}
+
+/** The value in the units it is written in. */
+function displayValue(q) {
+  const offset = offsetUnit(q);
+  if (offset) return q.value.sub(offset.offset).div(offset.factor);
+  let factor = new Rational(1n);
+  for (const [name, exp] of Object.entries(q.units)) factor = factor.mul(getUnit(name).factor.pow(new Rational(BigInt(exp))));
+  return q.value.div(factor);
+}
+
+function formatNumber(value, approximate) {
+  if (value.isInteger()) {
+    const digits = value.num.toString();
+    const unsigned = digits.replace('-', '');
+    if (unsigned.length <= MAX_DISPLAY_DIGITS) return digits;
+    return `${digits.startsWith('-') ? '-' : ''}${unsigned[0]}.${unsigned.slice(1, 30)}e+${unsigned.length - 1}`;
+  }
+  // Approximate values only have about 15 trustworthy digits
+  return approximate ? Rational.fromNumber(value.toNumber()).toDecimal() : value.toDecimal();
+}
+
+/**
+ * Evaluate an expression.
+ * @param {string} source
+ * @returns {{value: string, number: number|null, unit: string|null, approximate: boolean}}
+ *   value: decimal text (exact unless approximate, which includes a repeating or overlong
+ *   decimal cut to 20 digits); number: the same as a JS number when that loses nothing
+ * @throws {CalcError}
+ */
+function evaluate(source) {
+  let result;
+  try {
+    const statements = new Parser(tokenize(source)).program();
+    const evaluator = new Evaluator();
+    for (const statement of statements) result = evaluator.evaluate(statement);
+  } catch (err) {
+    throw err instanceof CalcError ? err : new CalcError(err.message);
+  }
+
+  // A bare "°C" on its own is the temperature 1 °C
+  if (result.bareUnit && offsetUnit(result)) result = multiply(number(new Rational(1n)), result);
+  const unit = isDimensionless(result) && !hasUnits(result) ? null : formatUnits(result);
+  const shown = displayValue(result);
+  const text = formatNumber(shown, result.approximate);
+  const cutOff = shown.isInteger() ? text !== shown.num.toString() : shown.exactPlaces() === null;
+  const asNumber = Number(text);
+  return {
+    value: text,
+    number: String(asNumber) === text ? asNumber : null,
+    unit,
+    approximate: result.approximate || cutOff,
+  };
+}
+
+module.exports = { evaluate, tokenize, CalcError, FUNCTIONS, CONSTANTS };
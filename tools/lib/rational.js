@@ -0,0 +1,194 @@
+/**
+ * @module tools/lib/rational
+ * @description Exact rational numbers on BigInt for the calculator. Decimals are stored
+ * exactly (0.1 + 0.2 is 0.3) and integers keep every digit (50! is exact). Operations
+ * with no exact rational answer — roots, logarithms, trig, fractional powers — are done
+ * in floating point by the caller and come back through Rational.fromNumber.
+ */
+
+// Larger results are refused rather than computed (about 10,000 decimal digits)
+const MAX_BITS = 33220n;
+// Terminating decimals up to this many places are shown exactly
+const MAX_EXACT_PLACES = 50;
+
+function abs(n) {
+  return n < 0n ? -n : n;
+}
+
+function gcd(a, b) {
+  a = abs(a);
+  b = abs(b);
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function bitLength(n) {
+  return BigInt(abs(n).toString(2).length);
+}
+
+/** Integer square root (floor), by Newton's method. */
+function isqrt(n) {
+  if (n < 2n) return n;
+  let x = n;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + n / x) / 2n;
+  }
+  return x;
+}
+
+class Rational {
+  /**
+   * @param {bigint} num
+   * @param {bigint} [den]
+   */
+  constructor(num, den = 1n) {
+    if (den === 0n) throw new Error('Division by zero (the result is not a finite number)');
+    if (den < 0n) {
+      num = -num;
+      den = -den;
+    }
+    const g = gcd(num, den) || 1n;
+    this.num = num / g;
+    this.den = den / g;
+    if (bitLength(this.num) > MAX_BITS || bitLength(this.den) > MAX_BITS) {
+      throw new Error('Result is too large (more than 10000 digits)');
+    }
+  }
+
+  /**
+   * Parse a decimal literal: "42", "0.1", ".5", "1.5e-3", "-2".
+   * @param {string} text
+   * @returns {Rational}
+   */
+  static parse(text) {
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(String(text).trim());
+    if (!match || !(match[2] || match[3])) throw new Error(`Not a number: ${text}`);
+    const [, sign, whole, frac = '', exp = '0'] = match;
+    let num = BigInt(`${whole || '0'}${frac}`);
+    let den = 10n ** BigInt(frac.length);
+    const e = parseInt(exp, 10);
+    if (Math.abs(e) > 10000) throw new Error('Result is too large (more than 10000 digits)');
+    if (e > 0) num *= 10n ** BigInt(e);
+    else if (e < 0) den *= 10n ** BigInt(-e);
+    return new Rational(sign === '-' ? -num : num, den);
+  }
+
+  /**
+   * A floating-point result, rounded to 15 significant digits so float noise
+   * (0.49999999999999994) does not show.
+   * @param {number} x
+   * @returns {Rational}
+   */
+  static fromNumber(x) {
+    if (!Number.isFinite(x)) throw new Error('Result is not a finite number');
+    return Rational.parse(x.toPrecision(15));
+  }
+
+  static from(value) {
+    if (value instanceof Rational) return value;
+    if (typeof value === 'bigint') return new Rational(value);
+    if (typeof value === 'number') return Number.isInteger(value) ? new Rational(BigInt(value)) : Rational.fromNumber(value);
+    const [a, b] = String(value).split('/');
+    return b === undefined ? Rational.parse(a) : Rational.parse(a).div(Rational.parse(b));
+  }
+
+  add(o) { return new Rational(this.num * o.den + o.num * this.den, this.den * o.den); }
+  sub(o) { return new Rational(this.num * o.den - o.num * this.den, this.den * o.den); }
+  mul(o) { return new Rational(this.num * o.num, this.den * o.den); }
+  div(o) { return new Rational(this.num * o.den, this.den * o.num); }
+  neg() { return new Rational(-this.num, this.den); }
+  abs() { return new Rational(abs(this.num), this.den); }
+  sign() { return this.num > 0n ? 1 : this.num < 0n ? -1 : 0; }
+  cmp(o) { const d = this.num * o.den - o.num * this.den; return d > 0n ? 1 : d < 0n ? -1 : 0; }
+  isZero() { return this.num === 0n; }
+  isInteger() { return this.den === 1n; }
+
+  trunc() { return new Rational(this.num / this.den); }
+  floor() { const t = this.num / this.den; return new Rational(this.num < 0n && t * this.den !== this.num ? t - 1n : t); }
+  ceil() { return this.neg().floor().neg(); }
+  /** Round half away from zero. */
+  round() { const half = new Rational(1n, 2n); return this.sign() < 0 ? this.neg().add(half).floor().neg() : this.add(half).floor(); }
+
+  /**
+   * Exact power for whole-number exponents.
+   * @param {Rational} exponent
+   * @returns {Rational|null} null when the exponent is not an integer
+   */
+  pow(exponent) {
+    if (!exponent.isInteger()) return null;
+    const n = exponent.num;
+    if (n === 0n) return new Rational(1n);
+    const e = abs(n);
+    // Refuse before computing: |base|^e needs about bitLength * e bits
+    const bits = (this.num === 0n ? 0n : bitLength(this.num) - 1n) + (bitLength(this.den) - 1n);
+    if (bits * e > MAX_BITS) throw new Error('Result is too large (more than 10000 digits)');
+    const result = new Rational(this.num ** e, this.den ** e);
+    return n < 0n ? new Rational(1n).div(result) : result;
+  }
+
+  /** Exact square root when numerator and denominator are perfect squares, else null. */
+  sqrtExact() {
+    if (this.num < 0n) return null;
+    const n = isqrt(this.num);
+    const d = isqrt(this.den);
+    return n * n === this.num && d * d === this.den ? new Rational(n, d) : null;
+  }
+
+  toNumber() {
+    return Number(this.toDecimal(20));
+  }
+
+  /**
+   * Decimal places needed to write the value exactly, or null when the decimal repeats
+   * or runs past 50 places.
+   * @returns {number|null}
+   */
+  exactPlaces() {
+    let twos = 0;
+    let fives = 0;
+    let rest = this.den;
+    while (rest % 2n === 0n) { rest /= 2n; twos++; }
+    while (rest % 5n === 0n) { rest /= 5n; fives++; }
+    const places = Math.max(twos, fives);
+    return rest === 1n && places <= MAX_EXACT_PLACES ? places : null;
+  }
+
+  /**
+   * Decimal text: exact when it terminates within 50 places, otherwise rounded to
+   * `significant` significant digits.
+   * @param {number} [significant]
+   * @returns {string}
+   */
+  toDecimal(significant = 20) {
+    if (this.den === 1n) return this.num.toString();
+    const sign = this.num < 0n ? '-' : '';
+    const num = abs(this.num);
+
+    let places = this.exactPlaces();
+    if (places === null) {
+      // Places needed for `significant` digits: count the leading zeros of small values
+      const whole = num / this.den;
+      if (whole > 0n) {
+        places = Math.max(0, significant - whole.toString().length);
+      } else {
+        let zeros = 0;
+        let scaled = num * 10n;
+        while (scaled < this.den) { scaled *= 10n; zeros++; }
+        places = zeros + significant;
+      }
+    }
+    const scale = 10n ** BigInt(places);
+    const digits = ((num * scale * 2n + this.den) / (this.den * 2n)).toString().padStart(places + 1, '0');
+    if (!places) return `${sign}${digits}`;
+    const text = `${digits.slice(0, -places)}.${digits.slice(-places)}`.replace(/\.?0+$/, '');
+    return text === '0' ? '0' : `${sign}${text}`;
+  }
+
+  toString() {
+    return this.toDecimal();
+  }
+}
+
+module.exports = { Rational, isqrt };
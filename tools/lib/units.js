@@ -0,0 +1,133 @@
+/**
+ * @module tools/lib/units
+ * @description Units the calculator understands. Each unit is a factor to SI base units
+ * (an exact Rational where the definition is exact) and a dimension vector; temperatures
+ * also carry an offset. Names are case-sensitive (MB is megabytes, Mb is not defined).
+ * Data sizes have SI (kB, MB, GB) and binary (KiB, MiB, GiB) prefixes.
+ */
+
+const { Rational } = require('./rational');
+
+const DIMENSIONS = ['length', 'mass', 'time', 'current', 'temperature', 'amount', 'data', 'angle'];
+// How a bare SI quantity is written when it has no units of its own left
+const BASE_SYMBOLS = ['m', 'kg', 's', 'A', 'K', 'mol', 'B', 'rad'];
+
+const SI_PREFIXES = { P: '1e15', T: '1e12', G: '1e9', M: '1e6', k: '1e3', h: '1e2', c: '1e-2', m: '1e-3', u: '1e-6', 'µ': '1e-6', 'μ': '1e-6', n: '1e-9' };
+const BINARY_PREFIXES = { Ki: 2n ** 10n, Mi: 2n ** 20n, Gi: 2n ** 30n, Ti: 2n ** 40n, Pi: 2n ** 50n };
+
+/** Dimension vector from { length: 1, time: -1 } */
+function dims(spec = {}) {
+  return DIMENSIONS.map(name => spec[name] || 0);
+}
+
+const LENGTH = dims({ length: 1 });
+const MASS = dims({ mass: 1 });
+const TIME = dims({ time: 1 });
+const AREA = dims({ length: 2 });
+const VOLUME = dims({ length: 3 });
+const SPEED = dims({ length: 1, time: -1 });
+const ENERGY = dims({ mass: 1, length: 2, time: -2 });
+const POWER = dims({ mass: 1, length: 2, time: -3 });
+const PRESSURE = dims({ mass: 1, length: -1, time: -2 });
+const DATA = dims({ data: 1 });
+const ANGLE = dims({ angle: 1 });
+const TEMPERATURE = dims({ temperature: 1 });
+
+/** @type {Object<string, {factor: Rational, dims: number[], offset?: Rational, approximate?: boolean}>} */
+const UNITS = {};
+
+/**
+ * @param {string[]} names
+ * @param {string|number|bigint|Rational} factor - SI value of one unit ("a/b" allowed)
+ * @param {number[]} dimensions
+ * @param {Object} [extra] - { offset, approximate, prefixes: [...] }
+ */
+function define(names, factor, dimensions, { offset, approximate = false, prefixes = [] } = {}) {
+  const value = Rational.from(factor);
+  for (const name of names) {
+    UNITS[name] = { factor: value, dims: dimensions, ...(offset ? { offset: Rational.from(offset) } : {}), approximate };
+  }
+  for (const prefix of prefixes) {
+    const scale = SI_PREFIXES[prefix] ? Rational.parse(SI_PREFIXES[prefix]) : new Rational(BINARY_PREFIXES[prefix]);
+    UNITS[`${prefix}${names[0]}`] = { factor: value.mul(scale), dims: dimensions, approximate };
+  }
+}
+
+// Length
+define(['m', 'meter', 'meters', 'metre', 'metres'], 1, LENGTH, { prefixes: ['k', 'c', 'm', 'u', 'µ', 'μ', 'n'] });
+define(['in', 'inch', 'inches'], '0.0254', LENGTH);
+define(['ft', 'foot', 'feet'], '0.3048', LENGTH);
+define(['yd', 'yard', 'yards'], '0.9144', LENGTH);
+define(['mi', 'mile', 'miles'], '1609.344', LENGTH);
+define(['nmi'], 1852, LENGTH);
+define(['au'], 149597870700, LENGTH);
+define(['ly', 'lightyear', 'lightyears'], 9460730472580800n, LENGTH);
+
+// Mass (the SI base unit is the kilogram)
+define(['g', 'gram', 'grams'], '0.001', MASS, { prefixes: ['k', 'm', 'u', 'µ', 'μ'] });
+define(['t', 'tonne', 'tonnes'], 1000, MASS);
+define(['lb', 'lbs', 'pound', 'pounds'], '0.45359237', MASS);
+define(['oz', 'ounce', 'ounces'], '0.028349523125', MASS);
+
+// Time
+define(['s', 'sec', 'secs', 'second', 'seconds'], 1, TIME, { prefixes: ['m', 'u', 'µ', 'μ', 'n'] });
+define(['min', 'mins', 'minute', 'minutes'], 60, TIME);
+define(['h', 'hr', 'hrs', 'hour', 'hours'], 3600, TIME);
+define(['d', 'day', 'days'], 86400, TIME);
+define(['wk', 'week', 'weeks'], 604800, TIME);
+define(['month', 'months'], 2629800, TIME);
+define(['yr', 'year', 'years'], 31557600, TIME);
+
+// Area and volume
+define(['ha', 'hectare', 'hectares'], 10000, AREA);
+define(['acre', 'acres'], '4046.8564224', AREA);
+define(['L', 'l', 'liter', 'liters', 'litre', 'litres'], '0.001', VOLUME, { prefixes: ['m', 'c'] });
+define(['ml'], '0.000001', VOLUME);
+define(['gal', 'gallon', 'gallons'], '0.003785411784', VOLUME);
+
+// Speed
+define(['mph'], '0.44704', SPEED);
+define(['kph', 'kmh'], '5/18', SPEED);
+define(['kn', 'knot', 'knots'], '463/900', SPEED);
+
+// Mechanics and electricity
+define(['Hz'], 1, dims({ time: -1 }), { prefixes: ['k', 'M', 'G'] });
+define(['N'], 1, dims({ mass: 1, length: 1, time: -2 }), { prefixes: ['k'] });
+define(['lbf'], '4.4482216152605', dims({ mass: 1, length: 1, time: -2 }));
+define(['J'], 1, ENERGY, { prefixes: ['k', 'M'] });
+define(['cal'], '4.184', ENERGY, { prefixes: ['k'] });
+define(['Wh'], 3600, ENERGY, { prefixes: ['k', 'M'] });
+define(['W'], 1, POWER, { prefixes: ['m', 'k', 'M', 'G'] });
+define(['hp'], '745.69987158227022', POWER);
+define(['Pa'], 1, PRESSURE, { prefixes: ['h', 'k', 'M'] });
+define(['bar'], 100000, PRESSURE);
+define(['atm'], 101325, PRESSURE);
+define(['psi'], '4.4482216152605/0.00064516', PRESSURE);
+define(['A'], 1, dims({ current: 1 }), { prefixes: ['m'] });
+define(['V'], 1, dims({ mass: 1, length: 2, time: -3, current: -1 }), { prefixes: ['m', 'k'] });
+define(['mol'], 1, dims({ amount: 1 }));
+
+// Temperature: SI value is kelvin; °C and °F carry an offset
+define(['K', 'kelvin'], 1, TEMPERATURE);
+define(['degC', '°C', 'celsius'], 1, TEMPERATURE, { offset: '273.15' });
+define(['degF', '°F', 'fahrenheit'], '5/9', TEMPERATURE, { offset: '45967/180' });
+
+// Data: the base is the byte
+define(['B', 'byte', 'bytes'], 1, DATA, { prefixes: ['k', 'M', 'G', 'T', 'P', 'Ki', 'Mi', 'Gi', 'Ti', 'Pi'] });
+UNITS.KB = UNITS.kB;
+define(['bit', 'bits'], '1/8', DATA, { prefixes: ['k', 'M', 'G', 'T', 'Ki', 'Mi', 'Gi'] });
+define(['bps'], '1/8', dims({ data: 1, time: -1 }), { prefixes: ['k', 'M', 'G'] });
+
+// Angles
+define(['rad', 'radian', 'radians'], 1, ANGLE);
+define(['deg', 'degree', 'degrees', '°'], String(Math.PI / 180), ANGLE, { approximate: true });
+
+/**
+ * @param {string} name
+ * @returns {{factor: Rational, dims: number[], offset?: Rational, approximate: boolean}|null}
+ */
+function getUnit(name) {
+  return Object.prototype.hasOwnProperty.call(UNITS, name) ? UNITS[name] : null;
+}
+
+module.exports = { DIMENSIONS, BASE_SYMBOLS, UNITS, getUnit, dims };
@@ -0,0 +1,277 @@
+/**
+ * @module tools/plugins
+ * @description External tool plugins. Each subdirectory of the plugins directory
+ * (`PLUGINS_DIR`, default `plugins/`) holds a `plugin.json` manifest and an entry module
+ * exporting one tool or an array of tools in the same shape as tools/definitions.
+ * Manifests are validated (name, version, required env vars, timeout, permissions)
+ * before any code is loaded. Admins enable, disable and hot-reload plugins with
+ * /plugins; the disabled set is persisted in bot_state.
+ *
+ * Permissions are advisory: a plugin declares what it needs so admins can review it
+ * (and PLUGIN_ALLOWED_PERMISSIONS can refuse a declaration), but nothing stops plugin
+ * code from doing more. Plugins run in the bot's process with its full access — only
+ * install code you trust.
+ *
+ * Example `plugins/weather/plugin.json`:
+ *   { "name": "weather", "version": "1.0.0", "main": "index.js",
+ *     "env": ["WEATHER_API_KEY"], "timeout": 10000, "permissions": ["network"] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const { getState, setState } = require('../db');
+
+const MANIFEST_FILE = 'plugin.json';
+const DISABLED_STATE_KEY = 'plugins_disabled';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:[-+][\w.-]+)?$/;
+const MAX_TIMEOUT_MS = 120000;
+
+// What a plugin may declare it needs. Admins see these in /plugins list, and
+// PLUGIN_ALLOWED_PERMISSIONS can narrow what is accepted at all. Declarations only:
+// they are not enforced at runtime.
+const PERMISSIONS = ['network', 'filesystem', 'memory', 'images', 'discord'];
+
+/**
+ * Validate a parsed manifest.
+ * @param {Object} manifest
+ * @param {Object} [opts]
+ * @param {string[]} [opts.allowedPermissions] - Permissions plugins may request (default: all)
+ * @param {Object} [opts.env] - Environment to check required vars against (default: process.env)
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateManifest(manifest, { allowedPermissions = PERMISSIONS, env = process.env } = {}) {
+  const errors = [];
+  if (!manifest || typeof manifest !== 'object') return ['manifest is not an object'];
+  if (typeof manifest.name !== 'string' || !NAME_PATTERN.test(manifest.name)) errors.push('name must be lowercase letters, digits, - or _');
+  if (typeof manifest.version !== 'string' || !VERSION_PATTERN.test(manifest.version)) errors.push('version must be semver (e.g. 1.0.0)');
+  if (manifest.main !== undefined && (typeof manifest.main !== 'string' || manifest.main.includes('..'))) errors.push('main must be a file inside the plugin directory');
+  if (manifest.timeout !== undefined && !(Number.isInteger(manifest.timeout) && manifest.timeout > 0 && manifest.timeout <= MAX_TIMEOUT_MS)) {
+    errors.push(`timeout must be 1–${MAX_TIMEOUT_MS} ms`);
+  }
+
+  const envVars = manifest.env ?? [];
+  if (!Array.isArray(envVars) || envVars.some(v => typeof v !== 'string')) {
+    errors.push('env must be an array of variable names');
+  } else {
+    const missing = envVars.filter(v => !env[v]);
+    if (missing.length) errors.push(`missing env: ${missing.join(', ')}`);
+  }
+
+  const permissions = manifest.permissions ?? [];
+  if (!Array.isArray(permissions)) {
+    errors.push('permissions must be an array');
+  } else {
+    const unknown = permissions.filter(p => !PERMISSIONS.includes(p));
+    if (unknown.length) errors.push(`unknown permissions: ${unknown.join(', ')}`);
+    const refused = permissions.filter(p => PERMISSIONS.includes(p) && !allowedPermissions.includes(p));
+    if (refused.length) errors.push(`permissions not allowed here: ${refused.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * @typedef {Object} PluginInfo
+ * @property {string} name
+ * @property {string} dir - Absolute plugin directory
+ * @property {Object|null} manifest
+ * @property {string} status - enabled | disabled | error
+ * @property {string|null} error
+ * @property {string[]} tools - Names of the tools it registered
+ */
+
+class PluginManager {
+  /**
+   * @param {import('./registry')} registry
+   * @param {Object} [opts]
+   * @param {string} [opts.dir] - Plugins directory (absolute, or relative to the project root)
+   * @param {string[]} [opts.allowedPermissions]
+   */
+  constructor(registry, { dir = 'plugins', allowedPermissions = PERMISSIONS } = {}) {
+    this.registry = registry;
+    this.dir = path.resolve(__dirname, '..', dir);
+    this.allowedPermissions = allowedPermissions;
+    /** @type {Map<string, PluginInfo>} */
+    this.plugins = new Map();
+  }
+
+  /** Names of plugins an admin has disabled. */
+  _disabled() {
+    try { return new Set(JSON.parse(getState(DISABLED_STATE_KEY) || '[]')); } catch (_) { return new Set(); }
+  }
+
+  _setDisabled(name, disabled) {
+    const set = this._disabled();
+    if (disabled) set.add(name); else set.delete(name);
+    setState(DISABLED_STATE_KEY, JSON.stringify([...set]));
+  }
+
+  /**
+   * Scan the plugins directory and load every valid, enabled plugin.
+   * @returns {PluginInfo[]}
+   */
+  loadAll() {
+    if (!fs.existsSync(this.dir)) {
+      logger.debug('Plugins', `No plugins directory at ${this.dir}`);
+      return [];
+    }
+    const dirs = fs.readdirSync(this.dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+    for (const dirName of dirs) this._load(path.join(this.dir, dirName));
+    const loaded = this.list().filter(p => p.status === 'enabled').length;
+    logger.info('Plugins', `Loaded ${loaded}/${this.plugins.size} plugins from ${this.dir}`);
+    return this.list();
+  }
+
+  /**
+   * Read, validate and (unless disabled) register one plugin directory.
+   * @private
+   * @returns {PluginInfo}
+   */
+  _load(pluginDir) {
+    const info = { name: path.basename(pluginDir), dir: pluginDir, manifest: null, status: 'error', error: null, tools: [] };
+    try {
+      const manifestPath = path.join(pluginDir, MANIFEST_FILE);
+      if (!fs.existsSync(manifestPath)) throw new Error(`no ${MANIFEST_FILE}`);
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+      if (typeof manifest.name === 'string') info.name = manifest.name;
+      info.manifest = manifest;
+      const errors = validateManifest(manifest, { allowedPermissions: this.allowedPermissions });
+      if (errors.length) throw new Error(errors.join('; '));
+      if (this.plugins.has(info.name) && this.plugins.get(info.name).dir !== pluginDir) {
+        throw new Error(`duplicate plugin name "${info.name}"`);
+      }
+
+      if (this._disabled().has(info.name)) {
+        info.status = 'disabled';
+      } else {
+        info.tools = this._register(manifest, pluginDir);
+        info.status = 'enabled';
+        logger.info('Plugins', `Loaded plugin ${manifest.name}@${manifest.version} (${info.tools.join(', ')})`);
+      }
+    } catch (err) {
+      info.error = err.message;
+      logger.error('Plugins', `Plugin ${info.name} not loaded: ${err.message}`);
+    }
+    // Never overwrite another directory's entry: its tools may be registered under it
+    const held = this.plugins.get(info.name);
+    if (held && held.dir !== pluginDir) {
+      const dirName = path.basename(pluginDir);
+      info.name = this.plugins.has(dirName) && this.plugins.get(dirName).dir !== pluginDir ? pluginDir : dirName;
+    }
+    this.plugins.set(info.name, info);
+    return info;
+  }
+
+  /**
+   * Require the entry module fresh and register its tools. All-or-nothing: if any tool
+   * is invalid or clashes with an existing tool, none are registered.
+   * @private
+   * @returns {string[]} Registered tool names
+   */
+  _register(manifest, pluginDir) {
+    const entry = path.join(pluginDir, manifest.main || 'index.js');
+    if (!entry.startsWith(pluginDir + path.sep)) throw new Error('main must be inside the plugin directory');
+    this._clearRequireCache(pluginDir);
+    const exported = require(entry);
+    const tools = (Array.isArray(exported) ? exported : [exported]).map(tool => ({
+      ...tool,
+      timeout: tool.timeout || manifest.timeout,
+      plugin: manifest.name,
+    }));
+    if (tools.length === 0) throw new Error('plugin exports no tools');
+
+    for (const tool of tools) {
+      if (!tool.name || !tool.description || !tool.parameters || typeof tool.execute !== 'function') {
+        throw new Error(`tool ${tool.name || '(unnamed)'} is missing name, description, parameters or execute`);
+      }
+      const existing = this.registry.getTool(tool.name);
+      if (existing && existing.plugin !== manifest.name) throw new Error(`tool name "${tool.name}" is already taken`);
+    }
+    for (const tool of tools) this.registry.register(tool);
+    return tools.map(t => t.name);
+  }
+
+  /** Drop cached modules from a plugin directory so a reload picks up edits. */
+  _clearRequireCache(pluginDir) {
+    for (const key of Object.keys(require.cache)) {
+      if (key.startsWith(pluginDir + path.sep)) delete require.cache[key];
+    }
+  }
+
+  _unregister(info) {
+    for (const name of info.tools) this.registry.unregister(name);
+    info.tools = [];
+  }
+
+  /**
+   * Enable a plugin and load it.
+   * @param {string} name
+   * @returns {PluginInfo}
+   */
+  enable(name) {
+    const info = this._get(name);
+    this._setDisabled(name, false);
+    this._unregister(info);
+    return this._load(info.dir);
+  }
+
+  /**
+   * Disable a plugin: its tools are unregistered immediately and stay off across restarts.
+   * @param {string} name
+   * @returns {PluginInfo}
+   */
+  disable(name) {
+    const info = this._get(name);
+    this._setDisabled(name, true);
+    this._unregister(info);
+    info.status = 'disabled';
+    info.error = null;
+    logger.info('Plugins', `Disabled plugin ${name}`);
+    return info;
+  }
+
+  /**
+   * Reload one plugin from disk (manifest and code), or rescan the whole directory.
+   * @param {string} [name] - Omit to reload everything, including newly added plugins
+   * @returns {PluginInfo[]}
+   */
+  reload(name) {
+    if (name) {
+      const info = this._get(name);
+      this._unregister(info);
+      this.plugins.delete(name);
+      return [this._load(info.dir)];
+    }
+    for (const info of this.plugins.values()) this._unregister(info);
+    this.plugins.clear();
+    return this.loadAll();
+  }
+
+  _get(name) {
+    const info = this.plugins.get(name);
+    if (!info) throw new Error(`Unknown plugin: ${name}`);
+    return info;
+  }
+
+  /**
+   * @returns {Array<{name: string, version: string|null, status: string, error: string|null, tools: string[], permissions: string[]}>}
+   */
+  list() {
+    return [...this.plugins.values()].map(info => ({
+      name: info.name,
+      version: info.manifest?.version || null,
+      status: info.status,
+      error: info.error,
+      tools: info.tools,
+      permissions: Array.isArray(info.manifest?.permissions) ? info.manifest.permissions : [],
+    }));
+  }
+}
+
+// Singleton instance — set by index.js, used by the /plugins command
+let _instance = null;
+PluginManager.setInstance = (inst) => { _instance = inst; return inst; };
+PluginManager.getInstance = () => _instance;
+
+module.exports = { PluginManager, PERMISSIONS, validateManifest };
@@ -0,0 +1,112 @@
+/**
+ * @module tools/policy
+ * @description Per-guild tool permission policies. Admins allow or deny tools (or `*`,
+ * all tools) for the whole guild, a channel, a role or a user; rules live in SQLite
+ * and are managed with /toolpolicy. The most specific level with a matching rule wins:
+ * user, then role, then channel (a thread falls back to its parent channel), then guild.
+ * Within a level an exact tool rule beats `*`, and deny beats allow. With no matching
+ * rule a tool is allowed. Enforced when tools are offered to the model and again in
+ * ToolRegistry#executeTool.
+ */
+
+const { getToolPolicies, upsertToolPolicy, deleteToolPolicy } = require('../db');
+
+const SCOPES = ['guild', 'channel', 'role', 'user'];
+const EFFECTS = ['allow', 'deny'];
+const ALL_TOOLS = '*';
+
+/**
+ * Levels to check for a context, most specific first.
+ * @param {Object} context - { guildId, channelId, parentChannelId, userId, roleIds }
+ * @returns {Array<{scope: string, ids: string[]}>}
+ */
+function levelsFor(context) {
+  return [
+    { scope: 'user', ids: [context.userId] },
+    { scope: 'role', ids: context.roleIds || [] },
+    { scope: 'channel', ids: [context.channelId] },
+    { scope: 'channel', ids: [context.parentChannelId] },
+    { scope: 'guild', ids: [context.guildId] },
+  ].map(level => ({ ...level, ids: level.ids.filter(Boolean) })).filter(level => level.ids.length > 0);
+}
+
+/**
+ * Resolve one tool against a set of rules.
+ * @param {string} toolName
+ * @param {Object} context
+ * @param {Array} rules - Rows from getToolPolicies()
+ * @returns {{allowed: boolean, rule: Object|null}}
+ */
+function resolve(toolName, context, rules) {
+  for (const { scope, ids } of levelsFor(context)) {
+    const atLevel = rules.filter(r => r.scope === scope && ids.includes(r.target_id));
+    for (const name of [toolName, ALL_TOOLS]) {
+      const matching = atLevel.filter(r => r.tool_name === name);
+      if (matching.length === 0) continue;
+      const rule = matching.find(r => r.effect === 'deny') || matching[0];
+      return { allowed: rule.effect === 'allow', rule };
+    }
+  }
+  return { allowed: true, rule: null };
+}
+
+function describeRule(rule) {
+  return rule.scope === 'guild' ? 'this server' : `this ${rule.scope}`;
+}
+
+/**
+ * Check whether a tool may be used in a context. Contexts without a guild (DMs) are unrestricted.
+ * @param {string} toolName
+ * @param {Object} context - { guildId, channelId, parentChannelId, userId, roleIds }
+ * @returns {{allowed: boolean, reason: string|null, rule: Object|null}}
+ */
+function checkToolAccess(toolName, context = {}) {
+  if (!context.guildId) return { allowed: true, reason: null, rule: null };
+  const { allowed, rule } = resolve(toolName, context, getToolPolicies(context.guildId));
+  if (allowed) return { allowed, reason: null, rule };
+  return {
+    allowed,
+    rule,
+    reason: `Tool "${toolName}" is disabled for ${describeRule(rule)} by a server policy. Tell the user it isn't available here instead of retrying it.`,
+  };
+}
+
+/**
+ * Filter for ToolRegistry#getToolsForOpenAI that hides tools the context may not use.
+ * Loads the guild's rules once per call.
+ * @param {Object} context
+ * @returns {Function|null} null when no policy applies
+ */
+function policyFilter(context = {}) {
+  if (!context.guildId) return null;
+  const rules = getToolPolicies(context.guildId);
+  if (rules.length === 0) return null;
+  return tool => resolve(tool.name, context, rules).allowed;
+}
+
+/**
+ * Add or replace a rule.
+ * @param {Object} rule - { guildId, scope, targetId, toolName, effect, createdBy }
+ */
+function setPolicy(rule) {
+  if (!SCOPES.includes(rule.scope)) throw new Error(`Invalid policy scope: ${rule.scope}`);
+  if (!EFFECTS.includes(rule.effect)) throw new Error(`Invalid policy effect: ${rule.effect}`);
+  upsertToolPolicy(rule);
+}
+
+/**
+ * @returns {boolean} Whether a rule was removed
+ */
+function removePolicy(guildId, scope, targetId, toolName) {
+  return deleteToolPolicy(guildId, scope, targetId, toolName);
+}
+
+/**
+ * @param {string} guildId
+ * @returns {Array} All rules for the guild
+ */
+function listPolicies(guildId) {
+  return getToolPolicies(guildId);
+}
+
+module.exports = { SCOPES, EFFECTS, ALL_TOOLS, checkToolAccess, policyFilter, setPolicy, removePolicy, listPolicies };
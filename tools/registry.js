@@ -8,6 +8,8 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../logger');
 const { logToolUsage } = require('../db');
+const { abortable, isCancellation } = require('../utils/cancellation');
+const { checkToolAccess } = require('./policy');
 
 class ToolRegistry {
   constructor() {
@@ -22,6 +24,17 @@ class ToolRegistry {
     logger.info('ToolRegistry', `Registered tool: ${tool.name}`);
   }
 
+  /**
+   * Remove a tool (used when a plugin is disabled or reloaded).
+   * @param {string} name
+   * @returns {boolean} Whether the tool was registered
+   */
+  unregister(name) {
+    const removed = this.tools.delete(name);
+    if (removed) logger.info('ToolRegistry', `Unregistered tool: ${name}`);
+    return removed;
+  }
+
   loadAll() {
     const defsDir = path.join(__dirname, 'definitions');
     if (!fs.existsSync(defsDir)) {
@@ -68,20 +81,29 @@ class ToolRegistry {
       return { success: false, result: null, error: `Unknown tool: ${name}` };
     }
 
+    // Re-checked here so fallback chains and hallucinated calls can't bypass a policy
+    const access = checkToolAccess(name, context || {});
+    if (!access.allowed) {
+      logger.info('ToolRegistry', `Tool ${name} denied by policy for user ${context?.userId} in ${context?.channelId}`);
+      return { success: false, result: null, error: access.reason, denied: true };
+    }
+
     const timeout = tool.timeout || 30000;
     const start = Date.now();
     logger.debug('ToolRegistry', `Executing tool ${name} with args: ${JSON.stringify(args).slice(0, 200)}`);
 
     try {
-      const result = await Promise.race([
+      const result = await abortable(Promise.race([
         tool.execute(args, context),
         new Promise((_, reject) => setTimeout(() => reject(new Error('Tool execution timed out')), timeout)),
-      ]);
+      ]), context?.signal);
       const elapsed = Date.now() - start;
       logger.info('ToolRegistry', `Tool ${name} completed in ${elapsed}ms, success=true`);
       try { logToolUsage(name, context?.userId, context?.channelId, true, elapsed); } catch (_) {}
       return { success: true, result, error: null };
     } catch (err) {
+      // Cancellation ends the whole run, not just this tool
+      if (isCancellation(err)) throw err;
       const elapsed = Date.now() - start;
       logger.error('ToolRegistry', `Tool ${name} completed in ${elapsed}ms, success=false:`, { error: err.message, stack: err.stack });
       try { logToolUsage(name, context?.userId, context?.channelId, false, elapsed); } catch (_) {}
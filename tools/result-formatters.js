@@ -0,0 +1,180 @@
+/**
+ * @module tools/result-formatters
+ * @description Turns raw tool results into the text the model sees, within a token
+ * budget (measured with tokenizer.js). Per-tool formatters keep what matters: search
+ * results keep every title and URL and shorten snippets, document search keeps every
+ * citation, code output keeps the head and tail of stdout and the full error, URL
+ * summaries keep their paragraphs. Anything still over budget is condensed by an
+ * optional summarizer (a mini-model call supplied by the agent loop) and, failing that,
+ * trimmed with a visible truncation marker.
+ */
+
+const logger = require('../logger');
+const { countTokens } = require('../tokenizer');
+const { isCancellation } = require('../utils/cancellation');
+const { formatBytes } = require('./artifacts');
+
+const DEFAULT_BUDGET = 1000;
+const TRUNCATION_MARKER = '… [truncated]';
+// Never send the summarizer more than this multiple of the budget
+const SUMMARIZE_INPUT_FACTOR = 8;
+
+/**
+ * Longest prefix (or suffix) of text that fits in a token budget.
+ * @param {string} text
+ * @param {number} budget - Max tokens
+ * @param {boolean} [fromEnd=false] - Take the suffix instead
+ * @returns {string}
+ */
+function takeTokens(text, budget, fromEnd = false) {
+  const total = countTokens(text);
+  if (total <= budget) return text;
+  if (budget <= 0) return '';
+  const slice = n => (fromEnd ? text.slice(text.length - n) : text.slice(0, n));
+  let length = Math.floor(text.length * budget / total);
+  while (length > 0 && countTokens(slice(length)) > budget) length = Math.floor(length * 0.9);
+  return slice(length);
+}
+
+/**
+ * Trim text to a token budget, marking the cut.
+ * @param {string} text
+ * @param {number} budget
+ * @returns {string}
+ */
+function trimToTokens(text, budget) {
+  if (countTokens(text) <= budget) return text;
+  return takeTokens(text, budget - countTokens(TRUNCATION_MARKER)) + TRUNCATION_MARKER;
+}
+
+/**
+ * Keep the start and end of text, dropping the middle (where long output is least useful).
+ * @param {string} text
+ * @param {number} budget
+ * @returns {string}
+ */
+function headTail(text, budget) {
+  if (countTokens(text) <= budget) return text;
+  const half = Math.max(0, Math.floor((budget - 12) / 2));
+  const head = takeTokens(text, half);
+  const tail = takeTokens(text, half, true);
+  const omitted = text.length - head.length - tail.length;
+  return `${head}\n… [${omitted} chars omitted] …\n${tail}`;
+}
+
+/**
+ * Search results (brave_search: [{title, url, snippet}], tavily_search: {answer, results: [{title, url, content}]}).
+ * Titles and URLs are always kept; snippets share whatever budget is left, and trailing
+ * results are dropped only if the titles and URLs alone don't fit.
+ */
+function formatSearch(result, budget) {
+  const answer = Array.isArray(result) ? null : result?.answer;
+  const items = (Array.isArray(result) ? result : result?.results || [])
+    .map(r => ({ title: r.title || '', url: r.url || '', snippet: r.snippet || r.content || '' }));
+  const header = answer ? `Answer: ${answer}\n\n` : '';
+  const render = (list, snippetBudget) => header + list.map((r, i) => {
+    const snippet = snippetBudget == null ? r.snippet : trimToTokens(r.snippet, snippetBudget);
+    return `${i + 1}. ${r.title}\n   ${r.url}${snippet ? `\n   ${snippet}` : ''}`;
+  }).join('\n');
+
+  let text = render(items);
+  if (countTokens(text) <= budget || items.length === 0) return text;
+
+  for (let count = items.length; count > 0; count--) {
+    const list = items.slice(0, count);
+    const spare = budget - countTokens(render(list.map(r => ({ ...r, snippet: '' }))));
+    const snippetBudget = Math.floor(spare / count) - 4;
+    if (snippetBudget >= 20 || count === 1) {
+      text = render(list, Math.max(snippetBudget, 0));
+      return count < items.length ? `${text}\n(${items.length - count} more results omitted)` : text;
+    }
+  }
+  return text;
+}
+
+/**
+ * code_runner output: the error and status in full, stderr and stdout head-and-tail.
+ */
+function formatCode(result, budget) {
+  if (!result || typeof result !== 'object') return JSON.stringify(result);
+  const fixed = [
+    `language: ${result.language || 'unknown'} · ${result.success ? 'success' : 'failed'}`,
+    result.session ? `session: ${result.session}` : null,
+    result.error ? `error:\n${result.error}` : null,
+    result.files?.length ? `attached to the reply: ${result.files.map(f => `${f.name} (${formatBytes(f.size)})`).join(', ')}` : null,
+  ].filter(Boolean).join('\n');
+  const streams = [['stderr', result.stderr], ['stdout', result.stdout], ['results', result.results]]
+    .filter(([, value]) => value);
+  if (streams.length === 0) return fixed;
+
+  const spare = Math.max(0, budget - countTokens(fixed) - streams.length * 4);
+  const share = Math.floor(spare / streams.length);
+  return [fixed, ...streams.map(([label, value]) => `${label}:\n${headTail(value, share)}`)].join('\n');
+}
+
+/**
+ * summarize_url output: source line plus the summary with its paragraphs intact.
+ */
+function formatSummary(result) {
+  if (!result?.summary) return JSON.stringify(result);
+  return `Source: ${result.url}\n\n${result.summary}`;
+}
+
+/**
+ * search_documents output: every citation is kept; chunk texts share the remaining budget.
+ */
+function formatDocuments(result, budget) {
+  if (!result?.results?.length) return JSON.stringify(result);
+  const header = `Documents: ${(result.documents || []).map(d => d.name).join(', ')}\n`;
+  const render = share => header + result.results.map(r => `[${r.citation}] (score ${r.score})\n${share == null ? r.text : trimToTokens(r.text, share)}`).join('\n\n');
+  const text = render();
+  if (countTokens(text) <= budget) return text;
+  const spare = budget - countTokens(render(0));
+  return render(Math.max(0, Math.floor(spare / result.results.length) - 4));
+}
+
+/** @type {Object<string, function(*, number): string>} */
+const formatters = {
+  brave_search: formatSearch,
+  tavily_search: formatSearch,
+  code_runner: formatCode,
+  summarize_url: formatSummary,
+  search_documents: formatDocuments,
+};
+
+/**
+ * Format a tool result for the model.
+ * @param {string} name - Tool name
+ * @param {Object} result - { success, result, error } from ToolRegistry#executeTool
+ * @param {Object} [opts]
+ * @param {number} [opts.budget] - Max tokens for the returned text
+ * @param {Function} [opts.summarize] - async (text, budget, name) => condensed text; used when still over budget
+ * @returns {Promise<string>}
+ */
+async function formatToolResult(name, result, { budget = DEFAULT_BUDGET, summarize = null } = {}) {
+  const formatter = result.success ? formatters[name] : null;
+  const text = formatter ? formatter(result.result, budget) : JSON.stringify(result.success ? result.result : { error: result.error });
+  if (text === undefined) return 'null';
+  if (countTokens(text) <= budget) return text;
+
+  if (summarize) {
+    try {
+      const condensed = await summarize(trimToTokens(text, budget * SUMMARIZE_INPUT_FACTOR), budget, name);
+      if (condensed && countTokens(condensed) <= budget) return condensed;
+      if (condensed) return trimToTokens(condensed, budget);
+    } catch (err) {
+      if (isCancellation(err)) throw err;
+      logger.warn('ToolResults', `Summarizing ${name} output failed, trimming instead: ${err.message}`);
+    }
+  }
+  return trimToTokens(text, budget);
+}
+
+module.exports = {
+  DEFAULT_BUDGET,
+  TRUNCATION_MARKER,
+  formatters,
+  formatToolResult,
+  trimToTokens,
+  headTail,
+};
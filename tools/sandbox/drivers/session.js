@@ -0,0 +1,51 @@
+/**
+ * Persistent JavaScript interpreter for a local sandbox session (tools/sandbox/local.js).
+ * Reads one JSON request per line ({"code": ...}) from stdin, runs it in a vm context
+ * that survives between requests, and answers on stdout with a line starting with the
+ * marker from LLMHUB_SESSION_MARK. The value of the last expression (awaited if it is a
+ * promise) is returned as the result.
+ */
+
+const readline = require('readline');
+const util = require('util');
+const vm = require('vm');
+
+const MARK = process.env.LLMHUB_SESSION_MARK || '';
+delete process.env.LLMHUB_SESSION_MARK;
+const MAX_OUTPUT = 64 * 1024;
+
+let out = '';
+let err = '';
+const toOut = (...args) => { out += `${util.format(...args)}\n`; };
+const toErr = (...args) => { err += `${util.format(...args)}\n`; };
+const cellConsole = { log: toOut, info: toOut, debug: toOut, dir: obj => toOut(util.inspect(obj)), table: toOut, warn: toErr, error: toErr, trace: toErr };
+
+const context = vm.createContext({
+  console: cellConsole, require, process, Buffer, URL, URLSearchParams, TextEncoder, TextDecoder,
+  setTimeout, clearTimeout, setInterval, clearInterval, setImmediate, clearImmediate, structuredClone, fetch,
+});
+
+const clip = text => (text.length <= MAX_OUTPUT ? text : `${text.slice(0, MAX_OUTPUT)}\n… [output truncated]`);
+
+async function runCell(code) {
+  out = '';
+  err = '';
+  let results = '';
+  let error = null;
+  try {
+    let value = vm.runInContext(code, context, { filename: 'cell.js' });
+    if (value && typeof value.then === 'function') value = await value;
+    if (value !== undefined) results = util.inspect(value, { depth: 4 });
+  } catch (e) {
+    // Errors thrown inside the context are not instances of this realm's Error
+    error = e && e.name ? `${e.name}: ${e.message}` : String(e);
+    err += `${((e && e.stack) || error).split('\n    at Script.runInContext')[0]}\n`;
+  }
+  process.stdout.write(`${MARK}${JSON.stringify({ stdout: clip(out), stderr: clip(err), results: clip(results), error })}\n`);
+}
+
+let queue = Promise.resolve();
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  if (!line.trim()) return;
+  queue = queue.then(() => runCell(JSON.parse(line).code));
+});
@@ -0,0 +1,53 @@
+"""Persistent Python interpreter for a local sandbox session (tools/sandbox/local.js).
+
+Reads one JSON request per line ({"code": ...}) from stdin, runs it in a namespace
+that survives between requests, and answers on stdout with a line starting with the
+marker from LLMHUB_SESSION_MARK. Like a notebook, a trailing expression's value is
+returned as the result.
+"""
+import ast
+import contextlib
+import io
+import json
+import os
+import sys
+import traceback
+
+MARK = os.environ.pop('LLMHUB_SESSION_MARK', '')
+MAX_OUTPUT = 64 * 1024
+
+namespace = {'__name__': '__main__', '__builtins__': __builtins__}
+requests = sys.stdin
+reply = sys.stdout
+# Cell code must not read the request stream (input() gets EOF instead)
+sys.stdin = io.StringIO()
+
+
+def clip(text):
+    return text if len(text) <= MAX_OUTPUT else text[:MAX_OUTPUT] + '\n… [output truncated]'
+
+
+def run_cell(code):
+    out, err = io.StringIO(), io.StringIO()
+    result, error = '', None
+    with contextlib.redirect_stdout(out), contextlib.redirect_stderr(err):
+        try:
+            tree = ast.parse(code, '<cell>')
+            last = tree.body.pop() if tree.body and isinstance(tree.body[-1], ast.Expr) else None
+            exec(compile(tree, '<cell>', 'exec'), namespace)
+            if last is not None:
+                value = eval(compile(ast.Expression(last.value), '<cell>', 'eval'), namespace)
+                if value is not None:
+                    result = repr(value)
+        except BaseException as exc:  # SystemExit and KeyboardInterrupt end the cell, not the session
+            traceback.print_exception(type(exc), exc, exc.__traceback__.tb_next)
+            error = f'{type(exc).__name__}: {exc}'
+    return {'stdout': clip(out.getvalue()), 'stderr': clip(err.getvalue()), 'results': clip(result), 'error': error}
+
+
+for line in requests:
+    if not line.strip():
+        continue
+    response = run_cell(json.loads(line)['code'])
+    reply.write(MARK + json.dumps(response) + '\n')
+    reply.flush()
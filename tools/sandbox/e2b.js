@@ -0,0 +1,115 @@
+/**
+ * @module tools/sandbox/e2b
+ * @description E2B cloud sandbox backend (`SANDBOX_BACKEND=e2b`, the default). Python runs
+ * in E2B's Jupyter kernel; JavaScript is run with node inside the sandbox. Displayed
+ * figures (e.g. matplotlib's plt.show()) and files written to `outputs/` are returned
+ * as artifacts.
+ *
+ * With `persistent: true` (code sessions) the sandbox outlives a single run: JavaScript
+ * uses E2B's own JS kernel so its variables persist too, files in outputs/ are kept and
+ * only new or changed ones are returned, and E2B's sandbox timeout is pushed back after
+ * each run so it never expires before the session's idle timeout.
+ */
+
+const { Sandbox } = require('@e2b/code-interpreter');
+const { mimeTypeFor, artifactBudget } = require('../artifacts');
+
+const OUTPUT_DIR = '/home/user/outputs';
+const MAX_ARTIFACTS = 20;
+// E2B's own timeout is kept this far past the session idle timeout
+const SESSION_TIMEOUT_MARGIN_MS = 60 * 1000;
+const FIGURE_FORMATS = [['png', 'image/png'], ['jpeg', 'image/jpeg'], ['svg', 'image/svg+xml']];
+
+class E2BSandbox {
+  constructor(sandbox, { persistent = false, idleMs = 0 } = {}) {
+    this.sandbox = sandbox;
+    this.persistent = persistent;
+    this.idleMs = idleMs;
+    this.figures = 0;
+    /** @type {Map<string, string>} outputs/ files already returned, by name → size:mtime (persistent mode) */
+    this.returned = new Map();
+  }
+
+  /**
+   * @param {{persistent?: boolean, idleMs?: number}} [opts]
+   * @returns {Promise<E2BSandbox>}
+   */
+  static async create({ persistent = false, idleMs = 0 } = {}) {
+    const sandbox = await Sandbox.create(persistent ? { timeoutMs: idleMs + SESSION_TIMEOUT_MARGIN_MS } : undefined);
+    await sandbox.files.makeDir(OUTPUT_DIR);
+    return new E2BSandbox(sandbox, { persistent, idleMs });
+  }
+
+  /**
+   * @param {string} code
+   * @param {{language?: string, timeoutMs?: number}} [opts]
+   * @returns {Promise<{stdout: string, stderr: string, results: string, error: string|null, artifacts: Array}>}
+   */
+  async run(code, { language = 'python', timeoutMs = 10000 } = {}) {
+    let kernel;
+    if (language === 'javascript' && this.persistent) {
+      kernel = 'js';
+    } else if (language === 'javascript') {
+      // E2B supports JS via node - write to file and execute
+      const escaped = code.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n');
+      code = `import subprocess\nresult = subprocess.run(['node', '-e', '${escaped}'], capture_output=True, text=True, timeout=10)\nprint(result.stdout, end='')\nif result.stderr:\n    import sys; print(result.stderr, end='', file=sys.stderr)`;
+    }
+
+    const execution = await Promise.race([
+      this.sandbox.runCode(code, { timeoutMs, ...(kernel ? { language: kernel } : {}) }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Execution timeout')), timeoutMs + 5000)),
+    ]);
+    if (this.persistent) await this.sandbox.setTimeout(this.idleMs + SESSION_TIMEOUT_MARGIN_MS).catch(() => {});
+    const results = execution.results || [];
+    return {
+      stdout: (execution.logs?.stdout || []).join('\n'),
+      stderr: (execution.logs?.stderr || []).join('\n'),
+      results: results.map(r => r.text || r.toString()).join('\n'),
+      error: execution.error ? execution.error.value : null,
+      artifacts: [...this._figures(results), ...await this._files()],
+    };
+  }
+
+  /** Rich display results (plots) as image artifacts. */
+  _figures(results) {
+    const figures = [];
+    for (const result of results) {
+      const format = FIGURE_FORMATS.find(([key]) => result[key]);
+      if (!format) continue;
+      const [key, mimeType] = format;
+      this.figures++;
+      figures.push({ name: `figure_${this.figures}.${key === 'jpeg' ? 'jpg' : key}`, data: Buffer.from(result[key], key === 'svg' ? 'utf-8' : 'base64'), mimeType });
+    }
+    return figures;
+  }
+
+  /** Read and clear the files the run wrote to outputs/ (sessions keep them and skip unchanged ones); oversized files are not read. */
+  async _files() {
+    const entries = await this.sandbox.files.list(OUTPUT_DIR).catch(() => []);
+    const files = [];
+    const budget = artifactBudget();
+    for (const entry of entries.filter(e => e.type === 'file')) {
+      if (files.length >= MAX_ARTIFACTS) break;
+      if (this.persistent) {
+        const version = `${entry.size}:${entry.modifiedTime?.getTime?.()}`;
+        if (this.returned.get(entry.name) === version) continue;
+        this.returned.set(entry.name, version);
+      }
+      const skipped = budget(entry.size);
+      if (skipped) {
+        files.push({ name: entry.name, size: entry.size, mimeType: mimeTypeFor(entry.name), skipped });
+      } else {
+        const bytes = await this.sandbox.files.read(entry.path, { format: 'bytes' });
+        files.push({ name: entry.name, data: Buffer.from(bytes), mimeType: mimeTypeFor(entry.name) });
+      }
+      if (!this.persistent) await this.sandbox.files.remove(entry.path).catch(() => {});
+    }
+    return files;
+  }
+
+  async close() {
+    try { await this.sandbox.kill(); } catch (_) {}
+  }
+}
+
+module.exports = { E2BSandbox };
@@ -0,0 +1,31 @@
+/**
+ * @module tools/sandbox
+ * @description Code execution backends for code_runner, chosen by `SANDBOX_BACKEND`.
+ * Every backend creates a sandbox exposing the same interface:
+ *   run(code, { language, timeoutMs }) → { stdout, stderr, results, error, artifacts }
+ *   close()
+ * `artifacts` are the files the code wrote to `outputs/` (and, on E2B, displayed plots)
+ * as { name, data: Buffer, mimeType }. Created with `persistent: true`, a sandbox keeps
+ * interpreter state and files between runs (per-thread code sessions, see ./sessions).
+ */
+
+const config = require('../../config');
+
+const BACKENDS = {
+  e2b: () => require('./e2b').E2BSandbox,
+  local: () => require('./local').LocalSandbox,
+};
+
+/**
+ * Create a sandbox on the configured (or given) backend.
+ * @param {string} [backend] - e2b | local (default: SANDBOX_BACKEND)
+ * @param {Object} [opts] - Backend options (persistent, idleMs; local: isolation, memoryMb, cpuSeconds, network)
+ * @returns {Promise<{run: Function, close: Function}>}
+ */
+async function createSandbox(backend = config.sandboxBackend, opts) {
+  const load = BACKENDS[backend];
+  if (!load) throw new Error(`Unknown SANDBOX_BACKEND "${backend}" (use ${Object.keys(BACKENDS).join(', ')})`);
+  return load().create(opts);
+}
+
+module.exports = { createSandbox, BACKENDS };
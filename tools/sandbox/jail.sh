@@ -0,0 +1,71 @@
+#!/bin/sh
+# Namespace jail for tools/sandbox/local.js (SANDBOX_ISOLATION=namespace).
+#
+#   unshare --user --map-root-user --mount --pid --fork sh jail.sh <sandbox dir> [read-only path...] -- command...
+#
+# Runs as root of fresh user, mount and PID namespaces. Builds a new root on a tmpfs that
+# holds only the given host paths (bound read-only), a few /etc files, /dev/null and
+# friends, a private /proc and /tmp, and the sandbox directory (read-write, at the same
+# path). It then pivots into that root, detaches the host's, drops every capability and
+# execs the command, so the jailed code sees none of the bot's files and cannot remount.
+set -eu
+PATH="$PATH:/usr/sbin:/sbin"
+
+work="$1"
+shift
+root="$work/.jail"
+mkdir -p "$root"
+mount -t tmpfs -o mode=755,size=16m jail "$root"
+
+# Mirror a host path into the new root: symlinks as symlinks, everything else bound
+bind() {
+  if [ -L "$1" ]; then
+    mkdir -p "$root$(dirname "$1")"
+    ln -s "$(readlink "$1")" "$root$1"
+    return
+  fi
+  if [ -d "$1" ]; then
+    mkdir -p "$root$1"
+  else
+    mkdir -p "$root$(dirname "$1")"
+    : > "$root$1"
+  fi
+  mount --bind "$1" "$root$1"
+  if [ "${2:-}" = ro ]; then
+    mount -o remount,bind,ro "$root$1"
+  fi
+}
+
+while [ "$#" -gt 0 ] && [ "$1" != "--" ]; do
+  if [ -e "$1" ]; then
+    bind "$1" ro
+  fi
+  shift
+done
+shift
+
+# Copies, not mounts: the interpreters only need to read these
+mkdir -p "$root/etc"
+for f in ld.so.cache ld.so.conf ld.so.conf.d alternatives localtime passwd group nsswitch.conf hosts resolv.conf mime.types ssl/certs ssl/openssl.cnf; do
+  if [ -e "/etc/$f" ]; then
+    mkdir -p "$root/etc/$(dirname "$f")"
+    cp -RP "/etc/$f" "$root/etc/$f"
+  fi
+done
+
+mkdir -p "$root/dev"
+for dev in null zero full random urandom; do
+  bind "/dev/$dev"
+done
+mkdir -p "$root/proc" "$root/tmp"
+mount -t proc proc "$root/proc"
+mount -t tmpfs -o mode=1777,size=64m tmp "$root/tmp"
+bind "$work"
+
+mkdir "$root/.old"
+mount -o remount,bind,ro "$root"
+cd "$root"
+pivot_root . .old
+umount -l /.old
+cd "$work"
+exec setpriv --no-new-privs --inh-caps=-all --bounding-set=-all -- "$@"
@@ -0,0 +1,429 @@
+/**
+ * @module tools/sandbox/local
+ * @description Local sandbox backend (`SANDBOX_BACKEND=local`) for air-gapped or cost-free
+ * code execution. Each run gets a fresh temp directory and a subprocess with CPU time,
+ * memory, file size and wall-clock limits, no network and a scrubbed environment (no bot
+ * secrets). `SANDBOX_ISOLATION` picks the jail:
+ *   - `docker`    — throwaway container (`--network none`, memory/CPU/pids caps, read-only root)
+ *   - `namespace` — `unshare` user, mount, PID and network namespaces (the default): jail.sh
+ *                   pivots into a fresh read-only root holding only system directories and
+ *                   the interpreters' installs, so the bot's files are out of reach, and
+ *                   rlimits cap CPU, memory, file size and process count
+ *   - `none`      — rlimits only; development use, the network is reachable
+ * Files the code writes to `outputs/` (also in `$OUTPUT_DIR`) are returned as artifacts,
+ * read through handles that refuse symlinks out of the directory (see openInside).
+ *
+ * With `persistent: true` (code sessions, see tools/sandbox/sessions.js) each language
+ * gets one long-lived interpreter in the same jail, driven over stdin/stdout by
+ * drivers/session.py or drivers/session.js, so variables survive between runs. The CPU
+ * rlimit then covers the whole session, so it is SESSION_CPU_RUNS times the per-run limit.
+ */
+
+const { spawn, execFile } = require('child_process');
+const crypto = require('crypto');
+const readline = require('readline');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config');
+const logger = require('../../logger');
+const { mimeTypeFor, artifactBudget } = require('../artifacts');
+
+const ISOLATION_MODES = ['docker', 'namespace', 'none'];
+const MAX_OUTPUT_BYTES = 64 * 1024;
+const MAX_FILE_BYTES = 16 * 1024 * 1024;
+// V8 reserves address space far beyond its heap, so node gets a heap cap plus this much headroom
+const NODE_ADDRESS_HEADROOM_MB = 1024;
+const MAX_PROCESSES = 64;
+
+const JAIL_SCRIPT = path.join(__dirname, 'jail.sh');
+// Host paths the namespace jail mounts read-only, besides the interpreters' install prefixes
+const JAIL_SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32'];
+const BOT_ROOT = path.resolve(__dirname, '..', '..');
+
+const ENTRY_FILES = { python: 'main.py', javascript: 'main.js' };
+const OUTPUT_DIR = 'outputs';
+const MAX_ARTIFACTS = 20;
+const SESSION_DRIVERS = { python: 'session.py', javascript: 'session.js' };
+const SESSION_CPU_RUNS = 6;
+
+/**
+ * Collect a stream into a string, keeping at most MAX_OUTPUT_BYTES.
+ */
+function capture(stream) {
+  const state = { text: '', truncated: false };
+  stream.setEncoding('utf-8');
+  stream.on('data', chunk => {
+    if (state.text.length >= MAX_OUTPUT_BYTES) {
+      state.truncated = true;
+      return;
+    }
+    state.text += chunk.slice(0, MAX_OUTPUT_BYTES - state.text.length);
+  });
+  return state;
+}
+
+/**
+ * Open a file the sandboxed code wrote without trusting its path, which the code can
+ * swap for a symlink at any moment: the last component is opened with O_NOFOLLOW (and
+ * O_NONBLOCK, so a FIFO cannot hang the read), and the open file must be a regular file
+ * that really lies under `root` (checked through /proc/self/fd, so a directory swapped
+ * for a symlink mid-scan is caught too). Whatever is read comes from that handle.
+ * @param {string} file
+ * @param {string} root - Real path, ending in a separator
+ * @returns {Promise<{handle: fs.promises.FileHandle, stat: fs.Stats}|null>} null when the
+ *   file is gone or is not the sandbox's own
+ */
+async function openInside(file, root) {
+  let handle;
+  try {
+    handle = await fs.promises.open(file, fs.constants.O_RDONLY | fs.constants.O_NOFOLLOW | fs.constants.O_NONBLOCK);
+    const stat = await handle.stat();
+    const real = await fs.promises.readlink(`/proc/self/fd/${handle.fd}`);
+    if (stat.isFile() && real.startsWith(root)) return { handle, stat };
+    logger.warn('Sandbox', `Not collecting ${file}: it resolves outside the sandbox outputs`);
+  } catch (err) {
+    // Removed or swapped for a symlink, FIFO or socket while outputs/ was being scanned
+    if (!['ENOENT', 'ELOOP', 'ENXIO', 'ENOTDIR'].includes(err.code)) throw err;
+  }
+  await handle?.close();
+  return null;
+}
+
+/** Read a whole file from an open handle, at most `size` bytes. */
+async function readHandle(handle, size) {
+  const data = Buffer.alloc(size);
+  let read = 0;
+  while (read < size) {
+    const { bytesRead } = await handle.read(data, read, size - read, read);
+    if (bytesRead === 0) break;
+    read += bytesRead;
+  }
+  return data.subarray(0, read);
+}
+
+let hostPython = null;
+
+/**
+ * The host's python3 resolved past shims (pyenv) and venvs, so the namespace jail can
+ * mount its install (and a venv's base install). Looked up once; null when there is no python3.
+ * @returns {Promise<{executable: string, prefixes: string[]}|null>}
+ */
+function resolveHostPython() {
+  hostPython ??= new Promise(resolve => {
+    execFile('python3', ['-c', 'import sys; print(sys.executable); print(sys.prefix); print(sys.base_prefix)'], { timeout: 10000 }, (err, stdout) => {
+      const [executable, ...prefixes] = err ? [] : stdout.trim().split('\n');
+      resolve(executable && prefixes.length ? { executable, prefixes } : null);
+    });
+  });
+  return hostPython;
+}
+
+/**
+ * The last meaningful stderr line, e.g. "ZeroDivisionError: division by zero".
+ * @param {string} stderr
+ * @returns {string|null}
+ */
+function lastErrorLine(stderr) {
+  const lines = stderr.split('\n').map(l => l.trim()).filter(Boolean);
+  return lines.length ? lines[lines.length - 1].slice(0, 500) : null;
+}
+
+class LocalSandbox {
+  /**
+   * @param {Object} [opts] - Defaults come from config (SANDBOX_*)
+   * @param {string} [opts.isolation] - docker | namespace | none
+   * @param {number} [opts.memoryMb]
+   * @param {number} [opts.cpuSeconds]
+   * @param {boolean} [opts.network] - Allow network access (default false)
+   * @param {boolean} [opts.persistent] - Keep interpreter state between runs (code sessions)
+   */
+  constructor({
+    isolation = config.sandboxIsolation,
+    memoryMb = config.sandboxMemoryMb,
+    cpuSeconds = config.sandboxCpuSeconds,
+    network = config.sandboxNetwork,
+    persistent = false,
+  } = {}) {
+    if (!ISOLATION_MODES.includes(isolation)) throw new Error(`Unknown SANDBOX_ISOLATION "${isolation}" (use ${ISOLATION_MODES.join(', ')})`);
+    this.isolation = isolation;
+    this.memoryMb = memoryMb;
+    this.cpuSeconds = cpuSeconds;
+    this.network = network;
+    this.persistent = persistent;
+    this.dir = null;
+    /** @type {{executable: string, prefixes: string[]}|null} Host python3 (namespace mode) */
+    this.python = null;
+    /** @type {Map<string, Object>} Live interpreters by language (persistent mode) */
+    this.interpreters = new Map();
+    /** @type {Map<string, string>} outputs/ files already returned, by name → size:mtime (persistent mode) */
+    this.returned = new Map();
+  }
+
+  /** @returns {Promise<LocalSandbox>} */
+  static async create(opts) {
+    const sandbox = new LocalSandbox(opts);
+    sandbox.dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'llmhub-sandbox-'));
+    await fs.promises.mkdir(path.join(sandbox.dir, OUTPUT_DIR));
+    // The container runs as nobody, so it needs write access to the bind mount
+    if (sandbox.isolation === 'docker') {
+      await fs.promises.chmod(sandbox.dir, 0o777);
+      await fs.promises.chmod(path.join(sandbox.dir, OUTPUT_DIR), 0o777);
+    }
+    if (sandbox.isolation === 'namespace') sandbox.python = await resolveHostPython();
+    return sandbox;
+  }
+
+  /** Interpreter command line, as seen from inside the jail. */
+  _interpreter(language, file) {
+    if (language === 'python') return [this.isolation === 'docker' ? 'python' : (this.python?.executable || 'python3'), '-u', file];
+    return [this.isolation === 'docker' ? 'node' : process.execPath, `--max-old-space-size=${this.memoryMb}`, file];
+  }
+
+  /** Full argv for running the interpreter inside the chosen jail. */
+  _command(language, file, containerName, { interactive = false } = {}) {
+    const interpreter = this._interpreter(language, file);
+    const cpuSeconds = interactive ? this.cpuSeconds * SESSION_CPU_RUNS : this.cpuSeconds;
+    if (this.isolation === 'docker') {
+      const image = language === 'python' ? config.sandboxPythonImage : config.sandboxNodeImage;
+      return ['docker', 'run', '--rm', ...(interactive ? ['-i'] : []), '--name', containerName,
+        '--network', this.network ? 'bridge' : 'none',
+        '--memory', `${this.memoryMb}m`, '--memory-swap', `${this.memoryMb}m`, '--cpus', '1', '--pids-limit', `${MAX_PROCESSES}`,
+        '--ulimit', `cpu=${cpuSeconds}`, '--ulimit', `fsize=${MAX_FILE_BYTES}`,
+        '--read-only', '--tmpfs', '/tmp', '--cap-drop', 'ALL', '--security-opt', 'no-new-privileges',
+        '--user', '65534:65534', '-e', 'HOME=/work', '-e', 'MPLBACKEND=Agg', '-e', `OUTPUT_DIR=/work/${OUTPUT_DIR}`,
+        '-v', `${this.dir}:/work`, '-w', '/work', image, ...interpreter];
+    }
+
+    const addressMb = language === 'python' ? this.memoryMb : this.memoryMb + NODE_ADDRESS_HEADROOM_MB;
+    const limits = ['prlimit', `--cpu=${cpuSeconds}`, `--as=${addressMb * 1024 * 1024}`, `--fsize=${MAX_FILE_BYTES}`, '--core=0'];
+    // Unjailed, the process cap would count the bot's own processes and threads too
+    if (this.isolation === 'none') return [...limits, '--', ...interpreter];
+    return ['unshare', '--user', '--map-root-user', '--mount', '--pid', '--fork', '--kill-child', ...(this.network ? [] : ['--net']),
+      'sh', JAIL_SCRIPT, this.dir, ...this._jailPaths(), '--', ...limits, `--nproc=${MAX_PROCESSES}`, '--', ...interpreter];
+  }
+
+  /** Host paths visible (read-only) in the namespace jail: never one holding the bot itself. */
+  _jailPaths() {
+    const prefixes = [path.dirname(path.dirname(process.execPath)), ...(this.python?.prefixes || [])];
+    const holdsBot = p => !path.relative(p, BOT_ROOT).startsWith('..');
+    return [...new Set([...JAIL_SYSTEM_PATHS, ...prefixes])]
+      .filter(p => !JAIL_SYSTEM_PATHS.some(sys => p !== sys && p.startsWith(`${sys}/`)) && !holdsBot(p));
+  }
+
+  /** Only what the interpreters need — never the bot's own environment (API keys, tokens). */
+  _env() {
+    return {
+      PATH: process.env.PATH || '/usr/local/bin:/usr/bin:/bin',
+      HOME: this.dir,
+      TMPDIR: this.dir,
+      LANG: 'C.UTF-8',
+      PYTHONDONTWRITEBYTECODE: '1',
+      MPLBACKEND: 'Agg',
+      OUTPUT_DIR: path.join(this.dir, OUTPUT_DIR),
+    };
+  }
+
+  /**
+   * Run code and wait for it to finish or hit a limit.
+   * @param {string} code
+   * @param {{language?: string, timeoutMs?: number}} [opts]
+   * @returns {Promise<{stdout: string, stderr: string, results: string, error: string|null, artifacts: Array}>}
+   */
+  async run(code, { language = 'python', timeoutMs = 10000 } = {}) {
+    if (!this.dir) throw new Error('Sandbox is closed');
+    const file = ENTRY_FILES[language];
+    if (!file) throw new Error(`Unsupported language: ${language}`);
+    if (this.persistent) return this._runInSession(code, { language, timeoutMs });
+    await fs.promises.writeFile(path.join(this.dir, file), code);
+
+    const containerName = this._containerName();
+    const [cmd, ...args] = this._command(language, file, containerName);
+    const child = spawn(cmd, args, { cwd: this.dir, env: this._env(), stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+    const stdout = capture(child.stdout);
+    const stderr = capture(child.stderr);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      this._kill(child, containerName);
+    }, timeoutMs);
+
+    const { code: exitCode, signal, spawnError } = await new Promise(resolve => {
+      child.once('error', err => resolve({ spawnError: err }));
+      child.once('close', (code, sig) => resolve({ code, signal: sig }));
+    });
+    clearTimeout(timer);
+    if (spawnError) throw new Error(`Could not start the ${this.isolation} sandbox (${cmd}): ${spawnError.message}`);
+
+    let error = null;
+    if (timedOut) error = `Time limit exceeded (${Math.round(timeoutMs / 1000)}s)`;
+    else if (exitCode !== 0) error = this._exitError(exitCode, signal, stderr.text);
+
+    const note = stream => (stream.truncated ? `${stream.text}\n… [output truncated]` : stream.text);
+    const artifacts = await this._collectArtifacts();
+    return { stdout: note(stdout).replace(/\n$/, ''), stderr: note(stderr).replace(/\n$/, ''), results: '', error, artifacts };
+  }
+
+  _containerName(suffix = '') {
+    return `llmhub-sandbox-${path.basename(this.dir).replace(/[^\w-]/g, '')}${suffix}`;
+  }
+
+  /** Kill a jailed process group (and its container: killing the docker client leaves it running). */
+  _kill(child, containerName) {
+    try { process.kill(-child.pid, 'SIGKILL'); } catch (_) {}
+    if (this.isolation === 'docker') spawn('docker', ['rm', '-f', containerName], { stdio: 'ignore' }).on('error', () => {});
+  }
+
+  /** Why a jailed process exited unsuccessfully. */
+  _exitError(exitCode, signal, stderr) {
+    const cpuSeconds = this.persistent ? this.cpuSeconds * SESSION_CPU_RUNS : this.cpuSeconds;
+    if (signal === 'SIGXCPU' || signal === 'SIGKILL') return `CPU or memory limit exceeded (${cpuSeconds}s CPU, ${this.memoryMb} MB)`;
+    if (exitCode === 137) return `Memory limit exceeded (${this.memoryMb} MB)`;
+    return lastErrorLine(stderr) || `Exited with code ${exitCode}`;
+  }
+
+  /**
+   * Start the long-lived interpreter for a language.
+   * @private
+   */
+  async _startInterpreter(language) {
+    const driver = SESSION_DRIVERS[language];
+    // Copied into the sandbox directory so the docker jail (which only mounts that) can run it
+    await fs.promises.copyFile(path.join(__dirname, 'drivers', driver), path.join(this.dir, `.${driver}`));
+    const mark = `@@LLMHUB:${crypto.randomBytes(8).toString('hex')}:`;
+    const containerName = this._containerName(`-${language}`);
+    const [cmd, ...args] = this._command(language, `.${driver}`, containerName, { interactive: true });
+    if (this.isolation === 'docker') args.splice(args.indexOf('--name'), 0, '-e', `LLMHUB_SESSION_MARK=${mark}`);
+    const child = spawn(cmd, args, {
+      cwd: this.dir,
+      env: { ...this._env(), LLMHUB_SESSION_MARK: mark },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      detached: true,
+    });
+    const interpreter = { child, containerName, pending: null, stdout: '', stderr: '', exited: null };
+    await new Promise((resolve, reject) => {
+      child.once('spawn', resolve);
+      child.once('error', err => reject(new Error(`Could not start the ${this.isolation} sandbox (${cmd}): ${err.message}`)));
+    });
+    child.stdin.on('error', () => {});
+    child.stderr.setEncoding('utf-8');
+    child.stderr.on('data', chunk => {
+      if (interpreter.stderr.length < MAX_OUTPUT_BYTES) interpreter.stderr += chunk;
+    });
+    // Marked lines answer a request; anything else (e.g. subprocess output) belongs to the current run
+    readline.createInterface({ input: child.stdout }).on('line', line => {
+      if (!line.startsWith(mark)) {
+        if (interpreter.stdout.length < MAX_OUTPUT_BYTES) interpreter.stdout += `${line}\n`;
+        return;
+      }
+      const pending = interpreter.pending;
+      interpreter.pending = null;
+      pending?.resolve(JSON.parse(line.slice(mark.length)));
+    });
+    child.once('exit', (code, signal) => {
+      interpreter.exited = { code, signal };
+      if (this.interpreters.get(language) === interpreter) this.interpreters.delete(language);
+      interpreter.pending?.reject(new Error(this._exitError(code, signal, interpreter.stderr)));
+      interpreter.pending = null;
+    });
+    this.interpreters.set(language, interpreter);
+    return interpreter;
+  }
+
+  /**
+   * Run code in the language's long-lived interpreter. A run that hits a limit ends the
+   * interpreter; the next run starts a fresh one (files in the sandbox directory remain).
+   * @private
+   */
+  async _runInSession(code, { language, timeoutMs }) {
+    const interpreter = this.interpreters.get(language) || await this._startInterpreter(language);
+    interpreter.stdout = '';
+    interpreter.stderr = '';
+    let timer;
+    let response;
+    let error = null;
+    try {
+      response = await new Promise((resolve, reject) => {
+        interpreter.pending = { resolve, reject };
+        timer = setTimeout(() => {
+          reject(new Error(`Time limit exceeded (${Math.round(timeoutMs / 1000)}s)`));
+          this._kill(interpreter.child, interpreter.containerName);
+        }, timeoutMs);
+        interpreter.child.stdin.write(`${JSON.stringify({ code })}\n`);
+      });
+    } catch (err) {
+      this.interpreters.delete(language);
+      error = `${err.message}. The session was restarted, so variables from earlier runs are gone.`;
+      response = { stdout: '', stderr: '', results: '', error };
+    } finally {
+      clearTimeout(timer);
+    }
+    const extra = text => text.replace(/\n$/, '');
+    return {
+      stdout: [extra(interpreter.stdout), extra(response.stdout)].filter(Boolean).join('\n'),
+      stderr: [extra(response.stderr), extra(interpreter.stderr)].filter(Boolean).join('\n'),
+      results: response.results || '',
+      error: response.error,
+      artifacts: await this._collectArtifacts(),
+    };
+  }
+
+  /**
+   * Read and clear what the run left in outputs/ (nested files are flattened to their
+   * relative path), so the next run in the same sandbox starts empty. Sessions keep their
+   * files for later runs and only return the ones that are new or changed. Sizes are
+   * checked against artifactBudget before anything is read.
+   * @private
+   * @returns {Promise<Array<{name: string, data?: Buffer, size?: number, mimeType: string, skipped?: string}>>}
+   */
+  async _collectArtifacts() {
+    const outDir = path.join(this.dir, OUTPUT_DIR);
+    // The sandbox directory itself is the bot's; everything under it is the code's to change
+    const root = path.join(await fs.promises.realpath(this.dir), OUTPUT_DIR) + path.sep;
+    const entries = await fs.promises.readdir(outDir, { recursive: true, withFileTypes: true }).catch(() => []);
+    const artifacts = [];
+    const budget = artifactBudget();
+    for (const entry of entries) {
+      if (!entry.isFile() || artifacts.length >= MAX_ARTIFACTS) continue;
+      const full = path.join(entry.path || entry.parentPath, entry.name);
+      const name = path.relative(outDir, full).split(path.sep).join('_');
+      const opened = await openInside(full, root);
+      if (!opened) continue;
+      const { handle, stat } = opened;
+      try {
+        if (this.persistent) {
+          const version = `${stat.size}:${stat.mtimeMs}`;
+          if (this.returned.get(name) === version) continue;
+          this.returned.set(name, version);
+        }
+        const skipped = budget(stat.size);
+        artifacts.push(skipped
+          ? { name, size: stat.size, mimeType: mimeTypeFor(name), skipped }
+          : { name, data: await readHandle(handle, stat.size), mimeType: mimeTypeFor(name) });
+      } finally {
+        await handle.close();
+      }
+    }
+    if (this.persistent) return artifacts;
+    await fs.promises.rm(outDir, { recursive: true, force: true });
+    await fs.promises.mkdir(outDir);
+    if (this.isolation === 'docker') await fs.promises.chmod(outDir, 0o777);
+    return artifacts;
+  }
+
+  async close() {
+    if (!this.dir) return;
+    for (const interpreter of this.interpreters.values()) {
+      interpreter.pending?.reject(new Error('Sandbox session closed'));
+      interpreter.pending = null;
+      this._kill(interpreter.child, interpreter.containerName);
+    }
+    this.interpreters.clear();
+    const dir = this.dir;
+    this.dir = null;
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(err => logger.warn('Sandbox', `Could not remove ${dir}: ${err.message}`));
+  }
+}
+
+module.exports = { LocalSandbox, ISOLATION_MODES, SESSION_CPU_RUNS, lastErrorLine };
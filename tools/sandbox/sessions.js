@@ -0,0 +1,161 @@
+/**
+ * @module tools/sandbox/sessions
+ * @description Per-thread code sessions for code_runner (opt-in with `SANDBOX_SESSIONS=true`).
+ * Inside a thread, code_runner keeps one persistent sandbox alive across turns so variables
+ * and files from earlier runs are still there ("now plot the dataframe from before"). A
+ * session ends after `SANDBOX_SESSION_IDLE_MINUTES` without a run, on `/sandbox reset`, or
+ * when its thread is archived or deleted. Each guild may hold at most
+ * `SANDBOX_SESSIONS_PER_GUILD` live sessions; past that, code runs one-shot as before.
+ */
+
+const config = require('../../config');
+const logger = require('../../logger');
+const { createSandbox } = require('./index');
+
+/** Thrown when a guild already has its maximum number of live sessions. */
+class SessionLimitError extends Error {
+  constructor(limit) {
+    super(`This server already has ${limit} live code sessions`);
+    this.name = 'SessionLimitError';
+    this.limit = limit;
+  }
+}
+
+class SandboxSessionManager {
+  /**
+   * @param {Object} [opts] - Defaults come from config (SANDBOX_*)
+   * @param {string} [opts.backend] - e2b | local
+   * @param {number} [opts.idleMs] - Close a session after this long without a run
+   * @param {number} [opts.maxPerGuild] - Live sessions allowed per guild
+   * @param {Function} [opts.create] - (backend, opts) => sandbox; createSandbox by default
+   */
+  constructor({
+    backend = config.sandboxBackend,
+    idleMs = config.sandboxSessionIdleMinutes * 60 * 1000,
+    maxPerGuild = config.sandboxSessionsPerGuild,
+    create = createSandbox,
+  } = {}) {
+    this.backend = backend;
+    this.idleMs = idleMs;
+    this.maxPerGuild = maxPerGuild;
+    this.create = create;
+    /** @type {Map<string, {threadId: string, guildId: string|null, ready: Promise, queue: Promise, runs: number, createdAt: number, lastUsedAt: number, timer: NodeJS.Timeout|null}>} */
+    this.sessions = new Map();
+  }
+
+  /**
+   * Live sessions in a guild.
+   * @param {string|null} guildId
+   * @returns {number}
+   */
+  countForGuild(guildId) {
+    return [...this.sessions.values()].filter(s => s.guildId === (guildId || null)).length;
+  }
+
+  /**
+   * Run code in the thread's session, starting one if needed. Runs in one session are
+   * queued so they never overlap.
+   * @param {string} threadId
+   * @param {string|null} guildId
+   * @param {string} code
+   * @param {{language?: string, timeoutMs?: number}} [opts]
+   * @returns {Promise<{execution: Object, started: boolean, runs: number}>}
+   * @throws {SessionLimitError} When the guild is at its session cap
+   */
+  async run(threadId, guildId, code, opts) {
+    let session = this.sessions.get(threadId);
+    const started = !session;
+    if (!session) {
+      if (this.countForGuild(guildId) >= this.maxPerGuild) throw new SessionLimitError(this.maxPerGuild);
+      session = {
+        threadId,
+        guildId: guildId || null,
+        ready: this.create(this.backend, { persistent: true, idleMs: this.idleMs }),
+        queue: Promise.resolve(),
+        runs: 0,
+        createdAt: Date.now(),
+        lastUsedAt: Date.now(),
+        timer: null,
+      };
+      this.sessions.set(threadId, session);
+      session.ready.catch(() => {
+        if (this.sessions.get(threadId) === session) this._forget(session);
+      });
+      logger.info('Sandbox', `Started code session for thread ${threadId} (${this.backend})`);
+    }
+
+    const run = session.queue.then(async () => (await session.ready).run(code, opts));
+    session.queue = run.catch(() => {});
+    this._touch(session);
+    const execution = await run;
+    session.runs++;
+    this._touch(session);
+    return { execution, started, runs: session.runs };
+  }
+
+  /** Restart the idle countdown. */
+  _touch(session) {
+    session.lastUsedAt = Date.now();
+    clearTimeout(session.timer);
+    session.timer = setTimeout(() => this.end(session.threadId, 'idle timeout'), this.idleMs);
+    session.timer.unref();
+  }
+
+  _forget(session) {
+    clearTimeout(session.timer);
+    this.sessions.delete(session.threadId);
+  }
+
+  /**
+   * Close a thread's session and discard its state.
+   * @param {string} threadId
+   * @param {string} [reason] - For the log
+   * @returns {Promise<boolean>} Whether there was a session
+   */
+  async end(threadId, reason = 'ended') {
+    const session = this.sessions.get(threadId);
+    if (!session) return false;
+    this._forget(session);
+    logger.info('Sandbox', `Closing code session for thread ${threadId} after ${session.runs} runs (${reason})`);
+    try {
+      await (await session.ready).close();
+    } catch (err) {
+      logger.warn('Sandbox', `Could not close session for thread ${threadId}: ${err.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * @param {string} threadId
+   * @returns {{runs: number, createdAt: number, lastUsedAt: number, expiresAt: number}|null}
+   */
+  status(threadId) {
+    const session = this.sessions.get(threadId);
+    if (!session) return null;
+    return { runs: session.runs, createdAt: session.createdAt, lastUsedAt: session.lastUsedAt, expiresAt: session.lastUsedAt + this.idleMs };
+  }
+
+  /**
+   * End sessions when their thread is archived or deleted.
+   * @param {import('discord.js').Client} client
+   * @returns {SandboxSessionManager}
+   */
+  attach(client) {
+    client.on('threadUpdate', (_, thread) => {
+      if (thread.archived) this.end(thread.id, 'thread archived');
+    });
+    client.on('threadDelete', thread => this.end(thread.id, 'thread deleted'));
+    return this;
+  }
+
+  async closeAll() {
+    await Promise.all([...this.sessions.keys()].map(threadId => this.end(threadId, 'shutdown')));
+  }
+}
+
+// Singleton instance — set by index.js
+let _instance = null;
+SandboxSessionManager.setInstance = (inst) => { _instance = inst; return inst; };
+SandboxSessionManager.getInstance = () => _instance;
+
+module.exports = { SandboxSessionManager, SessionLimitError };
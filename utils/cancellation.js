@@ -0,0 +1,143 @@
+/**
+ * @module utils/cancellation
+ * @description Cancellation tokens for in-flight message processing. Each message being
+ * answered gets an AbortController keyed by its Discord message ID; deleting or editing
+ * the message, or a ❌ reaction from its author, aborts it. The signal is carried through
+ * the model queue, the orchestrator, the agent loop, OpenAI requests and tool execution.
+ */
+
+const logger = require('../logger');
+
+/**
+ * Abort reason for cancelled work. `cancelled: true` lets retry wrappers and circuit
+ * breakers pass it through without retrying or counting it as a failure.
+ */
+class CancelledError extends Error {
+  /** @param {string} [reason] - Why the work was cancelled (e.g. 'message deleted') */
+  constructor(reason = 'cancelled') {
+    super(`Cancelled: ${reason}`);
+    this.name = 'CancelledError';
+    this.reason = reason;
+    this.cancelled = true;
+  }
+}
+
+/** @type {Map<string, {controller: AbortController, userId: string|null}>} */
+const inFlight = new Map();
+
+/**
+ * Whether an error means the work was cancelled rather than failed.
+ * @param {*} err
+ * @returns {boolean}
+ */
+function isCancellation(err) {
+  return Boolean(err && err.cancelled);
+}
+
+/**
+ * Throw the signal's CancelledError if it has been aborted.
+ * @param {AbortSignal} [signal]
+ */
+function throwIfCancelled(signal) {
+  if (signal?.aborted) throw signal.reason instanceof Error ? signal.reason : new CancelledError(String(signal.reason));
+}
+
+/**
+ * Race a promise against a signal: rejects with the CancelledError as soon as the signal aborts.
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Start tracking work for a message.
+ * @param {string} messageId - The user's Discord message ID
+ * @param {string} [userId] - Author, the only user whose ❌ reaction cancels it
+ * @returns {AbortController}
+ */
+function track(messageId, userId = null) {
+  const controller = new AbortController();
+  inFlight.set(messageId, { controller, userId });
+  return controller;
+}
+
+/**
+ * Abort the work for a message, if any is in flight.
+ * @param {string} messageId
+ * @param {string} reason - Logged and carried on the CancelledError
+ * @param {Object} [opts]
+ * @param {string} [opts.userId] - Only cancel if this user started the work
+ * @returns {boolean} Whether anything was cancelled
+ */
+function cancel(messageId, reason, { userId } = {}) {
+  const entry = inFlight.get(messageId);
+  if (!entry || entry.controller.signal.aborted) return false;
+  if (userId && entry.userId && entry.userId !== userId) return false;
+  entry.controller.abort(new CancelledError(reason));
+  inFlight.delete(messageId);
+  logger.info('Cancellation', `Cancelled work for message ${messageId}: ${reason}`);
+  return true;
+}
+
+/**
+ * Stop tracking a message once its work is done. A newer controller for the same
+ * message (e.g. after an edit restarted it) is left alone.
+ * @param {string} messageId
+ * @param {AbortController} controller - The controller returned by track()
+ */
+function release(messageId, controller) {
+  if (inFlight.get(messageId)?.controller === controller) inFlight.delete(messageId);
+}
+
+/**
+ * A timeout that can be paused while the work waits on a person (e.g. a tool approval),
+ * so time spent waiting for them doesn't count against it. Pauses may overlap.
+ * @param {number} ms
+ * @param {string} [message] - Error message on expiry
+ * @returns {{promise: Promise<never>, pause: Function, resume: Function, clear: Function}}
+ */
+function createDeadline(ms, message = 'TIMEOUT') {
+  let reject;
+  let timer = null;
+  let remaining = ms;
+  let startedAt = Date.now();
+  let paused = 0;
+  const promise = new Promise((_, rej) => { reject = rej; });
+  promise.catch(() => {}); // unobserved once the work it races has finished
+  const arm = () => { timer = setTimeout(() => reject(new Error(message)), remaining); };
+  arm();
+  return {
+    promise,
+    pause() {
+      if (paused++ > 0) return;
+      clearTimeout(timer);
+      remaining = Math.max(0, remaining - (Date.now() - startedAt));
+    },
+    resume() {
+      if (paused === 0 || --paused > 0) return;
+      startedAt = Date.now();
+      arm();
+    },
+    clear() { clearTimeout(timer); },
+  };
+}
+
+/**
+ * @param {string} messageId
+ * @returns {boolean} Whether work for this message is in flight
+ */
+function isInFlight(messageId) {
+  return inFlight.has(messageId);
+}
+
+module.exports = { CancelledError, isCancellation, throwIfCancelled, abortable, createDeadline, track, cancel, release, isInFlight };
@@ -41,7 +41,8 @@ class CircuitBreaker {
       this.onSuccess();
       return result;
     } catch (err) {
-      this.onFailure();
+      // A cancelled request says nothing about the service's health
+      if (!err || !err.cancelled) this.onFailure();
       throw err;
     }
   }
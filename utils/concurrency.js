@@ -0,0 +1,37 @@
+/**
+ * @module utils/concurrency
+ * @description Bounded-concurrency helpers for running independent async work side by side.
+ */
+
+/**
+ * Map over items with at most `limit` calls to `fn` in flight. Results keep input order
+ * regardless of completion order. The first rejection rejects the whole call, and no
+ * further items are started after it.
+ * @param {Array} items
+ * @param {number} limit - Max concurrent calls (values below 1 are treated as 1)
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -38,6 +38,27 @@ class MessageDebouncer {
     }, this.windowMs);
   }
 
+  /**
+   * Drop a message that hasn't been processed yet (deleted or cancelled while in the window).
+   * @param {string} messageId
+   * @param {string} [userId] - Only drop it if this user wrote it
+   * @returns {boolean} Whether a pending message was dropped
+   */
+  remove(messageId, userId) {
+    for (const [key, batch] of this.pending) {
+      const idx = batch.messages.findIndex(m => m.id === messageId);
+      if (idx === -1) continue;
+      if (userId && batch.messages[idx].author?.id !== userId) return false;
+      batch.messages.splice(idx, 1);
+      if (batch.messages.length === 0) {
+        clearTimeout(batch.timer);
+        this.pending.delete(key);
+      }
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Check if a user+channel has pending debounced messages.
    */
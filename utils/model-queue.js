@@ -2,11 +2,16 @@
  * @module utils/model-queue
  * @description Per-model priority queue system. Routes tasks to separate queues
  * based on model type (main/mini/image/moderation) with configurable concurrency
- * and max depth. Higher priority tasks are processed first.
+ * and max depth. Higher priority tasks are processed first. A running task can step out
+ * of its slot while it waits on a person (outsideQueue), so the wait does not hold up others.
  */
 
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
 const logger = require('../logger');
 
+// The slot of the queued task currently running, for outsideQueue
+const slotStorage = new AsyncLocalStorage();
+
 /**
  * Priority-aware task queue with max depth.
  * Higher priority values are processed first.
@@ -24,16 +29,29 @@ class PriorityTaskQueue {
   /**
    * @param {Function} task - async function to execute
    * @param {number} priority - 0 (lowest) to 3 (highest)
-   * @returns {Promise} resolves with task result, or rejects if queue full
+   * @param {AbortSignal} [signal] - Aborting removes the task if it hasn't started yet
+   * @returns {Promise} resolves with task result, or rejects if queue full or cancelled while waiting
    */
-  enqueue(task, priority = 0) {
+  enqueue(task, priority = 0, signal = null) {
     if (this.queued.length >= this.maxDepth) {
       return Promise.reject(new Error('QUEUE_FULL'));
     }
+    if (signal?.aborted) return Promise.reject(signal.reason);
 
     return new Promise((resolve, reject) => {
-      // Insert in priority order (highest first)
-      const entry = { task, resolve, reject, priority };
+      // Bound to the enqueuer's async context, so usage attribution and traces follow the
+      // task even when it is started later by another task finishing
+      const slot = { queue: this, held: true, away: 0, returning: null };
+      const entry = { task: AsyncResource.bind(() => slotStorage.run(slot, task)), resolve, reject, priority, signal, onAbort: null };
+      if (signal) {
+        entry.onAbort = () => {
+          const idx = this.queued.indexOf(entry);
+          if (idx === -1) return; // already running — the task itself watches the signal
+          this.queued.splice(idx, 1);
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
       let inserted = false;
       for (let i = 0; i < this.queued.length; i++) {
         if (this.queued[i].priority < priority) {
@@ -51,7 +69,10 @@ class PriorityTaskQueue {
     if (this.processing >= this.concurrency || this.queued.length === 0) return;
 
     this.processing++;
-    const { task, resolve, reject } = this.queued.shift();
+    const { task, resolve, reject, signal, onAbort, resume } = this.queued.shift();
+    // A task that stepped out takes this slot back; it frees it when it finishes
+    if (resume) return resume();
+    if (onAbort) signal.removeEventListener('abort', onAbort);
 
     try {
       const result = await task();
@@ -66,6 +87,31 @@ class PriorityTaskQueue {
     }
   }
 
+  /**
+   * Run `fn` with the task's slot given to the next queued task, then queue (ahead of
+   * new work) to take a slot back. Parallel calls from one task step out once.
+   * @private
+   */
+  async _outside(slot, fn) {
+    if (slot.away++ === 0 && slot.held) {
+      slot.held = false;
+      this.processing--;
+      this._process();
+    }
+    try {
+      return await fn();
+    } finally {
+      slot.away--;
+      if (!slot.held) {
+        slot.returning ??= new Promise(resolve => {
+          this.queued.unshift({ resume: () => { slot.held = true; slot.returning = null; resolve(); } });
+          this._process();
+        });
+        await slot.returning;
+      }
+    }
+  }
+
   getStats() {
     return {
       pending: this.queued.length,
@@ -96,11 +142,13 @@ class ModelQueue {
    * @param {string} model - model name (used to route to queue)
    * @param {Function} fn - async function to execute
    * @param {number} priority - 0-3
+   * @param {Object} [opts]
+   * @param {AbortSignal} [opts.signal] - Cancels the task while it waits in the queue
    * @returns {Promise}
    */
-  async enqueue(model, fn, priority = 0) {
+  async enqueue(model, fn, priority = 0, { signal } = {}) {
     const queueName = this.getQueueName(model);
-    return this.queues[queueName].enqueue(fn, priority);
+    return this.queues[queueName].enqueue(fn, priority, signal);
   }
 
   getQueueName(model) {
@@ -129,4 +177,16 @@ class ModelQueue {
   }
 }
 
-module.exports = { ModelQueue, PriorityTaskQueue };
+/**
+ * Run `fn` without holding the calling queued task's slot — for waits on a person, such as
+ * a tool approval, that would otherwise keep the slot from everyone else. The task queues
+ * again when `fn` settles. Outside a queued task, `fn` just runs.
+ * @param {Function} fn - async
+ * @returns {Promise}
+ */
+function outsideQueue(fn) {
+  const slot = slotStorage.getStore();
+  return slot ? slot.queue._outside(slot, fn) : fn();
+}
+
+module.exports = { ModelQueue, PriorityTaskQueue, outsideQueue };
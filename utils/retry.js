@@ -25,6 +25,9 @@ async function withRetry(fn, {
     } catch (err) {
       lastError = err;
 
+      // Cancelled work is never retried
+      if (err && err.cancelled) throw err;
+
       // Only retry on specific error types if retryOn provided
       if (retryOn && !retryOn(err)) throw err;
 
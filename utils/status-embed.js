@@ -9,6 +9,19 @@ const STAGES = [
   { key: 'reflect', label: 'Reflect', emoji: '💭' },
 ];
 
+/**
+ * Add a custom stage row (used by orchestrator layers that declare their own stage).
+ * @param {Object} stage - { key, label, emoji }
+ * @param {string} [afterKey] - Existing stage key to insert after (default: before 'reflect')
+ */
+function registerStage(stage, afterKey) {
+  if (!stage || !stage.key || !stage.label) throw new Error('Stage registration requires key and label');
+  if (STAGES.some(s => s.key === stage.key)) return;
+  const afterIdx = afterKey ? STAGES.findIndex(s => s.key === afterKey) : -1;
+  const index = afterIdx !== -1 ? afterIdx + 1 : STAGES.findIndex(s => s.key === 'reflect');
+  STAGES.splice(index === -1 ? STAGES.length : index, 0, { emoji: '⚙️', ...stage });
+}
+
 class StatusEmbed {
   constructor(channel) {
     this.channel = channel;
@@ -17,7 +30,8 @@ class StatusEmbed {
     this.startTime = Date.now();
     this.lastEdit = 0;
     this.toolsUsed = [];
-    this.toolActive = null; // currently executing tool
+    this.toolsActive = []; // tools currently executing (several when calls run in parallel)
+    this.plan = null; // planner checklist, see thinking/planner.js
     this.pendingUpdate = null;
     this.deleted = false;
     this.timerInterval = null;
@@ -42,11 +56,11 @@ class StatusEmbed {
   }
 
   async addTool(toolName) {
-    this.toolActive = toolName;
-    // Update execute stage with current tool
+    this.toolsActive.push(toolName);
+    // Update execute stage with the tools currently running
     this.stages.execute = {
       status: 'active',
-      detail: `calling ${toolName}...`,
+      detail: `calling ${this.toolsActive.join(', ')}...`,
       time: Date.now() - this.startTime,
     };
     await this._throttledEdit();
@@ -54,17 +68,28 @@ class StatusEmbed {
 
   async toolDone(toolName) {
     if (!this.toolsUsed.includes(toolName)) this.toolsUsed.push(toolName);
-    this.toolActive = null;
+    const idx = this.toolsActive.indexOf(toolName);
+    if (idx !== -1) this.toolsActive.splice(idx, 1);
+    let detail;
+    if (this.toolsActive.length > 0) detail = `calling ${this.toolsActive.join(', ')}...`;
+    else detail = this.toolsUsed.length === 1 ? `used ${toolName}` : `used ${this.toolsUsed.length} tools`;
     this.stages.execute = {
       status: 'active',
-      detail: this.toolsUsed.length === 1
-        ? `used ${toolName}`
-        : `used ${this.toolsUsed.length} tools`,
+      detail,
       time: Date.now() - this.startTime,
     };
     await this._throttledEdit();
   }
 
+  /**
+   * Show (or refresh) the planner checklist under the stages.
+   * @param {import('../thinking/planner').Plan} plan
+   */
+  async setPlan(plan) {
+    this.plan = plan;
+    await this._throttledEdit();
+  }
+
   async destroy() {
     this.deleted = true;
     if (this.timerInterval) clearInterval(this.timerInterval);
@@ -90,6 +115,15 @@ class StatusEmbed {
       return `⬜ ${s.label}`;
     });
 
+    if (this.plan?.steps.length) {
+      const marks = { done: '☑️', active: '▶️', skipped: '➖', pending: '▫️' };
+      const steps = this.plan.steps.map(step => {
+        const title = step.status === 'skipped' ? `~~${step.title}~~` : step.title;
+        return `${marks[step.status] || marks.pending} ${step.status === 'active' ? `**${title}**` : title}`;
+      });
+      lines.push(`\n📋 **Plan**\n${steps.join('\n')}`);
+    }
+
     if (this.toolsUsed.length > 0) {
       const toolList = this.toolsUsed.map(t => `\`${t}\``).join(' → ');
       lines.push(`\n🔧 ${toolList}`);
@@ -127,4 +161,4 @@ class StatusEmbed {
   }
 }
 
-module.exports = { StatusEmbed };
+module.exports = { StatusEmbed, registerStage, STAGES };
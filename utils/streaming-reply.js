@@ -0,0 +1,194 @@
+/**
+ * @module utils/streaming-reply
+ * @description Progressively renders streamed model output into Discord messages.
+ * Edits are throttled to stay inside Discord's rate limits, text is split with the
+ * same smartSplit() rules as Layer 4 as it grows past 2000 chars, and code fences
+ * are kept balanced while a block is still being written. With a `moderate` check,
+ * text is only shown after it passes: each throttled edit moderates the text so far,
+ * and flagged text is taken down and ends the stream.
+ */
+
+const logger = require('../logger');
+const { smartSplit, stripInlineImages } = require('../thinking/layer4-synthesize');
+
+const MAX_MSG_LEN = 2000;
+const STREAM_SPLIT_LEN = MAX_MSG_LEN - 10; // room for a temporary closing fence + cursor
+const CURSOR = ' ▌';
+
+/**
+ * Render in-progress text for display: close an open code fence and drop
+ * half-arrived backticks so Discord markdown doesn't flicker.
+ * @param {string} text - Partial text
+ * @param {boolean} [cursor=false] - Append a typing cursor
+ * @returns {string}
+ */
+function balanceFences(text, cursor = false) {
+  const out = text.replace(/(^|[^`])`{1,2}$/, '$1');
+  const fences = (out.match(/```/g) || []).length;
+  if (fences % 2 !== 0) {
+    return `${out}${cursor ? CURSOR : ''}\n\`\`\``;
+  }
+  return cursor ? `${out}${CURSOR}` : out;
+}
+
+class StreamingReply {
+  /**
+   * @param {Object} channel - Discord text channel or thread
+   * @param {Object} [opts]
+   * @param {number} [opts.editIntervalMs=1200] - Minimum time between edit rounds
+   * @param {Function} [opts.moderate] - async text => whether it may be shown; a throw counts as "not yet"
+   */
+  constructor(channel, { editIntervalMs = 1200, moderate = null } = {}) {
+    this.channel = channel;
+    this.editIntervalMs = editIntervalMs;
+    this.moderate = moderate;
+    this.messages = []; // Discord messages sent so far, one per part
+    this.rendered = []; // content currently shown in each message
+    this.text = '';
+    this.lastFlush = 0;
+    this.pendingFlush = null;
+    this.flushing = null;
+    this.closed = false;
+    this.flagged = false; // streamed text failed moderation; nothing more is streamed
+  }
+
+  /** True once any part of the reply is visible in the channel. */
+  get started() {
+    return this.messages.length > 0;
+  }
+
+  /**
+   * Update the full text streamed so far. Rendering is throttled.
+   * @param {string} text - Accumulated text (not a delta)
+   */
+  update(text) {
+    if (this.closed) return;
+    this.text = text;
+    const wait = this.editIntervalMs - (Date.now() - this.lastFlush);
+    if (wait <= 0 && !this.flushing) {
+      this._flush();
+    } else if (!this.pendingFlush) {
+      this.pendingFlush = setTimeout(() => {
+        this.pendingFlush = null;
+        this.update(this.text);
+      }, Math.max(wait, 50));
+    }
+  }
+
+  /**
+   * Forget streamed text that turned out to be a preamble to tool calls.
+   * Already-sent messages are reused by the next stream.
+   */
+  async reset() {
+    this._cancelPending();
+    this.text = '';
+    await this.flushing;
+  }
+
+  /**
+   * Replace the streamed output with the final synthesized parts. Extra streamed
+   * messages are deleted; missing ones are sent.
+   * @param {string[]} parts - Final message contents (from Layer 4)
+   * @returns {Promise<Object[]>} Discord messages now holding the reply
+   */
+  async finish(parts) {
+    this.closed = true;
+    this._cancelPending();
+    await this.flushing;
+    await this._render(parts);
+    return this.messages;
+  }
+
+  /** Delete everything streamed so far (moderation block, ignore, error). */
+  async discard() {
+    this.closed = true;
+    this._cancelPending();
+    await this.flushing;
+    for (const msg of this.messages) {
+      try { await msg.delete(); } catch (_) {}
+    }
+    this.messages = [];
+    this.rendered = [];
+  }
+
+  /** @private */
+  _cancelPending() {
+    if (this.pendingFlush) clearTimeout(this.pendingFlush);
+    this.pendingFlush = null;
+  }
+
+  /** @private */
+  _flush() {
+    this.lastFlush = Date.now();
+    const display = stripInlineImages(this.text).trimStart();
+    if (!display.trim()) return;
+    this.flushing = this._show(display)
+      .catch(err => logger.warn('StreamingReply', `Render failed: ${err.message}`))
+      .finally(() => { this.flushing = null; });
+  }
+
+  /**
+   * Moderate (when configured) and render in-progress text.
+   * @private
+   */
+  async _show(display) {
+    if (this.moderate) {
+      let safe = false;
+      try {
+        safe = await this.moderate(display);
+      } catch (err) {
+        logger.warn('StreamingReply', `Moderation failed, holding the stream: ${err.message}`);
+        return;
+      }
+      if (!safe) {
+        logger.warn('StreamingReply', 'Streamed text flagged by moderation, taking it down');
+        this.flagged = true;
+        this.closed = true;
+        this._cancelPending();
+        for (const msg of this.messages) {
+          try { await msg.delete(); } catch (_) {}
+        }
+        this.messages = [];
+        this.rendered = [];
+        return;
+      }
+      // finish()/discard() may have run while moderation was pending
+      if (this.closed) return;
+    }
+    const parts = smartSplit(display, STREAM_SPLIT_LEN);
+    await this._render(parts.map((p, i) => balanceFences(p, i === parts.length - 1)), { keepExtra: true });
+  }
+
+  /**
+   * Make the channel show `parts`, editing only messages whose content changed.
+   * @private
+   */
+  async _render(parts, { keepExtra = false } = {}) {
+    for (let i = 0; i < parts.length; i++) {
+      const content = parts[i];
+      if (!content) continue;
+      if (this.messages[i]) {
+        if (this.rendered[i] === content) continue;
+        try {
+          await this.messages[i].edit({ content });
+          this.rendered[i] = content;
+        } catch (err) {
+          logger.warn('StreamingReply', `Edit failed: ${err.message}`);
+        }
+      } else {
+        const msg = await this.channel.send({ content });
+        this.messages[i] = msg;
+        this.rendered[i] = content;
+      }
+    }
+
+    if (!keepExtra) {
+      for (const msg of this.messages.splice(parts.length)) {
+        try { await msg.delete(); } catch (_) {}
+      }
+      this.rendered.length = parts.length;
+    }
+  }
+}
+
+module.exports = { StreamingReply, balanceFences };
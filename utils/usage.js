@@ -0,0 +1,241 @@
+/**
+ * @module utils/usage
+ * @description Per-user token, image and cost accounting with quotas. Every OpenAI call
+ * is written to the usage ledger, attributed to the user whose message or interaction
+ * caused it (carried through async calls with AsyncLocalStorage, like pipeline traces).
+ * Admins set daily or monthly token/image quotas for the server, a role or a user with
+ * /quota; checkQuota() is consulted before work is queued.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../logger');
+const { insertUsage, getUsageTotals, getUsageByModel, getUsageQuotas, upsertUsageQuota, deleteUsageQuota } = require('../db');
+
+const PERIODS = ['day', 'month'];
+const QUOTA_SCOPES = ['guild', 'role', 'user'];
+
+// Estimated USD per 1M tokens (input/output) and per image. Matched by longest model-name prefix.
+const PRICING = {
+  'gpt-5.2': { input: 1.75, output: 14 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'omni-moderation': { input: 0, output: 0 },
+  'gpt-image-1': { input: 5, output: 40, image: 0.04 },
+};
+
+// Who the current work is for: { userId, guildId, channelId }
+const usageStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn with calls inside it attributed to a user.
+ * @param {{userId: string, guildId?: string, channelId?: string}} owner
+ * @param {Function} fn
+ * @returns {*} fn's return value
+ */
+function withUsageContext(owner, fn) {
+  return usageStorage.run(owner, fn);
+}
+
+/**
+ * @returns {{userId: string, guildId?: string, channelId?: string}|null}
+ */
+function currentUsageContext() {
+  return usageStorage.getStore() || null;
+}
+
+function pricingFor(model) {
+  const key = Object.keys(PRICING)
+    .filter(prefix => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? PRICING[key] : null;
+}
+
+/**
+ * Estimated cost of a call in USD (0 for unknown models).
+ * @param {string} model
+ * @param {{promptTokens?: number, completionTokens?: number, images?: number}} amounts
+ * @returns {number}
+ */
+function estimateCost(model, { promptTokens = 0, completionTokens = 0, images = 0 } = {}) {
+  const price = pricingFor(model);
+  if (!price) return 0;
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6 + images * (price.image || 0);
+}
+
+/**
+ * Record one API call in the ledger. Never throws — accounting must not break a reply.
+ * @param {Object} entry
+ * @param {string} entry.kind - chat | think | embedding | moderation | image
+ * @param {string} entry.model
+ * @param {Object} [entry.usage] - OpenAI usage object ({prompt_tokens, completion_tokens} or {input_tokens, output_tokens})
+ * @param {number} [entry.images]
+ */
+function recordUsage({ kind, model, usage = null, images = 0 }) {
+  try {
+    const owner = currentUsageContext() || {};
+    const promptTokens = usage?.prompt_tokens ?? usage?.input_tokens ?? 0;
+    const completionTokens = usage?.completion_tokens ?? usage?.output_tokens ?? 0;
+    insertUsage({
+      userId: owner.userId,
+      guildId: owner.guildId,
+      channelId: owner.channelId,
+      kind,
+      model,
+      promptTokens,
+      completionTokens,
+      images,
+      // Image calls are priced per image; their token counts are informational
+      costUsd: images ? estimateCost(model, { images }) : estimateCost(model, { promptTokens, completionTokens }),
+    });
+  } catch (err) {
+    logger.warn('Usage', `Failed to record ${kind} usage: ${err.message}`);
+  }
+}
+
+/**
+ * Start of the current UTC day or month.
+ * @param {string} period - day | month
+ * @param {Date} [now]
+ * @returns {number} Epoch ms
+ */
+function periodStart(period, now = new Date()) {
+  return period === 'month'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+}
+
+/**
+ * @param {string} userId
+ * @param {string} period - day | month
+ * @returns {{calls: number, tokens: number, images: number, costUsd: number, byModel: Array}}
+ */
+function getUsage(userId, period) {
+  const since = periodStart(period);
+  const totals = getUsageTotals(userId, since);
+  return {
+    calls: totals.calls,
+    tokens: totals.prompt_tokens + totals.completion_tokens,
+    images: totals.images,
+    costUsd: totals.cost_usd,
+    byModel: getUsageByModel(userId, since),
+  };
+}
+
+/**
+ * Combine role quotas: the most generous limit applies (null = unlimited).
+ */
+function mostGenerous(quotas) {
+  const pick = key => (quotas.some(q => q[key] == null) ? null : Math.max(...quotas.map(q => q[key])));
+  return { max_tokens: pick('max_tokens'), max_images: pick('max_images') };
+}
+
+/**
+ * Effective limits for a user in a period: a user quota beats role quotas, which beat the server quota.
+ * @param {Array} quotas - Rows from getUsageQuotas()
+ * @param {string} period
+ * @param {{userId: string, roleIds?: string[]}} who
+ * @returns {{max_tokens: number|null, max_images: number|null}|null} null when no quota applies
+ */
+function resolveLimits(quotas, period, { userId, roleIds = [] }) {
+  const inPeriod = quotas.filter(q => q.period === period);
+  const user = inPeriod.find(q => q.scope === 'user' && q.target_id === userId);
+  if (user) return user;
+  const roles = inPeriod.filter(q => q.scope === 'role' && roleIds.includes(q.target_id));
+  if (roles.length) return mostGenerous(roles);
+  return inPeriod.find(q => q.scope === 'guild') || null;
+}
+
+/**
+ * Check a user's quota before queuing work.
+ * @param {{userId: string, guildId?: string, roleIds?: string[]}} who
+ * @param {string} [resource='tokens'] - tokens | images
+ * @returns {{allowed: boolean, reason: string|null, period?: string, used?: number, limit?: number}}
+ */
+function checkQuota(who, resource = 'tokens') {
+  if (!who.guildId || !who.userId) return { allowed: true, reason: null };
+  let quotas;
+  try {
+    quotas = getUsageQuotas(who.guildId);
+  } catch (err) {
+    logger.warn('Usage', `Quota lookup failed, allowing: ${err.message}`);
+    return { allowed: true, reason: null };
+  }
+  if (quotas.length === 0) return { allowed: true, reason: null };
+
+  for (const period of PERIODS) {
+    const limits = resolveLimits(quotas, period, who);
+    const limit = limits?.[resource === 'images' ? 'max_images' : 'max_tokens'];
+    if (limit == null) continue;
+    const usage = getUsage(who.userId, period);
+    const used = resource === 'images' ? usage.images : usage.tokens;
+    if (used >= limit) {
+      const resets = period === 'day' ? 'tomorrow (UTC)' : 'next month';
+      return {
+        allowed: false,
+        period,
+        used,
+        limit,
+        reason: `You've used your ${period === 'day' ? 'daily' : 'monthly'} ${resource} quota (${used.toLocaleString()}/${limit.toLocaleString()}). It resets ${resets}.`,
+      };
+    }
+  }
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Add or replace a quota.
+ * @param {Object} quota - { guildId, scope, targetId, period, maxTokens, maxImages, createdBy }
+ */
+function setQuota(quota) {
+  if (!QUOTA_SCOPES.includes(quota.scope)) throw new Error(`Invalid quota scope: ${quota.scope}`);
+  if (!PERIODS.includes(quota.period)) throw new Error(`Invalid quota period: ${quota.period}`);
+  upsertUsageQuota(quota);
+}
+
+/**
+ * @returns {boolean} Whether a quota was removed
+ */
+function removeQuota(guildId, scope, targetId, period) {
+  return deleteUsageQuota(guildId, scope, targetId, period);
+}
+
+/**
+ * @param {string} guildId
+ * @returns {Array} All quotas for the guild
+ */
+function listQuotas(guildId) {
+  return getUsageQuotas(guildId);
+}
+
+/**
+ * Effective quota limits for a user (for /usage).
+ * @returns {{day: Object|null, month: Object|null}}
+ */
+function getLimits(who) {
+  if (!who.guildId) return { day: null, month: null };
+  const quotas = getUsageQuotas(who.guildId);
+  return { day: resolveLimits(quotas, 'day', who), month: resolveLimits(quotas, 'month', who) };
+}
+
+module.exports = {
+  PERIODS,
+  QUOTA_SCOPES,
+  PRICING,
+  withUsageContext,
+  currentUsageContext,
+  estimateCost,
+  recordUsage,
+  periodStart,
+  getUsage,
+  getLimits,
+  checkQuota,
+  setQuota,
+  removeQuota,
+  listQuotas,
+};